@@ -31,6 +31,48 @@ module.exports = {
       lines: 85,
       statements: 85,
     },
+    './src/core/pdf-archive.js': {
+      branches: 75,
+      functions: 90,
+      lines: 85,
+      statements: 85,
+    },
+    './src/core/rule-engine.js': {
+      branches: 90,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    './src/core/tag-parser.js': {
+      branches: 90,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    './src/services/ipp-client.js': {
+      branches: 70,
+      functions: 90,
+      lines: 85,
+      statements: 85,
+    },
+    './src/services/cups-printer.js': {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    './src/services/ipp-printer.js': {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    './src/services/raw-printer.js': {
+      branches: 75,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
     './src/services/pdf-generator.js': {
       branches: 70,
       functions: 80,
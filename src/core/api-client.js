@@ -184,7 +184,8 @@ async function getUpcomingEvents(fetchWindowHours, options = { allowStale: true
  * @param {string} eventId - The ID of the event to fetch attendees for.
  * @param {Object} options - Options for graceful degradation
  * @param {boolean} options.allowStale - Allow returning stale cache data on API failure
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of attendee objects, sorted by last name then first name.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of attendee objects, in API order
+ *   (the PDF layer sorts them; see attendee-sort).
  */
 async function getAllAttendees(eventId, options = { allowStale: true }) {
   // Validate event ID before making API call
@@ -256,13 +257,6 @@ async function getAllAttendees(eventId, options = { allowStale: true }) {
       // eslint-disable-next-line no-constant-condition
     } while (true);
 
-    // Sort attendees by last name, then first name (Unicode-aware, case-insensitive)
-    attendees.sort((a, b) => {
-      const lastCmp = (a.lastName ?? '').localeCompare(b.lastName ?? '', undefined, { sensitivity: 'base' });
-      if (lastCmp !== 0) return lastCmp;
-      return (a.firstName ?? '').localeCompare(b.firstName ?? '', undefined, { sensitivity: 'base' });
-    });
-
     // Cache for 2 minutes fresh (attendees can change close to event time), 30 minutes stale
     cache.set(cacheKey, attendees, 120, 1800);
 
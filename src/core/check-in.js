@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Signed check-in tokens for the QR codes printed on each attendee row. A token names
+ * the event and the attendee, expires some hours after the event starts and carries an HMAC over all
+ * three, so the dashboard can record a scanned check-in without a login, nobody can make up codes for
+ * other attendees and an old printed sheet no longer checks anyone in.
+ * @module check-in
+ */
+
+const crypto = require('crypto');
+
+/** Event and attendee ids go into the token and the URL path, so only these characters are allowed */
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+/** Bytes of the HMAC kept in the token; shorter tokens make smaller QR codes */
+const SIGNATURE_BYTES = 12;
+
+/** Expiry times are whole seconds since the epoch in base 36, which keeps them short */
+const EXPIRY = /^[0-9a-z]{1,10}$/;
+
+/**
+ * Signs an event/attendee pair and its expiry.
+ * @param {string} eventId - Event id
+ * @param {string} attendeeId - Attendee id
+ * @param {string} expiry - Encoded expiry time
+ * @param {string} secret - CHECKIN_SECRET
+ * @returns {string} base64url signature
+ */
+function sign(eventId, attendeeId, expiry, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}.${attendeeId}.${expiry}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+}
+
+/**
+ * Creates the check-in token for an attendee.
+ * @param {string} eventId - Event id
+ * @param {string} attendeeId - Hello Club attendee id
+ * @param {string} secret - CHECKIN_SECRET
+ * @param {Date|string|number} expiresAt - When the code stops checking people in
+ * @returns {string|null} `<event id>.<attendee id>.<expiry>.<signature>`, or null if either id cannot be
+ *   encoded or the expiry is not a valid time
+ */
+function createCheckInToken(eventId, attendeeId, secret, expiresAt) {
+  const ids = [String(eventId ?? ''), String(attendeeId ?? '')];
+  const seconds = Math.floor(new Date(expiresAt ?? NaN).getTime() / 1000);
+  if (!ids.every((id) => SAFE_ID.test(id)) || !(seconds > 0)) {
+    return null;
+  }
+  const expiry = seconds.toString(36);
+  return `${ids[0]}.${ids[1]}.${expiry}.${sign(ids[0], ids[1], expiry, secret)}`;
+}
+
+/**
+ * Checks a scanned token.
+ * @param {string} token - Token from the check-in URL
+ * @param {string} secret - CHECKIN_SECRET
+ * @param {number} [now=Date.now()] - Current time, for the expiry
+ * @returns {{eventId: string, attendeeId: string, expiresAt: Date, expired: boolean}|null} The ids and
+ *   whether the code has expired, or null if the token is malformed or its signature does not match
+ */
+function verifyCheckInToken(token, secret, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (!secret || parts.length !== 4 || !SAFE_ID.test(parts[0]) || !SAFE_ID.test(parts[1]) || !EXPIRY.test(parts[2])) {
+    return null;
+  }
+  const [eventId, attendeeId, expiry, signature] = parts;
+  const expected = Buffer.from(sign(eventId, attendeeId, expiry, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+  const expiresAt = new Date(parseInt(expiry, 36) * 1000);
+  return { eventId, attendeeId, expiresAt, expired: now >= expiresAt.getTime() };
+}
+
+/**
+ * When an event's check-in codes expire.
+ * @param {Object} event - The event, with its `startDate`
+ * @param {number} validHours - Hours after the start that codes still work (`checkIn.validHours`)
+ * @returns {Date} Expiry time (invalid when the event has no valid start date)
+ */
+function checkInExpiry(event, validHours) {
+  return new Date(new Date(event.startDate ?? NaN).getTime() + validHours * 60 * 60 * 1000);
+}
+
+/**
+ * Builds the URL a printed QR code opens.
+ * @param {string} baseUrl - Dashboard address as seen from a phone, e.g. http://192.168.1.20:3000
+ * @param {string} token - Check-in token
+ * @returns {string} The check-in URL
+ */
+function checkInUrl(baseUrl, token) {
+  return `${baseUrl.replace(/\/+$/, '')}/checkin/${token}`;
+}
+
+module.exports = {
+  createCheckInToken,
+  verifyCheckInToken,
+  checkInExpiry,
+  checkInUrl,
+};
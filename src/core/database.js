@@ -46,11 +46,13 @@ const getDb = () => {
 
 /**
  * Clean up old events from the database
- * Removes events older than the specified number of days
+ * Removes events older than the specified number of days, and attendee snapshots
+ * of events that have started once they are older than the snapshot retention
  * @param {number} daysToKeep - Number of days to keep (default: 30)
+ * @param {number} [snapshotDaysToKeep=daysToKeep] - Number of days to keep roster snapshots
  * @returns {number} Number of events deleted
  */
-function cleanupOldEvents(daysToKeep = 30) {
+function cleanupOldEvents(daysToKeep = 30, snapshotDaysToKeep = daysToKeep) {
   const db = getDb();
   const logger = require('../services/logger');
 
@@ -76,6 +78,68 @@ function cleanupOldEvents(daysToKeep = 30) {
       logger.info(`Database cleanup: Deleted ${jobsForOldEventsResult.changes} scheduled job(s) for old events`);
     }
 
+    // print_jobs.event_id has the same foreign key, so those rows go first as well
+    const deletePrintJobsForOldEvents = db.prepare(`
+      DELETE FROM print_jobs
+      WHERE event_id IN (
+        SELECT id FROM events
+        WHERE startDate < ?
+          AND status IN ('processed', 'failed')
+      )
+    `);
+
+    const printJobsResult = deletePrintJobsForOldEvents.run(cutoffISO);
+    if (printJobsResult.changes > 0) {
+      logger.info(`Database cleanup: Deleted ${printJobsResult.changes} print job(s) for old events`);
+    }
+
+    // ...and so does roster_snapshots.event_id
+    const deleteSnapshotsForOldEvents = db.prepare(`
+      DELETE FROM roster_snapshots
+      WHERE event_id IN (
+        SELECT id FROM events
+        WHERE startDate < ?
+          AND status IN ('processed', 'failed')
+      )
+    `);
+
+    const snapshotsResult = deleteSnapshotsForOldEvents.run(cutoffISO);
+    if (snapshotsResult.changes > 0) {
+      logger.info(`Database cleanup: Deleted ${snapshotsResult.changes} roster snapshot(s) for old events`);
+    }
+
+    // ...and check_ins.event_id; attendance is kept as long as its event
+    const deleteCheckInsForOldEvents = db.prepare(`
+      DELETE FROM check_ins
+      WHERE event_id IN (
+        SELECT id FROM events
+        WHERE startDate < ?
+          AND status IN ('processed', 'failed')
+      )
+    `);
+
+    const checkInsResult = deleteCheckInsForOldEvents.run(cutoffISO);
+    if (checkInsResult.changes > 0) {
+      logger.info(`Database cleanup: Deleted ${checkInsResult.changes} check-in(s) for old events`);
+    }
+
+    // Snapshots can be kept for less time than their events. Those of events that have not
+    // started yet are kept regardless, since late sign-up addenda are diffed against them.
+    const snapshotCutoff = new Date();
+    snapshotCutoff.setDate(snapshotCutoff.getDate() - snapshotDaysToKeep);
+    const deleteOldSnapshots = db.prepare(`
+      DELETE FROM roster_snapshots
+      WHERE taken_at < ?
+        AND event_id IN (SELECT id FROM events WHERE startDate < ?)
+    `);
+
+    const oldSnapshotsResult = deleteOldSnapshots.run(snapshotCutoff.toISOString(), new Date().toISOString());
+    if (oldSnapshotsResult.changes > 0) {
+      logger.info(
+        `Database cleanup: Deleted ${oldSnapshotsResult.changes} roster snapshot(s) older than ${snapshotDaysToKeep} days`
+      );
+    }
+
     // Delete old events
     const deleteEvents = db.prepare(`
       DELETE FROM events
@@ -162,6 +226,132 @@ function getJobInfo(eventId) {
   return database.prepare('SELECT * FROM scheduled_jobs WHERE event_id = ?').get(eventId);
 }
 
+/**
+ * Record a print job submitted to CUPS for an event
+ * @param {string} eventId - The event ID
+ * @param {number|null} cupsJobId - The CUPS job id (null if lp did not report one)
+ * @param {string|null} printer - The CUPS destination (null for the default printer)
+ * @param {number} copies - Number of copies requested
+ * @returns {number} The print_jobs row id
+ */
+function createPrintJob(eventId, cupsJobId, printer, copies) {
+  const database = getDb();
+  const stmt = database.prepare(`
+    INSERT INTO print_jobs (event_id, cups_job_id, printer, copies)
+    VALUES (?, ?, ?, ?)
+  `);
+  return stmt.run(eventId, cupsJobId, printer, copies).lastInsertRowid;
+}
+
+/**
+ * Update the state of a print job
+ * @param {number} printJobId - The print_jobs row id
+ * @param {string} state - The new state ('submitted', 'pending', 'processing', 'completed', 'aborted', 'cancelled', 'timeout', ...)
+ * @param {string|null} reason - Optional reason reported by the printer
+ * @returns {Object} Result object with changes count
+ */
+function updatePrintJobState(printJobId, state, reason = null) {
+  const database = getDb();
+  const stmt = database.prepare(`
+    UPDATE print_jobs
+    SET state = ?, state_reason = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `);
+  return stmt.run(state, reason, printJobId);
+}
+
+/**
+ * Get the revision of an event's latest printed attendee list
+ * @param {string} eventId - The event ID
+ * @returns {number} The revision, 0 if the list was never printed or the event is unknown
+ */
+function getPrintRevision(eventId) {
+  const database = getDb();
+  const row = database.prepare('SELECT printRevision FROM events WHERE id = ?').get(eventId);
+  return row ? row.printRevision : 0;
+}
+
+/**
+ * Record the revision of an event's printed attendee list
+ * @param {string} eventId - The event ID
+ * @param {number} revision - The revision that was printed
+ * @returns {Object} Result object with changes count
+ */
+function setPrintRevision(eventId, revision) {
+  const database = getDb();
+  return database.prepare('UPDATE events SET printRevision = ? WHERE id = ?').run(revision, eventId);
+}
+
+/**
+ * Store the attendee list a printout was made from
+ * @param {string} eventId - The event ID
+ * @param {string} kind - 'roster' for the main list, 'addendum' for a late sign-up addendum
+ * @param {Array<Object>} attendees - The attendees on the printout
+ * @param {string|null} [printTarget=null] - The target that printed it (e.g. "local:Front_Desk")
+ * @returns {number} The roster_snapshots row id
+ */
+function saveRosterSnapshot(eventId, kind, attendees, printTarget = null) {
+  const database = getDb();
+  const stmt = database.prepare(`
+    INSERT INTO roster_snapshots (event_id, kind, attendees, taken_at, print_target)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  return stmt.run(eventId, kind, JSON.stringify(attendees), new Date().toISOString(), printTarget).lastInsertRowid;
+}
+
+/**
+ * Convert a roster_snapshots row
+ * @param {Object} row - Database row
+ * @returns {Object} { id, eventId, kind, attendees, takenAt, printTarget }
+ */
+function toRosterSnapshot(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    kind: row.kind,
+    attendees: JSON.parse(row.attendees),
+    takenAt: row.taken_at,
+    printTarget: row.print_target,
+  };
+}
+
+/**
+ * Get the most recent roster snapshot for an event (what is currently on paper)
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} Snapshot as returned by getRosterSnapshot, or null if nothing was printed
+ */
+function getLatestRosterSnapshot(eventId) {
+  const database = getDb();
+  const row = database
+    .prepare('SELECT * FROM roster_snapshots WHERE event_id = ? ORDER BY taken_at DESC, id DESC LIMIT 1')
+    .get(eventId);
+  return row ? toRosterSnapshot(row) : null;
+}
+
+/**
+ * List an event's roster snapshots, newest first
+ * @param {string} eventId - The event ID
+ * @returns {Array<Object>} Snapshots as returned by getRosterSnapshot
+ */
+function getRosterSnapshots(eventId) {
+  const database = getDb();
+  return database
+    .prepare('SELECT * FROM roster_snapshots WHERE event_id = ? ORDER BY taken_at DESC, id DESC')
+    .all(eventId)
+    .map(toRosterSnapshot);
+}
+
+/**
+ * Get one roster snapshot
+ * @param {number} snapshotId - The roster_snapshots row id
+ * @returns {Object|null} { id, eventId, kind, attendees, takenAt, printTarget } or null if not found
+ */
+function getRosterSnapshot(snapshotId) {
+  const database = getDb();
+  const row = database.prepare('SELECT * FROM roster_snapshots WHERE id = ?').get(snapshotId);
+  return row ? toRosterSnapshot(row) : null;
+}
+
 /**
  * Execute a database operation with retry logic for SQLITE_BUSY errors.
  * Uses exponential backoff to handle concurrent access gracefully.
@@ -283,6 +473,14 @@ module.exports = {
   updateJobStatus,
   incrementJobRetryCount,
   getJobInfo,
+  createPrintJob,
+  updatePrintJobState,
+  getPrintRevision,
+  setPrintRevision,
+  saveRosterSnapshot,
+  getLatestRosterSnapshot,
+  getRosterSnapshots,
+  getRosterSnapshot,
   withRetry,
   withTransaction,
   checkDatabaseHealth,
@@ -1,14 +1,35 @@
 const fs = require('fs');
-const { execFile } = require('child_process');
-const { promisify } = require('util');
 const logger = require('../services/logger');
-
-const execFileAsync = promisify(execFile);
-const { printPdf } = require('../services/cups-printer');
+const { printPdf, parseJobId, waitForJobCompletion } = require('../services/cups-printer');
+const { printPdfIpp, waitForIppJob } = require('../services/ipp-printer');
+const { printPdfRaw } = require('../services/raw-printer');
 const { sendEmailWithAttachment } = require('../services/email-service');
 const PdfGenerator = require('../services/pdf-generator');
-const { getDb, withRetry, withTransaction } = require('./database');
+const RosterExporter = require('../services/roster-exporter');
+const {
+  getDb,
+  withRetry,
+  withTransaction,
+  createPrintJob,
+  updatePrintJobState,
+  getPrintRevision,
+  setPrintRevision,
+  saveRosterSnapshot,
+  getLatestRosterSnapshot,
+} = require('./database');
 const { getEventDetails, getAllAttendees, getUpcomingEvents } = require('./api-client');
+const { parseTag } = require('./tag-parser');
+const { archivePdf, getArchivedPdf, recordReprint } = require('./pdf-archive');
+const { diffRosters, splitWaitlist } = require('./roster');
+const {
+  findMatchingRule,
+  findRuleByName,
+  isEventSelected,
+  resolveLeadMinutes,
+  applyRuleToLayout,
+} = require('./rule-engine');
+const { createI18n } = require('../utils/i18n');
+const { resolvePrivacyProfile, targetPrivacy } = require('../utils/privacy-profiles');
 
 /**
  * Sanitizes text for use in email headers and body.
@@ -23,15 +44,237 @@ function sanitizeEmailText(text) {
   return text.replace(/[\r\n]/g, ' ');
 }
 
+/**
+ * Stores the attendee list a printout was made from, without the raw API fields kept for custom
+ * columns. The sheet has already been delivered by then, so a failure is only logged; failing the
+ * event would print it again.
+ * @param {string} eventId - The event ID.
+ * @param {string} kind - 'roster' or 'addendum'.
+ * @param {Array<Object>} attendees - The attendees on the printout.
+ * @param {string} [printTarget] - The target that printed it.
+ * @returns {void}
+ */
+function recordRosterSnapshot(eventId, kind, attendees, printTarget) {
+  try {
+    const stored = attendees.map(({ fields: _fields, ...attendee }) => attendee);
+    withRetry(() => saveRosterSnapshot(eventId, kind, stored, printTarget));
+  } catch (error) {
+    logger.warn(`Could not store the ${kind} attendee snapshot for event ${eventId}: ${error.message}`);
+  }
+}
+
+/**
+ * Records the revision of an attendee list about to be printed. A failure is only logged: the list
+ * still prints, and the next attempt reuses the revision.
+ * @param {string} eventId - The event ID.
+ * @param {number} revision - The revision that was printed.
+ * @returns {void}
+ */
+function recordPrintRevision(eventId, revision) {
+  try {
+    withRetry(() => setPrintRevision(eventId, revision));
+  } catch (error) {
+    logger.warn(`Could not record revision ${revision} of the attendee list of event ${eventId}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves how an event is printed. Precedence: print: tag, then rule, then config.
+ * @param {Object} event - The event row from the local database (carries the print: tag settings).
+ * @param {Object} fullEvent - Fresh event details from the API, matched against the rules.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @returns {{rule: Object|null, printMode: *, copies: number, printer: string|undefined, pdfLayout: Object,
+ *   badges: boolean, exports: Array<string>}} The settings, whether name badges are printed after the roster
+ *   and the spreadsheet formats the roster is exported in
+ */
+function resolvePrintSettings(event, fullEvent, finalConfig) {
+  const rule = findMatchingRule(fullEvent, finalConfig.rules);
+  return {
+    rule,
+    printMode: event.printMode ?? rule?.printMode ?? finalConfig.printMode,
+    copies: event.copies ?? rule?.copies ?? 1,
+    printer: rule?.printer,
+    pdfLayout: applyRuleToLayout(finalConfig.pdfLayout, rule),
+    badges: rule?.badges ?? Boolean(finalConfig.badges?.enabled),
+    exports: rule?.exports ?? finalConfig.exports?.formats ?? [],
+  };
+}
+
+/**
+ * Prints name badges for an event's attendees on the configured label sheets. They go to
+ * `badges.printMode` and `badges.printer` when set, otherwise wherever the event's roster goes.
+ * @param {Object} event - The event object (full details from the API).
+ * @param {Array<Object>} attendees - The attendees to print badges for.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} settings - The event's print settings, as from resolvePrintSettings.
+ * @param {Object} [overrides] - Delivery overrides.
+ * @param {string} [overrides.printMode] - Deliver with this mode instead of the configured one.
+ * @param {boolean} [overrides.recordJobs=true] - Record jobs in print_jobs; off when the event is not stored.
+ * @returns {Promise<{printTarget: string, failedTargets: Array<Object>, archiveId: string|null}>}
+ *   Where the badges were printed (see createAndPrintPdf).
+ * @throws {Error} If every print target failed.
+ */
+async function printBadges(event, attendees, finalConfig, settings, overrides = {}) {
+  const { badges } = finalConfig;
+  logger.info(`Printing ${attendees.length} badge(s) for event "${event.name}"...`);
+  return createAndPrintPdf(
+    event,
+    attendees,
+    finalConfig.outputFilename.replace(/\.pdf$/i, '-badges.pdf'),
+    settings.pdfLayout,
+    overrides.printMode ?? badges.printMode ?? settings.printMode,
+    {
+      recordJobs: overrides.recordJobs,
+      printer: badges.printer ?? settings.printer,
+      printJobs: finalConfig.printJobs,
+      ipp: finalConfig.ipp,
+      raw: finalConfig.raw,
+      archive: finalConfig.archive,
+      locale: finalConfig.locale,
+      timeZone: finalConfig.timeZone,
+      badges: { sheet: badges.sheet, fields: badges.fields, padding: badges.padding },
+    }
+  );
+}
+
+/**
+ * Prints name badges for one event on demand, whether or not badges are enabled for it. The event
+ * need not have been fetched; its tags are read from the API.
+ * @param {string} eventId - The event id.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} [overrides] - Delivery overrides.
+ * @param {string} [overrides.printMode] - Deliver with this mode instead of the configured one.
+ * @returns {Promise<{attendeeCount: number, printTarget?: string}>} How many badges were printed, and where
+ * @throws {Error} If the event cannot be fetched or every print target failed.
+ */
+async function printEventBadges(eventId, finalConfig, overrides = {}) {
+  const eventRow = withRetry(() => getDb().prepare('SELECT * FROM events WHERE id = ?').get(eventId));
+  const fullEvent = await getEventDetails(eventId);
+  const event = eventRow || { id: eventId, name: fullEvent.name, ...parseTag(fullEvent.description) };
+  const { confirmed: attendees } = splitWaitlist(await getAllAttendees(eventId));
+  if (attendees.length === 0) {
+    logger.warn(`No attendees found for event "${fullEvent.name}". Skipping badges.`);
+    return { attendeeCount: 0 };
+  }
+
+  const settings = resolvePrintSettings(event, fullEvent, finalConfig);
+  const { printTarget } = await printBadges(fullEvent, attendees, finalConfig, settings, {
+    printMode: overrides.printMode,
+    recordJobs: Boolean(eventRow),
+  });
+  return { attendeeCount: attendees.length, printTarget };
+}
+
+/**
+ * Prints the badges requested for printed events. The rosters have already been delivered, so a
+ * failure is only logged; failing the event would print its roster again.
+ * @param {Array<{event: Object, fullEvent: Object, attendees: Array<Object>}>} printed - Printed events
+ *   with their print settings, as from resolvePrintSettings
+ * @param {Object} finalConfig - The application's configuration object.
+ * @returns {Promise<void>}
+ */
+async function printRequestedBadges(printed, finalConfig) {
+  for (const { event, fullEvent, attendees, ...settings } of printed) {
+    if (!settings.badges || attendees.length === 0) {
+      continue;
+    }
+    try {
+      const { printTarget } = await printBadges(fullEvent, attendees, finalConfig, settings);
+      logger.info(`✓ Badges for event "${event.name}" printed via ${printTarget}`);
+    } catch (error) {
+      logger.error(`Failed to print badges for event ${event.id} ("${event.name}"):`, error);
+    }
+  }
+}
+
+/**
+ * Exports one event's attendee list as a spreadsheet on demand, with the columns of its printed
+ * list. The list is the one in Hello Club now, or with `printed` the list last printed for the
+ * event; printed lists keep no raw Hello Club fields, so custom columns are empty in those.
+ * @param {string} eventId - The event id.
+ * @param {string} format - 'csv', 'xlsx' or 'json'.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.printed=false] - Export the list last printed instead of the current one.
+ * @param {string} [options.output] - File name; outputFilename with the format's extension when not set.
+ * @returns {Promise<{attendeeCount: number, path: string}>} How many attendees were exported, and where to
+ * @throws {Error} If the event cannot be fetched, nothing was printed for it, or the file name is invalid.
+ */
+async function exportEventRoster(eventId, format, finalConfig, options = {}) {
+  const eventRow = withRetry(() => getDb().prepare('SELECT * FROM events WHERE id = ?').get(eventId));
+  let event;
+  let attendees;
+  let rule;
+  if (options.printed) {
+    const snapshot = eventRow && withRetry(() => getLatestRosterSnapshot(eventId));
+    if (!snapshot) {
+      throw new Error(`No printed attendee list for event ${eventId}`);
+    }
+    event = eventRow;
+    attendees = snapshot.attendees;
+    rule = findRuleByName(finalConfig.rules, eventRow.ruleName);
+  } else {
+    event = await getEventDetails(eventId);
+    attendees = await getAllAttendees(eventId);
+    rule = findMatchingRule(event, finalConfig.rules);
+  }
+  attendees = splitWaitlist(attendees).confirmed;
+
+  const exporter = new RosterExporter(event, attendees, applyRuleToLayout(finalConfig.pdfLayout, rule), {
+    locale: finalConfig.locale,
+    timeZone: finalConfig.timeZone,
+  });
+  const outputPath = exporter.save(
+    format,
+    options.output || finalConfig.outputFilename.replace(/\.pdf$/i, `.${format}`)
+  );
+  logger.info(`✓ Exported ${attendees.length} attendee(s) of event "${event.name}" to ${outputPath}`);
+  return { attendeeCount: attendees.length, path: outputPath };
+}
+
+/**
+ * Writes an event list's spreadsheet exports next to its PDF. They are only written to be attached
+ * or archived; one that fails is logged and left out, as the list prints without it.
+ * @param {Object} event - The event object.
+ * @param {Array<Object>} attendees - The attendees on the list.
+ * @param {string} outputFileName - The PDF's file name; exports replace its extension.
+ * @param {Object} pdfLayout - The list's layout.
+ * @param {Object} options - Per-event print options (see createAndPrintPdf).
+ * @param {Object|null} [privacy] - Privacy profile the list is redacted with, as in its PDF.
+ * @returns {Array<string>} Paths of the files written.
+ */
+function writeRosterExports(event, attendees, outputFileName, pdfLayout, options, privacy = null) {
+  const { formats = [], attach = false } = options.exports || {};
+  if (formats.length === 0 || (!attach && !options.archive?.enabled)) {
+    return [];
+  }
+  const exporter = new RosterExporter(event, attendees, pdfLayout, {
+    locale: options.locale,
+    timeZone: options.timeZone,
+    ...(privacy && { privacy }),
+  });
+  const paths = [];
+  for (const format of formats) {
+    try {
+      paths.push(exporter.save(format, outputFileName.replace(/\.pdf$/i, `.${format}`)));
+    } catch (error) {
+      logger.warn(`Failed to export the attendee list of event ${event.id} as ${format}: ${error.message}`);
+    }
+  }
+  return paths;
+}
+
 /**
  * Processes a single event: fetches attendees, creates a PDF, prints it, and updates the database.
  * This function is designed to be called by the scheduler or the manual `process-schedule` command.
  * @param {Object} event - The event object from the local database.
  * @param {Object} finalConfig - The application's configuration object.
- * @returns {Promise<Object>} Object containing attendeeCount
+ * @returns {Promise<Object>} Object containing attendeeCount (confirmed attendees) and, when printed, the
+ *   printTarget used, the failedTargets tried before it, the revision of the printed list, the event's
+ *   capacity (null when it has no limit) and the waitlistCount
  */
 async function processSingleEvent(event, finalConfig) {
-  const { outputFilename, pdfLayout, printMode } = finalConfig;
+  const { outputFilename } = finalConfig;
   const db = getDb();
 
   try {
@@ -39,21 +282,63 @@ async function processSingleEvent(event, finalConfig) {
 
     // Get the full, up-to-date event details for the PDF header
     const fullEvent = await getEventDetails(event.id);
-    const allAttendees = await getAllAttendees(event.id);
-    const attendees = allAttendees.filter((a) => !a.status || a.status.toLowerCase() !== 'cancelled');
+    // Waitlisted attendees print in their own section and are not part of the roster snapshot
+    const { confirmed: attendees, waitlist } = splitWaitlist(await getAllAttendees(event.id));
+
+    // Re-evaluate rules against the fresh event details
+    const settings = resolvePrintSettings(event, fullEvent, finalConfig);
+    const { rule, printMode, copies, printer, pdfLayout, exports } = settings;
+    if (rule) {
+      logger.info(`Applying rule "${rule.name}" to event "${event.name}"`);
+    }
+
+    if (attendees.length + waitlist.length > 0) {
+      // Each attempt is a new revision, failed ones included: a job that failed part way may still have
+      // printed. Reprints are stamped with their revision so the sheets on the desk can be told apart.
+      const revision = (withRetry(() => getPrintRevision(event.id)) || 0) + 1;
+      recordPrintRevision(event.id, revision);
 
-    if (attendees && attendees.length > 0) {
       // Create and print/email the PDF
-      await createAndPrintPdf(fullEvent, attendees, outputFilename, pdfLayout, printMode);
+      const { printTarget, failedTargets } = await createAndPrintPdf(
+        fullEvent,
+        attendees,
+        outputFilename,
+        pdfLayout,
+        printMode,
+        {
+          copies,
+          printer,
+          printJobs: finalConfig.printJobs,
+          ipp: finalConfig.ipp,
+          raw: finalConfig.raw,
+          archive: finalConfig.archive,
+          checkIn: finalConfig.checkIn,
+          locale: finalConfig.locale,
+          timeZone: finalConfig.timeZone,
+          exports: { formats: exports, attach: finalConfig.exports?.attach },
+          revision,
+          waitlist,
+        }
+      );
 
       // Mark as processed only after successful completion (with retry)
       withRetry(() => {
-        const updateStmt = db.prepare("UPDATE events SET status = 'processed' WHERE id = ?");
-        updateStmt.run(event.id);
+        const updateStmt = db.prepare("UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?");
+        updateStmt.run(printTarget, event.id);
       });
-      logger.info(`Event "${event.name}" (ID: ${event.id}) marked as processed.`);
+      // Late sign-up addenda and the attendee history are based on exactly what was printed
+      recordRosterSnapshot(event.id, 'roster', attendees, printTarget);
+      logger.info(`Event "${event.name}" (ID: ${event.id}) marked as processed (printed via ${printTarget}).`);
+      await printRequestedBadges([{ event, fullEvent, attendees, ...settings }], finalConfig);
 
-      return { attendeeCount: attendees.length };
+      return {
+        attendeeCount: attendees.length,
+        printTarget,
+        failedTargets,
+        revision,
+        capacity: fullEvent.capacity ?? null,
+        waitlistCount: waitlist.length,
+      };
     } else {
       // No attendees - mark as processed to avoid retries
       logger.warn(`No attendees found for event "${event.name}" (ID: ${event.id}). Skipping PDF generation.`);
@@ -61,6 +346,8 @@ async function processSingleEvent(event, finalConfig) {
         const updateStmt = db.prepare("UPDATE events SET status = 'processed' WHERE id = ?");
         updateStmt.run(event.id);
       });
+      // An empty roster still counts as printed, so anyone signing up later appears on an addendum
+      recordRosterSnapshot(event.id, 'roster', []);
       logger.info(`Event "${event.name}" (ID: ${event.id}) marked as processed (no attendees).`);
 
       return { attendeeCount: 0 };
@@ -95,10 +382,14 @@ async function processScheduledEvents(finalConfig) {
   try {
     const db = getDb();
     const now = new Date();
-    const queryTimeLimit = new Date(now.getTime() + preEventQueryMinutes * 60 * 1000);
 
-    const stmt = db.prepare("SELECT * FROM events WHERE status = 'pending' AND startDate <= ?");
-    const events = stmt.all(queryTimeLimit.toISOString());
+    // Lead time can differ per event (print: tag or rule), so filter in JS rather than SQL
+    const stmt = db.prepare("SELECT * FROM events WHERE status = 'pending'");
+    const events = stmt.all().filter((event) => {
+      const leadMinutes = resolveLeadMinutes(event, finalConfig);
+      const processTime = new Date(event.startDate).getTime() - leadMinutes * 60 * 1000;
+      return processTime <= now.getTime();
+    });
 
     if (events.length === 0) {
       logger.info(`No events to process within the next ${preEventQueryMinutes} minutes.`);
@@ -107,6 +398,22 @@ async function processScheduledEvents(finalConfig) {
 
     logger.info(`Found ${events.length} event(s) to process.`);
 
+    if (finalConfig.daySheet?.enabled) {
+      // Each due event pulls the pending events starting in its window onto one day sheet
+      const printed = new Set();
+      events.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+      for (const event of events) {
+        if (!printed.has(event.id)) {
+          const { events: sheetEvents } = await printDaySheet(
+            selectDaySheetEvents(event.startDate, finalConfig),
+            finalConfig
+          );
+          sheetEvents.forEach(({ event: sheetEvent }) => printed.add(sheetEvent.id));
+        }
+      }
+      return;
+    }
+
     for (const event of events) {
       await processSingleEvent(event, finalConfig);
     }
@@ -116,13 +423,241 @@ async function processScheduledEvents(finalConfig) {
   }
 }
 
+/**
+ * Selects the events for a day sheet: those starting from `from` until `daySheet.windowHours` later.
+ * @param {string|Date} from - Start of the window, usually the start of the first due event.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.windowHours] - Window length instead of `daySheet.windowHours`.
+ * @param {Array<string>} [options.statuses=['pending']] - Event statuses to include.
+ * @returns {Array<Object>} Event rows, earliest first.
+ */
+function selectDaySheetEvents(from, finalConfig, options = {}) {
+  const { windowHours = finalConfig.daySheet?.windowHours ?? 12, statuses = ['pending'] } = options;
+  const start = new Date(from).getTime();
+  const end = start + windowHours * 60 * 60 * 1000;
+  const db = getDb();
+  const rows = withRetry(() =>
+    db.prepare(`SELECT * FROM events WHERE status IN (${statuses.map(() => '?').join(', ')})`).all(...statuses)
+  );
+  // Start dates come from the API in varying ISO formats, so compare them as dates
+  return rows
+    .filter((event) => {
+      const startTime = new Date(event.startDate).getTime();
+      return startTime >= start && startTime < end;
+    })
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+/**
+ * Marks the events of a day sheet that could not be printed as failed, as processSingleEvent does for
+ * a single event.
+ * @param {Array<Object>} events - Event rows on the sheet.
+ */
+function markDaySheetFailed(events) {
+  const db = getDb();
+  for (const event of events) {
+    try {
+      withRetry(() => {
+        db.prepare("UPDATE events SET status = 'failed' WHERE id = ?").run(event.id);
+      });
+      logger.error(`Event ${event.id} ("${event.name}") marked as failed. Manual intervention may be required.`);
+    } catch (dbError) {
+      logger.error(`Additionally, failed to mark event ${event.id} as failed:`, dbError);
+    }
+  }
+}
+
+/**
+ * Prints several events as one day sheet: a cover index, then every event's list. The document is
+ * delivered with the print settings (mode, printer, copies) of its earliest event and printed on that
+ * event's page; each list keeps its own columns and sort order, and fails the sheet if its columns do
+ * not fit that page. Every list printed is a new revision of its event's list (see processSingleEvent).
+ * Events without attendees are left off the sheet.
+ * @param {Array<Object>} events - Event rows from the local database, earliest first.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.markProcessed=true] - Mark the events processed and record what was printed
+ *   for them; off for on-demand sheets, which leave the schedule alone.
+ * @returns {Promise<{events: Array<{event: Object, attendeeCount: number, capacity: number|null,
+ *   waitlistCount: number}>, printTarget?: string, failedTargets?: Array<Object>}>} The events covered with
+ *   their confirmed attendees, capacity and waitlist, and where the sheet was printed (if it was)
+ */
+async function printDaySheet(events, finalConfig, options = {}) {
+  const { markProcessed = true } = options;
+  const db = getDb();
+
+  const sections = [];
+  let delivery = {};
+  try {
+    for (const event of events) {
+      const fullEvent = await getEventDetails(event.id);
+      const { confirmed: attendees, waitlist } = splitWaitlist(await getAllAttendees(event.id));
+      sections.push({ event, fullEvent, attendees, waitlist, ...resolvePrintSettings(event, fullEvent, finalConfig) });
+    }
+
+    const printable = sections.filter((section) => section.attendees.length + section.waitlist.length > 0);
+    if (printable.length > 0) {
+      const [first] = printable;
+      for (const section of printable) {
+        section.revision = (withRetry(() => getPrintRevision(section.event.id)) || 0) + 1;
+        recordPrintRevision(section.event.id, section.revision);
+      }
+      const i18n = createI18n(finalConfig);
+      const date = i18n.formatDate(first.event.startDate, {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+      });
+      logger.info(
+        `Printing day sheet for ${date}: ${printable.map((section) => `"${section.event.name}"`).join(', ')}`
+      );
+      delivery = await createAndPrintPdf(
+        { id: first.event.id, name: i18n.t('daySheet.title', { date }), startDate: first.event.startDate },
+        printable.flatMap((section) => section.attendees),
+        finalConfig.outputFilename.replace(/\.pdf$/i, '-day-sheet.pdf'),
+        first.pdfLayout,
+        first.printMode,
+        {
+          copies: first.copies,
+          printer: first.printer,
+          printJobs: finalConfig.printJobs,
+          ipp: finalConfig.ipp,
+          raw: finalConfig.raw,
+          archive: finalConfig.archive,
+          checkIn: finalConfig.checkIn,
+          locale: finalConfig.locale,
+          timeZone: finalConfig.timeZone,
+          daySheet: {
+            sections: printable.map((section) => ({
+              event: section.fullEvent,
+              attendees: section.attendees,
+              layout: section.pdfLayout,
+              waitlist: section.waitlist,
+              revision: section.revision,
+            })),
+          },
+        }
+      );
+    } else {
+      logger.warn('No attendees found for any event on the day sheet. Skipping PDF generation.');
+    }
+  } catch (error) {
+    logger.error(`Failed to print the day sheet of ${events.map((event) => `"${event.name}"`).join(', ')}:`, error);
+    if (markProcessed) {
+      markDaySheetFailed(events);
+    }
+    throw error;
+  }
+
+  if (markProcessed) {
+    for (const { event, attendees, waitlist } of sections) {
+      const printTarget = attendees.length + waitlist.length > 0 ? delivery.printTarget : null;
+      withRetry(() => {
+        db.prepare("UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?").run(printTarget, event.id);
+      });
+      recordRosterSnapshot(event.id, 'roster', attendees, printTarget);
+    }
+    logger.info(`${sections.length} event(s) marked as processed (day sheet).`);
+    // Badges go with the scheduled sheet only; an on-demand sheet is a reprint
+    await printRequestedBadges(sections, finalConfig);
+  }
+
+  return {
+    events: sections.map(({ event, fullEvent, attendees, waitlist }) => ({
+      event,
+      attendeeCount: attendees.length,
+      capacity: fullEvent.capacity ?? null,
+      waitlistCount: waitlist.length,
+    })),
+    printTarget: delivery.printTarget,
+    failedTargets: delivery.failedTargets,
+  };
+}
+
+/**
+ * Late sign-up pass: for processed events that have not started yet, re-fetches the attendees,
+ * diffs them against the last printout and prints an "Additions / Cancellations" addendum when
+ * anything changed. Each addendum becomes the new baseline, so changes are only printed once.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @returns {Promise<Array<Object>>} One result per printed addendum:
+ *   `{ event, since, additions, cancellations, printTarget, failedTargets }`
+ */
+async function processAddenda(finalConfig) {
+  const { minChanges = 1 } = finalConfig.addendum || {};
+  const db = getDb();
+  const now = Date.now();
+  // Start dates come from the API in varying ISO formats, so SQL only bounds them coarsely
+  // (UTC offsets span under a day) and the dates are compared parsed
+  const events = withRetry(() =>
+    db
+      .prepare("SELECT * FROM events WHERE status = 'processed' AND startDate > ?")
+      .all(new Date(now - 24 * 60 * 60 * 1000).toISOString())
+  ).filter((event) => new Date(event.startDate).getTime() > now);
+
+  const results = [];
+  for (const event of events) {
+    try {
+      const snapshot = withRetry(() => getLatestRosterSnapshot(event.id));
+      if (!snapshot) {
+        // Printed before rosters were recorded; nothing reliable to diff against
+        continue;
+      }
+
+      // Stale attendees would produce a wrong diff, so only use a fresh list
+      const current = splitWaitlist(await getAllAttendees(event.id, { allowStale: false })).confirmed;
+      const { additions, cancellations } = diffRosters(snapshot.attendees, current);
+      if (additions.length + cancellations.length < minChanges) {
+        continue;
+      }
+
+      logger.info(
+        `Event "${event.name}" (ID: ${event.id}): ${additions.length} addition(s), ${cancellations.length} cancellation(s) since ${snapshot.takenAt}; printing addendum...`
+      );
+      const fullEvent = await getEventDetails(event.id);
+      const { printMode, copies, printer, pdfLayout } = resolvePrintSettings(event, fullEvent, finalConfig);
+      const { printTarget, failedTargets } = await createAndPrintPdf(
+        fullEvent,
+        current,
+        finalConfig.outputFilename.replace(/\.pdf$/i, '-addendum.pdf'),
+        pdfLayout,
+        printMode,
+        {
+          copies,
+          printer,
+          printJobs: finalConfig.printJobs,
+          ipp: finalConfig.ipp,
+          raw: finalConfig.raw,
+          archive: finalConfig.archive,
+          checkIn: finalConfig.checkIn,
+          locale: finalConfig.locale,
+          timeZone: finalConfig.timeZone,
+          addendum: { since: snapshot.takenAt, additions, cancellations },
+        }
+      );
+      recordRosterSnapshot(event.id, 'addendum', current, printTarget);
+      logger.info(`✓ Addendum for event "${event.name}" printed via ${printTarget}`);
+
+      results.push({ event, since: snapshot.takenAt, additions, cancellations, printTarget, failedTargets });
+    } catch (error) {
+      // The baseline is unchanged, so the next pass tries again
+      logger.error(`Failed to print addendum for event ${event.id} ("${event.name}"):`, error);
+    }
+  }
+  return results;
+}
+
 /**
  * Fetches upcoming events and stores them in the local database.
+ * An event is selected when its description carries a `print:` tag, matches a rule,
+ * or matches one of the configured categories. Tag parameters and the name of the
+ * matching rule are stored alongside the event.
  * @param {Object} finalConfig - The application's configuration object.
  * @returns {Promise<void>}
  */
 async function fetchAndStoreUpcomingEvents(finalConfig) {
-  const { fetchWindowHours, allowedCategories } = finalConfig;
+  const { fetchWindowHours, allowedCategories, rules } = finalConfig;
   const events = await getUpcomingEvents(fetchWindowHours);
 
   if (!events || events.length === 0) {
@@ -137,18 +672,10 @@ async function fetchAndStoreUpcomingEvents(finalConfig) {
   });
   logger.info('======================');
 
-  const filteredEvents = events.filter((event) => {
-    if (!allowedCategories || allowedCategories.length === 0) {
-      return true; // No category filter, include all events
-    }
-    // Defensively check if categories is an array before trying to filter on it.
-    return (
-      Array.isArray(event.categories) && event.categories.some((category) => allowedCategories.includes(category.name))
-    );
-  });
+  const filteredEvents = events.filter((event) => isEventSelected(event, allowedCategories, rules));
 
   if (filteredEvents.length === 0) {
-    logger.info('No events matched the specified categories.');
+    logger.info('No events matched the specified categories or rules, or carried a print: tag.');
     return;
   }
 
@@ -158,15 +685,38 @@ async function fetchAndStoreUpcomingEvents(finalConfig) {
     // Use transaction with retry for storing events
     const insertedCount = withTransaction(() => {
       // Insert new events as 'pending', but preserve status of existing events
-      // (so already-processed or failed events don't get reset to 'pending')
+      // (so already-processed or failed events don't get reset to 'pending').
+      // Tag and rule columns are refreshed so description and config edits apply on the next fetch:
+      // the scheduler moves jobs whose print time changed, and jobs read the event again when they run.
       const stmt = db.prepare(
-        `INSERT INTO events (id, name, startDate, status) VALUES (?, ?, ?, 'pending')
-         ON CONFLICT(id) DO UPDATE SET name = excluded.name, startDate = excluded.startDate`
+        `INSERT INTO events (id, name, startDate, status, leadMinutes, copies, printMode, ruleName)
+         VALUES (?, ?, ?, 'pending', ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET name = excluded.name, startDate = excluded.startDate,
+           leadMinutes = excluded.leadMinutes, copies = excluded.copies, printMode = excluded.printMode,
+           ruleName = excluded.ruleName`
       );
 
       let count = 0;
       for (const event of filteredEvents) {
-        const result = stmt.run(event.id, event.name, event.startDate);
+        const tag = parseTag(event.description);
+        if (tag) {
+          logger.info(
+            `Event "${event.name}" has print: tag (lead: ${tag.leadMinutes ?? 'default'} min, copies: ${tag.copies ?? 'default'}, mode: ${tag.printMode ?? 'default'})`
+          );
+        }
+        const rule = findMatchingRule(event, rules);
+        if (rule) {
+          logger.info(`Event "${event.name}" matched rule "${rule.name}"`);
+        }
+        const result = stmt.run(
+          event.id,
+          event.name,
+          event.startDate,
+          tag?.leadMinutes ?? null,
+          tag?.copies ?? null,
+          tag?.printMode ?? null,
+          rule?.name ?? null
+        );
         if (result.changes > 0) {
           count++;
         }
@@ -224,59 +774,170 @@ async function fetchAndStoreUpcomingEvents(finalConfig) {
 }
 
 /**
- * Creates a PDF from event and attendee data, and then prints it either locally or via email.
- * @param {Object} event - The event object.
- * @param {Array<Object>} attendees - An array of attendee objects.
- * @param {string} outputFileName - The name of the file to save the PDF as.
- * @param {Object} pdfLayout - The layout configuration for the PDF.
- * @param {string} printMode - The printing mode ('local' or 'email').
+ * Records a submitted print job in print_jobs and, unless tracking is disabled, waits for it
+ * to finish. A job that ends aborted, cancelled or timed out raises an error so the caller's
+ * retry handling re-prints the event; one whose outcome is unknown is not printed again.
+ * @param {Object} event - The event being printed.
+ * @param {number|null} jobId - Job id reported by the print backend.
+ * @param {Object} details - Job details.
+ * @param {string} [details.printer] - CUPS destination or IPP printer URI.
+ * @param {number} details.copies - Number of copies.
+ * @param {Object} [details.tracking] - The printJobs config section.
+ * @param {string} [details.label='CUPS'] - Backend name used in log and error messages.
+ * @param {Function} [details.wait] - Waits for a job id to finish (default: CUPS polling).
+ * @param {boolean} [details.record=true] - Record the job in print_jobs (needs the event row).
  * @returns {Promise<void>}
+ * @throws {Error} If the job did not complete.
  */
-async function createAndPrintPdf(event, attendees, outputFileName, pdfLayout, printMode) {
-  // Generate PDF (sanitization handled inside generate())
-  const generator = new PdfGenerator(event, attendees, pdfLayout);
-  const safeOutputPath = await generator.generate(outputFileName);
-
-  // Reverse page order if configured (e.g. for face-up printers that output last page on top)
-  if (pdfLayout && pdfLayout.reversePageOrder) {
-    const reversedPath = safeOutputPath + '.reversed.pdf';
-    try {
-      await execFileAsync('qpdf', ['--empty', '--pages', safeOutputPath, 'z-1', '--', reversedPath]);
-      fs.renameSync(reversedPath, safeOutputPath);
-      logger.info('PDF pages reversed for printing.');
-    } catch (err) {
-      // Clean up temp file if it exists, then rethrow
-      try {
-        fs.unlinkSync(reversedPath);
-      } catch (_e) {
-        /* ignore */
-      }
-      logger.error('Failed to reverse PDF page order:', err);
-      throw err;
-    }
+async function trackPrintJob(event, jobId, { printer, copies, tracking = {}, label = 'CUPS', wait, record = true }) {
+  const { trackCompletion = true, pollIntervalSeconds = 5, timeoutMinutes = 10 } = tracking;
+  const printJobId = record ? withRetry(() => createPrintJob(event.id, jobId || null, printer || null, copies)) : null;
+  const saveState = (state, reason) => printJobId && withRetry(() => updatePrintJobState(printJobId, state, reason));
+
+  if (!jobId) {
+    logger.warn(`Could not determine the ${label} job id; job completion will not be tracked.`);
+    return;
+  }
+  if (!trackCompletion) {
+    return;
   }
 
-  // Log file size for monitoring (try-catch for test environments)
-  try {
-    const stats = fs.statSync(safeOutputPath);
-    const fileSizeKB = (stats.size / 1024).toFixed(2);
-    logger.info(`✓ PDF created: ${outputFileName} (${fileSizeKB} KB, ${attendees.length} attendees)`);
-  } catch (err) {
-    // In test environments, file may not actually exist
-    logger.info(`✓ PDF created: ${outputFileName} (${attendees.length} attendees)`);
+  logger.info(`Waiting for ${label} job ${jobId} to complete...`);
+  const waitForJob = wait || waitForJobCompletion;
+  const result = await waitForJob(jobId, {
+    pollIntervalMs: pollIntervalSeconds * 1000,
+    timeoutMs: timeoutMinutes * 60 * 1000,
+    onStateChange: saveState,
+  });
+  saveState(result.state, result.reason);
+
+  if (result.state === 'unknown') {
+    // The job is gone without a trace of how it ended; printing again could duplicate it
+    logger.warn(`${label} job ${jobId} finished but its outcome is unknown (${result.reason}); not retrying it`);
+    return;
+  }
+  if (result.state !== 'completed') {
+    throw new Error(`${label} job ${jobId} ${result.state}${result.reason ? `: ${result.reason}` : ''}`);
+  }
+  logger.info(`✓ ${label} job ${jobId} completed`);
+}
+
+/**
+ * Normalizes a printMode setting to an ordered list of delivery targets. A plain mode string
+ * is a chain of one; objects may pin a printer, IPP URI or raw host for their mode.
+ * @param {string|Object|Array<string|Object>} printMode - printMode from config, rule or tag.
+ * @param {string} [printer] - Rule printer, used by local targets that do not name one.
+ * @returns {Array<Object>} Targets with a `mode` field.
+ */
+function toPrintTargets(printMode, printer) {
+  return [].concat(printMode).map((target) => {
+    const resolved = typeof target === 'string' ? { mode: target } : target;
+    if (resolved.mode === 'local' && !resolved.printer && printer) {
+      return { ...resolved, printer };
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Describes a delivery target for logs, the events table and webhooks.
+ * @param {Object} target - Target from toPrintTargets.
+ * @returns {string} e.g. "local:Front_Desk", "ipp:ipp://10.0.0.5/ipp/print" or "email".
+ */
+function describeTarget(target) {
+  if (target.name) {
+    return target.name;
   }
+  const detail = target.printer || target.printerUri || target.host;
+  return detail ? `${target.mode}:${detail}` : target.mode;
+}
 
-  if (printMode === 'local') {
+/**
+ * Delivers a generated PDF to a single target.
+ * @param {Object} event - The event object.
+ * @param {string} filePath - Path of the generated PDF.
+ * @param {Object} target - Target from toPrintTargets.
+ * @param {Object} options - Per-event print options (see createAndPrintPdf).
+ * @param {boolean} [options.recordJobs=true] - Record jobs in print_jobs; off when the event row is gone.
+ * @returns {Promise<void>}
+ * @throws {Error} If the target could not print the PDF.
+ */
+async function deliverPdf(event, filePath, target, options) {
+  const { copies = 1, printJobs, recordJobs = true } = options;
+  const ipp = { ...options.ipp, ...(target.printerUri && { printerUri: target.printerUri }) };
+  const raw = { ...options.raw, ...(target.host && { host: target.host }), ...(target.port && { port: target.port }) };
+  const { printer } = target;
+
+  if (target.mode === 'local') {
     logger.info(`Printing PDF locally via CUPS...`);
     try {
-      const msg = await printPdf(safeOutputPath);
+      const msg = await printPdf(filePath, copies, printer);
       logger.info(msg);
+      await trackPrintJob(event, parseJobId(msg), { printer, copies, tracking: printJobs, record: recordJobs });
     } catch (err) {
       logger.error('Failed to print locally:', err);
       throw err;
     }
-  } else if (printMode === 'email') {
+  } else if (target.mode === 'ipp') {
+    const printerUri = ipp.printerUri || process.env.PRINTER_IPP_URI;
+    if (!printerUri) {
+      const error = new Error('IPP print mode requires ipp.printerUri in config.json or the PRINTER_IPP_URI env var');
+      error.retryable = false;
+      throw error;
+    }
+    logger.info(`Printing PDF via IPP to ${printerUri}...`);
+    try {
+      const job = await printPdfIpp(filePath, printerUri, {
+        copies,
+        sides: ipp.sides,
+        media: ipp.media,
+        finishings: ipp.finishings,
+        jobName: event.name,
+        timeoutMs: (ipp.requestTimeoutSeconds ?? 60) * 1000,
+      });
+      await trackPrintJob(event, job.jobId, {
+        printer: printerUri,
+        copies,
+        tracking: printJobs,
+        label: 'IPP',
+        record: recordJobs,
+        wait: (jobId, waitOptions) => waitForIppJob(printerUri, jobId, waitOptions),
+      });
+    } catch (err) {
+      logger.error('Failed to print via IPP:', err);
+      throw err;
+    }
+  } else if (target.mode === 'raw') {
+    const host = raw.host || process.env.PRINTER_RAW_HOST;
+    if (!host) {
+      const error = new Error('Raw print mode requires raw.host in config.json or the PRINTER_RAW_HOST env var');
+      error.retryable = false;
+      throw error;
+    }
+    try {
+      const { target: rawTarget } = await printPdfRaw(filePath, {
+        host,
+        port: raw.port,
+        format: raw.format,
+        pjl: raw.pjl,
+        copies,
+        jobName: event.name,
+        connectTimeoutMs: (raw.connectTimeoutSeconds ?? 10) * 1000,
+        writeTimeoutMs: (raw.writeTimeoutSeconds ?? 60) * 1000,
+      });
+      // Raw sockets report no job id or state; delivery to the printer is all we know
+      if (recordJobs) {
+        withRetry(() => createPrintJob(event.id, null, rawTarget, copies));
+      }
+    } catch (err) {
+      logger.error('Failed to print via raw socket:', err);
+      throw err;
+    }
+  } else if (target.mode === 'email') {
     logger.info(`Sending PDF to printer via email...`);
+    if (copies > 1) {
+      logger.warn(`Copies (${copies}) are not supported in email mode; sending a single email.`);
+    }
     // Get email settings from environment variables
     const PRINTER_EMAIL = process.env.PRINTER_EMAIL;
     const SMTP_HOST = process.env.SMTP_HOST || 'smtp.gmail.com';
@@ -296,24 +957,276 @@ async function createAndPrintPdf(event, attendees, outputFileName, pdfLayout, pr
       },
     };
     const sanitizedEventName = sanitizeEmailText(event.name);
-    const subject = `Print Job: ${sanitizedEventName}`;
-    const body = `Attached is the attendee list for the event: ${sanitizedEventName}.`;
-    await sendEmailWithAttachment(transportOptions, PRINTER_EMAIL, EMAIL_FROM, subject, body, safeOutputPath);
+    const i18n = createI18n(options);
+    const subject =
+      options.revision > 1
+        ? i18n.t('email.subjectRevision', { event: sanitizedEventName, revision: options.revision })
+        : i18n.t('email.subject', { event: sanitizedEventName });
+    const body = event.startDate
+      ? i18n.t('email.bodyWithDate', { event: sanitizedEventName, date: i18n.formatDateTime(event.startDate) })
+      : i18n.t('email.body', { event: sanitizedEventName });
+    const attachments = options.attachments?.length ? [filePath, ...options.attachments] : filePath;
+    await sendEmailWithAttachment(transportOptions, PRINTER_EMAIL, EMAIL_FROM, subject, body, attachments);
     logger.info(`✓ Email sent to: ${PRINTER_EMAIL}`);
+  } else {
+    const error = new Error(`Unknown print mode: ${target.mode}`);
+    error.retryable = false;
+    throw error;
   }
+}
 
-  // Clean up the generated PDF after successful delivery
-  try {
-    fs.unlinkSync(safeOutputPath);
-    logger.debug(`Deleted temporary PDF: ${safeOutputPath}`);
-  } catch (_e) {
-    // Cleanup failure is non-fatal
+/**
+ * Delivers a PDF to the first target in the chain that succeeds.
+ * @param {Object} event - The event object.
+ * @param {string|Function} document - Path of the PDF, or an async function returning the
+ *   `{ filePath, attachments }` to deliver to a target, for chains whose targets print different
+ *   privacy profiles. Failing to make a target's document counts as that target failing.
+ * @param {Array<Object>} targets - Targets from toPrintTargets.
+ * @param {Object} options - Per-event print options (see createAndPrintPdf).
+ * @returns {Promise<{printTarget: string, failedTargets: Array<{target: string, error: string}>, target: Object}>}
+ *   The label of the target that printed, the targets that failed before it and the target itself.
+ * @throws {Error} The target's own error for a single target; otherwise an error listing every failure,
+ *   retryable unless none of the failures is.
+ */
+async function deliverToTargets(event, document, targets, options) {
+  const failedTargets = [];
+  const errors = [];
+  for (const [index, target] of targets.entries()) {
+    const label = describeTarget(target);
+    try {
+      const { filePath, attachments } =
+        typeof document === 'function' ? await document(target) : { filePath: document, attachments: undefined };
+      await deliverPdf(event, filePath, target, attachments ? { ...options, attachments } : options);
+      if (failedTargets.length > 0) {
+        logger.info(`✓ Printed via fallback target ${label}`);
+      }
+      return { printTarget: label, failedTargets, target };
+    } catch (err) {
+      failedTargets.push({ target: label, error: err.message });
+      errors.push(err);
+      if (index < targets.length - 1) {
+        logger.warn(`Print target ${label} failed (${err.message}); trying ${describeTarget(targets[index + 1])}`);
+      }
+    }
+  }
+
+  if (errors.length === 1) {
+    throw errors[0];
   }
+  const error = new Error(
+    `All print targets failed: ${failedTargets.map((f) => `${f.target}: ${f.error}`).join('; ')}`
+  );
+  error.retryable = errors.some((err) => err.retryable !== false);
+  error.failedTargets = failedTargets;
+  throw error;
+}
+
+/**
+ * Creates a PDF from event and attendee data, and then delivers it to the first print target
+ * that succeeds. `printMode` may be a single mode or an ordered failover chain, e.g.
+ * `[{ mode: 'local', printer: 'Front_Desk' }, { mode: 'local', printer: 'Office' }, 'email']`.
+ * Targets print with the privacy profile `pdfLayout.privacy` or their own `privacy` names, each
+ * profile's PDF generated when a target first needs it. The delivered PDF is archived when
+ * `options.archive.enabled` is set; the others are deleted.
+ * @param {Object} event - The event object.
+ * @param {Array<Object>} attendees - An array of attendee objects.
+ * @param {string} outputFileName - The name of the file to save the PDF as.
+ * @param {Object} pdfLayout - The layout configuration for the PDF.
+ * @param {string|Object|Array<string|Object>} printMode - Mode ('local', 'email', 'ipp' or 'raw') or chain of targets.
+ * @param {Object} [options] - Per-event print options.
+ * @param {number} [options.copies=1] - Number of copies (all modes except email).
+ * @param {string} [options.printer] - CUPS printer name overriding PRINTER_NAME (local targets without a printer).
+ * @param {Object} [options.printJobs] - Job tracking settings (local and ipp modes).
+ * @param {Object} [options.ipp] - The ipp config section (ipp mode only).
+ * @param {Object} [options.raw] - The raw config section (raw mode only).
+ * @param {Object} [options.archive] - The archive config section.
+ * @param {Object} [options.addendum] - Print a late sign-up addendum instead of the full list
+ *   (`{ since, additions, cancellations }`, see PdfGenerator).
+ * @param {Object} [options.daySheet] - Print several events in one document (`{ sections }`, see
+ *   PdfGenerator); `event` then names the document and `attendees` are all of the sections' attendees.
+ * @param {Object} [options.checkIn] - QR check-in codes on each row (`{ baseUrl, secret, qrSize }`, see
+ *   PdfGenerator), or null for none.
+ * @param {string} [options.locale] - Locale of the printout and email (see i18n).
+ * @param {string|null} [options.timeZone] - Time zone of the printout and email; the host's when not set.
+ * @param {Object} [options.badges] - Print name badges instead of the list (`{ sheet, fields, padding }`, see
+ *   PdfGenerator).
+ * @param {Object} [options.exports] - Spreadsheet exports of the list (`{ formats, attach }`): archived with
+ *   the PDF, and attached to its email when `attach` is set. For full lists only.
+ * @param {number} [options.revision] - Revision of the list (see PdfGenerator); shown in the email subject
+ *   and archived with the PDF.
+ * @param {Array<Object>} [options.waitlist] - Waitlisted attendees in queue order, printed after `attendees`
+ *   (see PdfGenerator).
+ * @returns {Promise<{printTarget: string, failedTargets: Array<{target: string, error: string}>, archiveId: string|null}>}
+ *   The target that printed, the targets that failed before it and the archive id of the delivered PDF.
+ * @throws {Error} The target's own error for a single target; otherwise an error listing every failure,
+ *   retryable unless none of the failures is.
+ */
+async function createAndPrintPdf(event, attendees, outputFileName, pdfLayout, printMode, options = {}) {
+  // One PDF per privacy profile, "attendees-redacted.pdf" beside the full "attendees.pdf"
+  const documents = new Map();
+  const generateDocument = async (privacy) => {
+    const fileName = privacy ? outputFileName.replace(/(\.pdf)?$/i, `-${privacy}.pdf`) : outputFileName;
+    const profile = resolvePrivacyProfile(pdfLayout, privacy);
+
+    // Generate PDF (sanitization, page order and imposition handled inside generate())
+    const generator = new PdfGenerator(event, attendees, pdfLayout, {
+      addendum: options.addendum,
+      daySheet: options.daySheet,
+      checkIn: options.checkIn,
+      locale: options.locale,
+      timeZone: options.timeZone,
+      badges: options.badges,
+      revision: options.revision,
+      waitlist: options.waitlist,
+      ...(profile && { privacy: profile }),
+    });
+    const filePath = await generator.generate(fileName);
+    const document = { privacy, filePath, exportPaths: [] };
+    documents.set(privacy, document);
+
+    // Log file size for monitoring (try-catch for test environments)
+    try {
+      const stats = fs.statSync(filePath);
+      const fileSizeKB = (stats.size / 1024).toFixed(2);
+      logger.info(`✓ PDF created: ${fileName} (${fileSizeKB} KB, ${attendees.length} attendees)`);
+    } catch (err) {
+      // In test environments, file may not actually exist
+      logger.info(`✓ PDF created: ${fileName} (${attendees.length} attendees)`);
+    }
+
+    document.exportPaths = writeRosterExports(event, attendees, fileName, pdfLayout, options, profile);
+    return document;
+  };
+  const documentFor = async (target) => {
+    const privacy = targetPrivacy(pdfLayout, target);
+    const { filePath, exportPaths } = documents.get(privacy) || (await generateDocument(privacy));
+    return { filePath, attachments: options.exports?.attach && exportPaths.length > 0 ? exportPaths : undefined };
+  };
+
+  // The first target's PDF is made up front, so a list that cannot be generated fails outright
+  const targets = toPrintTargets(printMode, options.printer);
+  await documentFor(targets[0]);
+  const { printTarget, failedTargets, target } = await deliverToTargets(event, documentFor, targets, options);
+  const delivered = documents.get(targetPrivacy(pdfLayout, target));
+
+  // Keep the delivered PDF for reprints; archiving failure is non-fatal since the sheet already printed
+  let archiveId = null;
+  if (options.archive?.enabled) {
+    try {
+      const entry = archivePdf(
+        delivered.filePath,
+        event,
+        {
+          kind: options.badges ? 'badges' : options.daySheet ? 'day-sheet' : options.addendum ? 'addendum' : 'roster',
+          printTargets: targets,
+          copies: options.copies ?? 1,
+          printTarget,
+          failedTargets,
+          attendeeCount: attendees.length,
+          exports: delivered.exportPaths,
+          revision: options.revision,
+          privacy: delivered.privacy,
+        },
+        options.archive.directory
+      );
+      archiveId = entry.id;
+    } catch (err) {
+      logger.warn(`Failed to archive PDF for event ${event.id}: ${err.message}`);
+    }
+  }
+
+  // Clean up the generated PDFs and exports after successful delivery
+  removeDocuments([...documents.values()].filter((document) => !archiveId || document !== delivered));
+
+  return { printTarget, failedTargets, archiveId };
+}
+
+/**
+ * Deletes generated PDFs and their exports.
+ * @param {Array<{filePath: string, exportPaths: Array<string>}>} documents - Documents from createAndPrintPdf.
+ */
+function removeDocuments(documents) {
+  for (const filePath of documents.flatMap((document) => [document.filePath, ...document.exportPaths])) {
+    try {
+      fs.unlinkSync(filePath);
+      logger.debug(`Deleted temporary file: ${filePath}`);
+    } catch (_e) {
+      // Cleanup failure is non-fatal
+    }
+  }
+}
+
+/**
+ * Re-delivers an archived PDF exactly as it was printed: same file, same delivery chain and copies.
+ * Targets whose privacy profile the archived PDF was not redacted with fail rather than receive it.
+ * @param {string} eventId - The event id.
+ * @param {string} [archiveId] - The archive id; the event's latest archived PDF when omitted.
+ * @param {Object} finalConfig - The application's configuration object.
+ * @param {Object} [overrides] - Delivery overrides.
+ * @param {string} [overrides.printMode] - Deliver with this mode instead of the original chain.
+ * @param {number} [overrides.copies] - Number of copies instead of the original count.
+ * @returns {Promise<{archiveId: string, printTarget: string, failedTargets: Array<Object>}>}
+ * @throws {Error} If there is no such archived PDF or every target failed.
+ */
+async function reprintArchivedPdf(eventId, archiveId, finalConfig, overrides = {}) {
+  const archive = finalConfig.archive || {};
+  const entry = getArchivedPdf(eventId, archiveId, { directory: archive.directory });
+  if (!entry) {
+    throw new Error(
+      archiveId ? `No archived PDF ${archiveId} for event ${eventId}` : `No archived PDFs for event ${eventId}`
+    );
+  }
+
+  const targets = overrides.printMode
+    ? toPrintTargets(overrides.printMode)
+    : entry.printTargets || toPrintTargets(finalConfig.printMode);
+  const copies = overrides.copies ?? entry.copies ?? 1;
+  const event = { id: entry.eventId, name: entry.eventName || entry.eventId, startDate: entry.startDate };
+
+  // Print jobs reference the events table, which may have been cleaned up since the original print
+  const eventRow = withRetry(() => getDb().prepare('SELECT id FROM events WHERE id = ?').get(entry.eventId));
+
+  // A full list must not reach a target that prints redacted lists, nor one redaction another's target
+  const document = async (target) => {
+    const privacy = targetPrivacy(finalConfig.pdfLayout, target);
+    if (privacy && privacy !== entry.privacy) {
+      const error = new Error(
+        `Archived PDF ${entry.id} was printed ${entry.privacy ? `with privacy profile "${entry.privacy}"` : 'in full'}, ` +
+          `but this target prints with "${privacy}"`
+      );
+      error.retryable = false;
+      throw error;
+    }
+    return { filePath: entry.pdfPath };
+  };
+
+  logger.info(`Reprinting archived PDF ${entry.id} for event "${event.name}" (ID: ${event.id})...`);
+  const { printTarget, failedTargets } = await deliverToTargets(event, document, targets, {
+    copies,
+    printJobs: finalConfig.printJobs,
+    ipp: finalConfig.ipp,
+    raw: finalConfig.raw,
+    locale: finalConfig.locale,
+    timeZone: finalConfig.timeZone,
+    recordJobs: Boolean(eventRow),
+    revision: entry.revision,
+  });
+  recordReprint(entry, { printTarget, failedTargets });
+  logger.info(`✓ Reprinted archived PDF ${entry.id} via ${printTarget}`);
+
+  return { archiveId: entry.id, printTarget, failedTargets };
 }
 
 module.exports = {
   fetchAndStoreUpcomingEvents,
   processScheduledEvents,
   processSingleEvent,
+  processAddenda,
+  selectDaySheetEvents,
+  printDaySheet,
+  printBadges,
+  printEventBadges,
+  exportEventRoster,
   createAndPrintPdf,
+  reprintArchivedPdf,
 };
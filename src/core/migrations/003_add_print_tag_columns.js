@@ -0,0 +1,32 @@
+/**
+ * Migration 003: Add Print Tag Columns
+ * Stores the per-event settings parsed from `print:` description tags.
+ * NULL means "not specified in the tag" and falls back to config.json.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    // Minutes before start to fetch attendees and print
+    db.exec('ALTER TABLE events ADD COLUMN leadMinutes INTEGER');
+
+    // Number of copies to print (local mode only)
+    db.exec('ALTER TABLE events ADD COLUMN copies INTEGER');
+
+    // Print mode override ('local' or 'email')
+    db.exec('ALTER TABLE events ADD COLUMN printMode TEXT');
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('ALTER TABLE events DROP COLUMN printMode');
+    db.exec('ALTER TABLE events DROP COLUMN copies');
+    db.exec('ALTER TABLE events DROP COLUMN leadMinutes');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 004: Add Event Rule Column
+ * Records which config.json rule matched an event when it was fetched,
+ * so the effective rule is visible and its lead time applies when scheduling.
+ * NULL means no rule matched.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec('ALTER TABLE events ADD COLUMN ruleName TEXT');
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('ALTER TABLE events DROP COLUMN ruleName');
+  }
+};
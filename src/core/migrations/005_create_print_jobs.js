@@ -0,0 +1,43 @@
+/**
+ * Migration 005: Create Print Jobs Table
+ * Tracks each CUPS job submitted for an event and the state it finished in,
+ * so printer-side failures (jams, offline printers) can be told apart from
+ * successful printouts.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS print_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        cups_job_id INTEGER,
+        printer TEXT,
+        copies INTEGER NOT NULL DEFAULT 1,
+        state TEXT NOT NULL DEFAULT 'submitted',
+        state_reason TEXT,
+        submitted_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_print_jobs_event_id
+        ON print_jobs(event_id)
+    `);
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_print_jobs_event_id');
+    db.exec('DROP TABLE IF EXISTS print_jobs');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 006: Add Event Print Target Column
+ * Records which delivery target of the printMode failover chain produced the
+ * printout (e.g. "local:Front_Desk" or "email"). NULL until the event is printed.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec('ALTER TABLE events ADD COLUMN printTarget TEXT');
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('ALTER TABLE events DROP COLUMN printTarget');
+  }
+};
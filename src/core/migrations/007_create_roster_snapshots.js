@@ -0,0 +1,39 @@
+/**
+ * Migration 007: Create Roster Snapshots Table
+ * Stores the attendee list each printout was made from (the main roster and
+ * any late sign-up addenda), so later passes can diff against what is
+ * actually on paper, even after a service restart.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS roster_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'roster',
+        attendees TEXT NOT NULL,
+        taken_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_roster_snapshots_event_id
+        ON roster_snapshots(event_id)
+    `);
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_roster_snapshots_event_id');
+    db.exec('DROP TABLE IF EXISTS roster_snapshots');
+  }
+};
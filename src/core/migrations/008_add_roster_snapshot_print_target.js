@@ -0,0 +1,24 @@
+/**
+ * Migration 008: Add Roster Snapshot Print Target Column
+ * Records which delivery target printed each snapshotted attendee list, so the
+ * attendee history shows where every version of the list went. NULL when
+ * nothing was printed (an event without attendees).
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec('ALTER TABLE roster_snapshots ADD COLUMN print_target TEXT');
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('ALTER TABLE roster_snapshots DROP COLUMN print_target');
+  }
+};
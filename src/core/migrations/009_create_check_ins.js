@@ -0,0 +1,33 @@
+/**
+ * Migration 009: Create Check-ins Table
+ * Records attendees checked in by scanning the QR code on their row of the
+ * printed list, one row per attendee and event.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS check_ins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        attendee_id TEXT NOT NULL,
+        attendee_name TEXT,
+        checked_in_at TEXT NOT NULL,
+        UNIQUE (event_id, attendee_id),
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS check_ins');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 010: Add Event Print Revision Column
+ * Counts the printouts of each event's attendee list, so a reprint can be
+ * stamped with its revision and told apart from the sheet it replaces.
+ * 0 until the event is printed.
+ */
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  up(db) {
+    db.exec('ALTER TABLE events ADD COLUMN printRevision INTEGER NOT NULL DEFAULT 0');
+  },
+
+  /**
+   * Rollback migration
+   * @param {import('better-sqlite3').Database} db - Database instance
+   */
+  down(db) {
+    db.exec('ALTER TABLE events DROP COLUMN printRevision');
+  }
+};
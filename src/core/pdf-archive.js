@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Archive of delivered attendee sheets. Every PDF that reached a printer is kept,
+ * byte for byte, under `<archive dir>/<event id>/<print timestamp>.pdf` with a JSON sidecar
+ * describing how it was delivered, so a missing printout can be re-delivered exactly as it was.
+ * @module pdf-archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../services/logger');
+
+/** Default archive directory, relative to the project root */
+const DEFAULT_ARCHIVE_DIR = 'archive';
+
+/** Event ids and archive ids are used as path segments, so only these characters are allowed */
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Resolves the archive directory.
+ * @param {string} [directory='archive'] - Directory from config, absolute or relative to rootDir
+ * @param {string} [rootDir=process.cwd()] - Project root
+ * @returns {string} Absolute archive directory
+ */
+function resolveArchiveDir(directory = DEFAULT_ARCHIVE_DIR, rootDir = process.cwd()) {
+  return path.resolve(rootDir, directory || DEFAULT_ARCHIVE_DIR);
+}
+
+/**
+ * Checks an id before it is used as a path segment.
+ * @param {string} id - Event or archive id
+ * @param {string} label - Name used in the error message
+ * @returns {string} The id
+ * @throws {Error} If the id could escape the archive directory
+ */
+function assertSafeId(id, label) {
+  if (typeof id !== 'string' || !SAFE_ID.test(id)) {
+    throw new Error(`Invalid ${label}: ${id}`);
+  }
+  return id;
+}
+
+/**
+ * Builds an archive id from a print time, e.g. 2025-01-15T10-30-00-000Z.
+ * @param {Date} date - Print time
+ * @returns {string} Archive id (sorts chronologically)
+ */
+function toArchiveId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Moves a file, copying it when the archive is on another filesystem.
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ * @returns {void}
+ */
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * Moves a delivered PDF into the archive and writes its metadata.
+ * @param {string} filePath - The delivered PDF (moved, not copied)
+ * @param {Object} event - The event object (id, name, startDate)
+ * @param {Object} delivery - How the sheet was delivered
+ * @param {string} [delivery.kind='roster'] - 'roster', 'addendum' for a late sign-up addendum, 'day-sheet' or 'badges'
+ * @param {Array<Object>} delivery.printTargets - The delivery chain used, as normalized targets
+ * @param {number} delivery.copies - Number of copies printed
+ * @param {string} delivery.printTarget - The target that printed it
+ * @param {Array<Object>} [delivery.failedTargets] - Targets that failed before it
+ * @param {number} [delivery.attendeeCount] - Attendees on the sheet
+ * @param {Array<string>} [delivery.exports] - CSV, XLSX or JSON exports of the list, moved in with it
+ * @param {number} [delivery.revision] - Revision of the attendee list printed on the sheet
+ * @param {string|null} [delivery.privacy] - Privacy profile the sheet was redacted with, null for the full list
+ * @param {string} [directory] - Archive directory from config
+ * @returns {Object} The archive entry
+ */
+function archivePdf(filePath, event, delivery, directory) {
+  const eventId = assertSafeId(String(event.id), 'event id');
+  const printedAt = new Date();
+  const id = toArchiveId(printedAt);
+  const eventDir = path.join(resolveArchiveDir(directory), eventId);
+  fs.mkdirSync(eventDir, { recursive: true });
+
+  const pdfPath = path.join(eventDir, `${id}.pdf`);
+  moveFile(filePath, pdfPath);
+  // Spreadsheet exports of the same list sit next to the PDF, named by their format
+  const exports = (delivery.exports || []).map((exportPath) => {
+    const format = path.extname(exportPath).slice(1).toLowerCase();
+    moveFile(exportPath, path.join(eventDir, `${id}.${assertSafeId(format, 'export format')}`));
+    return format;
+  });
+
+  const entry = {
+    id,
+    eventId,
+    eventName: event.name,
+    startDate: event.startDate || null,
+    printedAt: printedAt.toISOString(),
+    kind: delivery.kind || 'roster',
+    attendeeCount: delivery.attendeeCount ?? null,
+    printTargets: delivery.printTargets,
+    copies: delivery.copies,
+    printTarget: delivery.printTarget,
+    failedTargets: delivery.failedTargets || [],
+    size: fs.statSync(pdfPath).size,
+    exports,
+    revision: delivery.revision ?? null,
+    privacy: delivery.privacy ?? null,
+    reprints: [],
+  };
+  fs.writeFileSync(path.join(eventDir, `${id}.json`), JSON.stringify(entry, null, 2));
+  logger.info(`Archived PDF for event ${eventId} as ${id}`);
+  return entry;
+}
+
+/**
+ * Reads an entry's metadata, falling back to what the file itself tells us if the sidecar is missing.
+ * @param {string} eventDir - The event's archive directory
+ * @param {string} id - Archive id
+ * @returns {Object} The archive entry
+ */
+function readEntry(eventDir, id) {
+  const pdfPath = path.join(eventDir, `${id}.pdf`);
+  try {
+    return { ...JSON.parse(fs.readFileSync(path.join(eventDir, `${id}.json`), 'utf8')), pdfPath };
+  } catch (_e) {
+    const stats = fs.statSync(pdfPath);
+    return {
+      id,
+      eventId: path.basename(eventDir),
+      printedAt: stats.mtime.toISOString(),
+      size: stats.size,
+      reprints: [],
+      pdfPath,
+    };
+  }
+}
+
+/**
+ * Lists archived sheets, newest first.
+ * @param {Object} [options] - Options
+ * @param {string} [options.eventId] - Only list this event's sheets
+ * @param {string} [options.directory] - Archive directory from config
+ * @param {string} [options.rootDir] - Project root the directory is relative to
+ * @returns {Array<Object>} Archive entries, each with a `pdfPath`
+ */
+function listArchivedPdfs({ eventId, directory, rootDir } = {}) {
+  const archiveDir = resolveArchiveDir(directory, rootDir);
+  if (!fs.existsSync(archiveDir)) {
+    return [];
+  }
+  const eventIds = eventId
+    ? [assertSafeId(String(eventId), 'event id')]
+    : fs.readdirSync(archiveDir).filter((name) => SAFE_ID.test(name));
+
+  const entries = [];
+  for (const id of eventIds) {
+    const eventDir = path.join(archiveDir, id);
+    if (!fs.existsSync(eventDir) || !fs.statSync(eventDir).isDirectory()) {
+      continue;
+    }
+    for (const file of fs.readdirSync(eventDir)) {
+      if (file.endsWith('.pdf')) {
+        entries.push(readEntry(eventDir, file.slice(0, -4)));
+      }
+    }
+  }
+  return entries.sort((a, b) => b.printedAt.localeCompare(a.printedAt));
+}
+
+/**
+ * Looks up one archived sheet.
+ * @param {string} eventId - Event id
+ * @param {string} [archiveId] - Archive id; the event's latest sheet when omitted
+ * @param {Object} [options] - directory and rootDir, as for listArchivedPdfs
+ * @returns {Object|null} The archive entry, or null if there is none
+ */
+function getArchivedPdf(eventId, archiveId, options = {}) {
+  if (!archiveId) {
+    return listArchivedPdfs({ ...options, eventId })[0] || null;
+  }
+  const eventDir = path.join(
+    resolveArchiveDir(options.directory, options.rootDir),
+    assertSafeId(String(eventId), 'event id')
+  );
+  if (!fs.existsSync(path.join(eventDir, `${assertSafeId(archiveId, 'archive id')}.pdf`))) {
+    return null;
+  }
+  return readEntry(eventDir, archiveId);
+}
+
+/**
+ * Records a re-delivery in the entry's metadata.
+ * @param {Object} entry - Entry from getArchivedPdf
+ * @param {Object} reprint - What happened, e.g. { printTarget, failedTargets }
+ * @returns {void}
+ */
+function recordReprint(entry, reprint) {
+  const { pdfPath, ...metadata } = entry;
+  metadata.reprints = [...(metadata.reprints || []), { at: new Date().toISOString(), ...reprint }];
+  fs.writeFileSync(pdfPath.replace(/\.pdf$/, '.json'), JSON.stringify(metadata, null, 2));
+}
+
+/**
+ * Deletes archived sheets printed more than `retentionDays` ago, and event directories left empty.
+ * @param {number} [retentionDays=90] - Days to keep archived sheets
+ * @param {string} [directory] - Archive directory from config
+ * @returns {number} Number of sheets deleted
+ */
+function cleanupArchive(retentionDays = 90, directory) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffISO = cutoff.toISOString();
+  const archiveDir = resolveArchiveDir(directory);
+
+  let deletedCount = 0;
+  try {
+    for (const entry of listArchivedPdfs({ directory })) {
+      if (entry.printedAt >= cutoffISO) {
+        continue;
+      }
+      fs.rmSync(entry.pdfPath, { force: true });
+      fs.rmSync(entry.pdfPath.replace(/\.pdf$/, '.json'), { force: true });
+      for (const format of entry.exports || []) {
+        fs.rmSync(entry.pdfPath.replace(/\.pdf$/, `.${format}`), { force: true });
+      }
+      deletedCount++;
+    }
+    if (fs.existsSync(archiveDir)) {
+      for (const name of fs.readdirSync(archiveDir)) {
+        const eventDir = path.join(archiveDir, name);
+        if (fs.statSync(eventDir).isDirectory() && fs.readdirSync(eventDir).length === 0) {
+          fs.rmdirSync(eventDir);
+        }
+      }
+    }
+    if (deletedCount > 0) {
+      logger.info(`Archive cleanup: Deleted ${deletedCount} archived PDF(s) older than ${retentionDays} days`);
+    }
+  } catch (error) {
+    logger.error('Error during archive cleanup:', error);
+  }
+  return deletedCount;
+}
+
+module.exports = {
+  archivePdf,
+  listArchivedPdfs,
+  getArchivedPdf,
+  recordReprint,
+  cleanupArchive,
+  resolveArchiveDir,
+  DEFAULT_ARCHIVE_DIR,
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Compares attendee lists, e.g. the roster that was printed against the
+ * current sign-ups, to find late additions and cancellations, and splits the waitlist of events
+ * with a capacity limit off the confirmed attendees.
+ * @module roster
+ */
+
+/** Attendee fields whose changes are reported for attendees on both lists */
+const TRACKED_FIELDS = ['status', 'isPaid', 'hasFee', 'fee', 'signUpDate'];
+
+/** Hello Club attendee statuses, in lower case, of attendees waiting for a place */
+const WAITLIST_STATUSES = ['waitlisted', 'waitlist', 'waiting', 'pending'];
+
+/**
+ * Identifies an attendee across fetches: the Hello Club attendee id, falling back to
+ * email and then name for records without one.
+ * @param {Object} attendee - Attendee object
+ * @returns {string} Stable key
+ */
+function attendeeKey(attendee) {
+  if (attendee.id) {
+    return `id:${attendee.id}`;
+  }
+  if (attendee.email) {
+    return `email:${attendee.email.toLowerCase()}`;
+  }
+  return `name:${(attendee.firstName || '').toLowerCase()} ${(attendee.lastName || '').toLowerCase()}`;
+}
+
+/**
+ * Whether an attendee still counts as attending.
+ * @param {Object} attendee - Attendee object
+ * @returns {boolean}
+ */
+function isActive(attendee) {
+  return !attendee.status || attendee.status.toLowerCase() !== 'cancelled';
+}
+
+/**
+ * Whether an attendee is on the event's waitlist rather than confirmed.
+ * @param {Object} attendee - Attendee object
+ * @returns {boolean}
+ */
+function isWaitlisted(attendee) {
+  return Boolean(attendee.status) && WAITLIST_STATUSES.includes(attendee.status.trim().toLowerCase());
+}
+
+/**
+ * Splits attendees into those attending and the waitlist, leaving out cancellations. The waitlist
+ * is in queue order: earliest sign-up first, attendees without a sign-up date last, in API order.
+ * @param {Array<Object>} attendees - Attendees from the API
+ * @returns {{confirmed: Array<Object>, waitlist: Array<Object>}} Confirmed attendees in API order, and
+ *   the waitlist, position 1 first
+ */
+function splitWaitlist(attendees) {
+  const active = attendees.filter(isActive);
+  const signUpTime = (attendee) => {
+    const time = attendee.signUpDate == null ? NaN : new Date(attendee.signUpDate).getTime();
+    return isNaN(time) ? Infinity : time;
+  };
+  return {
+    confirmed: active.filter((attendee) => !isWaitlisted(attendee)),
+    waitlist: active
+      .filter(isWaitlisted)
+      .map((attendee, index) => ({ attendee, index, time: signUpTime(attendee) }))
+      .sort((a, b) => a.time - b.time || a.index - b.index)
+      .map(({ attendee }) => attendee),
+  };
+}
+
+/**
+ * Diffs two attendee lists. Cancelled attendees count as absent.
+ * @param {Array<Object>} previous - The earlier list (e.g. the printed roster)
+ * @param {Array<Object>} current - The later list
+ * @returns {{additions: Array<Object>, cancellations: Array<Object>, changed: Array<Object>}} Attendees
+ *   only in `current`, attendees from `previous` no longer in `current`, and attendees on both whose
+ *   status, fee state or sign-up date changed, as `{ attendee, changes: { field: { from, to } } }`
+ */
+function diffRosters(previous, current) {
+  const before = new Map(previous.filter(isActive).map((a) => [attendeeKey(a), a]));
+  const after = new Map(current.filter(isActive).map((a) => [attendeeKey(a), a]));
+
+  const changed = [];
+  for (const [key, attendee] of after) {
+    const earlier = before.get(key);
+    if (!earlier) {
+      continue;
+    }
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      if (earlier[field] !== attendee[field]) {
+        changes[field] = { from: earlier[field], to: attendee[field] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ attendee, changes });
+    }
+  }
+
+  return {
+    additions: [...after].filter(([key]) => !before.has(key)).map(([, a]) => a),
+    cancellations: [...before].filter(([key]) => !after.has(key)).map(([, a]) => a),
+    changed,
+  };
+}
+
+module.exports = { attendeeKey, diffRosters, isWaitlisted, splitWaitlist, WAITLIST_STATUSES };
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Rule engine for per-category print settings.
+ * Rules in `config.json` match events on category, name pattern, weekday or venue and
+ * override lead time, print mode, printer, copies, column set and logo for those events.
+ * Rules are evaluated in order and the first match wins.
+ * @module rule-engine
+ */
+
+const logger = require('../services/logger');
+const { parseTag } = require('./tag-parser');
+
+/** Weekday names accepted in `match.weekday`, indexed by `Date#getDay()` */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Normalizes a string-or-array config value to an array.
+ * @param {string|Array<string>|undefined} value - Config value
+ * @returns {Array<string>} Array of values (empty if undefined)
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Returns the venue text of an event. Hello Club may return the location as a
+ * plain string or as an object with a name/address.
+ * @param {Object} event - Event object
+ * @returns {string} Venue text (empty if unknown)
+ */
+function getVenue(event) {
+  const location = event.location;
+  if (!location) {
+    return '';
+  }
+  if (typeof location === 'string') {
+    return location;
+  }
+  return [location.name, location.address].filter(Boolean).join(' ');
+}
+
+/**
+ * Checks whether a single rule matches an event. All criteria given in `rule.match`
+ * must match; a list within one criterion matches if any entry matches.
+ * @param {Object} event - Event object (needs name, startDate and optionally categories/location)
+ * @param {Object} rule - Rule from config
+ * @returns {boolean} True if the rule applies to the event
+ */
+function matchesRule(event, rule) {
+  const match = rule.match || {};
+
+  const categories = toArray(match.category);
+  if (categories.length > 0) {
+    const eventCategories = Array.isArray(event.categories) ? event.categories.map((c) => c.name) : [];
+    if (!categories.some((category) => eventCategories.includes(category))) {
+      return false;
+    }
+  }
+
+  if (match.namePattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(match.namePattern, 'i');
+    } catch (err) {
+      logger.warn(`Rule "${rule.name}" has an invalid namePattern: ${err.message}`);
+      return false;
+    }
+    if (!pattern.test(event.name || '')) {
+      return false;
+    }
+  }
+
+  const weekdays = toArray(match.weekday).map((day) => day.toLowerCase());
+  if (weekdays.length > 0) {
+    const start = new Date(event.startDate);
+    if (isNaN(start.getTime()) || !weekdays.includes(WEEKDAYS[start.getDay()])) {
+      return false;
+    }
+  }
+
+  if (match.venue) {
+    if (!getVenue(event).toLowerCase().includes(match.venue.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Finds the first rule matching an event.
+ * @param {Object} event - Event object
+ * @param {Array<Object>} [rules] - Rules from config
+ * @returns {Object|null} The matching rule, or null if none matches
+ */
+function findMatchingRule(event, rules) {
+  if (!Array.isArray(rules)) {
+    return null;
+  }
+  return rules.find((rule) => matchesRule(event, rule)) || null;
+}
+
+/**
+ * Looks up a rule by name, e.g. the rule name stored against an event.
+ * @param {Array<Object>} [rules] - Rules from config
+ * @param {string|null} name - Rule name
+ * @returns {Object|null} The rule, or null if not found
+ */
+function findRuleByName(rules, name) {
+  if (!name || !Array.isArray(rules)) {
+    return null;
+  }
+  return rules.find((rule) => rule.name === name) || null;
+}
+
+/**
+ * Decides whether an event should be printed: it carries a `print:` tag, matches
+ * one of the configured categories, or matches a rule.
+ * @param {Object} event - Event object from the API
+ * @param {Array<string>} [allowedCategories] - Configured categories (empty means all events)
+ * @param {Array<Object>} [rules] - Rules from config
+ * @returns {boolean} True if the event is selected
+ */
+function isEventSelected(event, allowedCategories, rules) {
+  if (parseTag(event.description) !== null) {
+    return true;
+  }
+  if (findMatchingRule(event, rules)) {
+    return true;
+  }
+  if (!allowedCategories || allowedCategories.length === 0) {
+    return true; // No category filter, include all events
+  }
+  // Defensively check if categories is an array before trying to filter on it.
+  return (
+    Array.isArray(event.categories) && event.categories.some((category) => allowedCategories.includes(category.name))
+  );
+}
+
+/**
+ * Resolves the lead time for a stored event: `print:` tag, then the stored rule, then config.
+ * @param {Object} event - Event row from the database (leadMinutes, ruleName)
+ * @param {Object} config - Application config (preEventQueryMinutes, rules)
+ * @returns {number} Lead time in minutes
+ */
+function resolveLeadMinutes(event, config) {
+  const rule = findRuleByName(config.rules, event.ruleName);
+  return event.leadMinutes ?? rule?.leadMinutes ?? config.preEventQueryMinutes;
+}
+
+/**
+ * Applies a rule's column set, logo, grouping and sort order on top of the global PDF layout.
+ * @param {Object} [pdfLayout] - Global layout from config
+ * @param {Object|null} rule - Matching rule
+ * @returns {Object|undefined} Effective layout
+ */
+function applyRuleToLayout(pdfLayout, rule) {
+  if (
+    !rule ||
+    (rule.columns === undefined && rule.logo === undefined && rule.groupBy === undefined && rule.sort === undefined)
+  ) {
+    return pdfLayout;
+  }
+  return {
+    ...pdfLayout,
+    ...(rule.columns !== undefined && { columns: rule.columns }),
+    ...(rule.logo !== undefined && { logo: rule.logo }),
+    ...(rule.groupBy !== undefined && { groupBy: rule.groupBy }),
+    ...(rule.sort !== undefined && { sort: rule.sort }),
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  matchesRule,
+  findMatchingRule,
+  findRuleByName,
+  isEventSelected,
+  resolveLeadMinutes,
+  applyRuleToLayout,
+};
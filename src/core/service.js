@@ -7,22 +7,35 @@ const {
   incrementJobRetryCount,
   getJobInfo,
 } = require('./database');
-const { fetchAndStoreUpcomingEvents, processSingleEvent } = require('./functions');
+const {
+  fetchAndStoreUpcomingEvents,
+  processSingleEvent,
+  processAddenda,
+  selectDaySheetEvents,
+  printDaySheet,
+} = require('./functions');
+const { resolveLeadMinutes } = require('./rule-engine');
+const { cleanupArchive } = require('./pdf-archive');
 const { startHealthChecks } = require('./health-check');
 const { getStatisticsSummary, writeStatisticsFile } = require('./statistics');
 const {
   notifyEventProcessed,
+  notifyAddendumPrinted,
   notifyJobRetry,
   notifyPermanentFailure,
   notifyServiceStatus,
 } = require('../utils/webhook');
 const { startWatchdog } = require('../utils/systemd-watchdog');
 const { startMemoryMonitoring } = require('../utils/memory-monitor');
+const { createI18n } = require('../utils/i18n');
 
 // In-memory map to store references to our scheduled timeout jobs.
 // The key is the event ID, and the value is the timeout ID returned by setTimeout.
 const scheduledJobs = new Map();
 
+// How far an event's print time must move before its scheduled job is moved with it
+const RESCHEDULE_THRESHOLD_MS = 60 * 1000;
+
 // Default retry configuration (can be overridden by config)
 const DEFAULT_MAX_RETRIES = 3;
 const DEFAULT_BASE_RETRY_DELAY_MINUTES = 5;
@@ -39,6 +52,15 @@ async function safeWebhookNotify(notifyFn) {
   }
 }
 
+/**
+ * Locale and time zone for webhook display fields and log times
+ * @param {Object} config - Application configuration
+ * @returns {{locale: string|undefined, timeZone: string|null|undefined}} Display settings
+ */
+function displayFormatting(config) {
+  return { locale: config.locale, timeZone: config.timeZone };
+}
+
 /**
  * Get retry configuration from config or use defaults
  * @param {Object} config - Application configuration
@@ -64,7 +86,9 @@ async function handlePermanentFailure(event, config, error, retryCount) {
   logger.error(`✗ Event ${event.id} permanently failed after ${retryCount} retries`);
 
   if (config.webhook?.enabled && config.webhook?.url) {
-    await safeWebhookNotify(() => notifyPermanentFailure(event, error.message, retryCount, config.webhook.url));
+    await safeWebhookNotify(() =>
+      notifyPermanentFailure(event, error.message, retryCount, config.webhook.url, displayFormatting(config))
+    );
   }
 }
 
@@ -88,7 +112,9 @@ function scheduleRetry(event, config, currentRetries, error) {
   );
 
   if (config.webhook?.enabled && config.webhook?.url) {
-    safeWebhookNotify(() => notifyJobRetry(event, currentRetries + 1, maxRetries, config.webhook.url));
+    safeWebhookNotify(() =>
+      notifyJobRetry(event, currentRetries + 1, maxRetries, config.webhook.url, displayFormatting(config))
+    );
   }
 
   const retryTimeoutId = setTimeout(async () => {
@@ -118,7 +144,11 @@ async function handleProcessingError(event, config, error) {
   // Update error message in job record
   updateJobStatus(event.id, jobInfo?.status || 'processing', error.message);
 
-  if (currentRetries < maxRetries) {
+  if (error.retryable === false) {
+    // e.g. a missing printer setting or converter: retrying would fail the same way
+    logger.warn(`Error for event ${event.id} is not retryable; skipping retries`);
+    await handlePermanentFailure(event, config, error, currentRetries);
+  } else if (currentRetries < maxRetries) {
     scheduleRetry(event, config, currentRetries, error);
   } else {
     await handlePermanentFailure(event, config, error, maxRetries);
@@ -131,6 +161,9 @@ async function handleProcessingError(event, config, error) {
  * @param {Object} config - Application configuration
  */
 async function processEventWithRetry(event, config) {
+  if (config.daySheet?.enabled) {
+    return processDaySheetWithRetry(event, config);
+  }
   try {
     const result = await processSingleEvent(event, config);
 
@@ -140,8 +173,61 @@ async function processEventWithRetry(event, config) {
 
     if (config.webhook?.enabled && config.webhook?.url) {
       const attendeeCount = result?.attendeeCount || 0;
-      await safeWebhookNotify(() => notifyEventProcessed(event, attendeeCount, config.webhook.url));
+      await safeWebhookNotify(() =>
+        notifyEventProcessed(
+          event,
+          attendeeCount,
+          config.webhook.url,
+          {
+            printTarget: result?.printTarget,
+            failedTargets: result?.failedTargets,
+            revision: result?.revision,
+            capacity: result?.capacity,
+            waitlistCount: result?.waitlistCount,
+          },
+          displayFormatting(config)
+        )
+      );
+    }
+  } catch (error) {
+    await handleProcessingError(event, config, error);
+  }
+}
+
+/**
+ * Day sheet mode: when an event's job fires, prints one document for it and every pending event
+ * starting in its window, then completes those events' jobs too. A failure retries through the
+ * triggering event's job; the other events stay pending and their own jobs still run.
+ * @param {Object} event - The event whose job fired
+ * @param {Object} config - Application configuration
+ */
+async function processDaySheetWithRetry(event, config) {
+  try {
+    const result = await printDaySheet(selectDaySheetEvents(event.startDate, config), config);
+
+    for (const { event: sheetEvent, attendeeCount, capacity, waitlistCount } of result.events) {
+      cancelScheduledJob(sheetEvent.id);
+      updateJobStatus(sheetEvent.id, 'completed');
+      updateEventStatus(sheetEvent.id, 'processed');
+
+      if (config.webhook?.enabled && config.webhook?.url) {
+        await safeWebhookNotify(() =>
+          notifyEventProcessed(
+            sheetEvent,
+            attendeeCount,
+            config.webhook.url,
+            {
+              printTarget: attendeeCount > 0 || waitlistCount > 0 ? result.printTarget : undefined,
+              failedTargets: attendeeCount > 0 || waitlistCount > 0 ? result.failedTargets : undefined,
+              capacity,
+              waitlistCount,
+            },
+            displayFormatting(config)
+          )
+        );
+      }
     }
+    logger.info(`✓ Day sheet completed for ${result.events.length} event(s), triggered by: ${event.name}`);
   } catch (error) {
     await handleProcessingError(event, config, error);
   }
@@ -179,27 +265,55 @@ function isJobAlreadyScheduled(eventId) {
   }
 }
 
+/**
+ * Check if a job still waiting to run was scheduled for another time than the event's print time,
+ * e.g. after its print: tag or its rule's lead time changed. Jobs that are running, retrying or
+ * completed are left alone.
+ * @param {string} eventId - The event ID to check
+ * @param {number} processTime - The event's print time now (ms since epoch)
+ * @returns {boolean} True if the job should be moved
+ */
+function isScheduleOutdated(eventId, processTime) {
+  try {
+    const job = getDb().prepare('SELECT status, scheduled_time FROM scheduled_jobs WHERE event_id = ?').get(eventId);
+    return Boolean(
+      job &&
+      job.status === 'scheduled' &&
+      Math.abs(new Date(job.scheduled_time).getTime() - processTime) > RESCHEDULE_THRESHOLD_MS
+    );
+  } catch (error) {
+    logger.error(`Error checking scheduled time for ${eventId}:`, error);
+    return false;
+  }
+}
+
 /**
  * Schedules a single event to be processed at the correct time.
- * Persists the job to the database to survive service restarts.
+ * Persists the job to the database to survive service restarts. A job already scheduled for
+ * another time (its print: tag, rule or start time changed since) is cancelled and scheduled again.
  * @param {Object} event - The event object from the database.
  * @param {Object} config - The application configuration.
  */
 function scheduleEvent(event, config, options = {}) {
-  // If a job for this event is already scheduled (in memory or DB), do nothing.
+  // Lead time from the event's print: tag, then its matched rule, falling back to config
+  const leadMinutes = resolveLeadMinutes(event, config);
+  const now = new Date().getTime();
+  const eventStartTime = new Date(event.startDate).getTime();
+  const processTime = eventStartTime - leadMinutes * 60 * 1000;
+  const scheduledTime = new Date(processTime).toISOString();
+
+  // If a job for this event is already scheduled (in memory or DB) for this time, do nothing.
   // Skip this check during crash recovery — the DB has stale 'scheduled' status
   // but no in-memory setTimeout exists, so we must recreate it.
   if (!options.fromRecovery && isJobAlreadyScheduled(event.id)) {
-    logger.debug(`Event ${event.id} already has an active job, skipping`);
-    return;
+    if (!isScheduleOutdated(event.id, processTime)) {
+      logger.debug(`Event ${event.id} already has an active job, skipping`);
+      return;
+    }
+    logger.info(`Print time of event "${event.name}" (ID: ${event.id}) changed, rescheduling its job`);
+    cancelScheduledJob(event.id);
   }
 
-  const { preEventQueryMinutes } = config;
-  const now = new Date().getTime();
-  const eventStartTime = new Date(event.startDate).getTime();
-  const processTime = eventStartTime - preEventQueryMinutes * 60 * 1000;
-  const scheduledTime = new Date(processTime).toISOString();
-
   // Only schedule jobs that are in the future.
   if (processTime > now) {
     const delay = processTime - now;
@@ -226,9 +340,9 @@ function scheduleEvent(event, config, options = {}) {
       logger.info('───────────────────────────────────────────────────────────────');
       logger.info(`⏰ Scheduled job triggered for event: ${event.name} (ID: ${event.id})`);
 
-      // Check if event was cancelled before processing
+      // Read the event again: it may have been cancelled, or its tag or rule changed (copies, print mode)
       const db = getDb();
-      const currentEvent = db.prepare('SELECT status FROM events WHERE id = ?').get(event.id);
+      const currentEvent = db.prepare('SELECT * FROM events WHERE id = ?').get(event.id);
 
       if (!currentEvent || currentEvent.status === 'cancelled') {
         logger.info(`Event ${event.id} was cancelled, skipping processing`);
@@ -237,6 +351,14 @@ function scheduleEvent(event, config, options = {}) {
         return;
       }
 
+      // e.g. already printed on an earlier event's day sheet
+      if (currentEvent.status === 'processed') {
+        logger.info(`Event ${event.id} was already printed, skipping processing`);
+        updateJobStatus(event.id, 'completed');
+        scheduledJobs.delete(event.id);
+        return;
+      }
+
       // Update job status to 'processing'
       updateJobStatus(event.id, 'processing');
 
@@ -244,13 +366,14 @@ function scheduleEvent(event, config, options = {}) {
       scheduledJobs.delete(event.id);
 
       // Process the event with retry support
-      await processEventWithRetry(event, config);
+      await processEventWithRetry(currentEvent, config);
     }, delay);
 
     // Store the timeout ID so we can manage it.
     scheduledJobs.set(event.id, timeoutId);
+    const printsAt = createI18n(displayFormatting(config)).formatDateTime(processTime);
     logger.info(
-      `Scheduled job for event: "${event.name}" (ID: ${event.id}) in ${Math.round(delay / 1000 / 60)} minutes.`
+      `Scheduled job for event: "${event.name}" (ID: ${event.id}) in ${Math.round(delay / 1000 / 60)} minutes (${printsAt}).`
     );
   } else {
     // Event's scheduled time has passed - check if it's still worth processing
@@ -321,7 +444,8 @@ function scheduleEvent(event, config, options = {}) {
  * 1. Clears in-memory scheduled jobs map to prevent orphaned references
  * 2. Queries database for jobs with 'scheduled' or 'processing' status
  * 3. For past-due jobs: marks them as failed with an error message
- * 4. For future jobs: reschedules them using scheduleEvent()
+ * 4. For future jobs: reschedules them using scheduleEvent(), carrying the event's
+ *    print: tag settings (lead time, copies, print mode) so they aren't lost
  *
  * @param {Object} config - The application configuration object
  * @param {number} config.preEventQueryMinutes - Minutes before event to process
@@ -339,7 +463,7 @@ function recoverPendingJobs(config) {
     const pendingJobs = db
       .prepare(
         `
-            SELECT sj.*, e.startDate
+            SELECT sj.*, e.startDate, e.leadMinutes, e.copies, e.printMode, e.ruleName
             FROM scheduled_jobs sj
             JOIN events e ON sj.event_id = e.id
             WHERE sj.status IN ('scheduled', 'processing')
@@ -377,6 +501,10 @@ function recoverPendingJobs(config) {
           id: job.event_id,
           name: job.event_name,
           startDate: job.startDate,
+          leadMinutes: job.leadMinutes,
+          copies: job.copies,
+          printMode: job.printMode,
+          ruleName: job.ruleName,
         };
         scheduleEvent(event, config, { fromRecovery: true });
         logger.info(`Recovered job for event: ${job.event_name} (ID: ${job.event_id})`);
@@ -445,6 +573,8 @@ async function runScheduler(config) {
  * @param {Object} [config.webhook] - Optional webhook configuration
  * @param {Object} [config.retry] - Optional retry configuration
  * @param {Object} [config.database] - Optional database configuration
+ * @param {Object} [config.archive] - Optional PDF archive configuration
+ * @param {Object} [config.addendum] - Optional late sign-up addendum configuration
  */
 function runService(config) {
   // Validate critical configuration values
@@ -470,6 +600,7 @@ function runService(config) {
   logger.info(`  - Fetch window: ${config.fetchWindowHours} hour(s)`);
   logger.info(`  - Pre-event query window: ${config.preEventQueryMinutes} minute(s)`);
   logger.info(`  - Print mode: ${config.printMode}`);
+  logger.info(`  - Locale: ${config.locale || 'en-GB'}, time zone: ${config.timeZone || 'host default'}`);
 
   // Recover any jobs that were pending from previous session (crash recovery)
   logger.info('Checking for pending jobs from previous session...');
@@ -517,6 +648,26 @@ function runService(config) {
   logger.info(`Next scheduler run in ${config.serviceRunIntervalHours} hour(s) (${runInterval}ms)`);
   setInterval(task, runInterval);
 
+  // Late sign-up addenda for events that have printed but not started yet
+  if (config.addendum?.enabled) {
+    const addendumInterval = (config.addendum.checkIntervalMinutes ?? 10) * 60 * 1000;
+    setInterval(async () => {
+      try {
+        const printed = await processAddenda(config);
+        if (config.webhook?.enabled && config.webhook?.url) {
+          for (const { event, ...addendum } of printed) {
+            await safeWebhookNotify(() =>
+              notifyAddendumPrinted(event, addendum, config.webhook.url, displayFormatting(config))
+            );
+          }
+        }
+      } catch (err) {
+        logger.error('Addendum check error:', err);
+      }
+    }, addendumInterval);
+    logger.info(`Late sign-up addendum checks every ${config.addendum.checkIntervalMinutes ?? 10} minute(s)`);
+  }
+
   // Add a heartbeat log to show the service is alive
   const heartbeatInterval = (config.service?.heartbeatIntervalMinutes ?? 15) * 60 * 1000;
   setInterval(() => {
@@ -554,6 +705,7 @@ function runService(config) {
   // Run database cleanup daily at 3 AM to remove old events
   // Uses self-scheduling setTimeout to avoid double-setInterval and handle DST changes
   const cleanupDays = config.database?.cleanupDays || 30;
+  const snapshotRetentionDays = config.database?.snapshotRetentionDays || cleanupDays;
   const scheduleDailyCleanup = () => {
     const now = new Date();
     const next3AM = new Date();
@@ -569,7 +721,10 @@ function runService(config) {
     setTimeout(() => {
       try {
         logger.info(`Running daily database cleanup (keeping ${cleanupDays} days)...`);
-        cleanupOldEvents(cleanupDays);
+        cleanupOldEvents(cleanupDays, snapshotRetentionDays);
+        if (config.archive?.enabled) {
+          cleanupArchive(config.archive.retentionDays, config.archive.directory);
+        }
       } catch (err) {
         logger.error('Database cleanup error:', err);
       }
@@ -577,7 +732,8 @@ function runService(config) {
       scheduleDailyCleanup();
     }, timeUntil3AM);
 
-    logger.info(`Database cleanup scheduled for ${next3AM.toLocaleString()} (will keep ${cleanupDays} days of events)`);
+    const cleanupTime = createI18n(displayFormatting(config)).formatDateTime(next3AM);
+    logger.info(`Database cleanup scheduled for ${cleanupTime} (will keep ${cleanupDays} days of events)`);
   };
 
   scheduleDailyCleanup();
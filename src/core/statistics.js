@@ -131,7 +131,8 @@ function getStatistics(days = 7) {
         sj.retry_count,
         sj.error_message,
         sj.updated_at,
-        e.startDate
+        e.startDate,
+        e.printTarget
       FROM scheduled_jobs sj
       LEFT JOIN events e ON sj.event_id = e.id
       ORDER BY sj.updated_at DESC
@@ -148,6 +149,7 @@ function getStatistics(days = 7) {
       error: row.error_message,
       lastUpdated: row.updated_at,
       eventDate: row.startDate,
+      printTarget: row.printTarget,
     }));
 
     // Upcoming events (scheduled print jobs sorted by event date)
@@ -159,7 +161,8 @@ function getStatistics(days = 7) {
         sj.event_name,
         sj.scheduled_time,
         sj.status,
-        e.startDate
+        e.startDate,
+        e.ruleName
       FROM scheduled_jobs sj
       LEFT JOIN events e ON sj.event_id = e.id
       WHERE sj.status IN ('scheduled', 'retrying')
@@ -176,6 +179,7 @@ function getStatistics(days = 7) {
       eventDate: row.startDate,
       scheduledTime: row.scheduled_time,
       status: row.status,
+      ruleName: row.ruleName,
     }));
 
     // Current status summary
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Parser for `print:` tags in Hello Club event descriptions.
+ * Coordinators opt an event into printing by adding a line such as
+ * `print: 30min 2copies local` anywhere in the event description.
+ * @module tag-parser
+ */
+
+const logger = require('../services/logger');
+
+/** Print modes that may be selected from a tag */
+const TAG_PRINT_MODES = ['local', 'email', 'ipp', 'raw'];
+
+const LEAD_MINUTES_RANGE = { min: 1, max: 1440 };
+const COPIES_RANGE = { min: 1, max: 10 };
+
+// Case-insensitive `print:` at a word boundary, capturing the rest of the line
+const TAG_PATTERN = /(?:^|[^a-z0-9])print:([^\n\r]*)/i;
+
+/**
+ * Strips markdown punctuation surrounding a token (e.g. `**30min**` or `_local_`).
+ * @param {string} token - Raw token
+ * @returns {string} Cleaned, lower-cased token
+ */
+function cleanToken(token) {
+  return token.replace(/^[*_`~>#[\](),.;]+|[*_`~>#[\](),.;]+$/g, '').toLowerCase();
+}
+
+/**
+ * Parses the `print:` tag from an event description.
+ *
+ * Grammar (tokens are space separated and case-insensitive, value runs to end of line):
+ * - `<n>min` — lead time in minutes before the event starts (1-1440)
+ * - `<n>copies` / `<n>copy` — number of copies (1-10)
+ * - `local` / `email` / `ipp` / `raw` — print mode
+ * - `enabled` — accepted as a no-op
+ *
+ * Unknown or out-of-range tokens are logged and ignored; the tag still selects the event
+ * so that a typo never silently drops a printout.
+ *
+ * @param {string|null} description - Event description (markdown, may be null)
+ * @returns {{leadMinutes: number|null, copies: number|null, printMode: string|null}|null}
+ *   Parsed parameters (null fields fall back to config), or null if the description has no tag
+ */
+function parseTag(description) {
+  if (typeof description !== 'string') {
+    return null;
+  }
+
+  const match = description.match(TAG_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const result = { leadMinutes: null, copies: null, printMode: null };
+  const tokens = match[1].split(/\s+/).map(cleanToken).filter(Boolean);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // Allow a space between the number and its unit ("30 min", "2 copies")
+    const next = tokens[i + 1];
+    const combined =
+      /^\d+$/.test(token) && next && /^(min|mins|minutes?|cop(y|ies))$/.test(next) ? token + next : token;
+    if (combined !== token) {
+      i++;
+    }
+
+    const minutesMatch = combined.match(/^(\d+)(min|mins|minutes?)$/);
+    const copiesMatch = combined.match(/^(\d+)cop(y|ies)$/);
+
+    if (minutesMatch) {
+      const minutes = parseInt(minutesMatch[1], 10);
+      if (minutes >= LEAD_MINUTES_RANGE.min && minutes <= LEAD_MINUTES_RANGE.max) {
+        result.leadMinutes = minutes;
+      } else {
+        logger.warn(
+          `Ignoring out-of-range lead time in print: tag: ${minutes} (allowed ${LEAD_MINUTES_RANGE.min}-${LEAD_MINUTES_RANGE.max})`
+        );
+      }
+    } else if (copiesMatch) {
+      const copies = parseInt(copiesMatch[1], 10);
+      if (copies >= COPIES_RANGE.min && copies <= COPIES_RANGE.max) {
+        result.copies = copies;
+      } else {
+        logger.warn(
+          `Ignoring out-of-range copies in print: tag: ${copies} (allowed ${COPIES_RANGE.min}-${COPIES_RANGE.max})`
+        );
+      }
+    } else if (TAG_PRINT_MODES.includes(combined)) {
+      result.printMode = combined;
+    } else if (combined !== 'enabled') {
+      logger.warn(`Ignoring unrecognized token in print: tag: "${combined}"`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseTag,
+  TAG_PRINT_MODES,
+};
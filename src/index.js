@@ -3,7 +3,17 @@ const fs = require('fs');
 const logger = require('./services/logger');
 const configSchema = require('./utils/config-schema');
 const argv = require('./utils/args-parser');
-const { fetchAndStoreUpcomingEvents, processScheduledEvents } = require('./core/functions');
+const {
+  fetchAndStoreUpcomingEvents,
+  processScheduledEvents,
+  processAddenda,
+  selectDaySheetEvents,
+  printDaySheet,
+  printEventBadges,
+  exportEventRoster,
+  reprintArchivedPdf,
+} = require('./core/functions');
+const { listArchivedPdfs } = require('./core/pdf-archive');
 const { runService, cancelAllScheduledJobs } = require('./core/service');
 const { closeDb } = require('./core/database');
 const { stopWatchdog } = require('./utils/systemd-watchdog');
@@ -93,7 +103,7 @@ async function main() {
   }
 
   // Validate config file data with helpful error messages
-  const { error, value: validatedConfig } = configSchema.validate(config);
+  const { error, warning, value: validatedConfig } = configSchema.validate(config);
   if (error) {
     logger.error('╔════════════════════════════════════════════════════════════════╗');
     logger.error('║  ERROR: Invalid Configuration in config.json                  ║');
@@ -105,11 +115,13 @@ async function main() {
 
       // Add contextual help for common errors
       if (detail.path.includes('printMode')) {
-        logger.error('   → Valid values: "local" or "email"');
+        logger.error('   → Valid values: "local", "email", "ipp" or "raw", or a list of them to fail over through');
       } else if (detail.path.includes('preEventQueryMinutes')) {
         logger.error('   → Must be a positive integer (e.g., 5, 10, 15)');
       } else if (detail.path.includes('serviceRunIntervalHours')) {
         logger.error('   → Must be a positive integer (e.g., 1, 2, 4)');
+      } else if (detail.path.includes('pdfLayout')) {
+        logger.error('   → pageSize: "A4", "A5", "Letter", "Legal" or { "width", "height" } in points (72 per inch)');
       } else if (detail.path.includes('outputFilename')) {
         logger.error('   → Must end with .pdf (e.g., "attendees.pdf")');
       }
@@ -118,6 +130,10 @@ async function main() {
     logger.error('For configuration help, see: docs/CONFIGURATION.md');
     process.exit(1);
   }
+  // Settings that load but print differently than written, e.g. columns narrowed to fit the page
+  if (warning) {
+    warning.details.forEach((detail) => logger.warn(`config.json: ${detail.message}`));
+  }
 
   // The first element of _ is the command
   const command = argv._[0];
@@ -126,23 +142,50 @@ async function main() {
   const finalConfig = {
     // For fetch-events
     allowedCategories: argv.category ?? validatedConfig.categories,
+    rules: validatedConfig.rules,
     fetchWindowHours: argv.fetchWindowHours ?? validatedConfig.fetchWindowHours,
     // For process-schedule
     preEventQueryMinutes: argv.preEventQueryMinutes ?? validatedConfig.preEventQueryMinutes,
     outputFilename: argv.output ?? validatedConfig.outputFilename,
     pdfLayout: validatedConfig.pdfLayout,
     printMode: argv.printMode ?? validatedConfig.printMode,
+    printJobs: validatedConfig.printJobs,
+    ipp: validatedConfig.ipp,
+    raw: validatedConfig.raw,
+    archive: validatedConfig.archive,
+    addendum: validatedConfig.addendum,
+    daySheet: validatedConfig.daySheet,
+    // --badges prints badges for every event, as if badges.enabled were set
+    badges: argv.badges ? { ...validatedConfig.badges, enabled: true } : validatedConfig.badges,
+    exports: validatedConfig.exports,
+    locale: validatedConfig.locale,
+    timeZone: validatedConfig.timeZone,
+    // Codes are only printed when they can be signed
+    checkIn:
+      validatedConfig.checkIn.enabled && process.env.CHECKIN_SECRET
+        ? {
+            baseUrl: validatedConfig.checkIn.baseUrl,
+            qrSize: validatedConfig.checkIn.qrSize,
+            validHours: validatedConfig.checkIn.validHours,
+            secret: process.env.CHECKIN_SECRET,
+          }
+        : null,
     // For start-service
     serviceRunIntervalHours: argv.serviceRunIntervalHours ?? validatedConfig.serviceRunIntervalHours,
   };
 
+  if (validatedConfig.checkIn.enabled && !finalConfig.checkIn) {
+    logger.warn('checkIn is enabled but CHECKIN_SECRET is not set in .env; printing lists without QR codes');
+  }
+
   logger.info(`Executing command: ${command}`);
 
   if (command === 'fetch-events') {
     await fetchAndStoreUpcomingEvents(finalConfig);
   } else if (command === 'process-schedule') {
-    // Check for email-related env vars only if printing
-    if (finalConfig.printMode === 'email') {
+    // Check for email-related env vars only if printing by email (alone or as a failover target)
+    const printModes = [].concat(finalConfig.printMode).map((target) => target.mode ?? target);
+    if (printModes.includes('email')) {
       const requiredEmailVars = ['PRINTER_EMAIL', 'SMTP_USER', 'SMTP_PASS'];
       const missingEmailVars = requiredEmailVars.filter((key) => !process.env[key]);
       if (missingEmailVars.length > 0) {
@@ -166,11 +209,91 @@ async function main() {
       }
     }
     await processScheduledEvents(finalConfig);
+    if (finalConfig.addendum.enabled) {
+      await processAddenda(finalConfig);
+    }
+  } else if (command === 'reprint') {
+    if (argv.list) {
+      const entries = listArchivedPdfs({ eventId: argv.eventId, directory: finalConfig.archive.directory });
+      if (entries.length === 0) {
+        logger.info('No archived PDFs found.');
+      }
+      entries.forEach((entry) => {
+        logger.info(
+          `${entry.eventId}  ${entry.id}  ${entry.eventName || ''}  printed via ${entry.printTarget || 'unknown'}` +
+            (entry.reprints?.length ? `  (reprinted ${entry.reprints.length}x)` : '')
+        );
+      });
+    } else if (!argv.eventId) {
+      logger.error('Usage: reprint <event-id> [archive-id], or reprint --list [event-id]');
+      process.exitCode = 1;
+    } else {
+      try {
+        await reprintArchivedPdf(argv.eventId, argv.archiveId, finalConfig, {
+          printMode: argv.printMode,
+          copies: argv.copies,
+        });
+      } catch (err) {
+        logger.error(`Reprint failed: ${err.message}`);
+        process.exitCode = 1;
+      }
+    }
+  } else if (command === 'day-sheet') {
+    // On demand: everything already fetched for the window, printed or not, without touching the schedule
+    const from = argv.from ? new Date(argv.from) : new Date();
+    if (isNaN(from.getTime())) {
+      logger.error(`Day sheet failed: invalid --from time "${argv.from}"`);
+      process.exitCode = 1;
+    } else {
+      const events = selectDaySheetEvents(from, finalConfig, {
+        windowHours: argv.hours,
+        statuses: ['pending', 'processed'],
+      });
+      if (events.length === 0) {
+        logger.info(
+          `No events start within ${argv.hours ?? finalConfig.daySheet.windowHours} hours of ${from.toISOString()}.`
+        );
+      } else {
+        try {
+          const result = await printDaySheet(events, finalConfig, { markProcessed: false });
+          if (result.printTarget) {
+            logger.info(`Day sheet for ${result.events.length} event(s) printed via ${result.printTarget}`);
+          }
+        } catch (err) {
+          logger.error(`Day sheet failed: ${err.message}`);
+          process.exitCode = 1;
+        }
+      }
+    }
+  } else if (command === 'badges') {
+    try {
+      const result = await printEventBadges(argv.eventId, finalConfig, { printMode: argv.printMode });
+      if (result.printTarget) {
+        logger.info(`${result.attendeeCount} badge(s) printed via ${result.printTarget}`);
+      }
+    } catch (err) {
+      logger.error(`Badges failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  } else if (command === 'export') {
+    try {
+      const result = await exportEventRoster(argv.eventId, argv.format, finalConfig, {
+        printed: argv.printed,
+        // --output names the export here, not the PDF
+        output: argv.output,
+      });
+      logger.info(`${result.attendeeCount} attendee(s) exported to ${result.path}`);
+    } catch (err) {
+      logger.error(`Export failed: ${err.message}`);
+      process.exitCode = 1;
+    }
   } else if (command === 'start-service') {
     // The service runs indefinitely, so no need for await here in the same way.
     runService(finalConfig);
   } else {
-    logger.error('Invalid command. Please use "fetch-events", "process-schedule", or "start-service".');
+    logger.error(
+      'Invalid command. Please use "fetch-events", "process-schedule", "reprint", "day-sheet", "badges", "export" or "start-service".'
+    );
   }
 }
 
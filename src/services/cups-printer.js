@@ -1,20 +1,35 @@
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const logger = require('./logger');
+const ipp = require('./ipp-client');
 
 const execFileAsync = promisify(execFile);
 
+/**
+ * Job states after which CUPS will not touch the job again. 'unknown' is a job CUPS no longer
+ * lists at all: it left the queue and its history was purged, so how it ended cannot be told.
+ */
+const FINAL_JOB_STATES = ['completed', 'aborted', 'cancelled', 'unknown'];
+
 /**
  * Prints a PDF file using the CUPS lp command (Linux/Raspberry Pi).
- * Uses the system default printer unless PRINTER_NAME env var is set.
+ * Uses the system default printer unless a printer name is given or PRINTER_NAME env var is set.
  * @param {string} filePath - Absolute path to the PDF file to print.
+ * @param {number} [copies=1] - Number of copies to print (1-10).
+ * @param {string} [printerName] - CUPS destination, defaults to PRINTER_NAME.
  * @returns {Promise<string>} Output message from lp command.
  * @throws {Error} When lp command fails or printer is unavailable.
  */
-async function printPdf(filePath) {
+async function printPdf(filePath, copies = 1, printerName = process.env.PRINTER_NAME) {
+  if (!Number.isInteger(copies) || copies < 1 || copies > 10) {
+    throw new Error(`Invalid number of copies: ${copies}. Must be an integer between 1 and 10.`);
+  }
+
   const args = [filePath];
+  if (copies > 1) {
+    args.unshift('-n', String(copies));
+  }
 
-  const printerName = process.env.PRINTER_NAME;
   if (printerName) {
     args.unshift('-d', printerName);
   }
@@ -31,4 +46,164 @@ async function printPdf(filePath) {
   }
 }
 
-module.exports = { printPdf };
+/**
+ * Extracts the numeric CUPS job id from `lp` output such as
+ * "request id is Office_Printer-42 (1 file(s))".
+ * @param {string} output - Output of the lp command
+ * @returns {number|null} Job id, or null if the output has none
+ */
+function parseJobId(output) {
+  const match = typeof output === 'string' ? output.match(/request id is \S+-(\d+)/) : null;
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Returns the IPP URI of a job on the local CUPS server. Honours CUPS_SERVER when it
+ * names a host (a socket path cannot be reached over IPP and is ignored).
+ * @param {number} jobId - CUPS job id
+ * @returns {string} Job URI
+ */
+function getJobUri(jobId) {
+  const server = process.env.CUPS_SERVER;
+  const host = server && !server.startsWith('/') ? server : 'localhost';
+  return `ipp://${host.includes(':') ? host : `${host}:631`}/jobs/${jobId}`;
+}
+
+/**
+ * Tells how a finished job ended from its job-state-reasons keywords.
+ * @param {Array<string>} reasons - job-state-reasons, e.g. ['job-canceled-by-user']
+ * @returns {string|null} 'completed', 'aborted' or 'cancelled', or null if the reasons do not say
+ */
+function finalStateFromReasons(reasons) {
+  if (reasons.some((r) => r.startsWith('job-canceled'))) {
+    return 'cancelled';
+  }
+  if (reasons.some((r) => r === 'aborted-by-system' || r === 'job-completed-with-errors' || r.endsWith('-error'))) {
+    return 'aborted';
+  }
+  if (reasons.some((r) => r === 'job-completed-successfully' || r === 'job-completed-with-warnings')) {
+    return 'completed';
+  }
+  return null;
+}
+
+/**
+ * Reads the state of a CUPS job with lpstat: pending while `lpstat -W not-completed` lists it,
+ * otherwise how it ended from the alerts (job-state-reasons) `lpstat -l -W completed` lists.
+ * A job neither command lists has finished and been purged from the history: state 'unknown'.
+ * @param {number} jobId - CUPS job id
+ * @returns {Promise<{state: string, reason: string|null}>} Job state and a readable reason
+ * @throws {Error} If lpstat lists the finished job but does not show how it ended
+ */
+async function getJobStateFromLpstat(jobId) {
+  const jobLine = new RegExp(`^\\S+-${jobId}\\s`);
+  const { stdout: queue } = await execFileAsync('lpstat', ['-W', 'not-completed', '-o']);
+  if (queue.split('\n').some((line) => jobLine.test(line))) {
+    return { state: 'pending', reason: null };
+  }
+
+  const { stdout: history } = await execFileAsync('lpstat', ['-l', '-W', 'completed', '-o']);
+  const lines = history.split('\n');
+  const start = lines.findIndex((line) => jobLine.test(line));
+  if (start === -1) {
+    return { state: 'unknown', reason: 'no longer listed by CUPS' };
+  }
+  // The job's details are the indented lines below it
+  const details = lines.slice(start + 1);
+  const end = details.findIndex((line) => !/^\s/.test(line));
+  const alerts = details
+    .slice(0, end === -1 ? details.length : end)
+    .map((line) => /^\s+Alerts:\s*(.*)$/.exec(line))
+    .find(Boolean);
+  const reasons = alerts ? alerts[1].split(/[\s,]+/).filter(Boolean) : [];
+  const state = finalStateFromReasons(reasons);
+  if (!state) {
+    throw new Error(`lpstat does not show how CUPS job ${jobId} ended`);
+  }
+  return { state, reason: ipp.formatJobReason(reasons, null) };
+}
+
+/**
+ * Reads the state of a CUPS job. Uses IPP Get-Job-Attributes and falls back to lpstat when
+ * the IPP query fails (see getJobStateFromLpstat).
+ * @param {number} jobId - CUPS job id
+ * @returns {Promise<{state: string, reason: string|null}>} Job state and a readable reason
+ * @throws {Error} If neither IPP nor lpstat can tell the state; waitForJobCompletion keeps polling
+ */
+async function getJobState(jobId) {
+  try {
+    const { state, reasons, message } = await ipp.getJobState(getJobUri(jobId));
+    return { state, reason: ipp.formatJobReason(reasons, message) };
+  } catch (error) {
+    logger.warn(`IPP job query failed for CUPS job ${jobId} (${error.message}), falling back to lpstat`);
+    return getJobStateFromLpstat(jobId);
+  }
+}
+
+/**
+ * Cancels a CUPS job with the `cancel` command.
+ * @param {number} jobId - CUPS job id
+ * @returns {Promise<void>}
+ */
+async function cancelJob(jobId) {
+  await execFileAsync('cancel', [String(jobId)]);
+}
+
+/**
+ * Polls a print job until it reaches a final state (completed, aborted, cancelled or unknown).
+ * A job still unfinished at the timeout, e.g. because the printer is jammed or offline,
+ * is cancelled so that a retry cannot produce a duplicate printout.
+ * Defaults to CUPS; other backends pass their own `getState`/`cancel`.
+ * @param {number} jobId - Job id
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.pollIntervalMs=5000] - Delay between state queries
+ * @param {number} [options.timeoutMs=600000] - Give up after this long
+ * @param {Function} [options.onStateChange] - Called with (state, reason) whenever the state changes
+ * @param {Function} [options.getState] - Resolves the {state, reason} of a job id (default: CUPS)
+ * @param {Function} [options.cancel] - Cancels a job id (default: CUPS `cancel`)
+ * @param {string} [options.label='CUPS'] - Backend name used in log messages
+ * @returns {Promise<{state: string, reason: string|null}>} Final state, or state 'timeout'
+ */
+async function waitForJobCompletion(jobId, options = {}) {
+  const {
+    pollIntervalMs = 5000,
+    timeoutMs = 600000,
+    onStateChange,
+    getState = getJobState,
+    cancel = cancelJob,
+    label = 'CUPS',
+  } = options;
+  const deadline = Date.now() + timeoutMs;
+  let last = { state: null, reason: null };
+
+  while (Date.now() < deadline) {
+    try {
+      const current = await getState(jobId);
+      if (current.state !== last.state || current.reason !== last.reason) {
+        logger.info(`${label} job ${jobId} is ${current.state}${current.reason ? ` (${current.reason})` : ''}`);
+        if (onStateChange) {
+          onStateChange(current.state, current.reason);
+        }
+      }
+      last = current;
+      if (FINAL_JOB_STATES.includes(current.state)) {
+        return current;
+      }
+    } catch (error) {
+      logger.warn(`Could not read state of ${label} job ${jobId}: ${error.message}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+  }
+
+  const minutes = Math.round(timeoutMs / 60000);
+  const reason = `not completed after ${minutes} minute(s)${last.state ? `, last state ${last.state}` : ''}${last.reason ? ` (${last.reason})` : ''}`;
+  logger.warn(`${label} job ${jobId} ${reason}; cancelling it`);
+  try {
+    await cancel(jobId);
+  } catch (error) {
+    logger.warn(`Failed to cancel ${label} job ${jobId}: ${error.message}`);
+  }
+  return { state: 'timeout', reason };
+}
+
+module.exports = { printPdf, parseJobId, getJobState, waitForJobCompletion, FINAL_JOB_STATES };
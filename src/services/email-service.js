@@ -70,13 +70,13 @@ function validateEmailParams(to, from, subject, body) {
 }
 
 /**
- * Sends an email with a file attachment.
+ * Sends an email with one or more file attachments.
  * @param {Object} transportOptions - The transport configuration object for Nodemailer.
  * @param {string} to - The recipient's email address.
  * @param {string} from - The sender's email address.
  * @param {string} subject - The subject of the email.
  * @param {string} body - The plain text body of the email.
- * @param {string} attachmentPath - The file path to the attachment.
+ * @param {string|Array<string>} attachmentPath - The file path to the attachment, or the paths of several.
  * @returns {Promise<Object>} A promise that resolves with the Nodemailer response object upon success.
  * @throws {Error} Throws an error if the email fails to send.
  */
@@ -84,8 +84,8 @@ async function sendEmailWithAttachment(transportOptions, to, from, subject, body
   // Validate email parameters to prevent header injection
   validateEmailParams(to, from, subject, body);
 
-  // Validate attachment path to prevent path traversal
-  const safePath = validateAttachmentPath(attachmentPath);
+  // Validate attachment paths to prevent path traversal
+  const safePaths = [].concat(attachmentPath).map(validateAttachmentPath);
 
   const transporter = nodemailer.createTransport({
     ...transportOptions,
@@ -99,11 +99,7 @@ async function sendEmailWithAttachment(transportOptions, to, from, subject, body
       to: to,
       subject: subject,
       text: body,
-      attachments: [
-        {
-          path: safePath,
-        },
-      ],
+      attachments: safePaths.map((safePath) => ({ path: safePath })),
     });
 
     logger.info('Email sent: ' + info.response);
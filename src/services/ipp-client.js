@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Minimal IPP/1.1 client (RFC 8010/8011) over HTTP.
+ * Encodes requests and decodes responses for the handful of operations the app needs:
+ * Print-Job, Get-Job-Attributes, Cancel-Job and Get-Printer-Attributes.
+ * @module ipp-client
+ */
+
+const http = require('http');
+const https = require('https');
+
+/** IPP operation ids */
+const OPERATIONS = {
+  PRINT_JOB: 0x0002,
+  CANCEL_JOB: 0x0008,
+  GET_JOB_ATTRIBUTES: 0x0009,
+  GET_PRINTER_ATTRIBUTES: 0x000b,
+};
+
+/** Delimiter tags that start an attribute group */
+const GROUP_TAGS = {
+  OPERATION: 0x01,
+  JOB: 0x02,
+  END: 0x03,
+  PRINTER: 0x04,
+  UNSUPPORTED: 0x05,
+};
+
+/** Value tags */
+const VALUE_TAGS = {
+  UNSUPPORTED: 0x10,
+  UNKNOWN: 0x12,
+  NO_VALUE: 0x13,
+  INTEGER: 0x21,
+  BOOLEAN: 0x22,
+  ENUM: 0x23,
+  OCTET_STRING: 0x30,
+  DATE_TIME: 0x31,
+  RESOLUTION: 0x32,
+  RANGE_OF_INTEGER: 0x33,
+  BEG_COLLECTION: 0x34,
+  TEXT_WITH_LANGUAGE: 0x35,
+  NAME_WITH_LANGUAGE: 0x36,
+  END_COLLECTION: 0x37,
+  TEXT: 0x41,
+  NAME: 0x42,
+  KEYWORD: 0x44,
+  URI: 0x45,
+  URI_SCHEME: 0x46,
+  CHARSET: 0x47,
+  NATURAL_LANGUAGE: 0x48,
+  MIME_MEDIA_TYPE: 0x49,
+  MEMBER_ATTR_NAME: 0x4a,
+};
+
+/** job-state enum values (RFC 8011 §5.3.7), with 'canceled' spelled as elsewhere in this app */
+const JOB_STATES = {
+  3: 'pending',
+  4: 'pending-held',
+  5: 'processing',
+  6: 'processing-stopped',
+  7: 'cancelled',
+  8: 'aborted',
+  9: 'completed',
+};
+
+/** printer-state enum values */
+const PRINTER_STATES = {
+  3: 'idle',
+  4: 'processing',
+  5: 'stopped',
+};
+
+const GROUP_NAMES = {
+  [GROUP_TAGS.OPERATION]: 'operation',
+  [GROUP_TAGS.JOB]: 'job',
+  [GROUP_TAGS.PRINTER]: 'printer',
+  [GROUP_TAGS.UNSUPPORTED]: 'unsupported',
+};
+
+let nextRequestId = 1;
+
+/**
+ * Encodes a single value for the given value tag.
+ * @param {number} tag - Value tag
+ * @param {*} value - Value to encode
+ * @returns {Buffer} Encoded value (without the length prefix)
+ */
+function encodeValue(tag, value) {
+  switch (tag) {
+    case VALUE_TAGS.INTEGER:
+    case VALUE_TAGS.ENUM: {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(value);
+      return buf;
+    }
+    case VALUE_TAGS.BOOLEAN:
+      return Buffer.from([value ? 1 : 0]);
+    case VALUE_TAGS.RANGE_OF_INTEGER: {
+      const buf = Buffer.alloc(8);
+      buf.writeInt32BE(value.lower);
+      buf.writeInt32BE(value.upper, 4);
+      return buf;
+    }
+    case VALUE_TAGS.NO_VALUE:
+      return Buffer.alloc(0);
+    default:
+      return Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  }
+}
+
+/**
+ * Encodes one attribute, possibly with several values.
+ * @param {number} tag - Value tag
+ * @param {string} name - Attribute name
+ * @param {*|Array<*>} values - Value or list of values
+ * @returns {Buffer} Encoded attribute
+ */
+function encodeAttribute(tag, name, values) {
+  const list = Array.isArray(values) ? values : [values];
+  const parts = list.map((value, index) => {
+    const nameBuf = Buffer.from(index === 0 ? name : '', 'utf8');
+    const valueBuf = encodeValue(tag, value);
+    const header = Buffer.alloc(3);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(nameBuf.length, 1);
+    const valueLength = Buffer.alloc(2);
+    valueLength.writeUInt16BE(valueBuf.length);
+    return Buffer.concat([header, nameBuf, valueLength, valueBuf]);
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encodes an IPP request. Attributes are `{ tag, name, value }` objects; the required
+ * attributes-charset and attributes-natural-language are added automatically.
+ * @param {number} operationId - Operation id from OPERATIONS
+ * @param {Array<Object>} operationAttributes - Operation attributes (after charset/language)
+ * @param {Object} [options] - Encoding options
+ * @param {Array<Object>} [options.jobAttributes] - Job template attributes
+ * @param {Buffer} [options.data] - Document data appended after the attributes
+ * @param {number} [options.requestId] - Request id (auto-incremented by default)
+ * @returns {Buffer} Encoded request
+ */
+function encodeRequest(operationId, operationAttributes, options = {}) {
+  const { jobAttributes = [], data, requestId = nextRequestId++ } = options;
+
+  const header = Buffer.alloc(8);
+  header.writeUInt8(1, 0); // version 1.1
+  header.writeUInt8(1, 1);
+  header.writeUInt16BE(operationId, 2);
+  header.writeInt32BE(requestId, 4);
+
+  const parts = [header, Buffer.from([GROUP_TAGS.OPERATION])];
+  parts.push(encodeAttribute(VALUE_TAGS.CHARSET, 'attributes-charset', 'utf-8'));
+  parts.push(encodeAttribute(VALUE_TAGS.NATURAL_LANGUAGE, 'attributes-natural-language', 'en'));
+  for (const attr of operationAttributes) {
+    parts.push(encodeAttribute(attr.tag, attr.name, attr.value));
+  }
+
+  if (jobAttributes.length > 0) {
+    parts.push(Buffer.from([GROUP_TAGS.JOB]));
+    for (const attr of jobAttributes) {
+      parts.push(encodeAttribute(attr.tag, attr.name, attr.value));
+    }
+  }
+
+  parts.push(Buffer.from([GROUP_TAGS.END]));
+  if (data) {
+    parts.push(data);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decodes a single value.
+ * @param {number} tag - Value tag
+ * @param {Buffer} buf - Raw value bytes
+ * @returns {*} Decoded value
+ */
+function decodeValue(tag, buf) {
+  switch (tag) {
+    case VALUE_TAGS.INTEGER:
+    case VALUE_TAGS.ENUM:
+      return buf.readInt32BE(0);
+    case VALUE_TAGS.BOOLEAN:
+      return buf.readUInt8(0) !== 0;
+    case VALUE_TAGS.RANGE_OF_INTEGER:
+      return { lower: buf.readInt32BE(0), upper: buf.readInt32BE(4) };
+    case VALUE_TAGS.RESOLUTION:
+      return { x: buf.readInt32BE(0), y: buf.readInt32BE(4), units: buf.readInt8(8) };
+    case VALUE_TAGS.DATE_TIME:
+      return buf;
+    case VALUE_TAGS.TEXT_WITH_LANGUAGE:
+    case VALUE_TAGS.NAME_WITH_LANGUAGE: {
+      const langLength = buf.readUInt16BE(0);
+      const textLength = buf.readUInt16BE(2 + langLength);
+      return buf.toString('utf8', 4 + langLength, 4 + langLength + textLength);
+    }
+    case VALUE_TAGS.UNSUPPORTED:
+    case VALUE_TAGS.UNKNOWN:
+    case VALUE_TAGS.NO_VALUE:
+      return null;
+    default:
+      return buf.toString('utf8');
+  }
+}
+
+/**
+ * Reads one attribute record (tag, name, value) at the given offset.
+ * @param {Buffer} buf - Response buffer
+ * @param {number} offset - Offset of the value tag
+ * @returns {{tag: number, name: string, raw: Buffer, next: number}} Record and next offset
+ */
+function readRecord(buf, offset) {
+  const tag = buf.readUInt8(offset);
+  const nameLength = buf.readUInt16BE(offset + 1);
+  const name = buf.toString('utf8', offset + 3, offset + 3 + nameLength);
+  const valueOffset = offset + 3 + nameLength;
+  const valueLength = buf.readUInt16BE(valueOffset);
+  const raw = buf.subarray(valueOffset + 2, valueOffset + 2 + valueLength);
+  return { tag, name, raw, next: valueOffset + 2 + valueLength };
+}
+
+/**
+ * Decodes a collection that starts after a begCollection record.
+ * @param {Buffer} buf - Response buffer
+ * @param {number} offset - Offset of the first member record
+ * @returns {{value: Object, next: number}} Decoded collection and offset after endCollection
+ */
+function decodeCollection(buf, offset) {
+  const value = {};
+  let memberName = null;
+  while (offset < buf.length) {
+    const record = readRecord(buf, offset);
+    offset = record.next;
+
+    if (record.tag === VALUE_TAGS.END_COLLECTION) {
+      break;
+    }
+    if (record.tag === VALUE_TAGS.MEMBER_ATTR_NAME) {
+      memberName = record.raw.toString('utf8');
+      continue;
+    }
+
+    let memberValue;
+    if (record.tag === VALUE_TAGS.BEG_COLLECTION) {
+      const nested = decodeCollection(buf, offset);
+      memberValue = nested.value;
+      offset = nested.next;
+    } else {
+      memberValue = decodeValue(record.tag, record.raw);
+    }
+    addValue(value, memberName, memberValue);
+  }
+  return { value, next: offset };
+}
+
+/**
+ * Adds a value to an attribute map, turning repeated names into arrays.
+ * @param {Object} target - Attribute map
+ * @param {string} name - Attribute name
+ * @param {*} value - Value to add
+ */
+function addValue(target, name, value) {
+  // Decoded values are never arrays themselves, so an array always means "multi-valued"
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+/**
+ * Decodes an IPP response.
+ * @param {Buffer} buf - Response body
+ * @returns {{version: string, statusCode: number, requestId: number,
+ *   operation: Object, job: Object, printer: Object, unsupported: Object}} Decoded response;
+ *   multi-valued attributes are arrays
+ * @throws {Error} If the buffer is too short to be an IPP response
+ */
+function decodeResponse(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 9) {
+    throw new Error('Invalid IPP response: too short');
+  }
+
+  const response = {
+    version: `${buf.readUInt8(0)}.${buf.readUInt8(1)}`,
+    statusCode: buf.readUInt16BE(2),
+    requestId: buf.readInt32BE(4),
+    operation: {},
+    job: {},
+    printer: {},
+    unsupported: {},
+  };
+
+  let offset = 8;
+  let group = null;
+  let lastName = null;
+  while (offset < buf.length) {
+    const tag = buf.readUInt8(offset);
+    if (tag === GROUP_TAGS.END) {
+      break;
+    }
+    if (tag < 0x10) {
+      // Repeated group tags (e.g. several jobs) are merged; callers only ask for one object
+      group = response[GROUP_NAMES[tag]] || {};
+      offset++;
+      continue;
+    }
+
+    const record = readRecord(buf, offset);
+    offset = record.next;
+    const name = record.name || lastName;
+    lastName = name;
+
+    let value;
+    if (record.tag === VALUE_TAGS.BEG_COLLECTION) {
+      const collection = decodeCollection(buf, offset);
+      value = collection.value;
+      offset = collection.next;
+    } else {
+      value = decodeValue(record.tag, record.raw);
+    }
+    if (group) {
+      addValue(group, name, value);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Converts an ipp:// or ipps:// URI to the http(s) URL the request is posted to.
+ * @param {string} uri - Printer or job URI
+ * @returns {URL} HTTP URL (port 631 by default)
+ * @throws {Error} If the URI scheme is not ipp, ipps, http or https
+ */
+function toHttpUrl(uri) {
+  const url = new URL(uri);
+  if (url.protocol === 'ipp:' || url.protocol === 'ipps:') {
+    const secure = url.protocol === 'ipps:';
+    const port = url.port || '631';
+    return new URL(`${secure ? 'https' : 'http'}://${url.hostname}:${port}${url.pathname}${url.search}`);
+  }
+  if (url.protocol === 'http:' || url.protocol === 'https:') {
+    return url;
+  }
+  throw new Error(`Unsupported IPP URI scheme: ${url.protocol}`);
+}
+
+/**
+ * Posts an encoded IPP request and decodes the response.
+ * @param {string} uri - Printer or job URI (ipp://, ipps://, http:// or https://)
+ * @param {Buffer} body - Encoded request
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeoutMs=10000] - Socket timeout
+ * @returns {Promise<Object>} Decoded response (see decodeResponse)
+ * @throws {Error} On network errors, timeouts, non-200 HTTP status or an IPP error status
+ */
+function sendRequest(uri, body, options = {}) {
+  const { timeoutMs = 10000 } = options;
+
+  return new Promise((resolve, reject) => {
+    // Inside the executor so a bad URI rejects instead of throwing
+    const url = toHttpUrl(uri);
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/ipp', 'Content-Length': body.length },
+        timeout: timeoutMs,
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`IPP request to ${url.host} failed with HTTP ${res.statusCode}`));
+            return;
+          }
+          try {
+            const response = decodeResponse(Buffer.concat(chunks));
+            // 0x0000-0x00FF are successful-ok variants
+            if (response.statusCode > 0x00ff) {
+              const message = response.operation['status-message'] || `status 0x${response.statusCode.toString(16)}`;
+              reject(new Error(`IPP request to ${url.host} failed: ${message}`));
+              return;
+            }
+            resolve(response);
+          } catch (err) {
+            reject(err);
+          }
+        });
+      }
+    );
+    req.on('timeout', () => {
+      req.destroy(new Error(`IPP request to ${url.host} timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/** Name sent as requesting-user-name */
+const REQUESTING_USER = 'helloclub';
+
+/**
+ * Builds the operation attributes that identify a job: job-uri alone, or printer-uri plus
+ * job-id (the form IPP Everywhere printers are required to support).
+ * @param {string} uri - Job URI, or printer URI when jobId is given
+ * @param {number} [jobId] - Job id on that printer
+ * @returns {Array<Object>} Operation attributes
+ */
+function jobTarget(uri, jobId) {
+  if (jobId === undefined) {
+    return [{ tag: VALUE_TAGS.URI, name: 'job-uri', value: uri }];
+  }
+  return [
+    { tag: VALUE_TAGS.URI, name: 'printer-uri', value: uri },
+    { tag: VALUE_TAGS.INTEGER, name: 'job-id', value: jobId },
+  ];
+}
+
+/**
+ * Reads the state of a job with Get-Job-Attributes.
+ * @param {string} uri - Job URI (e.g. ipp://localhost:631/jobs/42), or printer URI when jobId is given
+ * @param {number} [jobId] - Job id on the printer
+ * @param {Object} [options] - Request options (see sendRequest)
+ * @returns {Promise<{state: string, reasons: Array<string>, message: string|null}>} Job state
+ */
+async function getJobState(uri, jobId, options = {}) {
+  const body = encodeRequest(OPERATIONS.GET_JOB_ATTRIBUTES, [
+    ...jobTarget(uri, jobId),
+    { tag: VALUE_TAGS.NAME, name: 'requesting-user-name', value: REQUESTING_USER },
+    {
+      tag: VALUE_TAGS.KEYWORD,
+      name: 'requested-attributes',
+      value: ['job-state', 'job-state-reasons', 'job-printer-state-message'],
+    },
+  ]);
+  const response = await sendRequest(uri, body, options);
+  const { job } = response;
+  const reasons = job['job-state-reasons'];
+
+  return {
+    state: JOB_STATES[job['job-state']] || 'unknown',
+    reasons: reasons === undefined ? [] : [].concat(reasons),
+    message: job['job-printer-state-message'] || null,
+  };
+}
+
+/**
+ * Turns job-state-reasons and job-printer-state-message into one readable reason.
+ * @param {Array<string>} reasons - job-state-reasons keywords
+ * @param {string|null} message - job-printer-state-message
+ * @returns {string|null} Reason, or null when there is nothing worth reporting
+ */
+function formatJobReason(reasons, message) {
+  const meaningful = reasons.filter((r) => r !== 'none' && r !== 'job-completed-successfully');
+  return message || meaningful.join(', ') || null;
+}
+
+/**
+ * Cancels a job with Cancel-Job.
+ * @param {string} printerUri - Printer URI
+ * @param {number} jobId - Job id on the printer
+ * @param {Object} [options] - Request options (see sendRequest)
+ * @returns {Promise<void>}
+ */
+async function cancelJob(printerUri, jobId, options = {}) {
+  const body = encodeRequest(OPERATIONS.CANCEL_JOB, [
+    ...jobTarget(printerUri, jobId),
+    { tag: VALUE_TAGS.NAME, name: 'requesting-user-name', value: REQUESTING_USER },
+  ]);
+  await sendRequest(printerUri, body, options);
+}
+
+/**
+ * Submits a document with Print-Job.
+ * @param {string} printerUri - Printer URI, e.g. ipp://printer.local/ipp/print
+ * @param {Buffer} data - Document data
+ * @param {Object} [options] - Job options
+ * @param {string} [options.jobName] - Job name shown on the printer
+ * @param {string} [options.documentFormat='application/pdf'] - MIME type of the document
+ * @param {Array<Object>} [options.jobAttributes] - Job template attributes ({ tag, name, value })
+ * @param {number} [options.timeoutMs] - Request timeout (see sendRequest)
+ * @returns {Promise<{jobId: number, jobUri: string|null, state: string}>} The created job
+ */
+async function printJob(printerUri, data, options = {}) {
+  const { jobName = 'document', documentFormat = 'application/pdf', jobAttributes = [], timeoutMs } = options;
+  const body = encodeRequest(
+    OPERATIONS.PRINT_JOB,
+    [
+      { tag: VALUE_TAGS.URI, name: 'printer-uri', value: printerUri },
+      { tag: VALUE_TAGS.NAME, name: 'requesting-user-name', value: REQUESTING_USER },
+      { tag: VALUE_TAGS.NAME, name: 'job-name', value: jobName },
+      { tag: VALUE_TAGS.MIME_MEDIA_TYPE, name: 'document-format', value: documentFormat },
+    ],
+    { jobAttributes, data }
+  );
+  const response = await sendRequest(printerUri, body, { timeoutMs });
+  const { job } = response;
+
+  return {
+    jobId: job['job-id'],
+    jobUri: job['job-uri'] || null,
+    state: JOB_STATES[job['job-state']] || 'unknown',
+  };
+}
+
+/**
+ * Reads a printer's description and capabilities with Get-Printer-Attributes.
+ * @param {string} printerUri - Printer URI
+ * @param {Object} [options] - Request options (see sendRequest)
+ * @returns {Promise<Object>} Printer summary: uri, name, info, location, makeAndModel, state,
+ *   stateMessage, and the supported document formats, sides, media and finishings
+ */
+async function getPrinterAttributes(printerUri, options = {}) {
+  const body = encodeRequest(OPERATIONS.GET_PRINTER_ATTRIBUTES, [
+    { tag: VALUE_TAGS.URI, name: 'printer-uri', value: printerUri },
+    { tag: VALUE_TAGS.NAME, name: 'requesting-user-name', value: REQUESTING_USER },
+    {
+      tag: VALUE_TAGS.KEYWORD,
+      name: 'requested-attributes',
+      value: ['printer-description', 'job-template'],
+    },
+  ]);
+  const { printer } = await sendRequest(printerUri, body, options);
+  const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+  return {
+    uri: printerUri,
+    name: printer['printer-name'] || null,
+    info: printer['printer-info'] || null,
+    location: printer['printer-location'] || null,
+    makeAndModel: printer['printer-make-and-model'] || null,
+    state: PRINTER_STATES[printer['printer-state']] || 'unknown',
+    stateMessage: printer['printer-state-message'] || null,
+    documentFormats: list(printer['document-format-supported']),
+    sides: list(printer['sides-supported']),
+    media: list(printer['media-supported']),
+    finishings: list(printer['finishings-supported']),
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  GROUP_TAGS,
+  VALUE_TAGS,
+  JOB_STATES,
+  PRINTER_STATES,
+  encodeRequest,
+  decodeResponse,
+  sendRequest,
+  getJobState,
+  formatJobReason,
+  cancelJob,
+  printJob,
+  getPrinterAttributes,
+};
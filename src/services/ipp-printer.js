@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Direct IPP printing (printMode 'ipp'): submits PDFs to a network printer with
+ * Print-Job and tracks the job on the printer itself, for hosts without the CUPS client tools.
+ * @module ipp-printer
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const ipp = require('./ipp-client');
+const { waitForJobCompletion } = require('./cups-printer');
+
+/** finishings keywords accepted in config, mapped to their IPP enum values */
+const FINISHINGS = {
+  none: 3,
+  staple: 4,
+  punch: 5,
+  cover: 6,
+  bind: 7,
+  'saddle-stitch': 8,
+  'edge-stitch': 9,
+  'staple-top-left': 20,
+  'staple-bottom-left': 21,
+  'staple-top-right': 22,
+  'staple-bottom-right': 23,
+};
+
+/**
+ * Builds the IPP job template attributes for a print job.
+ * @param {Object} options - Job options
+ * @param {number} [options.copies=1] - Number of copies
+ * @param {string|null} [options.sides] - sides keyword, e.g. 'two-sided-long-edge'
+ * @param {string|null} [options.media] - media keyword, e.g. 'iso_a4_210x297mm'
+ * @param {Array<string>} [options.finishings] - finishings keywords, e.g. ['staple-top-left']
+ * @returns {Array<Object>} Job attributes for ipp-client
+ * @throws {Error} On an unknown finishings keyword
+ */
+function buildJobAttributes({ copies = 1, sides, media, finishings = [] }) {
+  const attributes = [{ tag: ipp.VALUE_TAGS.INTEGER, name: 'copies', value: copies }];
+  if (sides) {
+    attributes.push({ tag: ipp.VALUE_TAGS.KEYWORD, name: 'sides', value: sides });
+  }
+  if (media) {
+    attributes.push({ tag: ipp.VALUE_TAGS.KEYWORD, name: 'media', value: media });
+  }
+  if (finishings.length > 0) {
+    const values = finishings.map((keyword) => {
+      if (!(keyword in FINISHINGS)) {
+        throw new Error(`Unknown finishings value: ${keyword}`);
+      }
+      return FINISHINGS[keyword];
+    });
+    attributes.push({ tag: ipp.VALUE_TAGS.ENUM, name: 'finishings', value: values });
+  }
+  return attributes;
+}
+
+/**
+ * Prints a PDF file by sending an IPP Print-Job request straight to the printer,
+ * without the CUPS client tools.
+ * @param {string} filePath - Absolute path to the PDF file to print.
+ * @param {string} printerUri - Printer URI, e.g. ipp://192.168.1.50/ipp/print.
+ * @param {Object} [options] - Job options.
+ * @param {number} [options.copies=1] - Number of copies to print (1-10).
+ * @param {string|null} [options.sides] - sides keyword.
+ * @param {string|null} [options.media] - media keyword.
+ * @param {Array<string>} [options.finishings] - finishings keywords.
+ * @param {string} [options.jobName] - Job name shown on the printer.
+ * @param {number} [options.timeoutMs=60000] - Request timeout.
+ * @returns {Promise<{jobId: number, jobUri: string|null, state: string}>} The created job.
+ * @throws {Error} When the request fails or the printer rejects the job.
+ */
+async function printPdfIpp(filePath, printerUri, options = {}) {
+  const { copies = 1, jobName, timeoutMs = 60000 } = options;
+  if (!Number.isInteger(copies) || copies < 1 || copies > 10) {
+    throw new Error(`Invalid number of copies: ${copies}. Must be an integer between 1 and 10.`);
+  }
+
+  try {
+    const data = await fs.promises.readFile(filePath);
+    const job = await ipp.printJob(printerUri, data, {
+      jobName,
+      jobAttributes: buildJobAttributes({ ...options, copies }),
+      timeoutMs,
+    });
+    logger.info(`IPP print job submitted to ${printerUri}: job ${job.jobId} (${job.state})`);
+    return job;
+  } catch (error) {
+    const message = `IPP print failed for ${filePath}: ${error.message}`;
+    logger.error(message, error);
+    throw new Error(message);
+  }
+}
+
+/**
+ * Reads the state of a job on an IPP printer.
+ * @param {string} printerUri - Printer URI
+ * @param {number} jobId - Job id returned by Print-Job
+ * @returns {Promise<{state: string, reason: string|null}>} Job state and a readable reason
+ */
+async function getIppJobState(printerUri, jobId) {
+  const { state, reasons, message } = await ipp.getJobState(printerUri, jobId);
+  return { state, reason: ipp.formatJobReason(reasons, message) };
+}
+
+/**
+ * Polls a job on an IPP printer until it reaches a final state, cancelling it on timeout.
+ * @param {string} printerUri - Printer URI
+ * @param {number} jobId - Job id returned by Print-Job
+ * @param {Object} [options] - Polling options (pollIntervalMs, timeoutMs, onStateChange)
+ * @returns {Promise<{state: string, reason: string|null}>} Final state, or state 'timeout'
+ */
+function waitForIppJob(printerUri, jobId, options = {}) {
+  return waitForJobCompletion(jobId, {
+    ...options,
+    getState: (id) => getIppJobState(printerUri, id),
+    cancel: (id) => ipp.cancelJob(printerUri, id),
+    label: 'IPP',
+  });
+}
+
+module.exports = { printPdfIpp, getIppJobState, waitForIppJob, FINISHINGS };
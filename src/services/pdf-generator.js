@@ -7,15 +7,30 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const fontkit = require('fontkit');
+const QRCode = require('qrcode');
+const { checkPageLayout, resolveLabelSheet } = require('../utils/page-geometry');
+const { createCheckInToken, checkInExpiry, checkInUrl } = require('../core/check-in');
+const { standardFontHasGlyph, splitTextRuns } = require('../utils/text-runs');
+const { imposePages } = require('../utils/page-imposition');
+const RosterFormatter = require('./roster-formatter');
+const { DEFAULT_COLUMNS } = RosterFormatter;
+
+/** Space kept clear at the right of each cell, so wrapped text does not run into the next column */
+const CELL_GUTTER = 4;
+
+/** Group order for `groupBy: 'paymentStatus'`, as message keys of the status column */
+const PAYMENT_STATUS_GROUPS = ['status.paid', 'status.owing', 'status.noFee'];
 
 /**
  * Sanitizes and validates the output file path to prevent path traversal attacks.
  * This is a shared utility function also used by functions.js and tray-app/main.js.
  * @param {string} fileName - The filename from config (potentially unsafe)
+ * @param {string} [extension='.pdf'] - Extension the file must have, e.g. '.csv' for exports
  * @returns {string} - Safe absolute path for PDF output
  * @throws {Error} - If filename contains path traversal attempts
  */
-function sanitizeOutputPath(fileName) {
+function sanitizeOutputPath(fileName, extension = '.pdf') {
   // Extract just the filename (remove any directory paths)
   const basename = path.basename(fileName);
 
@@ -26,9 +41,9 @@ function sanitizeOutputPath(fileName) {
     );
   }
 
-  // Ensure it has .pdf extension
-  if (!basename.toLowerCase().endsWith('.pdf')) {
-    throw new Error(`Invalid output filename: "${fileName}". Filename must end with .pdf extension.`);
+  // Ensure it has the expected extension
+  if (!basename.toLowerCase().endsWith(extension)) {
+    throw new Error(`Invalid output filename: "${fileName}". Filename must end with ${extension} extension.`);
   }
 
   // Create safe absolute path in project root
@@ -38,24 +53,174 @@ function sanitizeOutputPath(fileName) {
 }
 
 /**
- * A class to generate PDF attendee lists for events.
+ * A class to generate PDF attendee lists, and name badges on label sheets, for events.
  */
-class PdfGenerator {
+class PdfGenerator extends RosterFormatter {
   /**
    * Creates an instance of PdfGenerator.
    * @param {Object} event - The event object.
    * @param {Array<Object>} attendees - An array of attendee objects.
-   * @param {Object} layout - The layout configuration for the PDF.
+   * @param {Object} layout - The layout configuration for the PDF, including the page size,
+   *   orientation and margins.
+   * @param {Object} [options] - Document options.
+   * @param {Object} [options.addendum] - Print a late sign-up addendum instead of the full list:
+   *   `{ since, additions, cancellations }`, where `since` is when the previous printout was made.
+   * @param {Object} [options.daySheet] - Print several events in one document: `{ sections }`, each
+   *   section `{ event, attendees, layout, waitlist, revision }`. `event` then only names the document
+   *   (cover title), and `layout` sets the page every section prints on.
+   * @param {Object} [options.checkIn] - Print a signed QR check-in code at the end of each attendee
+   *   row: `{ baseUrl, secret, qrSize, validHours }`. Rows grow to fit the code. Redacted lists (see
+   *   `options.privacy`) get no codes.
+   * @param {string} [options.locale='en-GB'] - Locale of dates, times and the fixed text (see i18n).
+   * @param {string|null} [options.timeZone] - Time zone of dates and times; the host's when not set.
+   * @param {Object} [options.badges] - Print name badges on a label sheet instead of the list:
+   *   `{ sheet, fields, padding }` as in the `badges` config. The page is the label sheet's.
+   * @param {number} [options.revision] - Revision of the list, counting the event's printouts. From 2 on,
+   *   the header shows it and every page is stamped with `layout.revisionWatermark`.
+   * @param {Array<Object>} [options.waitlist] - Waitlisted attendees in queue order, printed in a Waitlist
+   *   section after the confirmed `attendees` and counted in the header.
+   * @param {Object|null} [options.privacy] - Privacy profile to redact the list with (see
+   *   resolvePrivacyProfile): masked phones, abbreviated surnames, no fees or fewer columns.
+   * @throws {Error} If the page size is unknown, the columns (a day sheet section's included) do not fit
+   *   across the page, the labels do not fit on their sheet or a font file cannot be loaded
    */
-  constructor(event, attendees, layout) {
-    this.event = event;
-    this.attendees = attendees;
-    this.layout = layout;
-    this.doc = new PDFDocument({ size: 'A4', layout: 'portrait', margin: 50, bufferPages: true });
-    this.row_height = 28;
+  constructor(event, attendees, layout, options = {}) {
+    super(event, attendees, layout, options);
+    this.addendum = options.addendum || null;
+    this.daySheet = options.daySheet || null;
+    // A code checks its attendee in without a login, so it is not handed out on redacted copies
+    this.checkIn = (!options.privacy && options.checkIn) || null;
+    this.revision = options.revision || null;
+    this.waitlist = options.waitlist || [];
+    this.badges = options.badges ? { ...options.badges, sheet: resolveLabelSheet(options.badges.sheet) } : null;
+    // Everything below lays out against doc.page, so the geometry only has to be set here. Badges
+    // are placed on the label grid, which starts at the page corner.
+    const qrSize = this.checkIn ? this.checkIn.qrSize : 0;
+    const { size, margins } = this.badges
+      ? { size: this.badges.sheet.size, margins: { top: 0, bottom: 0, left: 0, right: 0 } }
+      : checkPageLayout(layout, (layout && layout.columns) || DEFAULT_COLUMNS, { qrSize });
+    // Day sheet sections print on the sheet's page, whatever page their own layout names
+    if (this.daySheet) {
+      this.daySheet.sections.forEach(({ event: sectionEvent, layout: sectionLayout }) =>
+        checkPageLayout(layout, (sectionLayout && sectionLayout.columns) || DEFAULT_COLUMNS, {
+          label: `The columns of "${sectionEvent.name}" on the day sheet`,
+          qrSize,
+        })
+      );
+    }
+    this.doc = new PDFDocument({ size, margins, bufferPages: true });
+    this.fonts = this._loadFonts((layout && layout.fonts) || {});
+    this.row_height = this.checkIn ? Math.max(28, this.checkIn.qrSize + 8) : 28;
     this.checkboxSize = 16; // Proportional to text
     this.pageNumber = 1; // Track current page number for footers
     this.footerPositions = []; // [{pageIndex, x, y, fontSize}] for deferred "x of y" rendering
+    this.indexPositions = []; // [{pageIndex, x, y, section}] for deferred day sheet index page numbers
+    this.sectionPages = []; // [{first, last, revision, layout}] 0-based pages of each day sheet section
+    // Label sheets must print one to one, so badges can only be reversed
+    this.pageOrder = {
+      reverse: Boolean(layout && layout.reversePageOrder),
+      imposition: (!this.badges && layout && layout.imposition) || 'none',
+      duplex: Boolean(!this.badges && layout && layout.duplexPadding),
+    };
+  }
+
+  /**
+   * Registers the configured font files with the document. The result is the fallback chain for
+   * `_drawText`: the primary font (the built-in Helvetica unless `fonts.regular` is set), then each
+   * of `fonts.fallbacks`. Fonts without a bold or italic file use their regular file for those.
+   * @param {Object} fonts - The `pdfLayout.fonts` config: `{ regular, bold, italic, fallbacks }`
+   * @returns {Array<{regular: string, bold: string, oblique: string, hasGlyph: function(number): boolean}>}
+   *   Registered font names per style, and whether the font has a glyph for a code point
+   * @throws {Error} If a font file is missing or not a TTF/OTF font
+   * @private
+   */
+  _loadFonts(fonts) {
+    const load = (file, name) => {
+      let font;
+      try {
+        font = fontkit.openSync(file);
+      } catch (error) {
+        throw new Error(`Cannot load font file "${file}": ${error.message}`);
+      }
+      if (typeof font.hasGlyphForCodePoint !== 'function') {
+        throw new Error(`Font file "${file}" is a font collection; use a single TTF or OTF font`);
+      }
+      this.doc.registerFont(name, file);
+      return font;
+    };
+
+    const primary = fonts.regular
+      ? (() => {
+          const font = load(fonts.regular, 'Regular');
+          return {
+            regular: 'Regular',
+            bold: fonts.bold ? (load(fonts.bold, 'Bold'), 'Bold') : 'Regular',
+            oblique: fonts.italic ? (load(fonts.italic, 'Italic'), 'Italic') : 'Regular',
+            hasGlyph: (codePoint) => font.hasGlyphForCodePoint(codePoint),
+          };
+        })()
+      : { regular: 'Helvetica', bold: 'Helvetica-Bold', oblique: 'Helvetica-Oblique', hasGlyph: standardFontHasGlyph };
+
+    const fallbacks = (fonts.fallbacks || []).map((fallback, index) => {
+      const { regular, bold } = typeof fallback === 'string' ? { regular: fallback } : fallback;
+      const name = `Fallback${index + 1}`;
+      const font = load(regular, name);
+      return {
+        regular: name,
+        bold: bold ? (load(bold, `${name}-Bold`), `${name}-Bold`) : name,
+        oblique: name,
+        hasGlyph: (codePoint) => font.hasGlyphForCodePoint(codePoint),
+      };
+    });
+    return [primary, ...fallbacks];
+  }
+
+  /**
+   * Draws text that may mix scripts: each character uses the first font in the fallback chain that
+   * has it, and right-to-left text (Arabic, Hebrew) is drawn in reading order and right-aligned.
+   * Text the primary font can print on its own is drawn exactly like `doc.text`. Mixed text is
+   * drawn on one line and cut off at `options.width`.
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge
+   * @param {number} y - Top of the line
+   * @param {Object} [options] - `doc.text` options (width, align, ...)
+   * @param {string} [style='regular'] - 'regular', 'bold' or 'oblique'
+   * @returns {number} The width of the text as drawn
+   * @private
+   */
+  _drawText(text, x, y, options = {}, style = 'regular') {
+    const value = String(text ?? '');
+    const { rtl, runs } = splitTextRuns(value, this.fonts);
+    const align = rtl && (!options.align || options.align === 'left') ? 'right' : options.align;
+
+    if (runs.length <= 1 && (runs.length === 0 || runs[0].font === 0)) {
+      this.doc.font(this.fonts[0][style]).text(value, x, y, { ...options, align });
+      return this.doc.widthOfString(value);
+    }
+
+    const widths = runs.map((run) => this.doc.font(this.fonts[run.font][style]).widthOfString(run.text));
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const width = options.width || total;
+    let runX = x;
+    if (total < width && align === 'right') {
+      runX = x + width - total;
+    } else if (total < width && align === 'center') {
+      runX = x + (width - total) / 2;
+    }
+
+    const lineHeight = this.doc.currentLineHeight(true);
+    this.doc.save();
+    this.doc.rect(x, y - lineHeight, width, lineHeight * 3).clip();
+    runs.forEach((run, index) => {
+      this.doc.font(this.fonts[run.font][style]).text(run.text, runX, y, { lineBreak: false });
+      runX += widths[index];
+    });
+    this.doc.restore();
+
+    this.doc.font(this.fonts[0][style]);
+    this.doc.x = x;
+    this.doc.y = y + lineHeight;
+    return Math.min(total, width);
   }
 
   /**
@@ -72,27 +237,46 @@ class PdfGenerator {
     const timestampSize = baseFontSize; // Timestamp uses base size
 
     // Event name (title) on the left
+    this.doc.fontSize(titleSize);
+    this._drawText(this.event.name, this.doc.page.margins.left, startY, {
+      width: pageWidth * 0.6,
+      align: 'left',
+    });
+
+    // Timestamp below event name, in the configured locale and time zone
+    const now = new Date();
+    const timestamp = this.i18n.t(this.revision > 1 ? 'header.asOfRevision' : 'header.asOf', {
+      date: this.i18n.formatDate(now),
+      time: this.i18n.formatTime(now),
+      revision: this.revision,
+    });
     this.doc
-      .font('Helvetica')
-      .fontSize(titleSize)
-      .text(this.event.name, this.doc.page.margins.left, startY, {
+      .font(this.fonts[0].regular)
+      .fontSize(timestampSize)
+      .text(timestamp, this.doc.page.margins.left, this.doc.y + 5, {
         width: pageWidth * 0.6,
         align: 'left',
       });
 
-    // Timestamp below event name
-    const now = new Date();
-    const formattedDate = now.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
-    const formattedTime = now
-      .toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: true })
-      .toUpperCase();
-    this.doc
-      .font('Helvetica')
-      .fontSize(timestampSize)
-      .text(`Attendees as of ${formattedDate}, ${formattedTime}`, this.doc.page.margins.left, this.doc.y + 5, {
+    // Places taken out of the event's capacity, and how many are waiting for one
+    const counts = [
+      ...(this.event.capacity
+        ? [
+            this.i18n.t('header.capacity', {
+              confirmed: this.attendees.length,
+              capacity: this.event.capacity,
+              count: this.attendees.length,
+            }),
+          ]
+        : []),
+      ...(this.waitlist.length > 0 ? [this.i18n.t('header.waitlisted', { count: this.waitlist.length })] : []),
+    ];
+    if (counts.length > 0) {
+      this.doc.text(counts.join(' · '), this.doc.page.margins.left, this.doc.y + 2, {
         width: pageWidth * 0.6,
         align: 'left',
       });
+    }
 
     // Logo on the right (if exists)
     if (this.layout.logo && fs.existsSync(this.layout.logo)) {
@@ -114,13 +298,7 @@ class PdfGenerator {
     const y = this.doc.y;
     const startX = this.doc.page.margins.left;
 
-    // Use columns from config, or fall back to default columns
-    const columns = this.layout.columns || [
-      { id: 'name', header: 'Name', width: 200 },
-      { id: 'phone', header: 'Phone', width: 120 },
-      { id: 'signUpDate', header: 'Signed up', width: 100 },
-      { id: 'fee', header: 'Fee', width: 80 },
-    ];
+    const columns = this._getColumns();
 
     // Get base font size from config (default 10)
     const baseFontSize = this.layout.fontSize || 10;
@@ -129,143 +307,172 @@ class PdfGenerator {
     let x = startX + this.checkboxSize + 10; // Start after checkbox space
 
     // Draw column headers
-    this.doc.font('Helvetica-Bold').fontSize(headerFontSize);
+    this.doc.fontSize(headerFontSize);
     columns.forEach((column) => {
-      this.doc.text(column.header, x, y, { width: column.width, align: 'left' });
+      this._drawText(column.header, x, y, { width: column.width, align: 'left' }, 'bold');
       x += column.width;
     });
 
     this.doc.moveDown(1.5);
-    this.doc.font('Helvetica').fontSize(baseFontSize);
+    this.doc.font(this.fonts[0].regular).fontSize(baseFontSize);
   }
 
   /**
-   * Retrieves a specific value from an attendee object based on a column ID.
-   * (Kept for backward compatibility with tests)
-   * @param {Object} attendee - The attendee object.
-   * @param {string} id - The ID of the column/value to retrieve.
-   * @returns {string} The formatted value for the specified ID.
+   * Draws a tick mark at the start of a cell.
+   * @param {number} x - Left edge of the cell
+   * @param {number} y - Top of the text line
+   * @param {number} size - Font size
    * @private
    */
-  _getAttendeeValue(attendee, id) {
-    switch (id) {
-      case 'name':
-        return this._formatName(attendee);
-      case 'phone':
-        return this._formatPhone(attendee);
-      case 'signUpDate':
-        return this._formatSignUpDate(attendee);
-      case 'fee':
-        return this._formatFee(attendee);
-      case 'status':
-        return attendee.isPaid ? 'Paid' : attendee.hasFee ? 'Owing' : 'No Fee';
-      default:
-        return attendee[id] || '';
-    }
+  _drawTick(x, y, size) {
+    this.doc
+      .moveTo(x + size * 0.1, y + size * 0.5)
+      .lineTo(x + size * 0.4, y + size * 0.85)
+      .lineTo(x + size, y + size * 0.05)
+      .lineWidth(1.5)
+      .stroke();
+    this.doc.lineWidth(1);
   }
 
   /**
-   * Formats attendee name as "Firstname Lastname"
+   * Gets the color for fee text based on payment status
    * @param {Object} attendee - The attendee object
-   * @returns {string} Formatted name
+   * @returns {string} Color name for fee text
    * @private
    */
-  _formatName(attendee) {
-    const firstName = attendee.firstName || '';
-    const lastName = attendee.lastName || '';
-    return firstName && lastName ? `${firstName} ${lastName}` : firstName || lastName;
-  }
+  _getFeeColor(attendee) {
+    // Membership is always green/teal
+    if (this._isMembership(attendee)) {
+      return '#008080'; // Teal color matching the sample
+    }
 
-  /**
-   * Formats phone number
-   * @param {Object} attendee - The attendee object
-   * @returns {string} Phone number
-   * @private
-   */
-  _formatPhone(attendee) {
-    return attendee.phone || '';
+    // Paid fees are green
+    if (attendee.hasFee && attendee.isPaid) {
+      return '#008080'; // Teal color matching the sample
+    }
+
+    // Unpaid fees are red
+    if (attendee.hasFee && !attendee.isPaid) {
+      return '#DC143C'; // Crimson red
+    }
+
+    // Default black for no fee
+    return 'black';
   }
 
   /**
-   * Formats sign-up date
-   * @param {Object} attendee - The attendee object
-   * @returns {string} Formatted date
+   * Measures text as `_drawText` draws it, each run in the font that prints it.
+   * @param {string} text - Text to measure
+   * @param {string} [style='regular'] - 'regular', 'bold' or 'oblique'
+   * @returns {number} Width in points at the current font size
    * @private
    */
-  _formatSignUpDate(attendee) {
-    if (attendee.signUpDate == null) {
-      return '';
-    }
-    return new Date(attendee.signUpDate).toLocaleDateString('en-GB', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-    });
+  _textWidth(text, style = 'regular') {
+    const { runs } = splitTextRuns(text, this.fonts);
+    const width = runs.reduce(
+      (total, run) => total + this.doc.font(this.fonts[run.font][style]).widthOfString(run.text),
+      0
+    );
+    this.doc.font(this.fonts[0][style]);
+    return width;
   }
 
   /**
-   * Formats fee amount with currency symbol
-   * @param {Object} attendee - The attendee object
-   * @returns {string} Fee amount, "Membership", or empty string
+   * Breaks cell text into lines that fit the column, at spaces where it can and between characters
+   * for words wider than the column. Text that needs more than `maxLines` lines is cut short, the
+   * last line ending in an ellipsis.
+   * @param {string} text - Cell text
+   * @param {number} width - Column width in points
+   * @param {number} maxLines - Most lines to use
+   * @param {string} [style='regular'] - 'regular', 'bold' or 'oblique'
+   * @returns {Array<string>} The lines, none for empty text
    * @private
    */
-  _formatFee(attendee) {
-    // Check if it's a membership using the hasMembershipRule flag or rule.type
-    if (attendee.hasMembershipRule || (attendee.rule && attendee.rule.type === 'membership')) {
-      return 'Membership';
+  _wrapText(text, width, maxLines, style = 'regular') {
+    const value = String(text ?? '').trim();
+    if (value === '' || this._textWidth(value, style) <= width) {
+      return value === '' ? [] : [value];
     }
 
-    // Also check rule.name for backward compatibility with test data
-    if (attendee.rule && attendee.rule.name && attendee.rule.name.toLowerCase().includes('membership')) {
-      return 'Membership';
+    const lines = [];
+    let line = '';
+    for (const word of value.split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (this._textWidth(candidate, style) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = '';
+      for (const char of Array.from(word)) {
+        if (line && this._textWidth(line + char, style) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+      // Past the limit the rest is never printed, so stop measuring it
+      if (lines.length > maxLines) {
+        break;
+      }
     }
-
-    // Format fee with dollar sign
-    if (attendee.hasFee && attendee.rule && attendee.rule.fee) {
-      return '$' + parseFloat(attendee.rule.fee).toFixed(2);
+    if (line) {
+      lines.push(line);
+    }
+    if (lines.length <= maxLines) {
+      return lines;
     }
 
-    return '';
+    const kept = lines.slice(0, maxLines);
+    const last = Array.from(kept[maxLines - 1]);
+    while (last.length > 0 && this._textWidth(`${last.join('')}…`, style) > width) {
+      last.pop();
+    }
+    kept[maxLines - 1] = `${last.join('').trimEnd()}…`;
+    return kept;
   }
 
   /**
-   * Gets the color for fee text based on payment status
-   * @param {Object} attendee - The attendee object
-   * @returns {string} Color name for fee text
+   * Formats and wraps the cells of an attendee row, and works out the row's height: the base row
+   * height, plus a line for each line of the tallest cell after the first.
+   * @param {Object} attendee - The attendee object for the row.
+   * @returns {{cells: Array<{lines: Array<string>, width: number, color: string, tick: boolean}>,
+   *   height: number}} The row layout, for `_generateTableRow`
    * @private
    */
-  _getFeeColor(attendee) {
-    // Membership is always green/teal
-    if (attendee.hasMembershipRule || (attendee.rule && attendee.rule.type === 'membership')) {
-      return '#008080'; // Teal color matching the sample
-    }
-
-    // Also check rule.name for backward compatibility with test data
-    if (attendee.rule && attendee.rule.name && attendee.rule.name.toLowerCase().includes('membership')) {
-      return '#008080'; // Teal color matching the sample
-    }
-
-    // Paid fees are green
-    if (attendee.hasFee && attendee.isPaid) {
-      return '#008080'; // Teal color matching the sample
-    }
-
-    // Unpaid fees are red
-    if (attendee.hasFee && !attendee.isPaid) {
-      return '#DC143C'; // Crimson red
-    }
+  _layoutRow(attendee) {
+    const baseFontSize = this.layout.fontSize || 10;
+    const defaultMaxLines = this.layout.maxLines || 2;
+
+    this.doc.fontSize(baseFontSize);
+    const cells = this._getColumns().map((col) => {
+      const { text, value, builtIn } = this._getCell(attendee, col);
+      const shortened =
+        col.maxLength && text.length > col.maxLength ? `${text.slice(0, col.maxLength - 1).trimEnd()}…` : text;
+      return {
+        lines: this._wrapText(shortened, col.width - CELL_GUTTER, col.maxLines || defaultMaxLines),
+        width: col.width,
+        // Apply color coding for fee column
+        color: col.id === 'fee' ? this._getFeeColor(attendee) : 'black',
+        tick: !builtIn && col.format === 'tick' && this._isTicked(value),
+      };
+    });
 
-    // Default black for no fee
-    return 'black';
+    const lineCount = Math.max(1, ...cells.map((cell) => cell.lines.length));
+    return { cells, height: this.row_height + (lineCount - 1) * this.doc.currentLineHeight(true) };
   }
 
   /**
    * Generates a single row in the attendee table.
    * @param {Object} attendee - The attendee object for the row.
    * @param {number} y - The y-coordinate to draw the row at.
+   * @param {Object} [row] - The row layout from `_layoutRow`, if the caller already has it
+   * @returns {number} The height of the row
    * @private
    */
-  _generateTableRow(attendee, y) {
+  _generateTableRow(attendee, y, row = this._layoutRow(attendee)) {
     const startX = this.doc.page.margins.left;
 
     // Get base font size from config (default 10)
@@ -277,44 +484,226 @@ class PdfGenerator {
     const checkboxY = textCenterY - this.checkboxSize / 2;
     this.doc.rect(startX, checkboxY, this.checkboxSize, this.checkboxSize).stroke();
 
-    // Use columns from config, or fall back to default columns
-    const configColumns = this.layout.columns || [
-      { id: 'name', header: 'Name', width: 200 },
-      { id: 'phone', header: 'Phone', width: 120 },
-      { id: 'signUpDate', header: 'Signed up', width: 100 },
-      { id: 'fee', header: 'Fee', width: 80 },
+    let x = startX + this.checkboxSize + 10;
+
+    // Draw column values with appropriate colors, one wrapped line under the other
+    this.doc.fontSize(baseFontSize);
+    const lineHeight = this.doc.currentLineHeight(true);
+    row.cells.forEach((cell) => {
+      if (cell.tick) {
+        this._drawTick(x, y, baseFontSize);
+      }
+      this.doc.fillColor(cell.color);
+      cell.lines.forEach((line, index) => {
+        // The lines already fit; the height and ellipsis stop pdfkit wrapping them again over rounding
+        this._drawText(line, x, y + index * lineHeight, {
+          width: cell.width,
+          height: lineHeight,
+          align: 'left',
+          ellipsis: true,
+        });
+      });
+      x += cell.width;
+    });
+
+    // Reset to black for next row
+    this.doc.fillColor('black');
+
+    if (this.checkIn) {
+      const token = createCheckInToken(
+        this.event.id,
+        attendee.id,
+        this.checkIn.secret,
+        checkInExpiry(this.event, this.checkIn.validHours)
+      );
+      if (token) {
+        const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+        const size = this.checkIn.qrSize;
+        this._drawQrCode(checkInUrl(this.checkIn.baseUrl, token), startX + pageWidth - size, y - 2, size);
+      }
+    }
+    return row.height;
+  }
+
+  /**
+   * Draws a QR code as vector rectangles, so it stays sharp at any print resolution.
+   * @param {string} text - The encoded text, e.g. a check-in URL
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} size - Width and height in points
+   * @private
+   */
+  _drawQrCode(text, x, y, size) {
+    // Low error correction keeps the modules large enough to scan at small sizes
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'L' });
+    const moduleSize = size / modules.size;
+    for (let row = 0; row < modules.size; row++) {
+      // Runs of dark modules in a row become one rectangle
+      let runStart = null;
+      for (let col = 0; col <= modules.size; col++) {
+        const dark = col < modules.size && modules.get(row, col);
+        if (dark && runStart === null) {
+          runStart = col;
+        } else if (!dark && runStart !== null) {
+          this.doc.rect(x + runStart * moduleSize, y + row * moduleSize, (col - runStart) * moduleSize, moduleSize);
+          runStart = null;
+        }
+      }
+    }
+    this.doc.fill('black');
+  }
+
+  /**
+   * Splits the attendees into the groups of `layout.groupBy`, keeping their order within each group.
+   * Payment status groups come in PAYMENT_STATUS_GROUPS order; membership rules / ticket types are
+   * alphabetical in the configured locale, with attendees without one last.
+   * @returns {Array<{name: string, attendees: Array<Object>}>} Non-empty groups
+   * @private
+   */
+  _groupAttendees() {
+    const byPaymentStatus = this.layout.groupBy === 'paymentStatus';
+    const noRuleGroup = this.i18n.t('group.noTicketType');
+    const groups = new Map();
+    this.attendees.forEach((attendee) => {
+      const name = byPaymentStatus
+        ? this._getAttendeeValue(attendee, 'status')
+        : (attendee.rule && attendee.rule.name) || noRuleGroup;
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(attendee);
+    });
+
+    const order = byPaymentStatus
+      ? PAYMENT_STATUS_GROUPS.map((key) => this.i18n.t(key))
+      : [...groups.keys()]
+          .filter((name) => name !== noRuleGroup)
+          .sort((a, b) => a.localeCompare(b, this.i18n.locale))
+          .concat(noRuleGroup);
+    return order.filter((name) => groups.has(name)).map((name) => ({ name, attendees: groups.get(name) }));
+  }
+
+  /**
+   * Counts attendees as paid, owing or no fee (as in the status column) and adds up the fees paid
+   * and owing. Memberships count as paid or owing but add nothing to the fee totals.
+   * @param {Array<Object>} attendees - The attendees to count
+   * @returns {{paid: number, owing: number, noFee: number, paidAmount: number, owingAmount: number}} Totals
+   * @private
+   */
+  _tallyPayments(attendees) {
+    const totals = { paid: 0, owing: 0, noFee: 0, paidAmount: 0, owingAmount: 0 };
+    attendees.forEach((attendee) => {
+      const fee = !this._isMembership(attendee) && attendee.hasFee && attendee.rule ? attendee.rule.fee : 0;
+      const amount = parseFloat(fee) || 0;
+      if (attendee.isPaid) {
+        totals.paid++;
+        totals.paidAmount += amount;
+      } else if (attendee.hasFee) {
+        totals.owing++;
+        totals.owingAmount += amount;
+      } else {
+        totals.noFee++;
+      }
+    });
+    return totals;
+  }
+
+  /**
+   * Builds a group's subtotal line: attendee count, paid vs owing, and the fees paid and owing
+   * unless the privacy profile hides fees.
+   * @param {Array<Object>} attendees - The group's attendees
+   * @returns {string} e.g. "12 attendees: 8 paid, 3 owing, 1 no fee. Fees: $120.00 paid, $45.00 owing"
+   * @private
+   */
+  _formatGroupSubtotal(attendees) {
+    const totals = this._tallyPayments(attendees);
+
+    // Only what the group has, e.g. a "Paid" group just says how many paid and how much
+    const { t } = this.i18n;
+    const part = (count, text) => (count > 0 ? [text] : []);
+    const counts = [
+      ...part(totals.paid, t('subtotal.paid', { count: totals.paid })),
+      ...part(totals.owing, t('subtotal.owing', { count: totals.owing })),
+      ...part(totals.noFee, t('subtotal.noFee', { count: totals.noFee })),
     ];
+    const fees = this._hidesFees()
+      ? []
+      : [
+          ...part(totals.paidAmount, t('subtotal.amountPaid', { amount: this._formatAmount(totals.paidAmount) })),
+          ...part(totals.owingAmount, t('subtotal.amountOwing', { amount: this._formatAmount(totals.owingAmount) })),
+        ];
+    return t(fees.length > 0 ? 'subtotal.lineWithFees' : 'subtotal.line', {
+      attendees: t('subtotal.attendees', { count: attendees.length }),
+      counts: counts.join(', '),
+      fees: fees.join(', '),
+    });
+  }
 
-    // Map column IDs to formatters
-    const formatters = {
-      name: (att) => this._formatName(att),
-      phone: (att) => this._formatPhone(att),
-      signUpDate: (att) => this._formatSignUpDate(att),
-      fee: (att) => this._formatFee(att),
-      status: (att) => (att.isPaid ? 'Paid' : att.hasFee ? 'Unpaid' : 'No Fee'),
+  /**
+   * Generates the attendee rows split into groups (`layout.groupBy`), each with a heading and a
+   * subtotal line. A group that runs onto a new page gets its heading again, marked "continued".
+   * @param {number} y - The y-coordinate of the first row
+   * @param {number} pageBreakThreshold - Y coordinate of the page break boundary
+   * @returns {number} The y-coordinate after the last group
+   * @private
+   */
+  _generateGroupedRows(y, pageBreakThreshold) {
+    const baseFontSize = this.layout.fontSize || 10;
+    const startX = this.doc.page.margins.left;
+    const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    const columnsX = startX + this.checkboxSize + 10;
+
+    const writeGroupHeader = (title) => {
+      this.doc.fontSize(baseFontSize + 2).fillColor('black');
+      this._drawText(title, startX, y, { width: pageWidth }, 'bold');
+      const lineY = y + this.row_height - 8;
+      this.doc
+        .moveTo(startX, lineY)
+        .lineTo(startX + pageWidth, lineY)
+        .lineWidth(0.5)
+        .stroke();
+      y += this.row_height;
+    };
+    // Footer the current page and start a fresh one (table header drawn via 'pageAdded')
+    const addNewPage = () => {
+      this._addPageFooter();
+      this.doc.addPage();
+      this.pageNumber++;
+      y = this.doc.y;
+    };
+    const continueOnNewPage = (group) => {
+      addNewPage();
+      writeGroupHeader(this.i18n.t('group.continued', { name: group.name }));
     };
 
-    // Build column data with dynamic formatting
-    const columns = configColumns.map((col) => {
-      const formatter = formatters[col.id] || (() => '');
-      const value = formatter(attendee);
-      // Apply color coding for fee column
-      const color = col.id === 'fee' ? this._getFeeColor(attendee) : 'black';
-      return { value, width: col.width, color };
-    });
+    this._groupAttendees().forEach((group) => {
+      const rows = group.attendees.map((attendee) => this._layoutRow(attendee));
+      // Keep a heading together with at least its first row
+      if (y + this.row_height + rows[0].height > pageBreakThreshold) {
+        addNewPage();
+      }
+      writeGroupHeader(this.i18n.t('group.heading', { name: group.name, count: group.attendees.length }));
 
-    let x = startX + this.checkboxSize + 10;
+      group.attendees.forEach((attendee, index) => {
+        if (y + rows[index].height > pageBreakThreshold) {
+          continueOnNewPage(group);
+        }
+        y += this._generateTableRow(attendee, y, rows[index]);
+      });
 
-    // Draw column values with appropriate colors
-    this.doc.font('Helvetica').fontSize(baseFontSize);
-    columns.forEach((column) => {
-      this.doc.fillColor(column.color);
-      this.doc.text(column.value, x, y, { width: column.width, align: 'left' });
-      x += column.width;
+      if (y + this.row_height > pageBreakThreshold) {
+        continueOnNewPage(group);
+      }
+      this.doc
+        .font(this.fonts[0].oblique)
+        .fontSize(baseFontSize)
+        .fillColor('black')
+        .text(this._formatGroupSubtotal(group.attendees), columnsX, y, { width: startX + pageWidth - columnsX });
+      y += this.row_height;
     });
 
-    // Reset to black for next row
-    this.doc.fillColor('black');
+    this.doc.y = y;
+    return y;
   }
 
   /**
@@ -334,6 +723,9 @@ class PdfGenerator {
       y: footerY,
       fontSize: footerFontSize,
       pageNum: this.pageNumber,
+      // Day sheets name the event on every page, so a loose page can be put back
+      label: this.daySheet ? this.event.name : null,
+      labelX: this.doc.page.margins.left,
     });
   }
 
@@ -349,11 +741,20 @@ class PdfGenerator {
 
     for (const footer of this.footerPositions) {
       this.doc.switchToPage(footer.pageIndex);
+      if (footer.label) {
+        this.doc.fontSize(footer.fontSize * 0.8).fillColor('black');
+        this._drawText(footer.label, footer.labelX, footer.y, {
+          width: footer.x - footer.labelX - 10,
+          height: footer.fontSize,
+          ellipsis: true,
+          lineBreak: false,
+        });
+      }
       this.doc
-        .font('Helvetica-Bold')
+        .font(this.fonts[0].bold)
         .fontSize(footer.fontSize)
         .fillColor('black')
-        .text(`${footer.pageNum} of ${totalPages} pages`, footer.x, footer.y, {
+        .text(this.i18n.t('footer.pages', { page: footer.pageNum, total: totalPages }), footer.x, footer.y, {
           width: 150,
           align: 'right',
         });
@@ -363,6 +764,119 @@ class PdfGenerator {
     this.doc.switchToPage(savedPage);
   }
 
+  /**
+   * Stamps every page of a reprinted list with the revision watermark, light red across the page
+   * diagonal. `layout.revisionWatermark` is the text with `{revision}` and `{time}` filled in, true
+   * for the default "UPDATED – rev 2, 18:42" or false for none. On a day sheet each event's pages
+   * carry its own revision and setting.
+   * @private
+   */
+  _renderWatermark() {
+    const { start, count } = this.doc.bufferedPageRange();
+    const runs = this.daySheet
+      ? this.sectionPages
+      : [{ first: start, last: start + count - 1, revision: this.revision, layout: this.layout }];
+    const time = this.i18n.formatTime(new Date());
+
+    for (const run of runs) {
+      const setting = run.layout.revisionWatermark ?? true;
+      if (!(run.revision > 1) || setting === false) {
+        continue;
+      }
+      const params = { revision: run.revision, time };
+      const text =
+        typeof setting === 'string'
+          ? setting.replace(/\{(revision|time)\}/g, (_placeholder, name) => params[name])
+          : this.i18n.t('watermark.updated', params);
+
+      for (let index = run.first; index <= run.last; index++) {
+        this.doc.switchToPage(index);
+        const { width, height } = this.doc.page;
+        const diagonal = Math.hypot(width, height);
+        // As large as fits along most of the diagonal
+        this.doc.fontSize(10);
+        const fontSize = Math.min(72, (10 * diagonal * 0.7) / this._textWidth(text, 'bold'));
+        this.doc
+          .save()
+          .rotate((-Math.atan2(height, width) * 180) / Math.PI, { origin: [width / 2, height / 2] })
+          .fontSize(fontSize)
+          .fillColor('red')
+          .fillOpacity(0.2);
+        this._drawText(
+          text,
+          (width - diagonal) / 2,
+          (height - fontSize) / 2,
+          { width: diagonal, align: 'center', lineBreak: false },
+          'bold'
+        );
+        this.doc.restore();
+      }
+    }
+    this.doc.switchToPage(start + count - 1);
+  }
+
+  /**
+   * Generates the Waitlist section after the confirmed attendees: each waitlisted attendee with their
+   * queue position and a check box, for places that free up at the door. The phone number is printed
+   * when the list has a phone column.
+   * @param {number} y - Current y position after the last attendee row.
+   * @param {number} pageBreakThreshold - Y coordinate of the page break boundary.
+   * @returns {number} The y-coordinate after the section
+   * @private
+   */
+  _generateWaitlist(y, pageBreakThreshold) {
+    if (this.waitlist.length === 0) {
+      return y;
+    }
+    const baseFontSize = this.layout.fontSize || 10;
+    const startX = this.doc.page.margins.left;
+    const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    const titleSize = baseFontSize * 1.4;
+    const textX = startX + this.checkboxSize + 10;
+    const showPhone = this._getColumns().some((column) => column.id === 'phone' && !column.source);
+
+    const addNewPage = () => {
+      this._addPageFooter();
+      this.doc.addPage();
+      this.pageNumber++;
+      return this.doc.y;
+    };
+
+    // Keep the title together with the first row
+    y += 20;
+    if (y + titleSize * 1.6 + this.row_height > pageBreakThreshold) {
+      y = addNewPage();
+    }
+    this.doc
+      .font(this.fonts[0].bold)
+      .fontSize(titleSize)
+      .fillColor('black')
+      .text(this.i18n.t('waitlist.title', { count: this.waitlist.length }), startX, y, { width: pageWidth });
+    y = this.doc.y + 6;
+
+    this.doc.fontSize(baseFontSize);
+    this.waitlist.forEach((attendee, index) => {
+      if (y + this.row_height > pageBreakThreshold) {
+        y = addNewPage();
+        this.doc.fontSize(baseFontSize).fillColor('black');
+      }
+      const checkboxY = y + baseFontSize / 2 - this.checkboxSize / 2;
+      this.doc.lineWidth(0.5).rect(startX, checkboxY, this.checkboxSize, this.checkboxSize).stroke();
+
+      const phone = showPhone ? this._formatPhone(attendee) : '';
+      const name = `${index + 1}.  ${this._formatName(attendee)}`;
+      this._drawText(phone ? `${name}    ${phone}` : name, textX, y, {
+        width: startX + pageWidth - textX,
+        height: baseFontSize * 1.2,
+        ellipsis: true,
+      });
+      y += this.row_height;
+    });
+
+    this.doc.y = y;
+    return y;
+  }
+
   /**
    * Generates the write-in section on the last page: an instruction message and
    * 10 blank ruled rows for unlisted players to add their details by hand.
@@ -398,20 +912,18 @@ class PdfGenerator {
     // Section title
     y += gapAbove;
     this.doc
-      .font('Helvetica-Bold')
+      .font(this.fonts[0].bold)
       .fontSize(titleSize)
       .fillColor('black')
-      .text('Not on the list?', startX, y, { width: pageWidth });
+      .text(this.i18n.t('writeIn.title'), startX, y, { width: pageWidth });
     y = this.doc.y + 4;
 
     // Subtitle
     this.doc
-      .font('Helvetica')
+      .font(this.fonts[0].regular)
       .fontSize(baseFontSize)
       .fillColor('black')
-      .text('Please write your first and last name, email address and/or contact phone number below.', startX, y, {
-        width: pageWidth,
-      });
+      .text(this.i18n.t('writeIn.instructions'), startX, y, { width: pageWidth });
     y = this.doc.y + 8;
 
     // 10 blank write-in rows: checkbox + ruled line
@@ -438,11 +950,99 @@ class PdfGenerator {
     this.doc.y = y;
   }
 
+  /**
+   * Generates the totals summary for reconciling the door takings: attendees in total and by
+   * sign-up status, paid / owing / no fee, and fees expected vs received. Printed below the
+   * write-in section, or on its own page when `layout.summary` is 'page' or it does not fit. The fee
+   * block is left out when the privacy profile hides fees.
+   * @param {number} y - Current y position after the write-in section.
+   * @param {number} pageBreakThreshold - Y coordinate of the page break boundary.
+   * @private
+   */
+  _generateSummary(y, pageBreakThreshold) {
+    const baseFontSize = this.layout.fontSize || 10;
+    const startX = this.doc.page.margins.left;
+    const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    const tableWidth = Math.min(pageWidth, 300);
+    const titleSize = baseFontSize * 1.4;
+    const lineHeight = baseFontSize * 1.8;
+
+    const { t } = this.i18n;
+    const totals = this._tallyPayments(this.attendees);
+    const statusCounts = new Map();
+    this.attendees.forEach((attendee) => {
+      // Statuses the catalogue does not know print as the API sends them, capitalised
+      const status = attendee.status || 'unknown';
+      const key = `status.${status.toLowerCase()}`;
+      const label = t(key) !== key ? t(key) : status.charAt(0).toUpperCase() + status.slice(1);
+      statusCounts.set(label, (statusCounts.get(label) || 0) + 1);
+    });
+
+    // `separator` rules off the payment and fee blocks
+    const rows = [
+      { label: t('summary.attendees'), value: this.attendees.length, bold: true },
+      ...[...statusCounts]
+        .sort(([a], [b]) => a.localeCompare(b, this.i18n.locale))
+        .map(([label, count]) => ({ label, value: count, indent: 12 })),
+      { label: t('status.paid'), value: totals.paid, separator: true },
+      { label: t('status.owing'), value: totals.owing },
+      { label: t('status.noFee'), value: totals.noFee },
+      ...(this._hidesFees()
+        ? []
+        : [
+            {
+              label: t('summary.feesExpected'),
+              value: this._formatAmount(totals.paidAmount + totals.owingAmount),
+              separator: true,
+            },
+            { label: t('summary.feesReceived'), value: this._formatAmount(totals.paidAmount) },
+            { label: t('summary.outstanding'), value: this._formatAmount(totals.owingAmount), bold: true },
+          ]),
+    ];
+
+    const sectionHeight = 20 + titleSize * 1.6 + rows.length * lineHeight;
+    if (this.layout.summary === 'page' || y + sectionHeight > pageBreakThreshold) {
+      this._addPageFooter();
+      this.doc.addPage();
+      this.pageNumber++;
+      y = this.doc.y;
+    } else {
+      y += 20;
+    }
+
+    this.doc
+      .font(this.fonts[0].bold)
+      .fontSize(titleSize)
+      .fillColor('black')
+      .text(t('summary.title'), startX, y, { width: tableWidth });
+    y = this.doc.y + 6;
+
+    rows.forEach((row) => {
+      if (row.separator) {
+        this.doc
+          .moveTo(startX, y - 4)
+          .lineTo(startX + tableWidth, y - 4)
+          .lineWidth(0.5)
+          .stroke();
+      }
+      const indent = row.indent || 0;
+      this.doc.font(row.bold ? this.fonts[0].bold : this.fonts[0].regular).fontSize(baseFontSize);
+      this.doc.text(row.label, startX + indent, y, { width: tableWidth - indent - 100 });
+      this.doc.text(String(row.value), startX + tableWidth - 100, y, { width: 100, align: 'right' });
+      y += lineHeight;
+    });
+
+    this.doc.y = y;
+  }
+
   /**
    * Generates the entire attendee table, handling page breaks.
    * @private
    */
   _generateTable() {
+    // Day sheets set the attendees and layout per section, so each list is sorted here
+    this.attendees = this._sortAttendees(this.attendees);
+
     const writePageHeader = () => {
       this._generateHeader();
       this._generateTableHeader();
@@ -457,34 +1057,335 @@ class PdfGenerator {
     const pageBreakThreshold = this.doc.page.height - this.doc.page.margins.bottom - footerReserved;
 
     let y = this.doc.y;
-    this.attendees.forEach((attendee) => {
-      if (y + this.row_height > pageBreakThreshold) {
-        // Add page footer before adding new page
-        this._addPageFooter();
-        this.doc.addPage();
-        this.pageNumber++; // Increment page number for new page
-        y = this.doc.y;
-      }
-      this._generateTableRow(attendee, y);
-      y += this.row_height;
-      this.doc.y = y;
-    });
+    if (this.layout.groupBy) {
+      y = this._generateGroupedRows(y, pageBreakThreshold);
+    } else {
+      this.attendees.forEach((attendee) => {
+        // Rows grow with wrapped text, so measure each one before deciding whether it fits
+        const row = this._layoutRow(attendee);
+        if (y + row.height > pageBreakThreshold) {
+          // Add page footer before adding new page
+          this._addPageFooter();
+          this.doc.addPage();
+          this.pageNumber++; // Increment page number for new page
+          y = this.doc.y;
+        }
+        y += this._generateTableRow(attendee, y, row);
+        this.doc.y = y;
+      });
+    }
 
     // Switch to a write-in page header (event header only, no column headers) before
-    // the write-in section, so any overflow page looks correct
+    // the waitlist and write-in sections, so any overflow page looks correct
     this.doc.off('pageAdded', writePageHeader);
     const writeInPageHeader = () => this._generateHeader();
     this.doc.on('pageAdded', writeInPageHeader);
 
-    // Write-in section for unlisted players, then footer for the last page
+    // The waitlist, write-in section for unlisted players and the optional summary, then footer for the last page
+    y = this._generateWaitlist(y, pageBreakThreshold);
     this._generateWriteInSection(y, pageBreakThreshold);
+    if (this.layout.summary) {
+      this._generateSummary(this.doc.y, pageBreakThreshold);
+    }
     this._addPageFooter();
 
     this.doc.off('pageAdded', writeInPageHeader);
   }
 
   /**
-   * Generates the PDF and saves it to a file.
+   * Generates a late sign-up addendum: attendees added since the previous printout (with
+   * check-in boxes) and attendees who cancelled since then (struck through).
+   * @private
+   */
+  _generateAddendum() {
+    const { since } = this.addendum;
+    const additions = this._sortAttendees(this.addendum.additions);
+    const cancellations = this._sortAttendees(this.addendum.cancellations);
+    const baseFontSize = this.layout.fontSize || 10;
+    const startX = this.doc.page.margins.left;
+    const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    const footerReserved = baseFontSize * 1.4 + 20;
+    const pageBreakThreshold = this.doc.page.height - this.doc.page.margins.bottom - footerReserved;
+
+    const writePageHeader = () => this._generateHeader();
+    writePageHeader();
+    this.doc.on('pageAdded', writePageHeader);
+
+    const ensureSpace = (y, height) => {
+      if (y + height <= pageBreakThreshold) {
+        return y;
+      }
+      this._addPageFooter();
+      this.doc.addPage();
+      this.pageNumber++;
+      return this.doc.y;
+    };
+
+    const { t } = this.i18n;
+    this.doc
+      .font(this.fonts[0].bold)
+      .fontSize(baseFontSize * 1.6)
+      .fillColor('black')
+      .text(t('addendum.title', { time: this.i18n.formatTime(since) }), startX, this.doc.y, { width: pageWidth });
+    let y = this.doc.y + 10;
+
+    const sectionTitle = (title) => {
+      y = ensureSpace(y, baseFontSize * 3 + this.row_height);
+      this.doc
+        .font(this.fonts[0].bold)
+        .fontSize(baseFontSize * 1.4)
+        .fillColor('black')
+        .text(title, startX, y, { width: pageWidth });
+      y = this.doc.y + 6;
+    };
+    const emptyNote = () => {
+      this.doc
+        .font(this.fonts[0].oblique)
+        .fontSize(baseFontSize)
+        .text(t('addendum.none'), startX, y, { width: pageWidth });
+      y = this.doc.y + 12;
+    };
+
+    // Additions: full rows with check-in boxes, like the main list
+    sectionTitle(t('addendum.additions', { count: additions.length }));
+    if (additions.length === 0) {
+      emptyNote();
+    } else {
+      this.doc.y = y;
+      this._generateTableHeader();
+      y = this.doc.y;
+      additions.forEach((attendee) => {
+        const row = this._layoutRow(attendee);
+        y = ensureSpace(y, row.height);
+        y += this._generateTableRow(attendee, y, row);
+      });
+      y += 12;
+    }
+
+    // Cancellations: name and phone struck through, so they can be crossed off the main list
+    sectionTitle(t('addendum.cancellations', { count: cancellations.length }));
+    if (cancellations.length === 0) {
+      emptyNote();
+    } else {
+      this.doc.fontSize(baseFontSize).fillColor('black');
+      cancellations.forEach((attendee) => {
+        y = ensureSpace(y, this.row_height);
+        const phone = this._formatPhone(attendee);
+        const text = phone ? `${this._formatName(attendee)}    ${phone}` : this._formatName(attendee);
+        const textWidth = this._drawText(text, startX, y, { width: pageWidth });
+        const strikeY = y + baseFontSize / 2;
+        // Right-to-left names are right-aligned, so the strike-through has to follow them
+        const strikeX =
+          textWidth < pageWidth && splitTextRuns(text, this.fonts).rtl ? startX + pageWidth - textWidth : startX;
+        this.doc
+          .moveTo(strikeX, strikeY)
+          .lineTo(strikeX + Math.min(textWidth, pageWidth), strikeY)
+          .lineWidth(0.75)
+          .stroke();
+        y += this.row_height;
+      });
+    }
+
+    this.doc.y = y;
+    this._addPageFooter();
+    this.doc.off('pageAdded', writePageHeader);
+  }
+
+  /**
+   * Generates a day sheet: a cover index listing each event's start time, attendee count and first
+   * page, then every event's list with its own headers, write-in rows and footers naming the event.
+   * @private
+   */
+  _generateDaySheet() {
+    const { sections } = this.daySheet;
+    const coverEvent = this.event;
+    const coverLayout = this.layout;
+    const baseFontSize = coverLayout.fontSize || 10;
+    const startX = this.doc.page.margins.left;
+    const pageWidth = this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    const footerReserved = baseFontSize * 1.4 + 20;
+    const pageBreakThreshold = this.doc.page.height - this.doc.page.margins.bottom - footerReserved;
+    const { t } = this.i18n;
+    const indexColumns = [
+      { header: t('daySheet.time'), width: 60 },
+      { header: t('daySheet.event'), width: pageWidth - 200 },
+      { header: t('daySheet.attendees'), width: 80, align: 'right' },
+      { header: t('daySheet.page'), width: 60, align: 'right' },
+    ];
+
+    const writeIndexHeader = () => {
+      const headerY = this.doc.y;
+      let x = startX;
+      this.doc
+        .font(this.fonts[0].bold)
+        .fontSize(baseFontSize + 1)
+        .fillColor('black');
+      indexColumns.forEach((column) => {
+        this.doc.text(column.header, x, headerY, { width: column.width, align: column.align || 'left' });
+        x += column.width;
+      });
+      this.doc.moveDown(1.5);
+    };
+    const writeCoverHeader = () => {
+      this._generateHeader();
+      writeIndexHeader();
+    };
+    writeCoverHeader();
+    this.doc.on('pageAdded', writeCoverHeader);
+
+    // Page numbers are only known once the sections are laid out, so like the footers they are
+    // written at the end
+    let y = this.doc.y;
+    sections.forEach((section, index) => {
+      if (y + this.row_height > pageBreakThreshold) {
+        this._addPageFooter();
+        this.doc.addPage();
+        this.pageNumber++;
+        y = this.doc.y;
+      }
+      const values = [
+        this.i18n.formatTime(section.event.startDate),
+        section.event.name,
+        String(section.attendees.length),
+      ];
+      let x = startX;
+      this.doc.fontSize(baseFontSize).fillColor('black');
+      values.forEach((value, i) => {
+        const column = indexColumns[i];
+        // One line per event; long names are cut short rather than running into the next row
+        this._drawText(value, x, y, {
+          width: column.width - 6,
+          height: baseFontSize * 1.2,
+          align: column.align || 'left',
+          ellipsis: true,
+        });
+        x += column.width;
+      });
+      this.indexPositions.push({ pageIndex: this.pageNumber - 1, x, y, width: indexColumns[3].width, section: index });
+      y += this.row_height;
+    });
+    this.doc.y = y;
+    this._addPageFooter();
+    this.doc.off('pageAdded', writeCoverHeader);
+
+    // Each event starts on a new page, laid out like a single-event list with its own layout and revision
+    const coverWaitlist = this.waitlist;
+    const coverRevision = this.revision;
+    this.sectionPages = sections.map((section) => {
+      this.event = section.event;
+      this.attendees = section.attendees;
+      this.waitlist = section.waitlist || [];
+      this.layout = section.layout || coverLayout;
+      this.revision = section.revision || null;
+      this._padToSheet();
+      this.doc.addPage();
+      this.pageNumber++;
+      const first = this.pageNumber - 1;
+      this._generateTable();
+      return { first, last: this.pageNumber - 1, revision: this.revision, layout: this.layout };
+    });
+    const firstPages = this.sectionPages.map((pages) => pages.first + 1);
+
+    this.event = coverEvent;
+    this.layout = coverLayout;
+    this.waitlist = coverWaitlist;
+    this.revision = coverRevision;
+    this.doc.font(this.fonts[0].regular).fontSize(baseFontSize).fillColor('black');
+    for (const entry of this.indexPositions) {
+      this.doc.switchToPage(entry.pageIndex);
+      this.doc.text(String(firstPages[entry.section]), entry.x, entry.y, { width: entry.width, align: 'right' });
+    }
+  }
+
+  /**
+   * Adds blank pages until the next page starts a new sheet, when printing double-sided with
+   * `duplexPadding`. A sheet holds two pages, or four when imposed 2-up; booklets pad themselves.
+   * @private
+   */
+  _padToSheet() {
+    const { duplex, imposition } = this.pageOrder;
+    if (!duplex || imposition === 'booklet') {
+      return;
+    }
+    const pagesPerSheet = imposition === '2-up' ? 4 : 2;
+    while (this.pageNumber % pagesPerSheet !== 0) {
+      this.doc.addPage();
+      this.pageNumber++;
+    }
+  }
+
+  /**
+   * Formats one line of the badge template for an attendee.
+   * @param {Object} attendee - The attendee object
+   * @param {Object} field - Template line: `{ source, format }`
+   * @returns {string} The text, empty if the attendee has no such field
+   * @private
+   */
+  _formatBadgeField(attendee, field) {
+    if (field.source === 'name') {
+      return this._formatName(attendee);
+    }
+    if (field.source === 'eventName') {
+      return this.event.name || '';
+    }
+    return this._formatField(this._getSourceValue(attendee, field), field);
+  }
+
+  /**
+   * Draws an attendee's badge: the template's lines, wrapped to the label and centred on it.
+   * @param {Object} attendee - The attendee object
+   * @param {number} x - Left edge of the label
+   * @param {number} y - Top edge of the label
+   * @private
+   */
+  _drawBadge(attendee, x, y) {
+    const { sheet, fields, padding = 6 } = this.badges;
+    const width = sheet.labelWidth - padding * 2;
+
+    const blocks = fields
+      .map((field) => {
+        const style = field.style || 'regular';
+        this.doc.fontSize(field.fontSize || 12);
+        const lines = this._wrapText(this._formatBadgeField(attendee, field), width, field.maxLines || 1, style);
+        return { field, style, lines, lineHeight: this.doc.currentLineHeight(true) };
+      })
+      .filter((block) => block.lines.length > 0);
+
+    // Centred vertically; a template taller than the label starts at the top padding
+    const height = blocks.reduce((total, block) => total + block.lines.length * block.lineHeight, 0);
+    let lineY = y + Math.max(padding, (sheet.labelHeight - height) / 2);
+    this.doc.fillColor('black');
+    blocks.forEach(({ field, style, lines, lineHeight }) => {
+      this.doc.fontSize(field.fontSize || 12);
+      lines.forEach((line) => {
+        this._drawText(line, x + padding, lineY, { width, height: lineHeight, align: 'center', ellipsis: true }, style);
+        lineY += lineHeight;
+      });
+    });
+  }
+
+  /**
+   * Generates name badges: one label per attendee, filling each sheet's grid row by row.
+   * @private
+   */
+  _generateBadges() {
+    const { sheet } = this.badges;
+    const perSheet = sheet.columns * sheet.rows;
+    this._sortAttendees(this.attendees).forEach((attendee, index) => {
+      const slot = index % perSheet;
+      if (index > 0 && slot === 0) {
+        this.doc.addPage();
+      }
+      const x = sheet.marginLeft + (slot % sheet.columns) * sheet.pitchX;
+      const y = sheet.marginTop + Math.floor(slot / sheet.columns) * sheet.pitchY;
+      this._drawBadge(attendee, x, y);
+    });
+  }
+
+  /**
+   * Generates the PDF and saves it to a file. The pages are laid out and put in printing order before
+   * the file is opened, so a layout that cannot be printed leaves no file behind; a file that fails
+   * while it is written is removed.
    * @param {string} outputFileName - The filename to save the output PDF file (will be sanitized).
    * @returns {Promise<string>} The sanitized absolute path where the PDF was saved
    * @throws {Error} If outputFileName contains path traversal attempts
@@ -494,14 +1395,35 @@ class PdfGenerator {
     const safeOutputPath = sanitizeOutputPath(outputFileName);
 
     return new Promise((resolve, reject) => {
+      if (this.badges) {
+        this._generateBadges();
+      } else if (this.daySheet) {
+        this._generateDaySheet();
+      } else if (this.addendum) {
+        this._generateAddendum();
+      } else {
+        this._generateTable();
+      }
+      this._padToSheet();
+      this._renderAllFooters();
+      this._renderWatermark();
+      // Checks that the installed pdfkit can be reordered before anything is written
+      imposePages(this.doc, this.pageOrder);
+
       const stream = fs.createWriteStream(safeOutputPath);
+      const fail = (error) => {
+        stream.destroy();
+        fs.unlink(safeOutputPath, () => reject(error));
+      };
       stream.on('finish', () => resolve(safeOutputPath));
-      stream.on('error', reject);
-      this.doc.pipe(stream);
-      this._generateTable();
-      this._renderAllFooters();
-      this.doc.flushPages();
-      this.doc.end();
+      stream.on('error', fail);
+      try {
+        this.doc.pipe(stream);
+        this.doc.flushPages();
+        this.doc.end();
+      } catch (error) {
+        fail(error);
+      }
     });
   }
 }
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Raw TCP printing (printMode 'raw'): streams the PDF, or a PostScript/PCL
+ * conversion of it, to a printer's raw socket (JetDirect, usually port 9100).
+ * @module raw-printer
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+/** Default JetDirect port */
+const DEFAULT_PORT = 9100;
+
+/** Ghostscript output device and PJL language for each format */
+const FORMATS = {
+  pdf: { device: null, language: 'PDF' },
+  postscript: { device: 'ps2write', language: 'POSTSCRIPT', extension: '.ps' },
+  pcl: { device: 'ljet4', language: 'PCL', extension: '.pcl' },
+};
+
+/** PJL Universal Exit Language sequence */
+const UEL = '\x1b%-12345X';
+
+/** Socket errors worth retrying: the printer is busy, off or briefly unreachable */
+const TRANSIENT_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EAI_AGAIN',
+];
+
+/**
+ * Creates an error for the retry path; `retryable` false means retrying cannot help.
+ * @param {string} message - Error message
+ * @param {string} [code] - Error code
+ * @param {boolean} [retryable=true] - Whether a retry may succeed
+ * @returns {Error}
+ */
+function rawPrintError(message, code, retryable = true) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Parses a `host` or `host:port` target.
+ * @param {string} target - Printer address, e.g. 192.168.1.60 or printer.local:9101
+ * @param {number} [defaultPort=9100] - Port used when the target has none
+ * @returns {{host: string, port: number}}
+ * @throws {Error} If the target is empty or the port invalid
+ */
+function parseTarget(target, defaultPort = DEFAULT_PORT) {
+  const match = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(String(target || '').trim());
+  if (!match) {
+    throw rawPrintError('Raw print mode requires a printer host', 'EINVAL', false);
+  }
+  const port = match[2] ? parseInt(match[2], 10) : defaultPort;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw rawPrintError(`Invalid raw printer port: ${match[2] || defaultPort}`, 'EINVAL', false);
+  }
+  return { host: match[1], port };
+}
+
+/**
+ * Builds the PJL job header and trailer wrapped around the document.
+ * @param {string} language - PJL language (PDF, POSTSCRIPT or PCL)
+ * @param {number} copies - Number of copies
+ * @param {string} [jobName] - Job name shown on the printer panel
+ * @returns {{header: Buffer, trailer: Buffer}}
+ */
+function buildPjl(language, copies, jobName = 'helloclub') {
+  const name = jobName.replace(/[^\x20-\x7e]|"/g, '').slice(0, 80);
+  const header = [
+    `${UEL}@PJL`,
+    `@PJL JOB NAME="${name}"`,
+    `@PJL SET COPIES=${copies}`,
+    `@PJL ENTER LANGUAGE=${language}`,
+    '',
+  ].join('\r\n');
+  const trailer = `${UEL}@PJL EOJ NAME="${name}"\r\n${UEL}`;
+  return { header: Buffer.from(header, 'latin1'), trailer: Buffer.from(trailer, 'latin1') };
+}
+
+/**
+ * Converts a PDF to PostScript or PCL with Ghostscript.
+ * @param {string} filePath - PDF file
+ * @param {string} format - 'postscript' or 'pcl'
+ * @returns {Promise<string>} Path of the converted file (caller removes it)
+ * @throws {Error} If Ghostscript is missing or fails
+ */
+async function convertPdf(filePath, format) {
+  const { device, extension } = FORMATS[format];
+  const outputPath = `${filePath}${extension}`;
+  try {
+    await execFileAsync(
+      'gs',
+      ['-q', '-dSAFER', '-dBATCH', '-dNOPAUSE', `-sDEVICE=${device}`, `-sOutputFile=${outputPath}`, filePath],
+      { timeout: 120000 }
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw rawPrintError(
+        `Ghostscript is required to send ${format} to raw printers. Run: sudo apt install ghostscript`,
+        'ENOENT',
+        false
+      );
+    }
+    throw rawPrintError(`Converting PDF to ${format} failed: ${error.stderr || error.message}`, error.code, false);
+  }
+  return outputPath;
+}
+
+/**
+ * Opens a TCP connection, rejecting if it is not established in time.
+ * @param {string} host - Printer host
+ * @param {number} port - Printer port
+ * @param {number} connectTimeoutMs - Connect timeout
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect(host, port, connectTimeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(rawPrintError(`Connection to ${host}:${port} timed out after ${connectTimeoutMs}ms`, 'ETIMEDOUT'));
+    }, connectTimeoutMs);
+
+    socket.once('connect', () => {
+      clearTimeout(timer);
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(
+        rawPrintError(
+          `Cannot connect to raw printer ${host}:${port}: ${error.message}`,
+          error.code,
+          TRANSIENT_CODES.includes(error.code) || error.code === 'ENOTFOUND'
+        )
+      );
+    });
+  });
+}
+
+/**
+ * Streams the job to a connected socket. The write timeout applies to inactivity, so a
+ * slow printer draining a large job is not cut off while it keeps accepting data.
+ * @param {net.Socket} socket - Connected socket
+ * @param {Array<Buffer|string>} parts - Buffers, or file paths to stream, in order
+ * @param {number} writeTimeoutMs - Inactivity timeout
+ * @param {string} target - host:port, for messages
+ * @returns {Promise<number>} Bytes written
+ */
+function sendJob(socket, parts, writeTimeoutMs, target) {
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    const fail = (error) => {
+      socket.destroy();
+      reject(
+        rawPrintError(`Sending to raw printer ${target} failed: ${error.message}`, error.code, error.code !== 'ENOENT')
+      );
+    };
+
+    socket.setTimeout(writeTimeoutMs);
+    socket.on('timeout', () => {
+      if (finished) {
+        // The printer keeps the connection open after the job; everything was delivered
+        socket.destroy();
+        return;
+      }
+      fail(Object.assign(new Error(`write timed out after ${writeTimeoutMs}ms`), { code: 'ETIMEDOUT' }));
+    });
+    socket.on('error', (error) => {
+      if (!finished) {
+        fail(error);
+      }
+    });
+    // Discard any back-channel data (e.g. PJL status) so the socket does not stall
+    socket.on('data', () => {});
+
+    const writeNext = (index) => {
+      if (socket.destroyed) {
+        return;
+      }
+      if (index === parts.length) {
+        socket.end(() => {
+          finished = true;
+          resolve(socket.bytesWritten);
+        });
+        return;
+      }
+      const part = parts[index];
+      if (Buffer.isBuffer(part)) {
+        socket.write(part, (error) => !error && writeNext(index + 1));
+        return;
+      }
+      const stream = fs.createReadStream(part);
+      stream.on('error', fail);
+      stream.on('end', () => writeNext(index + 1));
+      stream.pipe(socket, { end: false });
+    };
+    writeNext(0);
+  });
+}
+
+/**
+ * Prints a PDF on a raw TCP (JetDirect) printer.
+ * @param {string} filePath - Absolute path to the PDF file to print.
+ * @param {Object} options - Printer and job options.
+ * @param {string} options.host - Printer host, optionally with `:port`.
+ * @param {number} [options.port=9100] - Printer port when the host has none.
+ * @param {string} [options.format='pdf'] - What to send: 'pdf', 'postscript' or 'pcl'.
+ * @param {boolean} [options.pjl=true] - Wrap the job in PJL (sets copies and language).
+ * @param {number} [options.copies=1] - Number of copies (1-10). Without PJL the document is sent repeatedly.
+ * @param {string} [options.jobName] - Job name shown on the printer panel.
+ * @param {number} [options.connectTimeoutMs=10000] - Connect timeout.
+ * @param {number} [options.writeTimeoutMs=60000] - Inactivity timeout while sending.
+ * @returns {Promise<{target: string, bytes: number}>} Where the job went and how much was sent.
+ * @throws {Error} With `retryable` false when retrying cannot help (bad config, missing Ghostscript).
+ */
+async function printPdfRaw(filePath, options = {}) {
+  const { format = 'pdf', pjl = true, copies = 1, jobName, connectTimeoutMs = 10000, writeTimeoutMs = 60000 } = options;
+  if (!Number.isInteger(copies) || copies < 1 || copies > 10) {
+    throw rawPrintError(`Invalid number of copies: ${copies}. Must be an integer between 1 and 10.`, 'EINVAL', false);
+  }
+  if (!FORMATS[format]) {
+    throw rawPrintError(`Unsupported raw print format: ${format}`, 'EINVAL', false);
+  }
+  const { host, port } = parseTarget(options.host, options.port);
+  const target = `${host}:${port}`;
+
+  const documentPath = format === 'pdf' ? filePath : await convertPdf(filePath, format);
+  try {
+    let parts;
+    if (pjl) {
+      const { header, trailer } = buildPjl(FORMATS[format].language, copies, jobName);
+      parts = [header, documentPath, trailer];
+    } else {
+      parts = Array(copies).fill(documentPath);
+    }
+
+    logger.info(`Sending ${format} job to raw printer ${target}...`);
+    const socket = await connect(host, port, connectTimeoutMs);
+    const bytes = await sendJob(socket, parts, writeTimeoutMs, target);
+    logger.info(`✓ Sent ${bytes} bytes to raw printer ${target}`);
+    return { target, bytes };
+  } finally {
+    if (documentPath !== filePath) {
+      fs.promises.unlink(documentPath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Checks that a raw printer accepts connections, without sending anything.
+ * @param {string} hostOrTarget - Printer host, optionally with `:port`
+ * @param {Object} [options] - Options
+ * @param {number} [options.port=9100] - Port when the host has none
+ * @param {number} [options.connectTimeoutMs=5000] - Connect timeout
+ * @returns {Promise<{target: string, responseTime: number}>}
+ */
+async function testRawConnection(hostOrTarget, options = {}) {
+  const { host, port } = parseTarget(hostOrTarget, options.port);
+  const startTime = Date.now();
+  const socket = await connect(host, port, options.connectTimeoutMs || 5000);
+  socket.on('error', () => {});
+  socket.end();
+  return { target: `${host}:${port}`, responseTime: Date.now() - startTime };
+}
+
+module.exports = { printPdfRaw, testRawConnection, parseTarget, buildPjl, DEFAULT_PORT, FORMATS };
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview The RosterExporter class: an event's attendee list as a CSV, XLSX or JSON file for
+ * follow-up calls and reports, with the columns, formatting and sort order of the printed list.
+ * @module roster-exporter
+ */
+
+const fs = require('fs');
+const RosterFormatter = require('./roster-formatter');
+const { sanitizeOutputPath } = require('./pdf-generator');
+const { createZip } = require('../utils/zip-writer');
+
+/** Formats an attendee list can be exported in */
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+/** Content types of the formats, for downloads */
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+/** SpreadsheetML cell styles (indexes into cellXfs in STYLES_XML) */
+const XLSX_STYLES = { header: 1, currency: 2 };
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/** Regular and bold fonts, and a currency format matching the printed amounts */
+const STYLES_XML =
+  XML_HEADER +
+  `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Quotes a CSV field when needed. Text a spreadsheet would read as a formula (e.g. "=HYPERLINK(...)"
+ * in a custom field) is prefixed with an apostrophe; phone numbers such as "+64 21 555 0100" are not.
+ * @param {string|number|null} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=@\t\r]|^[+-](?![\d\s(])/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Characters XML 1.0 cannot contain, even escaped */
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 cannot contain.
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name of a zero-based index: A, B, ... Z, AA, AB, ...
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Exports an event's attendees by the configured columns.
+ */
+class RosterExporter extends RosterFormatter {
+  /**
+   * The export's rows: the attendees in the list's sort order, one cell per column. Cells hold the
+   * printed text, except that tick columns are true or false and fees, `currency` and `age` columns
+   * are numbers, so spreadsheets can sum and sort them. Empty cells are null; `maxLength` does not
+   * apply.
+   * @returns {{columns: Array<Object>, rows: Array<Array<string|number|boolean|null>>}} The columns
+   *   (with headers) and the rows
+   */
+  getTable() {
+    const columns = this._getColumns();
+    const rows = this._sortAttendees(this.attendees).map((attendee) =>
+      columns.map((column) => this._getExportCell(attendee, column))
+    );
+    return { columns, rows };
+  }
+
+  /**
+   * One cell of the export.
+   * @param {Object} attendee - The attendee object
+   * @param {Object} column - Column config
+   * @returns {string|number|boolean|null} The cell value
+   * @private
+   */
+  _getExportCell(attendee, column) {
+    const { text, value, builtIn } = this._getCell(attendee, column);
+    if (builtIn) {
+      // The fee column prints an amount unless the attendee is covered by a membership
+      if (column.id === 'fee' && text !== '' && !this._isMembership(attendee)) {
+        return parseFloat(attendee.rule.fee);
+      }
+      return text === '' ? null : text;
+    }
+    if (column.format === 'tick') {
+      return value === undefined || value === null || value === '' ? null : this._isTicked(value);
+    }
+    if (column.format === 'currency' && text.startsWith('$')) {
+      return parseFloat(value);
+    }
+    if (column.format === 'age' && /^\d+$/.test(text)) {
+      return Number(text);
+    }
+    return text === '' ? null : text;
+  }
+
+  /**
+   * Whether a column holds amounts, printed with the currency format.
+   * @param {Object} column - Column config
+   * @returns {boolean}
+   * @private
+   */
+  _isCurrencyColumn(column) {
+    return column.source ? column.format === 'currency' : column.id === 'fee' || column.format === 'currency';
+  }
+
+  /**
+   * The list as CSV: a header row, then one row per attendee. Written with a byte order mark so
+   * spreadsheets open accented and non-Latin names as UTF-8.
+   * @returns {string} CSV text
+   */
+  toCsv() {
+    const { columns, rows } = this.getTable();
+    const lines = [
+      columns.map((column) => column.header),
+      ...rows.map((row) =>
+        row.map((cell) => (typeof cell === 'boolean' ? this.i18n.t(cell ? 'value.yes' : 'value.no') : cell))
+      ),
+    ];
+    return '\uFEFF' + lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * The list as JSON: the event, the columns, and one object per attendee keyed by column id.
+   * @returns {string} JSON text
+   */
+  toJson() {
+    const { columns, rows } = this.getTable();
+    const data = {
+      event: { id: this.event.id ?? null, name: this.event.name, startDate: this.event.startDate || null },
+      exportedAt: new Date().toISOString(),
+      columns: columns.map(({ id, header }) => ({ id, header })),
+      attendees: rows.map((row) => Object.fromEntries(columns.map((column, index) => [column.id, row[index]]))),
+    };
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  /**
+   * The list as an Excel workbook with one sheet: a bold header row that stays in view, column
+   * widths following the printed widths, and amounts in the currency format.
+   * @returns {Buffer} XLSX file
+   */
+  toXlsx() {
+    const { columns, rows } = this.getTable();
+    const textCell = (ref, text, style) =>
+      `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    const dataCell = (ref, cell, column) => {
+      if (cell === null) {
+        return '';
+      }
+      if (typeof cell === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${cell ? 1 : 0}</v></c>`;
+      }
+      if (typeof cell === 'number') {
+        const style = this._isCurrencyColumn(column) ? ` s="${XLSX_STYLES.currency}"` : '';
+        return `<c r="${ref}"${style}><v>${cell}</v></c>`;
+      }
+      return textCell(ref, cell);
+    };
+
+    const sheetRows = [
+      `<row r="1">${columns.map((column, index) => textCell(`${columnName(index)}1`, column.header, XLSX_STYLES.header)).join('')}</row>`,
+      ...rows.map(
+        (row, rowIndex) =>
+          `<row r="${rowIndex + 2}">${row
+            .map((cell, index) => dataCell(`${columnName(index)}${rowIndex + 2}`, cell, columns[index]))
+            .join('')}</row>`
+      ),
+    ];
+    // Printed widths are in points; sheet widths in characters of about 5.5pt
+    const cols = columns
+      .map(
+        (column, index) =>
+          `<col min="${index + 1}" max="${index + 1}" width="${Math.max(8, Math.round(column.width / 5.5))}" customWidth="1"/>`
+      )
+      .join('');
+    const sheet =
+      XML_HEADER +
+      `<worksheet xmlns="${SPREADSHEET_NS}">` +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews>' +
+      `<cols>${cols}</cols>` +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>';
+
+    // Sheet names are at most 31 characters
+    const sheetName = escapeXml(this.i18n.t('summary.attendees').slice(0, 31));
+    return createZip([
+      {
+        name: '[Content_Types].xml',
+        data:
+          XML_HEADER +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        data:
+          XML_HEADER +
+          `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+          `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/workbook.xml',
+        data:
+          XML_HEADER +
+          `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+          `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+          '</workbook>',
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data:
+          XML_HEADER +
+          `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+          `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+          `<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+          '</Relationships>',
+      },
+      { name: 'xl/worksheets/sheet1.xml', data: sheet },
+      { name: 'xl/styles.xml', data: STYLES_XML },
+    ]);
+  }
+
+  /**
+   * The list in one of the EXPORT_FORMATS.
+   * @param {string} format - 'csv', 'xlsx' or 'json'
+   * @returns {Buffer} File contents
+   * @throws {Error} If the format is unknown
+   */
+  toBuffer(format) {
+    switch (format) {
+      case 'csv':
+        return Buffer.from(this.toCsv(), 'utf8');
+      case 'xlsx':
+        return this.toXlsx();
+      case 'json':
+        return Buffer.from(this.toJson(), 'utf8');
+      default:
+        throw new Error(`Unknown export format "${format}". Use ${EXPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Writes the list to a file in the project directory.
+   * @param {string} format - 'csv', 'xlsx' or 'json'
+   * @param {string} outputFileName - File name, with the format's extension (will be sanitized)
+   * @returns {string} The sanitized absolute path the file was written to
+   * @throws {Error} If the format is unknown or the file name is not a plain name with that extension
+   */
+  save(format, outputFileName) {
+    const data = this.toBuffer(format);
+    const safeOutputPath = sanitizeOutputPath(outputFileName, `.${format}`);
+    fs.writeFileSync(safeOutputPath, data);
+    return safeOutputPath;
+  }
+}
+
+module.exports = RosterExporter;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
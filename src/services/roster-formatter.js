@@ -0,0 +1,328 @@
+/**
+ * @fileoverview The RosterFormatter class: the configured columns of an attendee list and the text
+ * of each cell, shared by the printed list (PdfGenerator) and the spreadsheet exports (RosterExporter)
+ * so both show the same values.
+ * @module roster-formatter
+ */
+
+const { resolveSource } = require('../utils/attendee-fields');
+const { createI18n } = require('../utils/i18n');
+const { sortAttendees } = require('../utils/attendee-sort');
+const { maskPhone, abbreviateSurname } = require('../utils/privacy-profiles');
+
+/**
+ * Columns used when the layout has none; they fit A4 portrait with the default margins. Their
+ * headers come from the message catalogue (`column.<id>`).
+ */
+const DEFAULT_COLUMNS = [
+  { id: 'name', width: 180 },
+  { id: 'phone', width: 110 },
+  { id: 'signUpDate', width: 100 },
+  { id: 'fee', width: 70 },
+];
+
+/**
+ * Formats an event's attendees by the configured columns.
+ */
+class RosterFormatter {
+  /**
+   * Creates an instance of RosterFormatter.
+   * @param {Object} event - The event object.
+   * @param {Array<Object>} attendees - An array of attendee objects.
+   * @param {Object} layout - The layout configuration (`pdfLayout`), for its columns and sort order.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.locale='en-GB'] - Locale of dates, times and the fixed text (see i18n).
+   * @param {string|null} [options.timeZone] - Time zone of dates and times; the host's when not set.
+   * @param {Object|null} [options.privacy] - Privacy profile to redact the list with (see
+   *   resolvePrivacyProfile); the full list when not set.
+   */
+  constructor(event, attendees, layout, options = {}) {
+    this.event = event;
+    this.attendees = attendees;
+    this.layout = layout;
+    this.i18n = createI18n(options);
+    this.privacy = options.privacy || null;
+  }
+
+  /**
+   * The columns from config, or the default columns, less those the privacy profile omits. Built-in
+   * columns without a header get the translated default header.
+   * @returns {Array<Object>} Columns
+   * @private
+   */
+  _getColumns() {
+    const omitted = (this.privacy && this.privacy.omitColumns) || [];
+    return (this.layout.columns || DEFAULT_COLUMNS)
+      .filter((column) => !omitted.includes(column.id))
+      .map((column) =>
+        column.header === undefined ? { ...column, header: this.i18n.t(`column.${column.id}`) } : column
+      );
+  }
+
+  /**
+   * The text of an attendee's cell. Built-in columns without a `source` keep their own formatting
+   * (the status column reads Paid, Owing or No Fee); other columns format their source value.
+   * `maxLength` is left to the caller.
+   * @param {Object} attendee - The attendee object
+   * @param {Object} column - Column config
+   * @returns {{text: string, value: *, builtIn: boolean}} The text, and the raw source value (undefined
+   *   for built-in columns)
+   * @private
+   */
+  _getCell(attendee, column) {
+    const formatters = {
+      name: (att) => this._formatName(att),
+      phone: (att) => this._formatPhone(att),
+      signUpDate: (att) => this._formatSignUpDate(att),
+      fee: (att) => this._formatFee(att),
+      status: (att) => this.i18n.t(att.isPaid ? 'status.paid' : att.hasFee ? 'status.owing' : 'status.noFee'),
+    };
+    if (formatters[column.id] && !column.source) {
+      return { text: formatters[column.id](attendee), value: undefined, builtIn: true };
+    }
+    const value = this._getSourceValue(attendee, column);
+    return { text: this._formatField(value, column), value, builtIn: false };
+  }
+
+  /**
+   * Retrieves a specific value from an attendee object based on a column ID.
+   * (Kept for backward compatibility with tests)
+   * @param {Object} attendee - The attendee object.
+   * @param {string} id - The ID of the column/value to retrieve.
+   * @returns {string} The formatted value for the specified ID.
+   * @private
+   */
+  _getAttendeeValue(attendee, id) {
+    switch (id) {
+      case 'name':
+        return this._formatName(attendee);
+      case 'phone':
+        return this._formatPhone(attendee);
+      case 'signUpDate':
+        return this._formatSignUpDate(attendee);
+      case 'fee':
+        return this._formatFee(attendee);
+      case 'status':
+        return this.i18n.t(attendee.isPaid ? 'status.paid' : attendee.hasFee ? 'status.owing' : 'status.noFee');
+      default:
+        return attendee[id] || '';
+    }
+  }
+
+  /**
+   * Formats attendee name as "Firstname Lastname", or "Firstname L." when the privacy profile
+   * abbreviates surnames
+   * @param {Object} attendee - The attendee object
+   * @returns {string} Formatted name
+   * @private
+   */
+  _formatName(attendee) {
+    const firstName = attendee.firstName || '';
+    const lastName =
+      this.privacy && this.privacy.abbreviateSurname
+        ? abbreviateSurname(attendee.lastName || '')
+        : attendee.lastName || '';
+    return firstName && lastName ? `${firstName} ${lastName}` : firstName || lastName;
+  }
+
+  /**
+   * Formats phone number, masked but for the last four digits when the privacy profile says so
+   * @param {Object} attendee - The attendee object
+   * @returns {string} Phone number
+   * @private
+   */
+  _formatPhone(attendee) {
+    return this._redactPhone(attendee.phone || '');
+  }
+
+  /**
+   * Formats sign-up date
+   * @param {Object} attendee - The attendee object
+   * @returns {string} Formatted date
+   * @private
+   */
+  _formatSignUpDate(attendee) {
+    if (attendee.signUpDate == null) {
+      return '';
+    }
+    return this.i18n.formatDate(attendee.signUpDate, { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Formats fee amount with currency symbol
+   * @param {Object} attendee - The attendee object
+   * @returns {string} Fee amount, "Membership", or empty string (always, when the privacy profile
+   *   hides fees)
+   * @private
+   */
+  _formatFee(attendee) {
+    if (this._hidesFees()) {
+      return '';
+    }
+    if (this._isMembership(attendee)) {
+      return this.i18n.t('fee.membership');
+    }
+
+    // Format fee with dollar sign
+    if (attendee.hasFee && attendee.rule && attendee.rule.fee) {
+      return this._formatAmount(parseFloat(attendee.rule.fee));
+    }
+
+    return '';
+  }
+
+  /**
+   * Reads a column's `source` path (its id if it has none) from the raw Hello Club attendee,
+   * falling back to the validated attendee for records without raw fields.
+   * @param {Object} attendee - The attendee object
+   * @param {Object} column - Column config
+   * @returns {*} The raw value, or undefined if the attendee has no such field
+   * @private
+   */
+  _getSourceValue(attendee, column) {
+    return resolveSource(attendee.fields || attendee, column.source || column.id);
+  }
+
+  /**
+   * Formats a source value with the column's `format`: `date` (e.g. 02 May 1990), `age` (whole years
+   * at the event's start), `currency`, `phone` or `text`. Values that do not fit the format are printed
+   * as they are. `tick` columns print no text; the row draws a tick mark instead. The privacy profile
+   * applies to `currency` and `phone` values as to the fee and phone columns.
+   * @param {*} value - Raw value
+   * @param {Object} column - Column config
+   * @returns {string} Formatted value
+   * @private
+   */
+  _formatField(value, column) {
+    if (value === undefined || value === null || value === '' || column.format === 'tick') {
+      return '';
+    }
+    const format = column.format || 'text';
+    if ((format === 'date' || format === 'age') && typeof value !== 'object') {
+      // Date-only values (e.g. birth dates) have no time zone, so they must not shift a day
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+      const date = new Date(value);
+      if (!isNaN(date.getTime())) {
+        return format === 'date'
+          ? this.i18n.formatDate(date, {
+              day: '2-digit',
+              month: 'short',
+              year: 'numeric',
+              ...(dateOnly && { timeZone: 'UTC' }),
+            })
+          : String(this._ageAt(date, this.event.startDate ? new Date(this.event.startDate) : new Date()));
+      }
+    }
+    if (format === 'currency' && this._hidesFees()) {
+      return '';
+    }
+    if (format === 'currency' && !isNaN(parseFloat(value))) {
+      return this._formatAmount(parseFloat(value));
+    }
+    if (format === 'phone') {
+      return this._redactPhone(
+        String(value)
+          .replace(/[^\d+()\s-]/g, '')
+          .replace(/\s+/g, ' ')
+          .trim()
+      );
+    }
+    if (Array.isArray(value)) {
+      return value
+        .map((item) => this._formatField(item, { format: 'text' }))
+        .filter(Boolean)
+        .join(', ');
+    }
+    if (typeof value === 'boolean') {
+      return this.i18n.t(value ? 'value.yes' : 'value.no');
+    }
+    return typeof value === 'object' ? '' : String(value);
+  }
+
+  /**
+   * Whole years from a date of birth to a reference date.
+   * @param {Date} birthDate - Date of birth
+   * @param {Date} at - Reference date
+   * @returns {number} Age in years
+   * @private
+   */
+  _ageAt(birthDate, at) {
+    const age = at.getUTCFullYear() - birthDate.getUTCFullYear();
+    const hadBirthday =
+      at.getUTCMonth() > birthDate.getUTCMonth() ||
+      (at.getUTCMonth() === birthDate.getUTCMonth() && at.getUTCDate() >= birthDate.getUTCDate());
+    return hadBirthday ? age : age - 1;
+  }
+
+  /**
+   * Whether a `tick` column's value counts as yes: true, a non-zero number, or "yes", "y", "true".
+   * @param {*} value - Raw value
+   * @returns {boolean} Whether to draw the tick
+   * @private
+   */
+  _isTicked(value) {
+    if (typeof value === 'string') {
+      return ['yes', 'y', 'true'].includes(value.trim().toLowerCase());
+    }
+    return value === true || (typeof value === 'number' && value !== 0);
+  }
+
+  /**
+   * Formats an amount with currency symbol
+   * @param {number} amount - The amount
+   * @returns {string} e.g. "$15.50"
+   * @private
+   */
+  _formatAmount(amount) {
+    return '$' + amount.toFixed(2);
+  }
+
+  /**
+   * Masks a phone number if the privacy profile says so.
+   * @param {string} phone - Phone number
+   * @returns {string} The number, or all but its last four digits masked
+   * @private
+   */
+  _redactPhone(phone) {
+    return this.privacy && this.privacy.maskPhone ? maskPhone(phone) : phone;
+  }
+
+  /**
+   * Whether the privacy profile hides fee amounts.
+   * @returns {boolean}
+   * @private
+   */
+  _hidesFees() {
+    return Boolean(this.privacy && this.privacy.hideFees);
+  }
+
+  /**
+   * Checks whether an attendee is covered by a membership rather than paying a fee
+   * @param {Object} attendee - The attendee object
+   * @returns {boolean} True for membership attendees
+   * @private
+   */
+  _isMembership(attendee) {
+    // Check if it's a membership using the hasMembershipRule flag or rule.type
+    if (attendee.hasMembershipRule || (attendee.rule && attendee.rule.type === 'membership')) {
+      return true;
+    }
+
+    // Also check rule.name for backward compatibility with test data
+    return Boolean(attendee.rule && attendee.rule.name && attendee.rule.name.toLowerCase().includes('membership'));
+  }
+
+  /**
+   * Orders attendees by `layout.sort` (last name, then first name when it is not set), comparing text
+   * in the configured locale.
+   * @param {Array<Object>} attendees - Attendees in API order
+   * @returns {Array<Object>} Sorted copy
+   * @private
+   */
+  _sortAttendees(attendees) {
+    return sortAttendees(attendees, this.layout.sort, { locale: this.i18n.locale });
+  }
+}
+
+module.exports = RosterFormatter;
+module.exports.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
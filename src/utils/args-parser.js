@@ -13,7 +13,7 @@ const { hideBin } = require('yargs/helpers');
  * @property {Array<string>} [category] - Event categories to filter by.
  * @property {number} [window] - Time window in minutes to check for events.
  * @property {string} [output] - The name of the output PDF file.
- * @property {string} printMode - The printing method ('local' or 'email').
+ * @property {string} printMode - The printing method ('local', 'email' or 'ipp').
  */
 const argv = yargs(hideBin(process.argv))
   .command('fetch-events', 'Fetch upcoming events from the API and store them in the database', (yargs) => {
@@ -44,8 +44,96 @@ const argv = yargs(hideBin(process.argv))
       .option('print-mode', {
         alias: 'p',
         type: 'string',
-        choices: ['local', 'email'],
-        description: 'The printing method to use (`local` or `email`). Overrides config file.'
+        choices: ['local', 'email', 'ipp', 'raw'],
+        description: 'The printing method to use (`local`, `email`, `ipp` or `raw`). Overrides config file.'
+      })
+      .option('badges', {
+        type: 'boolean',
+        description: 'Also print name badges for every event printed. Overrides badges.enabled in the config file.'
+      });
+  })
+  .command('reprint [event-id] [archive-id]', 'Re-deliver an archived PDF exactly as it was printed (latest for the event by default)', (yargs) => {
+    return yargs
+      .positional('event-id', {
+        type: 'string',
+        description: 'The event whose archived PDF to reprint (or to list with --list)'
+      })
+      .positional('archive-id', {
+        type: 'string',
+        description: 'The archived PDF to reprint, as shown by --list. Defaults to the latest.'
+      })
+      .option('list', {
+        alias: 'l',
+        type: 'boolean',
+        description: 'List archived PDFs instead of printing'
+      })
+      .option('print-mode', {
+        alias: 'p',
+        type: 'string',
+        choices: ['local', 'email', 'ipp', 'raw'],
+        description: 'Deliver with this printing method instead of the original one.'
+      })
+      .option('copies', {
+        type: 'number',
+        description: 'Number of copies instead of the original count.'
+      });
+  })
+  .command('day-sheet', 'Print one document with the attendee lists of all events starting within a time window', (yargs) => {
+    return yargs
+      .option('from', {
+        type: 'string',
+        description: 'Start of the window (date/time, e.g. 2025-03-15T08:00). Defaults to now.'
+      })
+      .option('hours', {
+        type: 'number',
+        description: 'Length of the window in hours. Overrides daySheet.windowHours.'
+      })
+      .option('print-mode', {
+        alias: 'p',
+        type: 'string',
+        choices: ['local', 'email', 'ipp', 'raw'],
+        description: 'The printing method to use (`local`, `email`, `ipp` or `raw`). Overrides config file.'
+      });
+  })
+  .command('badges <event-id>', 'Print name badges for an event\'s attendees on the configured label sheets', (yargs) => {
+    return yargs
+      .positional('event-id', {
+        type: 'string',
+        description: 'The event to print badges for'
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'The name of the output PDF file (badges are saved as <name>-badges.pdf). Overrides config file.'
+      })
+      .option('print-mode', {
+        alias: 'p',
+        type: 'string',
+        choices: ['local', 'email', 'ipp', 'raw'],
+        description: 'The printing method to use (`local`, `email`, `ipp` or `raw`). Overrides badges.printMode.'
+      });
+  })
+  .command('export <event-id>', 'Export an event\'s attendee list as a spreadsheet, with the printed list\'s columns', (yargs) => {
+    return yargs
+      .positional('event-id', {
+        type: 'string',
+        description: 'The event to export'
+      })
+      .option('format', {
+        alias: 'f',
+        type: 'string',
+        choices: ['csv', 'xlsx', 'json'],
+        default: 'csv',
+        description: 'The file format'
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'The name of the file, with the format\'s extension. Defaults to the output PDF name with that extension.'
+      })
+      .option('printed', {
+        type: 'boolean',
+        description: 'Export the list last printed for the event instead of the one in Hello Club now'
       });
   })
   .command('start-service', 'Run the application as a long-running service to automatically fetch and process events', (yargs) => {
@@ -59,16 +147,20 @@ const argv = yargs(hideBin(process.argv))
       .option('print-mode', {
         alias: 'p',
         type: 'string',
-        choices: ['local', 'email'],
-        description: 'The printing method to use (`local` or `email`). Overrides config file.'
+        choices: ['local', 'email', 'ipp', 'raw'],
+        description: 'The printing method to use (`local`, `email`, `ipp` or `raw`). Overrides config file.'
       })
       .option('service-run-interval-hours', {
         alias: 'srih',
         type: 'number',
         description: 'How often the service runs to fetch new events, in hours. Overrides config file.'
+      })
+      .option('badges', {
+        type: 'boolean',
+        description: 'Also print name badges for every event printed. Overrides badges.enabled in the config file.'
       });
   })
-  .demandCommand(1, 'You must provide a valid command: fetch-events, process-schedule, or start-service')
+  .demandCommand(1, 'You must provide a valid command: fetch-events, process-schedule, reprint, day-sheet, badges, export, or start-service')
   .help()
   .alias('help', 'h')
   .argv;
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Raw Hello Club attendee fields for custom PDF columns. Validation keeps a plain-data
+ * copy of the attendee as returned by the API, and columns pick values out of it with dot paths such
+ * as `emergencyContact.phone` or `customFields.0.value`.
+ * @module attendee-fields
+ */
+
+/** Dot path of property names and array indexes, e.g. `emergencyContact.phone` */
+const SOURCE_PATTERN = /^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/;
+
+/** Path segments that would reach object internals instead of API data */
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** Limits on the copy kept of the raw attendee, so one odd record cannot bloat the run */
+const MAX_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_STRING_LENGTH = 1000;
+
+/**
+ * Checks a column source path.
+ * @param {string} source - Dot path
+ * @returns {boolean} Whether the path only names data properties
+ */
+function isSafeSource(source) {
+  return (
+    typeof source === 'string' && SOURCE_PATTERN.test(source) && !source.split('.').some((s) => UNSAFE_SEGMENTS.has(s))
+  );
+}
+
+/**
+ * Copies the plain data of a raw API object: strings (capped), numbers, booleans, null, arrays and
+ * plain objects, without unsafe keys, functions or anything nested deeper than MAX_DEPTH.
+ * @param {*} value - Raw value
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} The copy, or undefined for values that are not kept
+ */
+function sanitizeFields(value, depth = 0) {
+  if (value === null || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? value.slice(0, MAX_STRING_LENGTH) : value;
+  }
+  if (typeof value !== 'object' || depth >= MAX_DEPTH) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map((item) => {
+      const copy = sanitizeFields(item, depth + 1);
+      return copy === undefined ? null : copy;
+    });
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (UNSAFE_SEGMENTS.has(key)) {
+      continue;
+    }
+    const itemCopy = sanitizeFields(item, depth + 1);
+    if (itemCopy !== undefined) {
+      copy[key] = itemCopy;
+    }
+  }
+  return copy;
+}
+
+/**
+ * Reads a dot path, following own properties only.
+ * @param {Object} object - Object to read from
+ * @param {string} source - Dot path, e.g. `emergencyContact.phone`
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function resolveSource(object, source) {
+  if (!isSafeSource(source)) {
+    return undefined;
+  }
+  return source.split('.').reduce((current, segment) => {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    return current[segment];
+  }, object);
+}
+
+/**
+ * Lists the dot paths of the leaf values in a set of attendees, with an example value for each,
+ * for picking column sources.
+ * @param {Array<Object>} records - Raw attendee fields (e.g. `attendee.fields`)
+ * @param {number} [limit=200] - Most paths to return
+ * @returns {Array<{path: string, example: *}>} Paths in first-seen order
+ */
+function listFieldPaths(records, limit = 200) {
+  const paths = new Map();
+  const visit = (value, prefix) => {
+    if (paths.size >= limit) {
+      return;
+    }
+    if (value !== null && typeof value === 'object') {
+      // The first array item stands in for the rest
+      const entries = Array.isArray(value) ? value.slice(0, 1).map((item) => ['0', item]) : Object.entries(value);
+      entries.forEach(([key, item]) => visit(item, prefix ? `${prefix}.${key}` : key));
+      return;
+    }
+    const example = paths.get(prefix);
+    if (example === undefined || example === null || example === '') {
+      paths.set(prefix, value);
+    }
+  };
+  records.forEach((record) => visit(record, ''));
+  return [...paths].map(([path, example]) => ({ path, example }));
+}
+
+module.exports = {
+  SOURCE_PATTERN,
+  isSafeSource,
+  sanitizeFields,
+  resolveSource,
+  listFieldPaths,
+};
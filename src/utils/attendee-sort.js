@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Orders attendee lists for printing. The API client returns attendees in API order, so
+ * one cached list can be printed in a different order for each event; `pdfLayout.sort` (or a rule's
+ * `sort`) names the keys, each ascending or descending, with later keys breaking ties.
+ * @module attendee-sort
+ */
+
+const { resolveSource } = require('./attendee-fields');
+
+/** Keys a list can be sorted by; `field` reads a dot path into the raw Hello Club attendee */
+const SORT_KEYS = ['lastName', 'firstName', 'signUpDate', 'paymentStatus', 'rule', 'field'];
+
+/** Order used when the layout has none */
+const DEFAULT_SORT = [
+  { by: 'lastName', direction: 'asc' },
+  { by: 'firstName', direction: 'asc' },
+];
+
+/**
+ * Reads the value an attendee is sorted on. Payment status ranks paid, owing, then no fee, as in
+ * the status column.
+ * @param {Object} attendee - The attendee
+ * @param {{by: string, source?: string}} key - Sort key
+ * @returns {string|number|undefined} The value, or undefined if the attendee has none
+ */
+function sortValue(attendee, key) {
+  switch (key.by) {
+    case 'lastName':
+    case 'firstName':
+      return attendee[key.by] || undefined;
+    case 'signUpDate': {
+      const time = attendee.signUpDate == null ? NaN : new Date(attendee.signUpDate).getTime();
+      return Number.isNaN(time) ? undefined : time;
+    }
+    case 'paymentStatus':
+      return attendee.isPaid ? 0 : attendee.hasFee ? 1 : 2;
+    case 'rule':
+      return (attendee.rule && attendee.rule.name) || undefined;
+    case 'field': {
+      const value = resolveSource(attendee.fields || attendee, key.source);
+      if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+      }
+      return value === null || value === '' || typeof value === 'object' ? undefined : value;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Expands the `sort` config: a key name stands for that key in ascending order.
+ * @param {Array<string|Object>} sort - Sort config, e.g. `['paymentStatus', { by: 'signUpDate', direction: 'desc' }]`
+ * @returns {Array<{by: string, direction: string, source?: string}>} Sort keys
+ */
+function normalizeSort(sort) {
+  return sort.map((key) => (typeof key === 'string' ? { by: key, direction: 'asc' } : { direction: 'asc', ...key }));
+}
+
+/**
+ * Sorts attendees without changing the list passed in. Text compares case- and accent-insensitively
+ * in the locale's collation, with numbers in text in numeric order. Attendees without a value for
+ * a key come after those with one, in either direction; attendees equal on every key keep their order.
+ * @param {Array<Object>} attendees - Attendees in API order
+ * @param {Array<string|Object>} [sort] - Sort config; DEFAULT_SORT when not set
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the text collation
+ * @returns {Array<Object>} The sorted attendees
+ */
+function sortAttendees(attendees, sort, { locale } = {}) {
+  const keys = normalizeSort(sort && sort.length > 0 ? sort : DEFAULT_SORT);
+  const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+  const compareValues = (a, b) =>
+    typeof a === 'number' && typeof b === 'number' ? a - b : collator.compare(String(a), String(b));
+
+  // Read each value once rather than on every comparison
+  const rows = attendees.map((attendee) => ({ attendee, values: keys.map((key) => sortValue(attendee, key)) }));
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const left = a.values[i];
+      const right = b.values[i];
+      if (left === undefined || right === undefined) {
+        if (left !== right) {
+          return left === undefined ? 1 : -1;
+        }
+        continue;
+      }
+      const order = compareValues(left, right);
+      if (order !== 0) {
+        return keys[i].direction === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  });
+  return rows.map((row) => row.attendee);
+}
+
+module.exports = {
+  SORT_KEYS,
+  DEFAULT_SORT,
+  normalizeSort,
+  sortAttendees,
+};
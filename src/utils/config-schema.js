@@ -5,6 +5,235 @@
  */
 
 const Joi = require('joi');
+const { checkPageLayout, fitColumnsToPage, resolveLabelSheet, PAGE_SIZES, LABEL_SHEETS } = require('./page-geometry');
+const { isSafeSource } = require('./attendee-fields');
+const { SORT_KEYS } = require('./attendee-sort');
+const { isValidLocale, isValidTimeZone, supportedLanguages } = require('./i18n');
+const { PRIVACY_PROFILES } = require('./privacy-profiles');
+
+/** Formatters a column can apply to its source value */
+const columnFormats = ['text', 'date', 'age', 'currency', 'phone', 'tick'];
+
+/** Columns the PDF generator formats itself; without a header they get the translated default */
+const builtInColumns = ['name', 'phone', 'signUpDate', 'fee', 'status'];
+
+/** Spreadsheet formats an attendee list can be exported in (see roster-exporter) */
+const exportFormats = ['csv', 'xlsx', 'json'];
+
+/** Dot path into the raw Hello Club attendee, for columns and sort keys */
+const sourceSchema = Joi.string()
+  .custom((source, helpers) => (isSafeSource(source) ? source : helpers.error('string.source')))
+  .messages({
+    'string.source': '{{#label}} must be a dot path of field names, e.g. "emergencyContact.phone"',
+  });
+
+/**
+ * Schema for a PDF column set, shared by `pdfLayout.columns` and rule overrides. Columns other than
+ * the built-in ones read `source`, a dot path into the raw Hello Club attendee (defaulting to the id).
+ * @type {Joi.ArraySchema}
+ */
+const columnsSchema = Joi.array().items(
+  Joi.object({
+    id: Joi.string().required(),
+    header: Joi.string().when('id', {
+      is: Joi.valid(...builtInColumns),
+      then: Joi.optional(),
+      otherwise: Joi.required(),
+    }),
+    width: Joi.number().positive().required(),
+    source: sourceSchema,
+    format: Joi.string()
+      .valid(...columnFormats)
+      .default('text'),
+    maxLength: Joi.number().integer().min(1).max(500),
+    maxLines: Joi.number().integer().min(1).max(10),
+  })
+);
+
+const printModeValues = ['local', 'email', 'ipp', 'raw'];
+
+/** A privacy profile name: one of `pdfLayout.privacyProfiles` or a built-in profile, null for the full list */
+const privacyNameSchema = Joi.string()
+  .pattern(/^[a-z0-9_-]+$/i)
+  .allow(null);
+
+/** What a privacy profile leaves out of the attendee list */
+const privacyProfileSchema = Joi.object({
+  maskPhone: Joi.boolean().default(false),
+  abbreviateSurname: Joi.boolean().default(false),
+  hideFees: Joi.boolean().default(false),
+  omitColumns: Joi.array().items(Joi.string()).unique().default([]),
+});
+
+const marginSchema = Joi.number().min(0).max(144);
+
+/** A paper size name, or a custom size in points */
+const pageSizeSchema = Joi.alternatives().try(
+  Joi.string().valid(...Object.keys(PAGE_SIZES)),
+  Joi.object({
+    width: Joi.number().min(144).max(14400).required(),
+    height: Joi.number().min(144).max(14400).required(),
+  })
+);
+
+/**
+ * Schema for a badge label sheet: an Avery preset (see LABEL_SHEETS) or a custom grid in points.
+ * @type {Joi.AlternativesSchema}
+ */
+const labelSheetSchema = Joi.alternatives().try(
+  Joi.string().valid(...Object.keys(LABEL_SHEETS)),
+  Joi.object({
+    pageSize: pageSizeSchema.default('A4'),
+    orientation: Joi.string().valid('portrait', 'landscape').default('portrait'),
+    columns: Joi.number().integer().min(1).max(10).required(),
+    rows: Joi.number().integer().min(1).max(30).required(),
+    labelWidth: Joi.number().positive().required(),
+    labelHeight: Joi.number().positive().required(),
+    marginTop: Joi.number().min(0),
+    marginLeft: Joi.number().min(0),
+    pitchX: Joi.number().positive(),
+    pitchY: Joi.number().positive(),
+  })
+);
+
+/**
+ * Schema for a line of the badge template. `source` is `name` (first and last name), `eventName`, or a
+ * dot path into the raw Hello Club attendee as for columns.
+ * @type {Joi.ObjectSchema}
+ */
+const badgeFieldSchema = Joi.object({
+  source: sourceSchema.required(),
+  fontSize: Joi.number().min(4).max(72).default(12),
+  style: Joi.string().valid('regular', 'bold', 'oblique').default('regular'),
+  // A tick is drawn into a column's cell; a badge has none
+  format: Joi.string()
+    .valid(...columnFormats.filter((format) => format !== 'tick'))
+    .default('text'),
+  maxLines: Joi.number().integer().min(1).max(5).default(1),
+});
+
+/** Badge template used when none is configured: the name, large, over the event name */
+const defaultBadgeFields = [
+  { source: 'name', fontSize: 18, style: 'bold', format: 'text', maxLines: 2 },
+  { source: 'eventName', fontSize: 10, style: 'regular', format: 'text', maxLines: 1 },
+];
+
+const fontFileSchema = Joi.string()
+  .pattern(/\.(ttf|otf)$/i)
+  .messages({ 'string.pattern.base': '{{#label}} must be a .ttf or .otf font file' });
+
+/**
+ * Runs a page geometry check inside a Joi custom rule, reporting its message as the validation error.
+ * @param {Function} check - Throws an Error describing the problem
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {Object|undefined} The Joi error, or undefined if the check passed
+ */
+function pageLayoutError(check, helpers) {
+  try {
+    check();
+  } catch (error) {
+    return helpers.message({ custom: error.message });
+  }
+  return undefined;
+}
+
+/**
+ * Schema for `printMode`: a single mode, or an ordered failover chain of delivery targets tried
+ * until one succeeds. Chain entries are a mode or an object pinning a printer for that mode.
+ * @type {Joi.AlternativesSchema}
+ */
+const printModeSchema = Joi.alternatives().try(
+  Joi.string().valid(...printModeValues),
+  Joi.array()
+    .items(
+      Joi.string().valid(...printModeValues),
+      Joi.object({
+        mode: Joi.string()
+          .valid(...printModeValues)
+          .required(),
+        name: Joi.string(),
+        printer: Joi.string(),
+        printerUri: Joi.string().uri({ scheme: ['ipp', 'ipps', 'http', 'https'] }),
+        host: Joi.string(),
+        port: Joi.number().integer().min(1).max(65535),
+        privacy: privacyNameSchema,
+      })
+    )
+    .min(1)
+);
+
+/**
+ * Schema for `groupBy`: split the attendee list by membership rule / ticket type or by payment
+ * status. `null` prints one ungrouped list.
+ * @type {Joi.StringSchema}
+ */
+const groupBySchema = Joi.string().valid('rule', 'paymentStatus').allow(null);
+
+/**
+ * Schema for `sort`: the keys the attendee list is ordered by, later keys breaking ties. A key name
+ * on its own sorts ascending; `field` keys read `source` from the raw Hello Club attendee.
+ * @type {Joi.ArraySchema}
+ */
+const sortSchema = Joi.array()
+  .items(
+    // Picked by type so a bad key reports what is wrong with it, not just that no type matched
+    Joi.alternatives().conditional(Joi.string(), {
+      then: Joi.string().valid(...SORT_KEYS.filter((key) => key !== 'field')),
+      otherwise: Joi.object({
+        by: Joi.string()
+          .valid(...SORT_KEYS)
+          .required(),
+        direction: Joi.string().valid('asc', 'desc').default('asc'),
+        source: sourceSchema.when('by', { is: 'field', then: Joi.required(), otherwise: Joi.forbidden() }),
+      }),
+    })
+  )
+  .min(1);
+
+/** Export formats of an event's list, e.g. ['xlsx', 'csv'] */
+const exportFormatsSchema = Joi.array()
+  .items(
+    Joi.string()
+      .lowercase()
+      .valid(...exportFormats)
+  )
+  .unique();
+
+const weekdaySchema = Joi.string().lowercase().valid('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat');
+
+/**
+ * Schema for a single print rule. All criteria in `match` must match; the first matching rule wins.
+ * Overrides that are omitted fall back to the global settings.
+ * @type {Joi.ObjectSchema}
+ */
+const ruleSchema = Joi.object({
+  name: Joi.string().required(),
+  match: Joi.object({
+    category: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1)),
+    namePattern: Joi.string().custom((value, helpers) => {
+      try {
+        new RegExp(value);
+      } catch (_e) {
+        return helpers.error('any.invalid', { message: 'namePattern is not a valid regular expression' });
+      }
+      return value;
+    }, 'Regular expression validation'),
+    weekday: Joi.alternatives().try(weekdaySchema, Joi.array().items(weekdaySchema).min(1)),
+    venue: Joi.string(),
+  })
+    .min(1)
+    .required(),
+  leadMinutes: Joi.number().integer().min(1).max(1440),
+  printMode: printModeSchema,
+  printer: Joi.string(),
+  copies: Joi.number().integer().min(1).max(10),
+  columns: columnsSchema.min(1),
+  logo: Joi.string().allow(null),
+  groupBy: groupBySchema,
+  sort: sortSchema,
+  badges: Joi.boolean(),
+  exports: exportFormatsSchema,
+});
 
 /**
  * The Joi schema for validating the `config.json` file.
@@ -16,6 +245,12 @@ const configSchema = Joi.object({
    * @type {Array<string>}
    */
   categories: Joi.array().items(Joi.string()).default([]),
+  /**
+   * Per-event overrides of lead time, print mode, printer, copies, columns, logo and grouping,
+   * matched on category, event name pattern, weekday or venue. Evaluated in order.
+   * @type {Array<Object>}
+   */
+  rules: Joi.array().items(ruleSchema).unique('name').default([]),
   /**
    * The time in minutes before an event starts to fetch the latest attendee list, generate the PDF, and print it.
    * For example, 5 means the PDF will be ready 5 minutes before the event begins.
@@ -49,7 +284,86 @@ const configSchema = Joi.object({
       }
       return value;
     }, 'Path traversal validation'),
-  printMode: Joi.string().valid('local', 'email').default('email'),
+  /**
+   * Locale of dates, times and the fixed text on printouts, in emails, webhook display fields and
+   * logs, e.g. "en-GB" or "de-DE". Text without a translation for the language is printed in English.
+   * @type {string}
+   */
+  locale: Joi.string()
+    .default('en-GB')
+    .custom((locale, helpers) => (isValidLocale(locale) ? locale : helpers.error('string.locale')))
+    .messages({
+      'string.locale': `{{#label}} must be a locale tag such as "en-GB" or "de-DE" (translated: ${supportedLanguages().join(', ')})`,
+    }),
+  /**
+   * IANA time zone of printed dates and times, e.g. "Pacific/Auckland". Defaults to the host's.
+   * @type {string|null}
+   */
+  timeZone: Joi.string()
+    .allow(null)
+    .default(null)
+    .custom((timeZone, helpers) => (isValidTimeZone(timeZone) ? timeZone : helpers.error('string.timeZone')))
+    .messages({ 'string.timeZone': '{{#label}} must be a time zone name such as "Pacific/Auckland" or "UTC"' }),
+  /**
+   * Where PDFs are delivered: 'local', 'email', 'ipp' or 'raw', or an ordered list of targets
+   * to fail over through, e.g. [{ "mode": "local", "printer": "Front_Desk" }, "email"].
+   * @type {string|Array<string|Object>}
+   */
+  printMode: printModeSchema.default('email'),
+  /**
+   * Direct IPP printing (printMode 'ipp'), for hosts without the CUPS client tools.
+   * @type {Object}
+   */
+  ipp: Joi.object({
+    printerUri: Joi.string()
+      .uri({ scheme: ['ipp', 'ipps', 'http', 'https'] })
+      .allow(null, '')
+      .default(null),
+    sides: Joi.string().valid('one-sided', 'two-sided-long-edge', 'two-sided-short-edge').allow(null).default(null),
+    media: Joi.string().allow(null).default(null),
+    // Keywords mapped to IPP enums in ipp-printer.js
+    finishings: Joi.array()
+      .items(
+        Joi.string().valid(
+          'none',
+          'staple',
+          'punch',
+          'cover',
+          'bind',
+          'saddle-stitch',
+          'edge-stitch',
+          'staple-top-left',
+          'staple-bottom-left',
+          'staple-top-right',
+          'staple-bottom-right'
+        )
+      )
+      .default([]),
+    requestTimeoutSeconds: Joi.number().integer().min(5).max(300).default(60),
+  })
+    .optional()
+    .default({ printerUri: null, sides: null, media: null, finishings: [], requestTimeoutSeconds: 60 }),
+  /**
+   * Raw TCP/JetDirect printing (printMode 'raw') for printers that only offer a port 9100 socket.
+   * @type {Object}
+   */
+  raw: Joi.object({
+    host: Joi.string().allow(null, '').default(null),
+    port: Joi.number().integer().min(1).max(65535).default(9100),
+    format: Joi.string().valid('pdf', 'postscript', 'pcl').default('pdf'),
+    pjl: Joi.boolean().default(true),
+    connectTimeoutSeconds: Joi.number().integer().min(1).max(120).default(10),
+    writeTimeoutSeconds: Joi.number().integer().min(5).max(600).default(60),
+  })
+    .optional()
+    .default({
+      host: null,
+      port: 9100,
+      format: 'pdf',
+      pjl: true,
+      connectTimeoutSeconds: 10,
+      writeTimeoutSeconds: 60,
+    }),
   email: Joi.object({
     to: Joi.string().email().required(),
     from: Joi.string().email().required(),
@@ -73,6 +387,18 @@ const configSchema = Joi.object({
   })
     .optional()
     .default({ maxAttempts: 3, baseDelayMinutes: 5 }),
+  /**
+   * CUPS print job tracking (local print mode). When enabled, an event is only marked processed
+   * once CUPS reports its job completed; aborted, cancelled or timed-out jobs go through retry.
+   * @type {Object}
+   */
+  printJobs: Joi.object({
+    trackCompletion: Joi.boolean().default(true),
+    pollIntervalSeconds: Joi.number().integer().min(1).max(60).default(5),
+    timeoutMinutes: Joi.number().integer().min(1).max(120).default(10),
+  })
+    .optional()
+    .default({ trackCompletion: true, pollIntervalSeconds: 5, timeoutMinutes: 10 }),
   /**
    * API client configuration
    * @type {Object}
@@ -106,29 +432,155 @@ const configSchema = Joi.object({
    */
   database: Joi.object({
     cleanupDays: Joi.number().integer().min(1).max(365).default(30),
+    // Days to keep the attendee history; defaults to cleanupDays
+    snapshotRetentionDays: Joi.number().integer().min(1).max(365).optional(),
   })
     .optional()
     .default({ cleanupDays: 30 }),
+  /**
+   * Late sign-up addenda: after an event's list has printed, keep checking until the event starts
+   * and print an "Additions / Cancellations" page when the attendees change.
+   * @type {Object}
+   */
+  addendum: Joi.object({
+    enabled: Joi.boolean().default(false),
+    checkIntervalMinutes: Joi.number().integer().min(1).max(60).default(10),
+    minChanges: Joi.number().integer().min(1).max(100).default(1),
+  })
+    .optional()
+    .default({ enabled: false, checkIntervalMinutes: 10, minChanges: 1 }),
+  /**
+   * QR check-in codes: each attendee row gets a QR code linking to the dashboard's check-in page,
+   * signed with CHECKIN_SECRET from .env. `baseUrl` is the dashboard address as seen from a phone;
+   * codes stop working `validHours` after the event starts.
+   * @type {Object}
+   */
+  checkIn: Joi.object({
+    enabled: Joi.boolean().default(false),
+    baseUrl: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .allow(null)
+      .default(null)
+      .when('enabled', { is: true, then: Joi.string().required() }),
+    qrSize: Joi.number().integer().min(24).max(72).default(36),
+    validHours: Joi.number().integer().min(1).max(168).default(12),
+  })
+    .optional()
+    .default({ enabled: false, baseUrl: null, qrSize: 36, validHours: 12 }),
+  /**
+   * Day sheet: print all events starting within a window as one document (cover index plus every
+   * event's list) instead of one printout per event.
+   * @type {Object}
+   */
+  daySheet: Joi.object({
+    enabled: Joi.boolean().default(false),
+    windowHours: Joi.number().integer().min(1).max(24).default(12),
+  })
+    .optional()
+    .default({ enabled: false, windowHours: 12 }),
+  /**
+   * Name badges: the attendees laid out on label sheets, one label each with the template's fields.
+   * Printed after an event's roster when enabled here, by a matching rule's `badges` or with the
+   * `--badges` CLI option. `printMode` and `printer` send them to another printer than the roster.
+   * @type {Object}
+   */
+  badges: Joi.object({
+    enabled: Joi.boolean().default(false),
+    sheet: labelSheetSchema.default('L7160'),
+    padding: Joi.number().min(0).max(36).default(6),
+    fields: Joi.array().items(badgeFieldSchema).min(1).default(defaultBadgeFields),
+    printMode: printModeSchema,
+    printer: Joi.string(),
+  })
+    .custom(
+      (badges, helpers) => pageLayoutError(() => resolveLabelSheet(badges.sheet), helpers) || badges,
+      'Labels fit the sheet'
+    )
+    .optional()
+    .default({ enabled: false, sheet: 'L7160', padding: 6, fields: defaultBadgeFields }),
+  /**
+   * Spreadsheet exports of each event's attendee list, with the printed list's columns. They are
+   * archived with the roster PDF and, when `attach` is set, attached to its email in email print
+   * mode. A matching rule's `exports` replaces `formats` for its events.
+   * @type {Object}
+   */
+  exports: Joi.object({
+    formats: exportFormatsSchema.default([]),
+    attach: Joi.boolean().default(false),
+  })
+    .optional()
+    .default({ formats: [], attach: false }),
+  /**
+   * Archive of delivered PDFs, kept for reprints and pruned by the daily cleanup.
+   * @type {Object}
+   */
+  archive: Joi.object({
+    enabled: Joi.boolean().default(true),
+    directory: Joi.string().default('archive'),
+    retentionDays: Joi.number().integer().min(1).max(3650).default(90),
+  })
+    .optional()
+    .default({ enabled: true, directory: 'archive', retentionDays: 90 }),
+  /**
+   * Page geometry, font size, logo, columns, grouping and totals summary of the printed sheets. The
+   * columns must fit across the page inside the margins.
+   * @type {Object}
+   */
   pdfLayout: Joi.object({
+    pageSize: pageSizeSchema.default('A4'),
+    orientation: Joi.string().valid('portrait', 'landscape').default('portrait'),
+    margins: Joi.alternatives()
+      .try(
+        marginSchema,
+        Joi.object({ top: marginSchema, bottom: marginSchema, left: marginSchema, right: marginSchema }).min(1)
+      )
+      .default(50),
     logo: Joi.string().allow(null).default(null),
     fontSize: Joi.number().positive().default(10),
+    // Lines a cell wraps to before its text is cut short with an ellipsis; columns can set their own
+    maxLines: Joi.number().integer().min(1).max(10).default(2),
+    // Font files for names in scripts Helvetica cannot print; each character uses the first font that has it
+    fonts: Joi.object({
+      regular: fontFileSchema,
+      bold: fontFileSchema,
+      italic: fontFileSchema,
+      fallbacks: Joi.array()
+        .items(
+          Joi.alternatives().try(
+            fontFileSchema,
+            Joi.object({ regular: fontFileSchema.required(), bold: fontFileSchema })
+          )
+        )
+        .default([]),
+    }).optional(),
+    // Printing order, done in-process when the PDF is generated: last sheet first for face-up
+    // printers, two pages per sheet side or as a folded booklet, and blank pages so that each event
+    // starts on the front of a sheet when printing double-sided
     reversePageOrder: Joi.boolean().default(false),
-    columns: Joi.array()
-      .items(
-        Joi.object({
-          id: Joi.string().required(),
-          header: Joi.string().required(),
-          width: Joi.number().positive().required(),
-        })
-      )
-      .default([
-        { id: 'name', header: 'Name', width: 140 },
-        { id: 'phone', header: 'Phone', width: 100 },
-        { id: 'signUpDate', header: 'Signed up', width: 100 },
-        { id: 'fee', header: 'Fee', width: 60 },
-        { id: 'status', header: 'Status', width: 90 },
-      ]),
-  }).optional(),
+    imposition: Joi.string().valid('none', '2-up', 'booklet').default('none'),
+    duplexPadding: Joi.boolean().default(false),
+    // Stamped across every page of a reprinted list: true for the translated "UPDATED – rev 2, 18:42",
+    // a text with {revision} and {time} placeholders, or false for none
+    revisionWatermark: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().min(1).max(80)).default(true),
+    // Named privacy profiles, and the profile each print mode prints with; print targets can name their own
+    privacyProfiles: Joi.object()
+      .pattern(/^[a-z0-9_-]+$/i, privacyProfileSchema)
+      .default({}),
+    privacy: Joi.object(Object.fromEntries(printModeValues.map((mode) => [mode, privacyNameSchema]))).default({}),
+    groupBy: groupBySchema.default(null),
+    sort: sortSchema,
+    summary: Joi.string().valid('block', 'page').allow(null).default(null),
+    columns: columnsSchema.default([
+      { id: 'name', width: 140 },
+      { id: 'phone', width: 100 },
+      { id: 'signUpDate', width: 100 },
+      { id: 'fee', width: 60 },
+      { id: 'status', width: 60 },
+    ]),
+  })
+    // The columns are fitted to the page with the rest of the config (see below)
+    .custom((layout, helpers) => pageLayoutError(() => checkPageLayout(layout, []), helpers) || layout, 'Margins')
+    .optional(),
   /**
    * Service runtime tunables
    * @type {Object}
@@ -167,6 +619,61 @@ const configSchema = Joi.object({
       maxRetries: 2,
       retryDelayMs: 2000,
     }),
-});
+})
+  .custom((config, helpers) => {
+    // Rule column overrides are printed on the global page layout, so they have to fit it too, and
+    // QR check-in codes take room from every column set. Column sets that are too wide loaded before
+    // widths were checked, so they are narrowed to fit with a warning rather than rejected.
+    const qrSize = config.checkIn && config.checkIn.enabled ? config.checkIn.qrSize : 0;
+    const fit = (columns, label) => {
+      const fitted = fitColumnsToPage(config.pdfLayout, columns, { label, qrSize });
+      if (fitted.warning) {
+        helpers.warn('columns.narrowed', { message: fitted.warning });
+      }
+      return fitted.columns;
+    };
+    try {
+      config = {
+        ...config,
+        ...(config.pdfLayout && {
+          pdfLayout: { ...config.pdfLayout, columns: fit(config.pdfLayout.columns, '"pdfLayout.columns"') },
+        }),
+        ...(config.rules && {
+          rules: config.rules.map((rule, index) =>
+            rule.columns
+              ? { ...rule, columns: fit(rule.columns, `"rules[${index}].columns" (rule "${rule.name}")`) }
+              : rule
+          ),
+        }),
+      };
+    } catch (error) {
+      return helpers.message({ custom: error.message });
+    }
+
+    // Privacy profiles named by print modes and targets have to exist
+    const layout = config.pdfLayout || {};
+    const profiles = { ...PRIVACY_PROFILES, ...layout.privacyProfiles };
+    const targetSets = [
+      { label: 'printMode', printMode: config.printMode },
+      { label: 'badges.printMode', printMode: config.badges && config.badges.printMode },
+      ...(config.rules || []).map((rule, index) => ({ label: `rules[${index}].printMode`, printMode: rule.printMode })),
+    ];
+    const references = [
+      ...Object.entries(layout.privacy || {}).map(([mode, name]) => ({ label: `pdfLayout.privacy.${mode}`, name })),
+      ...targetSets.flatMap(({ label, printMode }) =>
+        []
+          .concat(printMode || [])
+          .map((target, index) => ({ label: `${label}[${index}].privacy`, name: target.privacy }))
+      ),
+    ];
+    const unknown = references.find(({ name }) => name && !profiles[name]);
+    if (unknown) {
+      return helpers.message({
+        custom: `"${unknown.label}" names unknown privacy profile "${unknown.name}". Use ${Object.keys(profiles).join(', ')}`,
+      });
+    }
+    return config;
+  }, 'Column sets fit the page and privacy profiles exist')
+  .messages({ 'columns.narrowed': '{#message}' });
 
 module.exports = configSchema;
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Locale and time zone aware formatting, and the message catalogue for the fixed text
+ * on printouts and in emails. Dates and times follow `config.locale` and `config.timeZone`; text comes
+ * from the catalogue of the locale's language, falling back to English for languages and messages it
+ * does not have.
+ * @module i18n
+ */
+
+const DEFAULT_LOCALE = 'en-GB';
+
+/**
+ * Messages by language. `{name}` placeholders are filled from the parameters; a message with
+ * plural forms is an object keyed by Intl.PluralRules category and chosen by the `count` parameter.
+ */
+const MESSAGES = {
+  en: {
+    'column.name': 'Name',
+    'column.phone': 'Phone',
+    'column.signUpDate': 'Signed up',
+    'column.fee': 'Fee',
+    'column.status': 'Status',
+    'header.asOf': 'Attendees as of {date}, {time}',
+    'header.asOfRevision': 'Attendees as of {date}, {time} (revision {revision})',
+    'header.capacity': '{confirmed} of {capacity} places taken',
+    'header.waitlisted': '{count} on the waitlist',
+    'footer.pages': '{page} of {total} pages',
+    'watermark.updated': 'UPDATED – rev {revision}, {time}',
+    'status.paid': 'Paid',
+    'status.owing': 'Owing',
+    'status.noFee': 'No Fee',
+    // Hello Club sign-up statuses, by their lower-case API value
+    'status.registered': 'Registered',
+    'status.attending': 'Attending',
+    'status.attended': 'Attended',
+    'status.confirmed': 'Confirmed',
+    'status.waitlisted': 'Waitlisted',
+    'status.cancelled': 'Cancelled',
+    'status.unknown': 'Unknown',
+    'fee.membership': 'Membership',
+    'value.yes': 'Yes',
+    'value.no': 'No',
+    'group.noTicketType': 'No ticket type',
+    'group.heading': '{name} ({count})',
+    'group.continued': '{name} (continued)',
+    'subtotal.attendees': { one: '{count} attendee', other: '{count} attendees' },
+    'subtotal.paid': '{count} paid',
+    'subtotal.owing': '{count} owing',
+    'subtotal.noFee': '{count} no fee',
+    'subtotal.amountPaid': '{amount} paid',
+    'subtotal.amountOwing': '{amount} owing',
+    'subtotal.line': '{attendees}: {counts}',
+    'subtotal.lineWithFees': '{attendees}: {counts}. Fees: {fees}',
+    'writeIn.title': 'Not on the list?',
+    'writeIn.instructions': 'Please write your first and last name, email address and/or contact phone number below.',
+    'summary.title': 'Summary',
+    'summary.attendees': 'Attendees',
+    'summary.feesExpected': 'Fees expected',
+    'summary.feesReceived': 'Fees received',
+    'summary.outstanding': 'Outstanding',
+    'addendum.title': 'Additions / Cancellations since {time}',
+    'addendum.additions': 'Additions ({count})',
+    'addendum.cancellations': 'Cancellations ({count})',
+    'addendum.none': 'None',
+    'waitlist.title': 'Waitlist ({count})',
+    'daySheet.title': 'Day Sheet: {date}',
+    'daySheet.time': 'Time',
+    'daySheet.event': 'Event',
+    'daySheet.attendees': 'Attendees',
+    'daySheet.page': 'Page',
+    'email.subject': 'Print Job: {event}',
+    'email.subjectRevision': 'Print Job: {event} (revision {revision})',
+    'email.body': 'Attached is the attendee list for the event: {event}.',
+    'email.bodyWithDate': 'Attached is the attendee list for the event: {event} ({date}).',
+  },
+  de: {
+    'column.name': 'Name',
+    'column.phone': 'Telefon',
+    'column.signUpDate': 'Angemeldet',
+    'column.fee': 'Gebühr',
+    'column.status': 'Status',
+    'header.asOf': 'Teilnehmer, Stand {date}, {time}',
+    'header.asOfRevision': 'Teilnehmer, Stand {date}, {time} (Revision {revision})',
+    'header.capacity': '{confirmed} von {capacity} Plätzen belegt',
+    'header.waitlisted': '{count} auf der Warteliste',
+    'footer.pages': 'Seite {page} von {total}',
+    'watermark.updated': 'AKTUALISIERT – Rev. {revision}, {time}',
+    'status.paid': 'Bezahlt',
+    'status.owing': 'Offen',
+    'status.noFee': 'Keine Gebühr',
+    'status.registered': 'Angemeldet',
+    'status.attending': 'Nimmt teil',
+    'status.attended': 'Teilgenommen',
+    'status.confirmed': 'Bestätigt',
+    'status.waitlisted': 'Warteliste',
+    'status.cancelled': 'Storniert',
+    'status.unknown': 'Unbekannt',
+    'fee.membership': 'Mitgliedschaft',
+    'value.yes': 'Ja',
+    'value.no': 'Nein',
+    'group.noTicketType': 'Ohne Tickettyp',
+    'group.heading': '{name} ({count})',
+    'group.continued': '{name} (Fortsetzung)',
+    'subtotal.attendees': { one: '{count} Teilnehmer', other: '{count} Teilnehmer' },
+    'subtotal.paid': '{count} bezahlt',
+    'subtotal.owing': '{count} offen',
+    'subtotal.noFee': '{count} ohne Gebühr',
+    'subtotal.amountPaid': '{amount} bezahlt',
+    'subtotal.amountOwing': '{amount} offen',
+    'subtotal.line': '{attendees}: {counts}',
+    'subtotal.lineWithFees': '{attendees}: {counts}. Gebühren: {fees}',
+    'writeIn.title': 'Nicht auf der Liste?',
+    'writeIn.instructions': 'Bitte tragen Sie unten Vor- und Nachnamen, E-Mail-Adresse und/oder Telefonnummer ein.',
+    'summary.title': 'Zusammenfassung',
+    'summary.attendees': 'Teilnehmer',
+    'summary.feesExpected': 'Erwartete Gebühren',
+    'summary.feesReceived': 'Erhaltene Gebühren',
+    'summary.outstanding': 'Ausstehend',
+    'addendum.title': 'Zugänge / Abmeldungen seit {time}',
+    'addendum.additions': 'Zugänge ({count})',
+    'addendum.cancellations': 'Abmeldungen ({count})',
+    'addendum.none': 'Keine',
+    'waitlist.title': 'Warteliste ({count})',
+    'daySheet.title': 'Tagesübersicht: {date}',
+    'daySheet.time': 'Zeit',
+    'daySheet.event': 'Veranstaltung',
+    'daySheet.attendees': 'Teilnehmer',
+    'daySheet.page': 'Seite',
+    'email.subject': 'Druckauftrag: {event}',
+    'email.subjectRevision': 'Druckauftrag: {event} (Revision {revision})',
+    'email.body': 'Anbei die Teilnehmerliste für die Veranstaltung: {event}.',
+    'email.bodyWithDate': 'Anbei die Teilnehmerliste für die Veranstaltung: {event} ({date}).',
+  },
+  fr: {
+    'column.name': 'Nom',
+    'column.phone': 'Téléphone',
+    'column.signUpDate': 'Inscrit le',
+    'column.fee': 'Tarif',
+    'column.status': 'Statut',
+    'header.asOf': 'Participants au {date}, {time}',
+    'header.asOfRevision': 'Participants au {date}, {time} (révision {revision})',
+    'header.capacity': {
+      one: '{confirmed} place prise sur {capacity}',
+      other: '{confirmed} places prises sur {capacity}',
+    },
+    'header.waitlisted': "{count} en liste d'attente",
+    'footer.pages': 'Page {page} sur {total}',
+    'watermark.updated': 'MIS À JOUR – rév. {revision}, {time}',
+    'status.paid': 'Payé',
+    'status.owing': 'À payer',
+    'status.noFee': 'Gratuit',
+    'status.registered': 'Inscrit',
+    'status.attending': 'Participe',
+    'status.attended': 'Présent',
+    'status.confirmed': 'Confirmé',
+    'status.waitlisted': "Liste d'attente",
+    'status.cancelled': 'Annulé',
+    'status.unknown': 'Inconnu',
+    'fee.membership': 'Adhésion',
+    'value.yes': 'Oui',
+    'value.no': 'Non',
+    'group.noTicketType': 'Sans type de billet',
+    'group.heading': '{name} ({count})',
+    'group.continued': '{name} (suite)',
+    'subtotal.attendees': { one: '{count} participant', other: '{count} participants' },
+    'subtotal.paid': { one: '{count} payé', other: '{count} payés' },
+    'subtotal.owing': '{count} à payer',
+    'subtotal.noFee': { one: '{count} gratuit', other: '{count} gratuits' },
+    'subtotal.amountPaid': '{amount} encaissés',
+    'subtotal.amountOwing': '{amount} à payer',
+    'subtotal.line': '{attendees} : {counts}',
+    'subtotal.lineWithFees': '{attendees} : {counts}. Tarifs : {fees}',
+    'writeIn.title': 'Pas sur la liste ?',
+    'writeIn.instructions':
+      'Veuillez indiquer ci-dessous vos nom et prénom, votre adresse e-mail et/ou votre numéro de téléphone.',
+    'summary.title': 'Récapitulatif',
+    'summary.attendees': 'Participants',
+    'summary.feesExpected': 'Tarifs attendus',
+    'summary.feesReceived': 'Tarifs encaissés',
+    'summary.outstanding': 'Reste à payer',
+    'addendum.title': 'Ajouts / Annulations depuis {time}',
+    'addendum.additions': 'Ajouts ({count})',
+    'addendum.cancellations': 'Annulations ({count})',
+    'addendum.none': 'Aucun',
+    'waitlist.title': "Liste d'attente ({count})",
+    'daySheet.title': 'Feuille du jour : {date}',
+    'daySheet.time': 'Heure',
+    'daySheet.event': 'Événement',
+    'daySheet.attendees': 'Participants',
+    'daySheet.page': 'Page',
+    'email.subject': 'Impression : {event}',
+    'email.subjectRevision': 'Impression : {event} (révision {revision})',
+    'email.body': "Veuillez trouver ci-joint la liste des participants de l'événement : {event}.",
+    'email.bodyWithDate': "Veuillez trouver ci-joint la liste des participants de l'événement : {event} ({date}).",
+  },
+};
+
+/** Date and time styles shared by printouts, emails, webhooks and logs */
+const DATE_FORMAT = { day: 'numeric', month: 'short', year: 'numeric' };
+const TIME_FORMAT = { hour: '2-digit', minute: '2-digit' };
+
+/**
+ * Checks a BCP 47 locale tag, e.g. "en-GB" or "de-DE".
+ * @param {string} locale - Locale tag
+ * @returns {boolean} Whether Intl accepts it
+ */
+function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Checks an IANA time zone name, e.g. "Pacific/Auckland".
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} Whether Intl knows it
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Languages the catalogue has, for messages and docs.
+ * @returns {Array<string>} e.g. ['en', 'de', 'fr']
+ */
+function supportedLanguages() {
+  return Object.keys(MESSAGES);
+}
+
+/**
+ * Creates the formatter for a locale and time zone.
+ * @param {Object} [settings] - Settings, e.g. the config or print options
+ * @param {string} [settings.locale='en-GB'] - BCP 47 locale of dates, times and text
+ * @param {string|null} [settings.timeZone] - IANA time zone of dates and times; the host's when not set
+ * @returns {{locale: string, timeZone: string|null, language: string, t: function(string, Object=): string,
+ *   formatDate: function(*, Object=): string, formatTime: function(*): string, formatDateTime: function(*): string}}
+ *   The translator `t(key, params)` and date formatters taking anything `new Date()` accepts
+ */
+function createI18n({ locale, timeZone } = {}) {
+  const resolvedLocale = locale || DEFAULT_LOCALE;
+  const language = resolvedLocale.split('-')[0].toLowerCase();
+  const messages = MESSAGES[language] || MESSAGES.en;
+  const plurals = new Intl.PluralRules(resolvedLocale);
+
+  const t = (key, params = {}) => {
+    let message = messages[key] !== undefined ? messages[key] : MESSAGES.en[key];
+    if (message === undefined) {
+      return key;
+    }
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined ? String(params[name]) : placeholder
+    );
+  };
+
+  const format = (value, options) =>
+    new Date(value).toLocaleString(resolvedLocale, { timeZone: timeZone || undefined, ...options });
+
+  return {
+    locale: resolvedLocale,
+    timeZone: timeZone || null,
+    language: MESSAGES[language] ? language : 'en',
+    t,
+    formatDate: (value, options = DATE_FORMAT) => format(value, options),
+    formatTime: (value) => format(value, TIME_FORMAT),
+    formatDateTime: (value) => format(value, { ...DATE_FORMAT, ...TIME_FORMAT }),
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  MESSAGES,
+  createI18n,
+  isValidLocale,
+  isValidTimeZone,
+  supportedLanguages,
+};
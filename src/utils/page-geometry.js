@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Page geometry of the printed sheets: paper size, orientation and margins from
+ * `pdfLayout`, the check that the configured columns fit across the page (and narrowing them when they
+ * do not), and the label grids of badge sheets.
+ * @module page-geometry
+ */
+
+/** Paper sizes in points (1/72 inch), portrait */
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+};
+
+const DEFAULT_MARGIN = 50;
+
+/**
+ * Label sheet presets in points: the grid of labels, the offset of the first label from the top-left
+ * corner of the page and the pitch (distance from one label to the start of the next).
+ */
+const LABEL_SHEETS = {
+  // Avery L7160: 21 labels of 63.5 x 38.1mm on A4
+  L7160: {
+    pageSize: 'A4',
+    columns: 3,
+    rows: 7,
+    labelWidth: 180,
+    labelHeight: 108,
+    marginTop: 42.8,
+    marginLeft: 20.4,
+    pitchX: 187.1,
+    pitchY: 108,
+  },
+  // Avery 5160: 30 labels of 2 5/8 x 1 inch on US Letter
+  5160: {
+    pageSize: 'Letter',
+    columns: 3,
+    rows: 10,
+    labelWidth: 189,
+    labelHeight: 72,
+    marginTop: 36,
+    marginLeft: 13.5,
+    pitchX: 198,
+    pitchY: 72,
+  },
+};
+
+/** Width taken left of the first column by the check-in box (16pt) and its gap (10pt) */
+const CHECKBOX_GUTTER = 26;
+
+/** Gap between the last column and a QR check-in code at the right of the row */
+const QR_GAP = 6;
+
+/** Smallest printable height that still holds the header, column headers, a few rows and the footer */
+const MIN_CONTENT_HEIGHT = 200;
+
+/**
+ * Resolves the page geometry of a layout. Missing settings default to A4 portrait with 50pt margins.
+ * @param {Object} [layout] - The `pdfLayout` config (pageSize, orientation, margins)
+ * @returns {{size: Array<number>, orientation: string, margins: Object, contentWidth: number,
+ *   contentHeight: number, columnsWidth: number, description: string}} Page size in points as
+ *   [width, height] after orientation, margins as {top, bottom, left, right}, the printable width and
+ *   height, the width available to columns, and e.g. "A4 portrait" for messages
+ * @throws {Error} If the page size is not known
+ */
+function resolvePageGeometry(layout) {
+  const { pageSize = 'A4', orientation = 'portrait', margins = DEFAULT_MARGIN } = layout || {};
+
+  let dimensions;
+  let name;
+  if (typeof pageSize === 'string') {
+    dimensions = PAGE_SIZES[pageSize];
+    name = pageSize;
+    if (!dimensions) {
+      throw new Error(`Unknown page size "${pageSize}". Use ${Object.keys(PAGE_SIZES).join(', ')} or a custom size`);
+    }
+  } else {
+    dimensions = [pageSize.width, pageSize.height];
+    name = `${pageSize.width}x${pageSize.height}pt`;
+  }
+
+  // Orientation decides which side runs across the page, for custom sizes too
+  const shortSide = Math.min(...dimensions);
+  const longSide = Math.max(...dimensions);
+  const size = orientation === 'landscape' ? [longSide, shortSide] : [shortSide, longSide];
+  const resolvedMargins =
+    typeof margins === 'number'
+      ? { top: margins, bottom: margins, left: margins, right: margins }
+      : { top: DEFAULT_MARGIN, bottom: DEFAULT_MARGIN, left: DEFAULT_MARGIN, right: DEFAULT_MARGIN, ...margins };
+  const contentWidth = size[0] - resolvedMargins.left - resolvedMargins.right;
+
+  return {
+    size,
+    orientation,
+    margins: resolvedMargins,
+    contentWidth,
+    contentHeight: size[1] - resolvedMargins.top - resolvedMargins.bottom,
+    columnsWidth: contentWidth - CHECKBOX_GUTTER,
+    description: `${name} ${orientation}`,
+  };
+}
+
+/**
+ * Formats points for messages, e.g. 469.28 -> "469pt".
+ * @param {number} points - A length in points
+ * @returns {string} The rounded length
+ */
+function formatPoints(points) {
+  return `${Math.floor(points)}pt`;
+}
+
+/**
+ * Checks that a layout's margins leave room to print and that its columns fit across the page.
+ * @param {Object} [layout] - The `pdfLayout` config
+ * @param {Array<Object>} [columns=layout.columns] - The columns to check, e.g. a rule's column override
+ * @param {Object} [options] - Options
+ * @param {string} [options.label='Columns'] - What the columns are called in the error message
+ * @param {number} [options.qrSize=0] - Size of the QR check-in code printed right of the columns, if any
+ * @returns {Object} The page geometry, as from resolvePageGeometry
+ * @throws {Error} If the margins leave too little room or the columns are wider than the page allows
+ */
+function checkPageLayout(layout, columns = layout && layout.columns, { label = 'Columns', qrSize = 0 } = {}) {
+  const geometry = resolvePageGeometry(layout);
+  const { description, margins } = geometry;
+
+  if (geometry.columnsWidth <= 0 || geometry.contentHeight < MIN_CONTENT_HEIGHT) {
+    throw new Error(
+      `The margins leave only ${formatPoints(geometry.contentWidth)} x ${formatPoints(geometry.contentHeight)} ` +
+        `to print on ${description}; at least ${CHECKBOX_GUTTER + 1}pt x ${MIN_CONTENT_HEIGHT}pt is needed`
+    );
+  }
+
+  const totalWidth = (columns || []).reduce((sum, column) => sum + column.width, 0);
+  const availableWidth = geometry.columnsWidth - (qrSize ? qrSize + QR_GAP : 0);
+  if (totalWidth > availableWidth) {
+    const marginText =
+      margins.left === margins.right
+        ? `${margins.left}pt side margins`
+        : `${margins.left}pt left and ${margins.right}pt right margins`;
+    throw new Error(
+      `${label} are ${totalWidth}pt wide but only ${formatPoints(availableWidth)} fit on ${description} ` +
+        `with ${marginText} (after the ${CHECKBOX_GUTTER}pt check-in box` +
+        `${qrSize ? ` and the ${qrSize + QR_GAP}pt QR code` : ''}). ` +
+        (geometry.orientation === 'landscape'
+          ? 'Narrow the columns or reduce the margins'
+          : 'Narrow the columns, reduce the margins or use landscape')
+    );
+  }
+
+  return geometry;
+}
+
+/**
+ * Narrows columns wider than the page proportionally so that they fit, for column sets written before
+ * widths were checked against the page.
+ * @param {Object} [layout] - The `pdfLayout` config
+ * @param {Array<Object>} columns - The columns to fit
+ * @param {Object} [options] - Options, as for checkPageLayout
+ * @param {string} [options.label='Columns'] - What the columns are called in the warning
+ * @param {number} [options.qrSize=0] - Size of the QR check-in code printed right of the columns, if any
+ * @returns {{columns: Array<Object>, warning: string|null}} The columns, narrowed if they did not fit,
+ *   and a message saying by how much
+ * @throws {Error} If the margins leave too little room to print
+ */
+function fitColumnsToPage(layout, columns, { label = 'Columns', qrSize = 0 } = {}) {
+  const geometry = checkPageLayout(layout, [], { label, qrSize });
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const availableWidth = geometry.columnsWidth - (qrSize ? qrSize + QR_GAP : 0);
+  if (totalWidth <= availableWidth) {
+    return { columns, warning: null };
+  }
+
+  const scale = availableWidth / totalWidth;
+  return {
+    // Rounded down to a hundredth of a point, so that the narrowed columns cannot add up past the page
+    columns: columns.map((column) => ({ ...column, width: Math.floor(column.width * scale * 100) / 100 })),
+    warning:
+      `${label} are ${totalWidth}pt wide but only ${formatPoints(availableWidth)} fit on ${geometry.description}; ` +
+      `they are printed ${Math.ceil((1 - scale) * 100)}% narrower. Narrow the columns to silence this warning`,
+  };
+}
+
+/**
+ * Resolves a label sheet (a preset name or a custom grid) and checks that its labels fit on the page.
+ * @param {string|Object} sheet - Preset name from LABEL_SHEETS, or `{ pageSize, orientation, columns,
+ *   rows, labelWidth, labelHeight, marginTop, marginLeft, pitchX, pitchY }` in points; the pitch defaults
+ *   to the label size (labels without gaps) and the offsets to 0
+ * @returns {{size: Array<number>, columns: number, rows: number, labelWidth: number, labelHeight: number,
+ *   marginTop: number, marginLeft: number, pitchX: number, pitchY: number, description: string}} The
+ *   page size in points as [width, height] and the label grid
+ * @throws {Error} If the preset or page size is unknown, or the labels run off the page
+ */
+function resolveLabelSheet(sheet) {
+  const preset = typeof sheet === 'string' ? LABEL_SHEETS[sheet] : sheet;
+  if (!preset) {
+    throw new Error(`Unknown label sheet "${sheet}". Use ${Object.keys(LABEL_SHEETS).join(', ')} or a custom grid`);
+  }
+
+  const { size, description } = resolvePageGeometry({
+    pageSize: preset.pageSize,
+    orientation: preset.orientation,
+    margins: 0,
+  });
+  const grid = {
+    marginTop: 0,
+    marginLeft: 0,
+    pitchX: preset.labelWidth,
+    pitchY: preset.labelHeight,
+    ...preset,
+  };
+  const right = grid.marginLeft + (grid.columns - 1) * grid.pitchX + grid.labelWidth;
+  const bottom = grid.marginTop + (grid.rows - 1) * grid.pitchY + grid.labelHeight;
+  if (right > size[0] || bottom > size[1]) {
+    throw new Error(
+      `${grid.columns} x ${grid.rows} labels need ${formatPoints(right)} x ${formatPoints(bottom)} ` +
+        `but ${description} is ${formatPoints(size[0])} x ${formatPoints(size[1])}`
+    );
+  }
+
+  return {
+    size,
+    columns: grid.columns,
+    rows: grid.rows,
+    labelWidth: grid.labelWidth,
+    labelHeight: grid.labelHeight,
+    marginTop: grid.marginTop,
+    marginLeft: grid.marginLeft,
+    pitchX: grid.pitchX,
+    pitchY: grid.pitchY,
+    description: typeof sheet === 'string' ? `${sheet} (${description})` : description,
+  };
+}
+
+module.exports = {
+  resolvePageGeometry,
+  checkPageLayout,
+  fitColumnsToPage,
+  resolveLabelSheet,
+  PAGE_SIZES,
+  LABEL_SHEETS,
+  CHECKBOX_GUTTER,
+  QR_GAP,
+};
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Page order and imposition of generated PDFs. Works on a pdfkit document with buffered
+ * pages after everything has been drawn and before it is ended, so printing needs no external tools.
+ * pdfkit has no public API for this, so it rewrites pdfkit's page tree and page objects; package.json
+ * pins the pdfkit version these internals were written against, and checkPdfkitInternals refuses a
+ * document that does not have them.
+ * @module page-imposition
+ */
+
+/** Imposition modes of `pdfLayout.imposition` */
+const IMPOSITIONS = ['none', '2-up', 'booklet'];
+
+/**
+ * Rounds a number for the content stream.
+ * @param {number} value - The number
+ * @returns {number} The number to four decimal places
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Page order of a saddle-stitched booklet, printed 2-up and double-sided: each sheet holds the
+ * outermost remaining pages, so the folded stack reads in order. The booklet is padded to a multiple
+ * of four pages with blank pages at the end.
+ * @param {number} pageCount - Number of pages in reading order
+ * @returns {Array<number|null>} Page indexes two per sheet side (front left, front right, back left,
+ *   back right, ...), null for a blank page
+ */
+function bookletOrder(pageCount) {
+  const total = Math.max(4, Math.ceil(pageCount / 4) * 4);
+  const order = [];
+  for (let i = 0; i < total / 2; i += 2) {
+    order.push(total - 1 - i, i, i + 1, total - 2 - i);
+  }
+  return order.map((index) => (index < pageCount ? index : null));
+}
+
+/**
+ * Reverses the order of the sheets, keeping the pages of each sheet in order.
+ * @param {Array} pages - Pages in printing order
+ * @param {number} pagesPerSheet - 2 for double-sided printing, 1 otherwise
+ * @returns {Array} The pages, last sheet first
+ */
+function reverseSheets(pages, pagesPerSheet) {
+  const sheets = [];
+  for (let i = 0; i < pages.length; i += pagesPerSheet) {
+    sheets.unshift(pages.slice(i, i + pagesPerSheet));
+  }
+  return sheets.flat();
+}
+
+/**
+ * Checks that a document has the pdfkit internals this module rewrites: the page tree's Kids and
+ * Count, the buffered pages behind them, and each page's dictionary, content stream and resources.
+ * @param {PDFDocument} doc - pdfkit document with buffered pages
+ * @throws {Error} If pdfkit lays out its document differently, e.g. after an upgrade
+ */
+function checkPdfkitInternals(doc) {
+  const tree = doc._root && doc._root.data && doc._root.data.Pages && doc._root.data.Pages.data;
+  const pages = doc._pageBuffer;
+  const supported =
+    tree &&
+    Array.isArray(tree.Kids) &&
+    Array.isArray(pages) &&
+    pages.length > 0 &&
+    tree.Count === pages.length &&
+    tree.Kids.length === pages.length &&
+    tree.Kids.every((kid, index) => pages[index] && kid === pages[index].dictionary) &&
+    typeof doc.endPageMarkings === 'function' &&
+    pages.every(
+      (page) =>
+        page.dictionary.data &&
+        page.content &&
+        page.content.data &&
+        page.resources &&
+        page.xobjects &&
+        typeof page.write === 'function' &&
+        typeof page.end === 'function'
+    );
+  if (!supported) {
+    throw new Error(
+      'Page order and imposition do not support this pdfkit version. Install the version package.json names.'
+    );
+  }
+}
+
+/**
+ * Replaces the document's pages with the given ones, in the given order.
+ * @param {PDFDocument} doc - pdfkit document with buffered pages
+ * @param {Array<Object>} pages - pdfkit pages
+ */
+function setPages(doc, pages) {
+  const tree = doc._root.data.Pages.data;
+  tree.Kids = pages.map((page) => page.dictionary);
+  tree.Count = pages.length;
+  doc._pageBuffer = pages;
+  doc.page = pages[pages.length - 1];
+}
+
+/**
+ * Turns a page into a form XObject that sheets can draw, and writes out what is left of the page.
+ * pdfkit has already numbered the page object, so it is written as an empty dictionary.
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} page - pdfkit page, no longer in the document's page tree
+ * @returns {Object} Reference to the form XObject
+ */
+function pageToForm(doc, page) {
+  const form = page.content;
+  Object.assign(form.data, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, page.width, page.height],
+    Resources: page.resources,
+  });
+  doc.endPageMarkings(page);
+  page.dictionary.data = {};
+  page.end();
+  return form;
+}
+
+/**
+ * Lays out the pages two per sheet side, scaled down to fit and centred in each half. Sheets are
+ * the page size turned sideways, so A4 portrait pages go side by side on A4 landscape.
+ * @param {PDFDocument} doc - pdfkit document with buffered pages
+ * @param {Array<number|null>} order - Page indexes two per sheet side, null for a blank half
+ * @returns {Array<Object>} The sheet sides as pdfkit pages
+ */
+function imposeTwoUp(doc, order) {
+  const pages = doc._pageBuffer;
+  const { width, height } = pages[0];
+  const forms = pages.map((page) => pageToForm(doc, page));
+  const Page = pages[0].constructor;
+
+  // Halves along the long side of the sheet
+  const sideBySide = height >= width;
+  const [halfWidth, halfHeight] = sideBySide ? [height / 2, width] : [height, width / 2];
+  const scale = Math.min(halfWidth / width, halfHeight / height);
+  const offsetX = (halfWidth - width * scale) / 2;
+  const offsetY = (halfHeight - height * scale) / 2;
+
+  const sides = [];
+  for (let i = 0; i < order.length; i += 2) {
+    const side = new Page(doc, { size: [height, width], margin: 0 });
+    [order[i], order[i + 1]].forEach((index, half) => {
+      if (index === null || index === undefined) {
+        return;
+      }
+      const name = `Fx${index + 1}`;
+      side.xobjects[name] = forms[index];
+      // Top half first when stacked: PDF y runs up from the bottom of the sheet
+      const x = offsetX + (sideBySide ? half * halfWidth : 0);
+      const y = offsetY + (sideBySide ? 0 : (1 - half) * halfHeight);
+      side.write(`q ${round(scale)} 0 0 ${round(scale)} ${round(x)} ${round(y)} cm /${name} Do Q`);
+    });
+    sides.push(side);
+  }
+  return sides;
+}
+
+/**
+ * Puts the document's pages in printing order: imposed 2-up or as a booklet, and last sheet first
+ * when reversed (for printers that stack sheets face up). Call after all pages are drawn, including
+ * page numbers, and before `doc.end()`.
+ * @param {PDFDocument} doc - pdfkit document created with `bufferPages: true`
+ * @param {Object} [options] - Order options
+ * @param {boolean} [options.reverse=false] - Print the last sheet first
+ * @param {string} [options.imposition='none'] - One of IMPOSITIONS
+ * @param {boolean} [options.duplex=false] - Sheets are printed on both sides, so reversing keeps each
+ *   front and back together. Booklets are always double-sided.
+ */
+function imposePages(doc, { reverse = false, imposition = 'none', duplex = false } = {}) {
+  if (!reverse && imposition === 'none') {
+    return;
+  }
+  if (!IMPOSITIONS.includes(imposition)) {
+    throw new Error(`Unknown imposition "${imposition}". Use ${IMPOSITIONS.join(', ')}`);
+  }
+  checkPdfkitInternals(doc);
+
+  let pages = doc._pageBuffer;
+  if (imposition === 'booklet') {
+    pages = imposeTwoUp(doc, bookletOrder(pages.length));
+  } else if (imposition === '2-up') {
+    pages = imposeTwoUp(
+      doc,
+      pages.map((_page, index) => index)
+    );
+  }
+  if (reverse) {
+    pages = reverseSheets(pages, duplex || imposition === 'booklet' ? 2 : 1);
+  }
+  setPages(doc, pages);
+}
+
+module.exports = { imposePages, bookletOrder, checkPdfkitInternals, IMPOSITIONS };
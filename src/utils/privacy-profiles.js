@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Privacy profiles: how much personal information a printed or emailed attendee list
+ * shows. Profiles are named in `pdfLayout.privacyProfiles` and picked per print target, so a list can
+ * print in full at the front desk while the copy sent through email is redacted.
+ * @module privacy-profiles
+ */
+
+/** Profiles available without configuration; `pdfLayout.privacyProfiles` can redefine them */
+const PRIVACY_PROFILES = {
+  redacted: { maskPhone: true, abbreviateSurname: true, hideFees: true, omitColumns: [] },
+};
+
+/** Character printed in place of masked digits */
+const MASK = '•';
+
+/**
+ * Looks up a profile by name.
+ * @param {Object} layout - The `pdfLayout` config, for its `privacyProfiles`
+ * @param {string|null} name - Profile name, null for the full list
+ * @returns {{maskPhone: boolean, abbreviateSurname: boolean, hideFees: boolean, omitColumns: Array<string>}|null}
+ *   The profile, or null for the full list
+ * @throws {Error} If there is no profile of that name
+ */
+function resolvePrivacyProfile(layout, name) {
+  if (!name) {
+    return null;
+  }
+  const profiles = { ...PRIVACY_PROFILES, ...((layout && layout.privacyProfiles) || {}) };
+  if (!profiles[name]) {
+    throw new Error(`Unknown privacy profile "${name}". Use ${Object.keys(profiles).join(', ')}`);
+  }
+  return { maskPhone: false, abbreviateSurname: false, hideFees: false, omitColumns: [], ...profiles[name] };
+}
+
+/**
+ * The profile a print target prints with: the target's own `privacy`, otherwise the layout's
+ * `privacy` setting for the target's mode.
+ * @param {Object} layout - The `pdfLayout` config
+ * @param {Object} target - Delivery target with a `mode` (see toPrintTargets)
+ * @returns {string|null} Profile name, null for the full list
+ */
+function targetPrivacy(layout, target) {
+  if (target.privacy !== undefined) {
+    return target.privacy;
+  }
+  return (layout && layout.privacy && layout.privacy[target.mode]) || null;
+}
+
+/**
+ * Masks all digits of a phone number but the last four, keeping its spacing, e.g.
+ * "+64 21 555 0100" becomes "+•• •• ••• 0100".
+ * @param {string} phone - Phone number
+ * @returns {string} The masked number
+ */
+function maskPhone(phone) {
+  let keep = 4;
+  return [...phone]
+    .reverse()
+    .map((char) => (/\d/.test(char) && keep-- <= 0 ? MASK : char))
+    .reverse()
+    .join('');
+}
+
+/**
+ * Shortens a surname to its initial, e.g. "Ng" to "N.".
+ * @param {string} lastName - Surname
+ * @returns {string} The initial and a full stop, or an empty string for no surname
+ */
+function abbreviateSurname(lastName) {
+  const initial = [...lastName.trim()][0];
+  return initial ? `${initial.toUpperCase()}.` : '';
+}
+
+module.exports = {
+  PRIVACY_PROFILES,
+  resolvePrivacyProfile,
+  targetPrivacy,
+  maskPhone,
+  abbreviateSurname,
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Splits text into runs that can each be drawn with one font and one direction, so a
+ * name mixing scripts (e.g. Latin and Chinese, or Arabic with a Latin nickname) prints with the
+ * first font in the fallback chain that has each glyph, in right-to-left order where needed.
+ * @module text-runs
+ */
+
+/** Characters outside Latin-1 that the built-in PDF fonts (WinAnsi encoding) can print */
+const WIN_ANSI_EXTRA = new Set([
+  0x20ac, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x017d, 0x2018,
+  0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x017e, 0x0178,
+]);
+
+/** Hebrew, Arabic, Syriac, Thaana, NKo and the Hebrew/Arabic presentation forms */
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/u;
+
+/** Letters and digits print left to right unless they are in an RTL script */
+const LTR_PATTERN = /[\p{L}\p{N}]/u;
+
+/** Combining marks stay with the character before them */
+const MARK_PATTERN = /\p{M}/u;
+
+/**
+ * Whether a built-in PDF font (Helvetica and friends) has a glyph for a code point.
+ * @param {number} codePoint - Unicode code point
+ * @returns {boolean}
+ */
+function standardFontHasGlyph(codePoint) {
+  return (
+    (codePoint >= 0x20 && codePoint <= 0x7e) ||
+    (codePoint >= 0xa0 && codePoint <= 0xff) ||
+    WIN_ANSI_EXTRA.has(codePoint)
+  );
+}
+
+/**
+ * Strong direction of a character.
+ * @param {string} char - One character
+ * @returns {'rtl'|'ltr'|null} null for spaces, punctuation and other neutral characters
+ */
+function charDirection(char) {
+  if (RTL_PATTERN.test(char)) {
+    return 'rtl';
+  }
+  return LTR_PATTERN.test(char) ? 'ltr' : null;
+}
+
+/**
+ * Splits text into runs of one direction and one font, in the order they are drawn left to right.
+ * Neutral characters between two characters of the same direction take that direction, otherwise
+ * the direction of the text (that of its first letter).
+ * @param {string} text - Text to draw
+ * @param {Array<{hasGlyph: function(number): boolean}>} fonts - Fallback chain, primary font first
+ * @returns {{rtl: boolean, runs: Array<{text: string, font: number, rtl: boolean}>}} Whether the text
+ *   reads right to left, and the runs with the index of their font in `fonts`. Characters no font has
+ *   use the primary font.
+ */
+function splitTextRuns(text, fonts) {
+  const chars = Array.from(String(text));
+  const strong = chars.map(charDirection);
+  const firstStrong = strong.find(Boolean);
+  const rtl = firstStrong === 'rtl';
+  const paragraph = rtl ? 'rtl' : 'ltr';
+
+  // Resolve neutrals from the strong characters around them
+  const directions = strong.map((direction, index) => {
+    if (direction) {
+      return direction;
+    }
+    const before = strong.slice(0, index).reverse().find(Boolean);
+    const after = strong.slice(index + 1).find(Boolean);
+    return before && before === after ? before : paragraph;
+  });
+
+  const runs = [];
+  chars.forEach((char, index) => {
+    const last = runs[runs.length - 1];
+    const codePoint = char.codePointAt(0);
+    const direction = directions[index];
+    if (last && MARK_PATTERN.test(char)) {
+      last.text += char;
+      return;
+    }
+    // Letters use the first font that has them; spaces and punctuation stay in the current font
+    let font =
+      last && !strong[index] && last.rtl === (direction === 'rtl') && fonts[last.font].hasGlyph(codePoint)
+        ? last.font
+        : fonts.findIndex((candidate) => candidate.hasGlyph(codePoint));
+    if (font === -1) {
+      font = 0;
+    }
+    if (last && last.font === font && last.rtl === (direction === 'rtl')) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, font, rtl: direction === 'rtl' });
+    }
+  });
+
+  // Right-to-left stretches are drawn in reverse run order; the font reverses the glyphs within a run
+  const ordered = [];
+  let index = 0;
+  while (index < runs.length) {
+    let end = index;
+    while (end < runs.length && runs[end].rtl === runs[index].rtl) {
+      end++;
+    }
+    const stretch = runs.slice(index, end);
+    ordered.push(runs[index].rtl ? stretch.reverse() : stretch);
+    index = end;
+  }
+  if (rtl) {
+    ordered.reverse();
+  }
+  return { rtl, runs: ordered.flat() };
+}
+
+module.exports = {
+  standardFontHasGlyph,
+  splitTextRuns,
+};
@@ -1,4 +1,5 @@
 const logger = require('../services/logger');
+const { sanitizeFields } = require('./attendee-fields');
 
 /**
  * Validation utilities for input sanitization and defensive programming.
@@ -55,6 +56,8 @@ function validateEvent(event) {
     endDate: event.endDate || null,
     location: event.location || null,
     description: event.description || null,
+    // Places available, for events with a capacity limit (Hello Club's attendeeLimit)
+    capacity: Number.isInteger(event.attendeeLimit) && event.attendeeLimit > 0 ? event.attendeeLimit : null,
   };
 }
 
@@ -78,6 +81,7 @@ function validateAttendee(attendee) {
   }
 
   return {
+    id: attendee.id !== undefined && attendee.id !== null ? String(attendee.id) : null,
     firstName: firstName,
     lastName: lastName,
     email: attendee.email ? String(attendee.email).trim() : '',
@@ -90,6 +94,8 @@ function validateAttendee(attendee) {
     hasFee: Boolean(attendee.hasFee),
     hasMembershipRule: Boolean(attendee.hasMembershipRule),
     rule: attendee.rule && typeof attendee.rule === 'object' ? attendee.rule : null,
+    // Everything else the API sent, as plain data, for columns with a `source` path
+    fields: sanitizeFields(attendee),
   };
 }
 
@@ -6,6 +6,7 @@
 const axios = require('axios');
 const { URL } = require('url');
 const logger = require('../services/logger');
+const { createI18n } = require('./i18n');
 
 // Webhook timeout (10 seconds)
 const WEBHOOK_TIMEOUT = 10000;
@@ -167,22 +168,78 @@ async function sendWebhook(url, payload, retryCount = 0) {
   }
 }
 
+/**
+ * Builds the event fields shared by the event notifications. `eventDate` stays an ISO timestamp for
+ * machines; `eventDateDisplay` is the same time for people, in the configured locale and time zone.
+ * @param {Object} event - The event
+ * @param {Object} [formatting] - Display settings: `{ locale, timeZone }` from the config
+ * @returns {{eventId: string, eventName: string, eventDate: string, eventDateDisplay: string|null}} Fields
+ */
+function eventFields(event, formatting = {}) {
+  return {
+    eventId: event.id,
+    eventName: event.name,
+    eventDate: event.startDate,
+    eventDateDisplay: event.startDate ? createI18n(formatting).formatDateTime(event.startDate) : null,
+  };
+}
+
 /**
  * Send event processing success notification
  * @param {Object} event - The event that was processed
- * @param {number} attendeeCount - Number of attendees
+ * @param {number} attendeeCount - Number of confirmed attendees
  * @param {string} webhookUrl - Webhook URL from config
+ * @param {Object} [delivery] - Print delivery details
+ * @param {string} [delivery.printTarget] - Print target that produced the printout
+ * @param {Array<{target: string, error: string}>} [delivery.failedTargets] - Targets that failed before it
+ * @param {number} [delivery.revision] - Revision of the printed attendee list, 2 and up for reprints
+ * @param {number|null} [delivery.capacity] - Places the event has, null when it has no limit
+ * @param {number} [delivery.waitlistCount] - Attendees on the waitlist, printed after the confirmed ones
+ * @param {Object} [formatting] - Locale and time zone of the display fields (`{ locale, timeZone }`)
  */
-async function notifyEventProcessed(event, attendeeCount, webhookUrl) {
+async function notifyEventProcessed(event, attendeeCount, webhookUrl, delivery = {}, formatting = {}) {
   const payload = {
     event: 'event.processed',
     timestamp: new Date().toISOString(),
     data: {
-      eventId: event.id,
-      eventName: event.name,
-      eventDate: event.startDate,
+      ...eventFields(event, formatting),
       attendeeCount: attendeeCount,
       status: 'success',
+      printTarget: delivery.printTarget || null,
+      failedTargets: delivery.failedTargets || [],
+      revision: delivery.revision || null,
+      capacity: delivery.capacity ?? null,
+      waitlistCount: delivery.waitlistCount || 0,
+    },
+  };
+
+  return await sendWebhook(webhookUrl, payload);
+}
+
+/**
+ * Send late sign-up addendum notification
+ * @param {Object} event - The event the addendum was printed for
+ * @param {Object} addendum - What changed since the previous printout
+ * @param {string} addendum.since - When the previous printout was made (ISO timestamp)
+ * @param {Array<Object>} addendum.additions - Attendees who signed up since then
+ * @param {Array<Object>} addendum.cancellations - Attendees who cancelled since then
+ * @param {string} [addendum.printTarget] - The print target that printed the addendum
+ * @param {string} webhookUrl - Webhook URL from config
+ * @param {Object} [formatting] - Locale and time zone of the display fields (`{ locale, timeZone }`)
+ * @returns {Promise<boolean>} Success status
+ */
+async function notifyAddendumPrinted(event, addendum, webhookUrl, formatting = {}) {
+  const names = (attendees) => attendees.map((a) => [a.firstName, a.lastName].filter(Boolean).join(' '));
+  const payload = {
+    event: 'event.addendum',
+    timestamp: new Date().toISOString(),
+    data: {
+      ...eventFields(event, formatting),
+      since: addendum.since,
+      sinceDisplay: createI18n(formatting).formatDateTime(addendum.since),
+      additions: names(addendum.additions),
+      cancellations: names(addendum.cancellations),
+      printTarget: addendum.printTarget || null,
     },
   };
 
@@ -194,15 +251,14 @@ async function notifyEventProcessed(event, attendeeCount, webhookUrl) {
  * @param {Object} event - The event that failed
  * @param {string} error - Error message
  * @param {string} webhookUrl - Webhook URL from config
+ * @param {Object} [formatting] - Locale and time zone of the display fields (`{ locale, timeZone }`)
  */
-async function notifyEventFailed(event, error, webhookUrl) {
+async function notifyEventFailed(event, error, webhookUrl, formatting = {}) {
   const payload = {
     event: 'event.failed',
     timestamp: new Date().toISOString(),
     data: {
-      eventId: event.id,
-      eventName: event.name,
-      eventDate: event.startDate,
+      ...eventFields(event, formatting),
       error: error,
       status: 'failed',
     },
@@ -217,15 +273,14 @@ async function notifyEventFailed(event, error, webhookUrl) {
  * @param {number} retryCount - Current retry count
  * @param {number} maxRetries - Maximum retries allowed
  * @param {string} webhookUrl - Webhook URL from config
+ * @param {Object} [formatting] - Locale and time zone of the display fields (`{ locale, timeZone }`)
  */
-async function notifyJobRetry(event, retryCount, maxRetries, webhookUrl) {
+async function notifyJobRetry(event, retryCount, maxRetries, webhookUrl, formatting = {}) {
   const payload = {
     event: 'job.retrying',
     timestamp: new Date().toISOString(),
     data: {
-      eventId: event.id,
-      eventName: event.name,
-      eventDate: event.startDate,
+      ...eventFields(event, formatting),
       retryCount: retryCount,
       maxRetries: maxRetries,
       status: 'retrying',
@@ -241,15 +296,14 @@ async function notifyJobRetry(event, retryCount, maxRetries, webhookUrl) {
  * @param {string} error - Final error message
  * @param {number} retryCount - Number of retries attempted
  * @param {string} webhookUrl - Webhook URL from config
+ * @param {Object} [formatting] - Locale and time zone of the display fields (`{ locale, timeZone }`)
  */
-async function notifyPermanentFailure(event, error, retryCount, webhookUrl) {
+async function notifyPermanentFailure(event, error, retryCount, webhookUrl, formatting = {}) {
   const payload = {
     event: 'job.permanent_failure',
     timestamp: new Date().toISOString(),
     data: {
-      eventId: event.id,
-      eventName: event.name,
-      eventDate: event.startDate,
+      ...eventFields(event, formatting),
       error: error,
       retriesAttempted: retryCount,
       status: 'permanently_failed',
@@ -281,6 +335,7 @@ async function notifyServiceStatus(status, details, webhookUrl) {
 module.exports = {
   sendWebhook,
   notifyEventProcessed,
+  notifyAddendumPrinted,
   notifyEventFailed,
   notifyJobRetry,
   notifyPermanentFailure,
@@ -64,7 +64,7 @@ describe('API Client', () => {
           sort: 'startDate',
         }),
       });
-      // validateEvent() adds default fields for categories, endDate, location, description
+      // validateEvent() adds default fields for categories, endDate, location, description, capacity
       expect(result).toEqual([
         {
           id: '1',
@@ -74,6 +74,7 @@ describe('API Client', () => {
           endDate: null,
           location: null,
           description: null,
+          capacity: null,
         },
         {
           id: '2',
@@ -83,6 +84,7 @@ describe('API Client', () => {
           endDate: null,
           location: null,
           description: null,
+          capacity: null,
         },
       ]);
     });
@@ -162,12 +164,13 @@ describe('API Client', () => {
       const result = await getEventDetails('123');
 
       expect(mockAxiosInstance.get).toHaveBeenCalledWith('/event/123');
-      // validateEvent() adds default fields for categories, endDate, location
+      // validateEvent() adds default fields for categories, endDate, location, capacity
       expect(result).toEqual({
         ...mockEvent,
         categories: [],
         endDate: null,
         location: null,
+        capacity: null,
       });
     });
 
@@ -212,12 +215,12 @@ describe('API Client', () => {
       // Pagination stops when offset >= total (2 pages for 4 attendees)
       expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
       expect(result).toHaveLength(4);
-      // Note: Results are sorted by lastName, firstName
+      // Pages are concatenated in API order
       expect(result[0].lastName).toBe('Doe');
       expect(result[3].lastName).toBe('Williams');
     });
 
-    it('should sort attendees by lastName, firstName', async () => {
+    it('should keep attendees in API order for the PDF layer to sort', async () => {
       const mockAttendees = {
         data: {
           attendees: [
@@ -234,13 +237,7 @@ describe('API Client', () => {
 
       const result = await getAllAttendees('123');
 
-      // Should be sorted: Alice Apple, Bob Apple, John Zebra
-      expect(result[0].firstName).toBe('Alice');
-      expect(result[0].lastName).toBe('Apple');
-      expect(result[1].firstName).toBe('Bob');
-      expect(result[1].lastName).toBe('Apple');
-      expect(result[2].firstName).toBe('John');
-      expect(result[2].lastName).toBe('Zebra');
+      expect(result.map((a) => `${a.firstName} ${a.lastName}`)).toEqual(['John Zebra', 'Alice Apple', 'Bob Apple']);
     });
 
     it('should handle attendees with missing name fields', async () => {
@@ -0,0 +1,97 @@
+const { isSafeSource, sanitizeFields, resolveSource, listFieldPaths } = require('../src/utils/attendee-fields');
+const configSchema = require('../src/utils/config-schema');
+
+describe('Attendee fields', () => {
+  describe('isSafeSource', () => {
+    it('should accept dot paths of field names and indexes', () => {
+      expect(isSafeSource('email')).toBe(true);
+      expect(isSafeSource('emergencyContact.phone')).toBe(true);
+      expect(isSafeSource('customFields.0.value')).toBe(true);
+    });
+
+    it('should reject paths into object internals or with empty segments', () => {
+      expect(isSafeSource('__proto__.polluted')).toBe(false);
+      expect(isSafeSource('member.constructor')).toBe(false);
+      expect(isSafeSource('a..b')).toBe(false);
+      expect(isSafeSource('a[0]')).toBe(false);
+      expect(isSafeSource('')).toBe(false);
+    });
+  });
+
+  describe('sanitizeFields', () => {
+    it('should copy plain data only', () => {
+      const raw = {
+        name: 'Jane',
+        age: 30,
+        tags: ['a', { b: 1 }, () => {}],
+        when: new Date(0),
+        score: NaN,
+        run: () => {},
+      };
+
+      expect(sanitizeFields(raw)).toEqual({ name: 'Jane', age: 30, tags: ['a', { b: 1 }, null], when: {} });
+    });
+
+    it('should cap depth, array length and string length', () => {
+      const deep = { a: { b: { c: { d: { e: { f: 'too deep' } } } } } };
+
+      expect(sanitizeFields(deep)).toEqual({ a: { b: { c: { d: {} } } } });
+      expect(sanitizeFields({ list: Array.from({ length: 80 }, (_v, i) => i) }).list).toHaveLength(50);
+      expect(sanitizeFields({ note: 'x'.repeat(1500) }).note).toHaveLength(1000);
+    });
+  });
+
+  describe('resolveSource', () => {
+    const fields = { emergencyContact: { phone: '021 555' }, customFields: [{ question: 'Diet', value: 'Vegan' }] };
+
+    it('should follow dot paths through objects and arrays', () => {
+      expect(resolveSource(fields, 'emergencyContact.phone')).toBe('021 555');
+      expect(resolveSource(fields, 'customFields.0.value')).toBe('Vegan');
+    });
+
+    it('should return undefined for missing or inherited properties', () => {
+      expect(resolveSource(fields, 'emergencyContact.name')).toBeUndefined();
+      expect(resolveSource(fields, 'missing.path')).toBeUndefined();
+      expect(resolveSource(fields, 'emergencyContact.toString')).toBeUndefined();
+      expect(resolveSource(fields, '__proto__')).toBeUndefined();
+    });
+  });
+
+  describe('listFieldPaths', () => {
+    it('should list leaf paths with the first non-empty example', () => {
+      const records = [
+        { firstName: 'Jane', emergencyContact: { phone: '' }, customFields: [{ value: 'Vegan' }, { value: 'x' }] },
+        { firstName: 'Bob', emergencyContact: { phone: '021 555' }, dateOfBirth: '1990-05-02' },
+      ];
+
+      expect(listFieldPaths(records)).toEqual([
+        { path: 'firstName', example: 'Jane' },
+        { path: 'emergencyContact.phone', example: '021 555' },
+        { path: 'customFields.0.value', example: 'Vegan' },
+        { path: 'dateOfBirth', example: '1990-05-02' },
+      ]);
+    });
+  });
+
+  describe('config validation', () => {
+    const column = { id: 'contact', header: 'Contact', width: 90 };
+
+    it('should accept source paths and formats', () => {
+      const { error, value } = configSchema.validate({
+        pdfLayout: { columns: [{ ...column, source: 'emergencyContact.phone', format: 'phone', maxLength: 20 }] },
+      });
+
+      expect(error).toBeUndefined();
+      expect(value.pdfLayout.columns[0]).toMatchObject({ source: 'emergencyContact.phone', format: 'phone' });
+    });
+
+    it('should reject unsafe paths and unknown formats', () => {
+      expect(
+        configSchema.validate({ pdfLayout: { columns: [{ ...column, source: '__proto__.x' }] } }).error.message
+      ).toBe('"pdfLayout.columns[0].source" must be a dot path of field names, e.g. "emergencyContact.phone"');
+      expect(configSchema.validate({ pdfLayout: { columns: [{ ...column, format: 'upper' }] } }).error.message).toMatch(
+        /"pdfLayout.columns\[0\].format" must be one of/
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { DEFAULT_SORT, normalizeSort, sortAttendees } = require('../src/utils/attendee-sort');
+const configSchema = require('../src/utils/config-schema');
+
+describe('Attendee sort', () => {
+  const names = (attendees) => attendees.map((a) => `${a.firstName || ''} ${a.lastName || ''}`.trim());
+
+  it('should sort by last name, then first name, ignoring case and accents', () => {
+    const attendees = [
+      { firstName: 'Zoe', lastName: 'émile' },
+      { firstName: 'bob', lastName: 'Emile' },
+      { firstName: 'Ann', lastName: 'Dunn' },
+    ];
+
+    expect(names(sortAttendees(attendees))).toEqual(['Ann Dunn', 'bob Emile', 'Zoe émile']);
+    expect(names(attendees)).toEqual(['Zoe émile', 'bob Emile', 'Ann Dunn']);
+    expect(sortAttendees(attendees, DEFAULT_SORT)).toEqual(sortAttendees(attendees));
+  });
+
+  it('should sort by sign-up date, payment status and rule in either direction', () => {
+    const attendees = [
+      { firstName: 'Owes', signUpDate: '2025-01-02T00:00:00Z', hasFee: true, isPaid: false, rule: { name: 'Junior' } },
+      { firstName: 'Free', signUpDate: '2025-01-03T00:00:00Z', hasFee: false },
+      { firstName: 'Paid', signUpDate: '2025-01-01T00:00:00Z', hasFee: true, isPaid: true, rule: { name: 'Adult' } },
+    ];
+
+    expect(names(sortAttendees(attendees, ['signUpDate']))).toEqual(['Paid', 'Owes', 'Free']);
+    expect(names(sortAttendees(attendees, [{ by: 'signUpDate', direction: 'desc' }]))).toEqual([
+      'Free',
+      'Owes',
+      'Paid',
+    ]);
+    expect(names(sortAttendees(attendees, ['paymentStatus']))).toEqual(['Paid', 'Owes', 'Free']);
+    // Attendees without a rule come last in both directions
+    expect(names(sortAttendees(attendees, ['rule']))).toEqual(['Paid', 'Owes', 'Free']);
+    expect(names(sortAttendees(attendees, [{ by: 'rule', direction: 'desc' }]))).toEqual(['Owes', 'Paid', 'Free']);
+  });
+
+  it('should break ties with later keys and keep API order for full ties', () => {
+    const attendees = [
+      { id: 1, firstName: 'Cal', hasFee: true },
+      { id: 2, firstName: 'Ann', hasFee: false },
+      { id: 3, firstName: 'Ben', hasFee: true },
+      { id: 4, firstName: 'Ann', hasFee: false },
+    ];
+
+    const sorted = sortAttendees(attendees, ['paymentStatus', { by: 'firstName', direction: 'desc' }]);
+
+    expect(sorted.map((a) => a.id)).toEqual([1, 3, 2, 4]);
+  });
+
+  it('should sort by a custom field, numbers in numeric order', () => {
+    const attendees = [
+      { firstName: 'A', fields: { member: { number: 'M10' }, handicap: 12 } },
+      { firstName: 'B', fields: { member: { number: 'M9' }, handicap: 4.5 } },
+      { firstName: 'C', fields: {} },
+    ];
+
+    expect(names(sortAttendees(attendees, [{ by: 'field', source: 'member.number' }]))).toEqual(['B', 'A', 'C']);
+    expect(names(sortAttendees(attendees, [{ by: 'field', source: 'handicap', direction: 'desc' }]))).toEqual([
+      'A',
+      'B',
+      'C',
+    ]);
+  });
+
+  it('should expand key names to ascending keys', () => {
+    expect(normalizeSort(['lastName', { by: 'signUpDate', direction: 'desc' }, { by: 'rule' }])).toEqual([
+      { by: 'lastName', direction: 'asc' },
+      { by: 'signUpDate', direction: 'desc' },
+      { by: 'rule', direction: 'asc' },
+    ]);
+  });
+
+  it('should validate the sort config', () => {
+    const validate = (sort) =>
+      configSchema.validate({ pdfLayout: { sort }, rules: [{ name: 'r', match: { venue: 'Hall' }, sort }] });
+
+    expect(
+      validate(['paymentStatus', { by: 'field', source: 'member.number', direction: 'desc' }]).error
+    ).toBeUndefined();
+    expect(validate([{ by: 'lastName' }]).value.pdfLayout.sort).toEqual([{ by: 'lastName', direction: 'asc' }]);
+    expect(validate(['field']).error).toBeDefined();
+    expect(validate([{ by: 'field' }]).error.message).toMatch(/sort\[0\]\.source" is required/);
+    expect(validate([{ by: 'lastName', source: 'x' }]).error).toBeDefined();
+    expect(validate([{ by: 'field', source: '__proto__.x' }]).error.message).toMatch(/must be a dot path/);
+    expect(validate([{ by: 'age' }]).error).toBeDefined();
+    expect(validate([{ by: 'lastName', direction: 'up' }]).error).toBeDefined();
+  });
+});
@@ -0,0 +1,65 @@
+const { createCheckInToken, verifyCheckInToken, checkInExpiry, checkInUrl } = require('../src/core/check-in');
+
+describe('Check-in tokens', () => {
+  const secret = 'test-secret';
+  const expiresAt = new Date('2025-03-16T06:00:00.000Z');
+  const before = expiresAt.getTime() - 1000;
+
+  it('should round-trip the event and attendee ids and the expiry', () => {
+    const token = createCheckInToken('evt1', 'att_2-b', secret, expiresAt);
+
+    expect(token).toMatch(/^evt1\.att_2-b\.[0-9a-z]+\.[A-Za-z0-9_-]{16}$/);
+    expect(verifyCheckInToken(token, secret, before)).toEqual({
+      eventId: 'evt1',
+      attendeeId: 'att_2-b',
+      expiresAt,
+      expired: false,
+    });
+  });
+
+  it('should report tokens past their expiry as expired', () => {
+    const token = createCheckInToken('evt1', 'att1', secret, expiresAt);
+
+    expect(verifyCheckInToken(token, secret, expiresAt.getTime())).toMatchObject({ eventId: 'evt1', expired: true });
+  });
+
+  it('should reject tokens that were altered or signed with another secret', () => {
+    const token = createCheckInToken('evt1', 'att1', secret, expiresAt);
+    const [, , expiry, signature] = token.split('.');
+    const later = (parseInt(expiry, 36) + 86400).toString(36);
+
+    expect(verifyCheckInToken(`evt1.att2.${expiry}.${signature}`, secret, before)).toBeNull();
+    // Extending the expiry breaks the signature
+    expect(verifyCheckInToken(`evt1.att1.${later}.${signature}`, secret, before)).toBeNull();
+    expect(verifyCheckInToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`, secret, before)).toBeNull();
+    expect(verifyCheckInToken(token, 'other-secret', before)).toBeNull();
+    expect(verifyCheckInToken(token, undefined, before)).toBeNull();
+  });
+
+  it('should reject malformed tokens, including those without an expiry', () => {
+    expect(verifyCheckInToken('evt1.att1.sig', secret)).toBeNull();
+    expect(verifyCheckInToken('evt1.att1.exp.sig.extra', secret)).toBeNull();
+    expect(verifyCheckInToken('evt1.att1.EXP!.sig', secret)).toBeNull();
+    expect(verifyCheckInToken('../evt1.att1.exp.sig', secret)).toBeNull();
+    expect(verifyCheckInToken(undefined, secret)).toBeNull();
+  });
+
+  it('should not create tokens for ids that cannot go in a URL path or without an expiry', () => {
+    expect(createCheckInToken('evt1', undefined, secret, expiresAt)).toBeNull();
+    expect(createCheckInToken('evt1', 'a/b', secret, expiresAt)).toBeNull();
+    expect(createCheckInToken('evt 1', 'att1', secret, expiresAt)).toBeNull();
+    expect(createCheckInToken('evt1', 'att1', secret, undefined)).toBeNull();
+    expect(createCheckInToken('evt1', 'att1', secret, 'not a date')).toBeNull();
+  });
+
+  it("should expire an event's codes some hours after it starts", () => {
+    expect(checkInExpiry({ startDate: '2025-03-15T18:00:00.000Z' }, 12)).toEqual(expiresAt);
+    expect(isNaN(checkInExpiry({}, 12).getTime())).toBe(true);
+  });
+
+  it('should build the check-in URL from the dashboard address', () => {
+    expect(checkInUrl('http://192.168.1.20:3000/', 'evt1.att1.sig')).toBe(
+      'http://192.168.1.20:3000/checkin/evt1.att1.sig'
+    );
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for the dashboard's QR check-in page
+ * Scans codes against an in-memory database through a local Express server
+ */
+
+const mockDb = { current: null };
+// The route opens events.db in the app directory; hand it the test's in-memory database instead
+jest.mock('better-sqlite3', () =>
+  jest.fn(() => ({
+    pragma: () => {},
+    prepare: (sql) => mockDb.current.prepare(sql),
+    close: () => {},
+  }))
+);
+
+const fs = require('fs');
+const express = require('express');
+const Database = jest.requireActual('better-sqlite3');
+const { createCheckInToken } = require('../src/core/check-in');
+const checkInRoutes = require('../web-dashboard/routes/checkin');
+
+describe('Check-in page', () => {
+  let server;
+  let baseUrl;
+  const hour = 60 * 60 * 1000;
+  const tokenFor = (attendeeId, expiresAt = Date.now() + hour) =>
+    createCheckInToken('evt1', attendeeId, 'test-secret', expiresAt);
+  const scan = (token, method = 'GET') => fetch(`${baseUrl}/checkin/${token}`, { method });
+  const checkIns = () => mockDb.current.prepare('SELECT attendee_id, attendee_name FROM check_ins').all();
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/checkin', checkInRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.CHECKIN_SECRET = 'test-secret';
+    mockDb.current = new Database(':memory:');
+    mockDb.current.exec(`
+      CREATE TABLE events (id TEXT PRIMARY KEY, name TEXT);
+      CREATE TABLE roster_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id TEXT, attendees TEXT, taken_at TEXT);
+      CREATE TABLE check_ins (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id TEXT NOT NULL, attendee_id TEXT NOT NULL,
+        attendee_name TEXT, checked_in_at TEXT NOT NULL, UNIQUE (event_id, attendee_id));
+      INSERT INTO events (id, name) VALUES ('evt1', 'Quiz Night');
+    `);
+    mockDb.current
+      .prepare(
+        "INSERT INTO roster_snapshots (event_id, attendees, taken_at) VALUES ('evt1', ?, '2025-03-15T17:00:00Z')"
+      )
+      .run(JSON.stringify([{ id: 'att1', firstName: 'Jane', lastName: 'Smith' }]));
+  });
+
+  afterEach(() => {
+    mockDb.current.close();
+    delete process.env.CHECKIN_SECRET;
+  });
+
+  it('should ask for confirmation without checking in when the code is opened', async () => {
+    const res = await scan(tokenFor('att1'));
+    const page = await res.text();
+
+    expect(res.status).toBe(200);
+    expect(page).toContain('Check in to Quiz Night?');
+    expect(page).toContain('<form method="post"><button type="submit">Check in</button></form>');
+    expect(checkIns()).toEqual([]);
+  });
+
+  it('should check the attendee in when the page is confirmed', async () => {
+    const res = await scan(tokenFor('att1'), 'POST');
+
+    expect(res.status).toBe(200);
+    expect(await res.text()).toContain('Jane Smith is checked in to Quiz Night.');
+    expect(checkIns()).toEqual([{ attendee_id: 'att1', attendee_name: 'Jane Smith' }]);
+  });
+
+  it('should record a replayed code only once', async () => {
+    const token = tokenFor('att1');
+    await scan(token, 'POST');
+
+    const again = await scan(token, 'POST');
+    const opened = await scan(token);
+
+    expect(await again.text()).toContain('Already checked in');
+    expect(await opened.text()).toContain('Already checked in');
+    expect(checkIns()).toHaveLength(1);
+  });
+
+  it('should refuse expired codes without checking in', async () => {
+    const token = tokenFor('att1', Date.now() - 1000);
+
+    for (const method of ['GET', 'POST']) {
+      const res = await scan(token, method);
+
+      expect(res.status).toBe(410);
+      expect(await res.text()).toContain('Code expired');
+    }
+    expect(checkIns()).toEqual([]);
+  });
+
+  it('should show the time of an earlier check-in in the configured locale and time zone', async () => {
+    mockDb.current
+      .prepare(
+        "INSERT INTO check_ins (event_id, attendee_id, attendee_name, checked_in_at) VALUES ('evt1', 'att1', 'Jane Smith', ?)"
+      )
+      .run('2025-03-15T18:05:00.000Z');
+    const readFileSync = fs.readFileSync;
+    jest
+      .spyOn(fs, 'readFileSync')
+      .mockImplementation((file, ...args) =>
+        String(file).endsWith('config.json')
+          ? JSON.stringify({ locale: 'en-US', timeZone: 'Pacific/Auckland' })
+          : readFileSync(file, ...args)
+      );
+
+    const page = await (await scan(tokenFor('att1'))).text();
+
+    // 18:05 UTC is 07:05 the next morning in Auckland
+    expect(page).toContain('Jane Smith checked in to Quiz Night at 07:05 AM.');
+  });
+
+  it('should log a failure without showing its details on the public page', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockDb.current.exec('DROP TABLE check_ins');
+
+    const res = await scan(tokenFor('att1'), 'POST');
+    const page = await res.text();
+
+    expect(res.status).toBe(500);
+    expect(page).toContain('Something went wrong. Please check in at the desk.');
+    expect(page).not.toContain('check_ins');
+    expect(consoleError).toHaveBeenCalledWith(
+      'Check-in failed:',
+      expect.objectContaining({ message: expect.stringContaining('check_ins') })
+    );
+  });
+
+  it('should refuse altered codes', async () => {
+    const [, , expiry, signature] = tokenFor('att1').split('.');
+
+    const res = await scan(`evt1.att2.${expiry}.${signature}`, 'POST');
+
+    expect(res.status).toBe(404);
+    expect(await res.text()).toContain('Invalid code');
+    expect(checkIns()).toEqual([]);
+  });
+});
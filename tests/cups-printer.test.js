@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tests for the CUPS printer module
+ * Tests lp submission, job id parsing and job completion polling
+ */
+
+jest.mock('child_process');
+jest.mock('../src/services/logger');
+jest.mock('../src/services/ipp-client');
+
+const { execFile } = require('child_process');
+const ipp = require('../src/services/ipp-client');
+const { printPdf, parseJobId, getJobState, waitForJobCompletion } = require('../src/services/cups-printer');
+
+/** Makes the mocked execFile answer each command with the given stdout (or error, or a function of the args) */
+function mockCommands(responses) {
+  execFile.mockImplementation((cmd, args, callback) => {
+    const response = typeof responses[cmd] === 'function' ? responses[cmd](args) : responses[cmd];
+    if (response instanceof Error) {
+      callback(response);
+    } else {
+      callback(null, { stdout: response || '', stderr: '' });
+    }
+  });
+}
+
+describe('CUPS Printer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.PRINTER_NAME;
+    delete process.env.CUPS_SERVER;
+    ipp.formatJobReason.mockImplementation(jest.requireActual('../src/services/ipp-client').formatJobReason);
+  });
+
+  describe('printPdf', () => {
+    it('should submit the file with copies and printer', async () => {
+      mockCommands({ lp: 'request id is Front_Desk-42 (1 file(s))\n' });
+
+      const output = await printPdf('/tmp/a.pdf', 2, 'Front_Desk');
+
+      expect(execFile).toHaveBeenCalledWith('lp', ['-d', 'Front_Desk', '-n', '2', '/tmp/a.pdf'], expect.any(Function));
+      expect(output).toBe('request id is Front_Desk-42 (1 file(s))');
+    });
+
+    it('should reject invalid copies', async () => {
+      await expect(printPdf('/tmp/a.pdf', 11)).rejects.toThrow('Invalid number of copies');
+    });
+  });
+
+  describe('parseJobId', () => {
+    it('should extract the job id from lp output', () => {
+      expect(parseJobId('request id is Office_Printer-42 (1 file(s))')).toBe(42);
+      expect(parseJobId('request id is HP-LaserJet-M404-7 (1 file(s))')).toBe(7);
+    });
+
+    it('should return null when there is no job id', () => {
+      expect(parseJobId('lp: Error - no default destination available.')).toBeNull();
+      expect(parseJobId(undefined)).toBeNull();
+    });
+  });
+
+  describe('getJobState', () => {
+    it('should query the job over IPP on the local CUPS server', async () => {
+      ipp.getJobState.mockResolvedValue({ state: 'aborted', reasons: ['media-jam'], message: null });
+
+      await expect(getJobState(42)).resolves.toEqual({ state: 'aborted', reason: 'media-jam' });
+      expect(ipp.getJobState).toHaveBeenCalledWith('ipp://localhost:631/jobs/42');
+    });
+
+    it('should use CUPS_SERVER when it names a host', async () => {
+      process.env.CUPS_SERVER = 'printserver:8631';
+      ipp.getJobState.mockResolvedValue({ state: 'completed', reasons: ['job-completed-successfully'], message: null });
+
+      await expect(getJobState(5)).resolves.toEqual({ state: 'completed', reason: null });
+      expect(ipp.getJobState).toHaveBeenCalledWith('ipp://printserver:8631/jobs/5');
+    });
+
+    describe('lpstat fallback', () => {
+      const history = [
+        'Front_Desk-40   pi   1024   Sat 04 Jan 2025 09:58:00',
+        '\tStatus: ',
+        '\tAlerts: job-completed-successfully',
+        '\tqueued for Front_Desk',
+        'Front_Desk-41   pi   1024   Sat 04 Jan 2025 09:59:00',
+        '\tAlerts: job-canceled-by-user',
+        'Front_Desk-4   pi   1024   Sat 04 Jan 2025 09:59:30',
+        '\tStatus: Paper jam',
+        '\tAlerts: aborted-by-system',
+        'Front_Desk-44   pi   1024   Sat 04 Jan 2025 10:01:00',
+        '\tqueued for Front_Desk',
+        '',
+      ].join('\n');
+
+      beforeEach(() => {
+        ipp.getJobState.mockRejectedValue(new Error('ECONNREFUSED'));
+        mockCommands({
+          lpstat: (args) =>
+            args.includes('not-completed')
+              ? 'Front_Desk-42   pi   1024   Sat 04 Jan 2025\nFront_Desk-43   pi   1024\n'
+              : history,
+        });
+      });
+
+      it('should report a job still in the queue as pending', async () => {
+        await expect(getJobState(42)).resolves.toEqual({ state: 'pending', reason: null });
+        expect(execFile).toHaveBeenCalledWith('lpstat', ['-W', 'not-completed', '-o'], expect.any(Function));
+      });
+
+      it('should read how a job that left the queue ended from its alerts', async () => {
+        await expect(getJobState(40)).resolves.toEqual({ state: 'completed', reason: null });
+        await expect(getJobState(41)).resolves.toEqual({ state: 'cancelled', reason: 'job-canceled-by-user' });
+        await expect(getJobState(4)).resolves.toEqual({ state: 'aborted', reason: 'aborted-by-system' });
+        expect(execFile).toHaveBeenCalledWith('lpstat', ['-l', '-W', 'completed', '-o'], expect.any(Function));
+      });
+
+      it('should not assume success when lpstat cannot tell how a job ended', async () => {
+        await expect(getJobState(44)).rejects.toThrow('lpstat does not show how CUPS job 44 ended');
+      });
+
+      it('should keep polling an unverified job until it times out and fails', async () => {
+        const cancel = jest.fn().mockResolvedValue();
+
+        const result = await waitForJobCompletion(44, { pollIntervalMs: 5, timeoutMs: 20, cancel });
+
+        expect(result.state).toBe('timeout');
+        expect(cancel).toHaveBeenCalledWith(44);
+      });
+
+      it('should report a job purged from the history as finished with an unknown outcome', async () => {
+        const cancel = jest.fn().mockResolvedValue();
+
+        await expect(getJobState(45)).resolves.toEqual({ state: 'unknown', reason: 'no longer listed by CUPS' });
+        await expect(waitForJobCompletion(45, { pollIntervalMs: 5, timeoutMs: 20, cancel })).resolves.toEqual({
+          state: 'unknown',
+          reason: 'no longer listed by CUPS',
+        });
+        expect(cancel).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('waitForJobCompletion', () => {
+    it('should poll until the job reaches a final state and report state changes', async () => {
+      ipp.getJobState
+        .mockResolvedValueOnce({ state: 'pending', reasons: [], message: null })
+        .mockResolvedValueOnce({ state: 'processing', reasons: [], message: null })
+        .mockResolvedValueOnce({ state: 'completed', reasons: [], message: null });
+      const onStateChange = jest.fn();
+
+      const result = await waitForJobCompletion(42, { pollIntervalMs: 1, onStateChange });
+
+      expect(result).toEqual({ state: 'completed', reason: null });
+      expect(onStateChange.mock.calls.map((c) => c[0])).toEqual(['pending', 'processing', 'completed']);
+    });
+
+    it('should return aborted jobs with their reason', async () => {
+      ipp.getJobState.mockResolvedValue({ state: 'aborted', reasons: [], message: 'Paper jam in tray 2' });
+
+      await expect(waitForJobCompletion(42, { pollIntervalMs: 1 })).resolves.toEqual({
+        state: 'aborted',
+        reason: 'Paper jam in tray 2',
+      });
+    });
+
+    it('should cancel the job and report a timeout when it never finishes', async () => {
+      ipp.getJobState.mockResolvedValue({ state: 'processing-stopped', reasons: ['offline-report'], message: null });
+      mockCommands({ cancel: '' });
+
+      const result = await waitForJobCompletion(42, { pollIntervalMs: 5, timeoutMs: 20 });
+
+      expect(result.state).toBe('timeout');
+      expect(result.reason).toContain('last state processing-stopped (offline-report)');
+      expect(execFile).toHaveBeenCalledWith('cancel', ['42'], expect.any(Function));
+    });
+  });
+});
@@ -206,6 +206,42 @@ describe('Email Service', () => {
       ).rejects.toThrow(/does not exist/);
     });
 
+    it('should attach several files', async () => {
+      mockSendMail.mockResolvedValue({ messageId: '123' });
+
+      await sendEmailWithAttachment(
+        transportOptions,
+        emailParams.to,
+        emailParams.from,
+        emailParams.subject,
+        emailParams.body,
+        ['attendees.pdf', 'attendees.xlsx']
+      );
+
+      expect(mockSendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          attachments: [
+            { path: expect.stringContaining('attendees.pdf') },
+            { path: expect.stringContaining('attendees.xlsx') },
+          ],
+        })
+      );
+    });
+
+    it('should reject the email if any attachment is outside the project', async () => {
+      await expect(
+        sendEmailWithAttachment(
+          transportOptions,
+          emailParams.to,
+          emailParams.from,
+          emailParams.subject,
+          emailParams.body,
+          ['attendees.pdf', '/etc/passwd']
+        )
+      ).rejects.toThrow(/within project directory/);
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
     it('should create new transporter for each send', async () => {
       mockSendMail.mockResolvedValue({ messageId: '123' });
 
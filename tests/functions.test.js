@@ -1,9 +1,12 @@
 // Mock other dependencies
 jest.mock('../src/core/database');
 jest.mock('../src/services/cups-printer');
+jest.mock('../src/services/ipp-printer');
+jest.mock('../src/services/raw-printer');
 jest.mock('../src/services/email-service');
 jest.mock('../src/services/logger');
 jest.mock('../src/core/api-client');
+jest.mock('../src/core/pdf-archive');
 
 // Mock pdf-generator with sanitizeOutputPath
 jest.mock('../src/services/pdf-generator', () => {
@@ -25,13 +28,47 @@ jest.mock('../src/services/pdf-generator', () => {
   return mockConstructor;
 });
 
+jest.mock('../src/services/roster-exporter', () =>
+  jest.fn().mockImplementation(function (event, attendees, layout) {
+    this.event = event;
+    this.attendees = attendees;
+    this.layout = layout;
+    this.save = jest.fn((format, filename) => require('path').resolve(process.cwd(), filename));
+  })
+);
+
 // Now we can require the modules.
-const { fetchAndStoreUpcomingEvents, processScheduledEvents } = require('../src/core/functions');
-const { getDb, withRetry, withTransaction } = require('../src/core/database');
+const {
+  fetchAndStoreUpcomingEvents,
+  processScheduledEvents,
+  processSingleEvent,
+  processAddenda,
+  selectDaySheetEvents,
+  printDaySheet,
+  printEventBadges,
+  exportEventRoster,
+  reprintArchivedPdf,
+} = require('../src/core/functions');
+const {
+  getDb,
+  withRetry,
+  withTransaction,
+  createPrintJob,
+  updatePrintJobState,
+  getPrintRevision,
+  setPrintRevision,
+  saveRosterSnapshot,
+  getLatestRosterSnapshot,
+} = require('../src/core/database');
 const PdfGenerator = require('../src/services/pdf-generator');
+const RosterExporter = require('../src/services/roster-exporter');
 const logger = require('../src/services/logger');
-const { printPdf } = require('../src/services/cups-printer');
+const { printPdf, parseJobId, waitForJobCompletion } = require('../src/services/cups-printer');
+const { printPdfIpp, waitForIppJob } = require('../src/services/ipp-printer');
+const { printPdfRaw } = require('../src/services/raw-printer');
+const { sendEmailWithAttachment } = require('../src/services/email-service');
 const { getAllAttendees, getEventDetails, getUpcomingEvents } = require('../src/core/api-client');
+const { archivePdf, getArchivedPdf, recordReprint } = require('../src/core/pdf-archive');
 
 describe('Event Processing Logic', () => {
   let mockDb;
@@ -92,8 +129,8 @@ describe('Event Processing Logic', () => {
       expect(getUpcomingEvents).toHaveBeenCalledWith(24);
       expect(getDb).toHaveBeenCalled();
       expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO events'));
-      // The 'pending' status is hardcoded in the SQL, so only 3 args are passed to run()
-      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Test Event', expect.any(String));
+      // The 'pending' status is hardcoded in the SQL; tag columns are null for untagged events
+      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Test Event', expect.any(String), null, null, null, null);
     });
 
     it('should filter events by category', async () => {
@@ -111,8 +148,8 @@ describe('Event Processing Logic', () => {
       await fetchAndStoreUpcomingEvents(config);
 
       expect(mockStmt.run).toHaveBeenCalledTimes(1);
-      // The 'pending' status is hardcoded in the SQL, so only 3 args are passed to run()
-      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Event A', '2025-01-01T10:00:00Z');
+      // The 'pending' status is hardcoded in the SQL; tag columns are null for untagged events
+      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Event A', '2025-01-01T10:00:00Z', null, null, null, null);
     });
 
     it('should not store anything if no events are fetched', async () => {
@@ -147,8 +184,71 @@ describe('Event Processing Logic', () => {
 
       // And we expect that only the two valid events were processed for storage.
       expect(mockStmt.run).toHaveBeenCalledTimes(2);
-      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Event A', '2025-01-01T10:00:00Z');
-      expect(mockStmt.run).toHaveBeenCalledWith(3, 'Event C', '2025-01-01T12:00:00Z');
+      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Event A', '2025-01-01T10:00:00Z', null, null, null, null);
+      expect(mockStmt.run).toHaveBeenCalledWith(3, 'Event C', '2025-01-01T12:00:00Z', null, null, null, null);
+    });
+
+    it('should select events with a print: tag regardless of category and store tag params', async () => {
+      const mockEvents = [
+        {
+          id: 1,
+          name: 'Tagged Event',
+          startDate: '2025-01-01T10:00:00Z',
+          categories: [{ name: 'Other' }],
+          description: 'Social hit\nprint: 30min 2copies local',
+        },
+        { id: 2, name: 'Untagged Event', startDate: '2025-01-01T11:00:00Z', categories: [{ name: 'Other' }] },
+        { id: 3, name: 'Null Description', startDate: '2025-01-01T12:00:00Z', description: null },
+      ];
+      getUpcomingEvents.mockResolvedValue(mockEvents);
+
+      const config = {
+        fetchWindowHours: 24,
+        allowedCategories: ['Allowed'],
+      };
+
+      await fetchAndStoreUpcomingEvents(config);
+
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('leadMinutes = excluded.leadMinutes'));
+      expect(mockStmt.run).toHaveBeenCalledTimes(1);
+      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Tagged Event', '2025-01-01T10:00:00Z', 30, 2, 'local', null);
+    });
+
+    it('should select events matching a rule and store the rule name', async () => {
+      getUpcomingEvents.mockResolvedValue([
+        { id: 1, name: 'Junior Coaching', startDate: '2025-01-01T10:00:00Z', categories: [{ name: 'NBA' }] },
+        { id: 2, name: 'Senior Social', startDate: '2025-01-01T11:00:00Z', categories: [{ name: 'NBA' }] },
+      ]);
+
+      const config = {
+        fetchWindowHours: 24,
+        allowedCategories: ['Pickleball'],
+        rules: [{ name: 'Juniors', match: { category: 'NBA', namePattern: '^junior' }, leadMinutes: 45 }],
+      };
+
+      await fetchAndStoreUpcomingEvents(config);
+
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('ruleName = excluded.ruleName'));
+      expect(mockStmt.run).toHaveBeenCalledTimes(1);
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        1,
+        'Junior Coaching',
+        '2025-01-01T10:00:00Z',
+        null,
+        null,
+        null,
+        'Juniors'
+      );
+    });
+
+    it('should store null for tag params that are not specified', async () => {
+      getUpcomingEvents.mockResolvedValue([
+        { id: 1, name: 'Bare Tag', startDate: '2025-01-01T10:00:00Z', description: 'print:' },
+      ]);
+
+      await fetchAndStoreUpcomingEvents({ fetchWindowHours: 24, allowedCategories: ['Allowed'] });
+
+      expect(mockStmt.run).toHaveBeenCalledWith(1, 'Bare Tag', '2025-01-01T10:00:00Z', null, null, null, null);
     });
   });
 
@@ -166,9 +266,9 @@ describe('Event Processing Logic', () => {
       const config = { preEventQueryMinutes: 5, outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'local' };
       await processScheduledEvents(config);
 
-      // Check that it queried for due events
+      // Check that it queried for pending events
       expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('SELECT * FROM events'));
-      expect(mockStmt.all).toHaveBeenCalledWith(expect.any(String));
+      expect(mockStmt.all).toHaveBeenCalled();
 
       // Check that getEventDetails was called
       expect(getEventDetails).toHaveBeenCalledWith(1);
@@ -179,15 +279,687 @@ describe('Event Processing Logic', () => {
       // Check that PDF was generated and printed with the sanitized path
       // The constructor is called, so we check that print was called with the safe path
       expect(PdfGenerator).toHaveBeenCalled();
-      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'));
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 1, undefined);
 
       // Check that the event status was updated to 'processed'
-      expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'processed' WHERE id = ?");
-      expect(mockStmt.run).toHaveBeenCalledWith(1);
+      expect(mockDb.prepare).toHaveBeenCalledWith(
+        "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+      );
+      expect(mockStmt.run).toHaveBeenCalledWith('local', 1);
+
+      // The printed roster is kept so late sign-ups can be diffed against it
+      expect(saveRosterSnapshot).toHaveBeenCalledWith(1, 'roster', mockAttendees, 'local');
+    });
+
+    it('should keep a printed event processed when its attendee snapshot cannot be stored', async () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString() };
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+      saveRosterSnapshot.mockImplementationOnce(() => {
+        throw new Error('disk I/O error');
+      });
+
+      const config = { preEventQueryMinutes: 5, outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'local' };
+      const result = await processSingleEvent(dueEvent, config);
+
+      expect(result.printTarget).toBe('local');
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Could not store the roster attendee snapshot for event 1: disk I/O error'
+      );
+      expect(mockDb.prepare).not.toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+    });
+
+    it('should only process events whose per-event lead time has been reached', async () => {
+      const inTwentyMinutes = new Date(Date.now() + 20 * 60 * 1000).toISOString();
+      const dueByTag = { id: 1, name: 'Tagged 30min', startDate: inTwentyMinutes, leadMinutes: 30 };
+      const notDueYet = { id: 2, name: 'Default lead', startDate: inTwentyMinutes, leadMinutes: null };
+      mockStmt.all.mockReturnValue([dueByTag, notDueYet]);
+
+      getEventDetails.mockResolvedValue(dueByTag);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const config = { preEventQueryMinutes: 5, outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'local' };
+      await processScheduledEvents(config);
+
+      expect(getEventDetails).toHaveBeenCalledTimes(1);
+      expect(getEventDetails).toHaveBeenCalledWith(1);
+    });
+
+    it('should honour per-event print mode and copies over config', async () => {
+      const dueEvent = { id: 1, name: 'Tagged', startDate: new Date().toISOString(), printMode: 'local', copies: 3 };
+      mockStmt.all.mockReturnValue([dueEvent]);
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const config = { preEventQueryMinutes: 5, outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'email' };
+      await processScheduledEvents(config);
+
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 3, undefined);
+    });
+
+    it('should use the stored rule lead time when deciding whether an event is due', async () => {
+      const inTwentyMinutes = new Date(Date.now() + 20 * 60 * 1000).toISOString();
+      const ruled = { id: 1, name: 'Junior', startDate: inTwentyMinutes, leadMinutes: null, ruleName: 'Juniors' };
+      mockStmt.all.mockReturnValue([ruled]);
+      getEventDetails.mockResolvedValue(ruled);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: 'local',
+        rules: [{ name: 'Juniors', match: { namePattern: '^junior' }, leadMinutes: 30 }],
+      };
+      await processScheduledEvents(config);
+
+      expect(getEventDetails).toHaveBeenCalledWith(1);
+    });
+
+    it('should apply rule overrides for print mode, printer, copies, columns and logo', async () => {
+      const dueEvent = { id: 1, name: 'Junior Coaching', startDate: new Date().toISOString() };
+      mockStmt.all.mockReturnValue([dueEvent]);
+      getEventDetails.mockResolvedValue({ ...dueEvent, categories: [{ name: 'NBA' }] });
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const ruleColumns = [{ id: 'name', header: 'Player', width: 200 }];
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: { fontSize: 12, logo: 'global.png', columns: [{ id: 'phone', header: 'Phone', width: 100 }] },
+        printMode: 'email',
+        rules: [
+          {
+            name: 'NBA',
+            match: { category: ['NBA'] },
+            printMode: 'local',
+            printer: 'Front_Desk',
+            copies: 2,
+            columns: ruleColumns,
+            logo: 'nba.png',
+          },
+        ],
+      };
+      await processScheduledEvents(config);
+
+      expect(PdfGenerator).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.anything(),
+        {
+          fontSize: 12,
+          logo: 'nba.png',
+          columns: ruleColumns,
+        },
+        { addendum: undefined, revision: 1, waitlist: [] }
+      );
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 2, 'Front_Desk');
+      expect(sendEmailWithAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should let print: tag values take precedence over rule overrides', async () => {
+      const dueEvent = { id: 1, name: 'Junior', startDate: new Date().toISOString(), printMode: 'local', copies: 3 };
+      mockStmt.all.mockReturnValue([dueEvent]);
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: 'email',
+        rules: [{ name: 'Juniors', match: { namePattern: 'junior' }, printMode: 'email', copies: 1 }],
+      };
+      await processScheduledEvents(config);
+
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 3, undefined);
+    });
+
+    describe('CUPS job tracking', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString() };
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: 'local',
+        printJobs: { trackCompletion: true, pollIntervalSeconds: 2, timeoutMinutes: 3 },
+      };
+
+      beforeEach(() => {
+        mockStmt.all.mockReturnValue([dueEvent]);
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        printPdf.mockResolvedValue('request id is Front_Desk-42 (1 file(s))');
+        parseJobId.mockReturnValue(42);
+        createPrintJob.mockReturnValue(7);
+      });
+
+      it('should record the job and mark the event processed once CUPS reports it completed', async () => {
+        waitForJobCompletion.mockImplementation(async (jobId, options) => {
+          options.onStateChange('processing', null);
+          return { state: 'completed', reason: null };
+        });
+
+        await processScheduledEvents(config);
+
+        expect(createPrintJob).toHaveBeenCalledWith(1, 42, null, 1);
+        expect(waitForJobCompletion).toHaveBeenCalledWith(42, {
+          pollIntervalMs: 2000,
+          timeoutMs: 180000,
+          onStateChange: expect.any(Function),
+        });
+        expect(updatePrintJobState).toHaveBeenCalledWith(7, 'processing', null);
+        expect(updatePrintJobState).toHaveBeenCalledWith(7, 'completed', null);
+        expect(mockDb.prepare).toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should fail the event when the CUPS job is aborted', async () => {
+        waitForJobCompletion.mockResolvedValue({ state: 'aborted', reason: 'media-jam' });
+
+        await expect(processScheduledEvents(config)).rejects.toThrow('CUPS job 42 aborted: media-jam');
+
+        expect(updatePrintJobState).toHaveBeenCalledWith(7, 'aborted', 'media-jam');
+        expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+        expect(mockDb.prepare).not.toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should not print again a job CUPS purged before its outcome was known', async () => {
+        waitForJobCompletion.mockResolvedValue({ state: 'unknown', reason: 'no longer listed by CUPS' });
+
+        await processScheduledEvents(config);
+
+        expect(updatePrintJobState).toHaveBeenCalledWith(7, 'unknown', 'no longer listed by CUPS');
+        expect(printPdf).toHaveBeenCalledTimes(1);
+        expect(mockDb.prepare).toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should record the job without waiting when tracking is disabled', async () => {
+        await processScheduledEvents({ ...config, printJobs: { trackCompletion: false } });
+
+        expect(createPrintJob).toHaveBeenCalledWith(1, 42, null, 1);
+        expect(waitForJobCompletion).not.toHaveBeenCalled();
+        expect(mockDb.prepare).toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should not wait when lp does not report a job id', async () => {
+        parseJobId.mockReturnValue(null);
+
+        await processScheduledEvents(config);
+
+        expect(createPrintJob).toHaveBeenCalledWith(1, null, null, 1);
+        expect(waitForJobCompletion).not.toHaveBeenCalled();
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Could not determine the CUPS job id'));
+      });
+    });
+
+    describe('IPP print mode', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString(), copies: 2 };
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: 'ipp',
+        printJobs: { trackCompletion: true, pollIntervalSeconds: 2, timeoutMinutes: 3 },
+        ipp: {
+          printerUri: 'ipp://printer.local/ipp/print',
+          sides: 'two-sided-long-edge',
+          media: 'iso_a4_210x297mm',
+          finishings: ['staple-top-left'],
+          requestTimeoutSeconds: 30,
+        },
+      };
+
+      beforeEach(() => {
+        mockStmt.all.mockReturnValue([dueEvent]);
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        printPdfIpp.mockResolvedValue({ jobId: 17, jobUri: null, state: 'pending' });
+        createPrintJob.mockReturnValue(7);
+        delete process.env.PRINTER_IPP_URI;
+      });
+
+      it('should print via IPP with the job attributes and track the job on the printer', async () => {
+        waitForIppJob.mockResolvedValue({ state: 'completed', reason: null });
+
+        await processScheduledEvents(config);
+
+        expect(printPdf).not.toHaveBeenCalled();
+        expect(printPdfIpp).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 'ipp://printer.local/ipp/print', {
+          copies: 2,
+          sides: 'two-sided-long-edge',
+          media: 'iso_a4_210x297mm',
+          finishings: ['staple-top-left'],
+          jobName: 'Due Event',
+          timeoutMs: 30000,
+        });
+        expect(createPrintJob).toHaveBeenCalledWith(1, 17, 'ipp://printer.local/ipp/print', 2);
+        expect(waitForIppJob).toHaveBeenCalledWith('ipp://printer.local/ipp/print', 17, {
+          pollIntervalMs: 2000,
+          timeoutMs: 180000,
+          onStateChange: expect.any(Function),
+        });
+        expect(updatePrintJobState).toHaveBeenCalledWith(7, 'completed', null);
+        expect(mockDb.prepare).toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should fail the event when the IPP job is aborted', async () => {
+        waitForIppJob.mockResolvedValue({ state: 'aborted', reason: 'media-empty' });
+
+        await expect(processScheduledEvents(config)).rejects.toThrow('IPP job 17 aborted: media-empty');
+
+        expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+      });
+
+      it('should fall back to PRINTER_IPP_URI when no printer URI is configured', async () => {
+        process.env.PRINTER_IPP_URI = 'ipps://fallback.local/ipp/print';
+        waitForIppJob.mockResolvedValue({ state: 'completed', reason: null });
+
+        await processScheduledEvents({ ...config, ipp: { printerUri: null } });
+
+        expect(printPdfIpp).toHaveBeenCalledWith(
+          expect.any(String),
+          'ipps://fallback.local/ipp/print',
+          expect.objectContaining({ copies: 2, timeoutMs: 60000 })
+        );
+        delete process.env.PRINTER_IPP_URI;
+      });
+
+      it('should fail when no printer URI is available', async () => {
+        await expect(processScheduledEvents({ ...config, ipp: { printerUri: null } })).rejects.toThrow(
+          'IPP print mode requires ipp.printerUri'
+        );
+        expect(printPdfIpp).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('print failover chain', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString() };
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: [{ mode: 'local', printer: 'Front_Desk' }, { mode: 'local', printer: 'Office' }, 'email'],
+        printJobs: { trackCompletion: false },
+      };
+
+      beforeEach(() => {
+        mockStmt.all.mockReturnValue([dueEvent]);
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        parseJobId.mockReturnValue(42);
+      });
+
+      it('should stop at the first target that prints and record it', async () => {
+        printPdf.mockResolvedValue('request id is Front_Desk-42 (1 file(s))');
+
+        await processScheduledEvents(config);
+
+        expect(printPdf).toHaveBeenCalledTimes(1);
+        expect(printPdf).toHaveBeenCalledWith(expect.any(String), 1, 'Front_Desk');
+        expect(sendEmailWithAttachment).not.toHaveBeenCalled();
+        expect(mockStmt.run).toHaveBeenCalledWith('local:Front_Desk', 1);
+      });
+
+      it('should fall through failed targets in order and report them', async () => {
+        printPdf.mockRejectedValueOnce(new Error('printer offline')).mockRejectedValueOnce(new Error('out of paper'));
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(printPdf.mock.calls.map((call) => call[2])).toEqual(['Front_Desk', 'Office']);
+        expect(sendEmailWithAttachment).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({
+          attendeeCount: 1,
+          printTarget: 'email',
+          failedTargets: [
+            { target: 'local:Front_Desk', error: 'printer offline' },
+            { target: 'local:Office', error: 'out of paper' },
+          ],
+          revision: 1,
+          capacity: null,
+          waitlistCount: 0,
+        });
+        expect(mockStmt.run).toHaveBeenCalledWith('email', 1);
+      });
+
+      it('should raise one retryable error listing every target when all fail', async () => {
+        printPdf.mockRejectedValue(new Error('printer offline'));
+        sendEmailWithAttachment.mockRejectedValueOnce(new Error('SMTP down'));
+
+        await expect(processSingleEvent(dueEvent, config)).rejects.toMatchObject({
+          message:
+            'All print targets failed: local:Front_Desk: printer offline; local:Office: printer offline; email: SMTP down',
+          retryable: true,
+          failedTargets: expect.arrayContaining([{ target: 'email', error: 'SMTP down' }]),
+        });
+        expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+      });
+
+      it('should not retry when no target can ever succeed', async () => {
+        const noHosts = { ...config, printMode: ['raw', { mode: 'ipp', name: 'Office IPP' }], ipp: {}, raw: {} };
+
+        await expect(processSingleEvent(dueEvent, noHosts)).rejects.toMatchObject({ retryable: false });
+      });
+
+      it('should apply a rule printer to local targets that do not name one', async () => {
+        printPdf.mockResolvedValue('request id is Lobby-1 (1 file(s))');
+        const ruleConfig = {
+          ...config,
+          printMode: ['local', 'email'],
+          rules: [{ name: 'Lobby', match: { namePattern: 'Due' }, printer: 'Lobby' }],
+        };
+
+        await processSingleEvent(dueEvent, ruleConfig);
+
+        expect(printPdf).toHaveBeenCalledWith(expect.any(String), 1, 'Lobby');
+      });
+    });
+
+    describe('raw print mode', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString(), copies: 3 };
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: 'raw',
+        raw: {
+          host: '192.168.1.60',
+          port: 9100,
+          format: 'pcl',
+          pjl: true,
+          connectTimeoutSeconds: 5,
+          writeTimeoutSeconds: 30,
+        },
+      };
+
+      beforeEach(() => {
+        mockStmt.all.mockReturnValue([dueEvent]);
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        printPdfRaw.mockResolvedValue({ target: '192.168.1.60:9100', bytes: 1024 });
+        delete process.env.PRINTER_RAW_HOST;
+      });
+
+      it('should send the PDF to the raw socket with the configured timeouts and record the job', async () => {
+        await processScheduledEvents(config);
+
+        expect(printPdf).not.toHaveBeenCalled();
+        expect(printPdfRaw).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), {
+          host: '192.168.1.60',
+          port: 9100,
+          format: 'pcl',
+          pjl: true,
+          copies: 3,
+          jobName: 'Due Event',
+          connectTimeoutMs: 5000,
+          writeTimeoutMs: 30000,
+        });
+        expect(createPrintJob).toHaveBeenCalledWith(1, null, '192.168.1.60:9100', 3);
+        expect(mockDb.prepare).toHaveBeenCalledWith(
+          "UPDATE events SET status = 'processed', printTarget = ? WHERE id = ?"
+        );
+      });
+
+      it('should pass socket failures on to the retry path', async () => {
+        const error = Object.assign(new Error('Cannot connect to raw printer'), { retryable: true });
+        printPdfRaw.mockRejectedValue(error);
+
+        await expect(processScheduledEvents(config)).rejects.toBe(error);
+
+        expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+      });
+
+      it('should fail without retry when no host is configured', async () => {
+        await expect(processScheduledEvents({ ...config, raw: { host: null } })).rejects.toMatchObject({
+          message: expect.stringContaining('Raw print mode requires raw.host'),
+          retryable: false,
+        });
+        expect(printPdfRaw).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('PDF archive', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString(), copies: 2 };
+      const config = {
+        preEventQueryMinutes: 5,
+        outputFilename: 'test.pdf',
+        pdfLayout: {},
+        printMode: ['local', 'email'],
+        printJobs: { trackCompletion: false },
+        archive: { enabled: true, directory: 'archive', retentionDays: 90 },
+      };
+
+      beforeEach(() => {
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        printPdf.mockResolvedValue('request id is Office-1 (1 file(s))');
+        archivePdf.mockReturnValue({ id: '2025-01-15T10-30-00-000Z' });
+      });
+
+      it('should archive the delivered PDF with how it was delivered', async () => {
+        await processSingleEvent(dueEvent, config);
+
+        expect(archivePdf).toHaveBeenCalledWith(
+          expect.stringContaining('test.pdf'),
+          dueEvent,
+          {
+            kind: 'roster',
+            printTargets: [{ mode: 'local' }, { mode: 'email' }],
+            copies: 2,
+            printTarget: 'local',
+            failedTargets: [],
+            attendeeCount: 1,
+            exports: [],
+            revision: 1,
+            privacy: null,
+          },
+          'archive'
+        );
+      });
+
+      it('should not archive when the archive is disabled or nothing printed', async () => {
+        await processSingleEvent(dueEvent, { ...config, archive: { enabled: false } });
+        printPdf.mockRejectedValueOnce(new Error('printer offline'));
+        sendEmailWithAttachment.mockRejectedValueOnce(new Error('SMTP down'));
+        await expect(processSingleEvent(dueEvent, config)).rejects.toThrow('All print targets failed');
+
+        expect(archivePdf).not.toHaveBeenCalled();
+      });
+
+      it('should still mark the event processed when archiving fails', async () => {
+        archivePdf.mockImplementationOnce(() => {
+          throw new Error('disk full');
+        });
+
+        await processSingleEvent(dueEvent, config);
+
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('disk full'));
+        expect(mockStmt.run).toHaveBeenCalledWith('local', 1);
+      });
+    });
+
+    describe('privacy profiles', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: new Date().toISOString() };
+      const config = {
+        outputFilename: 'test.pdf',
+        pdfLayout: { privacy: { email: 'redacted' } },
+        printMode: ['local', 'email'],
+        printJobs: { trackCompletion: false },
+        archive: { enabled: true, directory: 'archive' },
+      };
+      let unlinkSync;
+
+      beforeEach(() => {
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+        archivePdf.mockReturnValue({ id: '2025-01-15T10-30-00-000Z' });
+        unlinkSync = jest.spyOn(require('fs'), 'unlinkSync').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        unlinkSync.mockRestore();
+      });
+
+      it('should print the full list locally without making a redacted one', async () => {
+        printPdf.mockResolvedValueOnce('request id is Office-1 (1 file(s))');
+
+        await processSingleEvent(dueEvent, config);
+
+        expect(PdfGenerator).toHaveBeenCalledTimes(1);
+        expect(PdfGenerator.mock.calls[0][3].privacy).toBeUndefined();
+        expect(archivePdf.mock.calls[0][2].privacy).toBeNull();
+      });
+
+      it('should redact the list for the email fallback and archive that copy', async () => {
+        printPdf.mockRejectedValueOnce(new Error('printer offline'));
+
+        await processSingleEvent(dueEvent, config);
+
+        expect(PdfGenerator).toHaveBeenCalledTimes(2);
+        expect(PdfGenerator.mock.calls[1][3].privacy).toEqual({
+          maskPhone: true,
+          abbreviateSurname: true,
+          hideFees: true,
+          omitColumns: [],
+        });
+        expect(PdfGenerator.mock.instances[1].generate).toHaveBeenCalledWith('test-redacted.pdf');
+        expect(sendEmailWithAttachment.mock.calls[0][5]).toEqual(expect.stringContaining('test-redacted.pdf'));
+        expect(archivePdf).toHaveBeenCalledWith(
+          expect.stringContaining('test-redacted.pdf'),
+          dueEvent,
+          expect.objectContaining({ printTarget: 'email', privacy: 'redacted' }),
+          'archive'
+        );
+        // The full list did not print, so only it is deleted
+        expect(unlinkSync.mock.calls).toEqual([[expect.stringContaining('test.pdf')]]);
+      });
+
+      it("should let a target's own profile override the mode's", async () => {
+        const chain = [{ mode: 'email', privacy: null }];
+
+        await processSingleEvent(dueEvent, { ...config, printMode: chain });
+
+        expect(PdfGenerator).toHaveBeenCalledTimes(1);
+        expect(PdfGenerator.mock.calls[0][3].privacy).toBeUndefined();
+      });
+    });
+
+    describe('waitlist', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: '2025-01-15T11:00:00.000Z' };
+      const config = { outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'email' };
+      const john = { firstName: 'John', lastName: 'Doe', status: 'Attending' };
+      const late = { firstName: 'Lee', status: 'Waitlisted', signUpDate: '2025-01-10T09:00:00.000Z' };
+      const early = { firstName: 'Eve', status: 'pending', signUpDate: '2025-01-09T09:00:00.000Z' };
+
+      beforeEach(() => {
+        getEventDetails.mockResolvedValue({ ...dueEvent, capacity: 1 });
+      });
+
+      it('should print the waitlist in queue order after the confirmed attendees', async () => {
+        getAllAttendees.mockResolvedValue([late, john, { ...john, firstName: 'Jo', status: 'Cancelled' }, early]);
+
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(PdfGenerator.mock.calls[0][1]).toEqual([john]);
+        expect(PdfGenerator.mock.calls[0][3].waitlist).toEqual([early, late]);
+        // The roster snapshot only has confirmed attendees, so promotions show up on addenda
+        expect(saveRosterSnapshot).toHaveBeenCalledWith(1, 'roster', [john], 'email');
+        expect(result).toMatchObject({ attendeeCount: 1, capacity: 1, waitlistCount: 2 });
+      });
+
+      it('should print a list that only has a waitlist', async () => {
+        getAllAttendees.mockResolvedValue([late]);
+
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(PdfGenerator.mock.calls[0][3].waitlist).toEqual([late]);
+        expect(result).toMatchObject({ attendeeCount: 0, printTarget: 'email', waitlistCount: 1 });
+      });
+    });
+
+    describe('revisions', () => {
+      const dueEvent = { id: 1, name: 'Due Event', startDate: '2025-01-15T11:00:00.000Z' };
+      const config = { outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'email' };
+
+      beforeEach(() => {
+        getEventDetails.mockResolvedValue(dueEvent);
+        getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+      });
+
+      it('should print the first revision of a list without marking it', async () => {
+        getPrintRevision.mockReturnValueOnce(0);
+
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(setPrintRevision).toHaveBeenCalledWith(1, 1);
+        expect(PdfGenerator.mock.calls[0][3].revision).toBe(1);
+        expect(sendEmailWithAttachment.mock.calls[0][3]).toBe('Print Job: Due Event');
+        expect(result.revision).toBe(1);
+      });
+
+      it('should number a reprint and name its revision in the email subject', async () => {
+        getPrintRevision.mockReturnValueOnce(1);
+
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(setPrintRevision).toHaveBeenCalledWith(1, 2);
+        expect(PdfGenerator.mock.calls[0][3].revision).toBe(2);
+        expect(sendEmailWithAttachment.mock.calls[0][3]).toBe('Print Job: Due Event (revision 2)');
+        expect(result).toEqual({
+          attendeeCount: 1,
+          printTarget: 'email',
+          failedTargets: [],
+          revision: 2,
+          capacity: null,
+          waitlistCount: 0,
+        });
+      });
+
+      it('should count failed attempts, which may have printed part of the list', async () => {
+        sendEmailWithAttachment.mockRejectedValueOnce(new Error('SMTP down'));
+
+        await expect(processSingleEvent(dueEvent, config)).rejects.toThrow('SMTP down');
+
+        expect(setPrintRevision).toHaveBeenCalledWith(1, 1);
+      });
+
+      it('should still print when the revision cannot be recorded', async () => {
+        setPrintRevision.mockImplementationOnce(() => {
+          throw new Error('database is locked');
+        });
+
+        const result = await processSingleEvent(dueEvent, config);
+
+        expect(result.printTarget).toBe('email');
+        expect(logger.warn).toHaveBeenCalledWith(
+          'Could not record revision 1 of the attendee list of event 1: database is locked'
+        );
+      });
+    });
+
+    it('should warn and send a single email when copies are requested in email mode', async () => {
+      const dueEvent = { id: 1, name: 'Tagged', startDate: new Date().toISOString(), printMode: 'email', copies: 2 };
+      mockStmt.all.mockReturnValue([dueEvent]);
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue([{ firstName: 'John', lastName: 'Doe' }]);
+
+      const config = { preEventQueryMinutes: 5, outputFilename: 'test.pdf', pdfLayout: {}, printMode: 'local' };
+      await processScheduledEvents(config);
+
+      expect(printPdf).not.toHaveBeenCalled();
+      expect(sendEmailWithAttachment).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('not supported in email mode'));
     });
 
     it('should mark an event as processed even if it has no attendees', async () => {
-      const dueEvent = { id: 2, name: 'Empty Event' };
+      const dueEvent = { id: 2, name: 'Empty Event', startDate: new Date().toISOString() };
       mockStmt.all.mockReturnValue([dueEvent]);
 
       // Mock the API calls
@@ -216,7 +988,7 @@ describe('Event Processing Logic', () => {
     });
 
     it('should mark an event as failed if fetching attendees fails and re-throw the error', async () => {
-      const event1 = { id: 1, name: 'Event 1' };
+      const event1 = { id: 1, name: 'Event 1', startDate: new Date().toISOString() };
       mockStmt.all.mockReturnValue([event1]);
 
       // Mock successful details for event 1, then failing attendees
@@ -238,4 +1010,551 @@ describe('Event Processing Logic', () => {
       expect(mockStmt.run).toHaveBeenCalledWith(1);
     });
   });
+  describe('day sheet', () => {
+    const morning = { id: 'evt1', name: 'Morning', startDate: '2025-03-15T09:00:00.000Z', copies: 2 };
+    const noon = { id: 'evt2', name: 'Noon', startDate: '2025-03-15T12:00:00Z' };
+    const evening = { id: 'evt3', name: 'Evening', startDate: '2025-03-15T21:30:00.000Z' };
+    const config = {
+      preEventQueryMinutes: 5,
+      outputFilename: 'test.pdf',
+      pdfLayout: { fontSize: 10 },
+      printMode: 'local',
+      printJobs: { trackCompletion: false },
+      daySheet: { enabled: true, windowHours: 12 },
+    };
+    const john = { firstName: 'John', lastName: 'Doe' };
+    const jane = { firstName: 'Jane', lastName: 'Smith' };
+
+    beforeEach(() => {
+      getEventDetails.mockImplementation((id) => Promise.resolve([morning, noon, evening].find((e) => e.id === id)));
+      printPdf.mockResolvedValue('request id is Office-1 (1 file(s))');
+    });
+
+    it('should select the events starting within the window, earliest first', () => {
+      mockStmt.all.mockReturnValue([evening, noon, morning]);
+
+      expect(selectDaySheetEvents(morning.startDate, config)).toEqual([morning, noon]);
+      expect(selectDaySheetEvents(morning.startDate, config, { windowHours: 24 })).toEqual([morning, noon, evening]);
+      expect(mockDb.prepare).toHaveBeenCalledWith('SELECT * FROM events WHERE status IN (?)');
+
+      selectDaySheetEvents(morning.startDate, config, { statuses: ['pending', 'processed'] });
+      expect(mockStmt.all).toHaveBeenLastCalledWith('pending', 'processed');
+    });
+
+    it("should print the events as one document with the earliest event's delivery settings", async () => {
+      getAllAttendees.mockResolvedValueOnce([john]).mockResolvedValueOnce([jane, { ...john, status: 'Cancelled' }]);
+
+      const result = await printDaySheet([morning, noon], config);
+
+      expect(PdfGenerator).toHaveBeenCalledTimes(1);
+      expect(PdfGenerator).toHaveBeenCalledWith(
+        { id: 'evt1', name: 'Day Sheet: Sat, 15 Mar 2025', startDate: morning.startDate },
+        [john, jane],
+        { fontSize: 10 },
+        {
+          addendum: undefined,
+          daySheet: {
+            sections: [
+              { event: morning, attendees: [john], layout: { fontSize: 10 }, waitlist: [], revision: 1 },
+              { event: noon, attendees: [jane], layout: { fontSize: 10 }, waitlist: [], revision: 1 },
+            ],
+          },
+        }
+      );
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test-day-sheet.pdf'), 2, undefined);
+      expect(mockStmt.run).toHaveBeenCalledWith('local', 'evt1');
+      expect(mockStmt.run).toHaveBeenCalledWith('local', 'evt2');
+      expect(saveRosterSnapshot).toHaveBeenCalledWith('evt2', 'roster', [jane], 'local');
+      expect(result).toEqual({
+        events: [
+          { event: morning, attendeeCount: 1, capacity: null, waitlistCount: 0 },
+          { event: noon, attendeeCount: 1, capacity: null, waitlistCount: 0 },
+        ],
+        printTarget: 'local',
+        failedTargets: [],
+      });
+    });
+
+    it('should print each event as a new revision of its list', async () => {
+      getAllAttendees.mockResolvedValueOnce([john]).mockResolvedValueOnce([]).mockResolvedValueOnce([jane]);
+      getPrintRevision.mockReturnValueOnce(0).mockReturnValueOnce(2);
+
+      await printDaySheet([morning, noon, evening], config);
+
+      const { sections } = PdfGenerator.mock.calls[0][3].daySheet;
+      expect(sections.map((section) => section.revision)).toEqual([1, 3]);
+      expect(setPrintRevision).toHaveBeenCalledWith('evt1', 1);
+      expect(setPrintRevision).toHaveBeenCalledWith('evt3', 3);
+      // Nothing printed for an event without attendees
+      expect(setPrintRevision).toHaveBeenCalledTimes(2);
+    });
+
+    it('should mark every event on a sheet that fails as failed', async () => {
+      getAllAttendees.mockResolvedValue([john]);
+      printPdf.mockRejectedValue(Object.assign(new Error('Printer on fire'), { retryable: false }));
+
+      await expect(printDaySheet([morning, noon], config)).rejects.toThrow('Printer on fire');
+
+      expect(mockDb.prepare).toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+      expect(mockStmt.run).toHaveBeenCalledWith('evt1');
+      expect(mockStmt.run).toHaveBeenCalledWith('evt2');
+      expect(mockDb.prepare).not.toHaveBeenCalledWith(expect.stringContaining("SET status = 'processed'"));
+    });
+
+    it('should leave the schedule alone when an on-demand sheet fails', async () => {
+      getAllAttendees.mockRejectedValueOnce(new Error('API down'));
+
+      await expect(printDaySheet([morning], config, { markProcessed: false })).rejects.toThrow('API down');
+
+      expect(mockDb.prepare).not.toHaveBeenCalledWith(expect.stringContaining('SET status'));
+    });
+
+    it('should name and print the sheet in the configured locale and time zone', async () => {
+      getAllAttendees.mockResolvedValue([john]);
+
+      // 21:30 UTC is already the next day in Auckland
+      await printDaySheet([evening], { ...config, locale: 'fr-FR', timeZone: 'Pacific/Auckland' });
+
+      const [event, , , options] = PdfGenerator.mock.calls[0];
+      expect(event.name).toBe('Feuille du jour : dim. 16 mars 2025');
+      expect(options).toEqual(expect.objectContaining({ locale: 'fr-FR', timeZone: 'Pacific/Auckland' }));
+    });
+
+    it('should leave events without attendees off the sheet and the schedule alone on demand', async () => {
+      getAllAttendees.mockResolvedValueOnce([]).mockResolvedValueOnce([jane]);
+
+      await printDaySheet([morning, noon], config, { markProcessed: false });
+
+      expect(PdfGenerator.mock.calls[0][3].daySheet.sections.map((section) => section.event.id)).toEqual(['evt2']);
+      expect(mockDb.prepare).not.toHaveBeenCalledWith(expect.stringContaining("SET status = 'processed'"));
+      expect(saveRosterSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should print due events on day sheets from processScheduledEvents', async () => {
+      // Due now, so the window starts at the first due event
+      const dueMorning = { ...morning, startDate: new Date().toISOString() };
+      const dueNoon = { ...noon, startDate: new Date(Date.now() + 60 * 60 * 1000).toISOString() };
+      mockStmt.all.mockReturnValue([dueNoon, dueMorning]);
+      getEventDetails.mockImplementation((id) => Promise.resolve(id === 'evt1' ? dueMorning : dueNoon));
+      getAllAttendees.mockResolvedValue([john]);
+
+      await processScheduledEvents({ ...config, preEventQueryMinutes: 90 });
+
+      expect(PdfGenerator).toHaveBeenCalledTimes(1);
+      expect(PdfGenerator.mock.calls[0][3].daySheet.sections.map((section) => section.event.id)).toEqual([
+        'evt1',
+        'evt2',
+      ]);
+    });
+  });
+
+  describe('badges', () => {
+    const dueEvent = { id: 1, name: 'Quiz Night', startDate: new Date().toISOString() };
+    const attendees = [{ firstName: 'John', lastName: 'Doe' }];
+    const badges = {
+      enabled: false,
+      sheet: 'L7160',
+      padding: 6,
+      fields: [{ source: 'name', fontSize: 18 }],
+    };
+    const config = {
+      preEventQueryMinutes: 5,
+      outputFilename: 'test.pdf',
+      pdfLayout: {},
+      printMode: 'local',
+      printJobs: { trackCompletion: false },
+      badges,
+    };
+
+    beforeEach(() => {
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue(attendees);
+    });
+
+    it('should print badges after the roster for events whose rule asks for them', async () => {
+      const rules = [{ name: 'Quiz', match: { namePattern: 'quiz' }, printer: 'Front_Desk', badges: true }];
+
+      await processSingleEvent(dueEvent, { ...config, rules, badges: { ...badges, printer: 'Label_Printer' } });
+
+      expect(PdfGenerator).toHaveBeenCalledTimes(2);
+      expect(PdfGenerator.mock.calls[0][3].badges).toBeUndefined();
+      expect(PdfGenerator).toHaveBeenLastCalledWith(
+        dueEvent,
+        attendees,
+        {},
+        expect.objectContaining({ badges: { sheet: 'L7160', fields: badges.fields, padding: 6 } })
+      );
+      expect(printPdf).toHaveBeenNthCalledWith(1, expect.stringContaining('test.pdf'), 1, 'Front_Desk');
+      expect(printPdf).toHaveBeenNthCalledWith(2, expect.stringContaining('test-badges.pdf'), 1, 'Label_Printer');
+      // The roster alone is recorded; badges do not change what late sign-ups are diffed against
+      expect(saveRosterSnapshot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should print badges for every event when enabled, with their own print mode', async () => {
+      await processSingleEvent(dueEvent, { ...config, badges: { ...badges, enabled: true, printMode: 'email' } });
+      await processSingleEvent(dueEvent, {
+        ...config,
+        badges: { ...badges, enabled: true },
+        rules: [{ name: 'No badges', match: { namePattern: 'quiz' }, badges: false }],
+      });
+
+      expect(printPdf).toHaveBeenCalledTimes(2);
+      expect(sendEmailWithAttachment).toHaveBeenCalledTimes(1);
+      expect(sendEmailWithAttachment.mock.calls[0][5]).toEqual(expect.stringContaining('test-badges.pdf'));
+    });
+
+    it('should keep the event processed when its badges fail to print', async () => {
+      const error = new Error('Label printer offline');
+      printPdf.mockResolvedValueOnce(undefined).mockRejectedValueOnce(error);
+
+      const result = await processSingleEvent(dueEvent, { ...config, badges: { ...badges, enabled: true } });
+
+      expect(result.printTarget).toBe('local');
+      expect(logger.error).toHaveBeenCalledWith('Failed to print badges for event 1 ("Quiz Night"):', error);
+      expect(mockDb.prepare).not.toHaveBeenCalledWith("UPDATE events SET status = 'failed' WHERE id = ?");
+    });
+
+    it('should print badges for the events on a scheduled day sheet only', async () => {
+      const daySheetConfig = { ...config, badges: { ...badges, enabled: true } };
+
+      await printDaySheet([dueEvent], daySheetConfig, { markProcessed: false });
+      expect(PdfGenerator).toHaveBeenCalledTimes(1);
+
+      await printDaySheet([dueEvent], daySheetConfig);
+      expect(PdfGenerator).toHaveBeenCalledTimes(3);
+      expect(PdfGenerator.mock.calls[2][3].badges).toBeDefined();
+    });
+
+    it('should print badges on demand for an event that was never fetched', async () => {
+      mockStmt.get = jest.fn(() => undefined);
+      parseJobId.mockReturnValueOnce(7);
+      printPdf.mockResolvedValue('request id is Office-7 (1 file(s))');
+      getEventDetails.mockResolvedValue({ ...dueEvent, id: 'evt9', description: 'print: 2 copies' });
+
+      const result = await printEventBadges('evt9', config, { printMode: 'local' });
+
+      expect(result).toEqual({ attendeeCount: 1, printTarget: 'local' });
+      expect(mockStmt.get).toHaveBeenCalledWith('evt9');
+      // Badges are one label per attendee, so the tag's copies do not apply
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test-badges.pdf'), 1, undefined);
+      expect(createPrintJob).not.toHaveBeenCalled();
+    });
+
+    it('should not print on demand when the event has no attendees', async () => {
+      mockStmt.get = jest.fn(() => dueEvent);
+      getAllAttendees.mockResolvedValue([{ ...attendees[0], status: 'cancelled' }]);
+
+      expect(await printEventBadges(1, config)).toEqual({ attendeeCount: 0 });
+      expect(PdfGenerator).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exports', () => {
+    const dueEvent = { id: 1, name: 'Quiz Night', startDate: new Date().toISOString() };
+    const attendees = [{ firstName: 'John', lastName: 'Doe' }];
+    const config = {
+      preEventQueryMinutes: 5,
+      outputFilename: 'test.pdf',
+      pdfLayout: { columns: [{ id: 'name', width: 200 }] },
+      printMode: 'local',
+      printJobs: { trackCompletion: false },
+      archive: { enabled: true, directory: 'archive' },
+      exports: { formats: ['csv'], attach: false },
+      locale: 'de-DE',
+    };
+    const savedFiles = () => RosterExporter.mock.instances.flatMap((exporter) => exporter.save.mock.calls);
+
+    beforeEach(() => {
+      getEventDetails.mockResolvedValue(dueEvent);
+      getAllAttendees.mockResolvedValue(attendees);
+      archivePdf.mockReturnValue({ id: '2025-01-15T10-30-00-000Z' });
+    });
+
+    it("should archive the roster's exports in the rule's formats", async () => {
+      const rules = [{ name: 'Quiz', match: { namePattern: 'quiz' }, exports: ['xlsx', 'json'] }];
+
+      await processSingleEvent(dueEvent, { ...config, rules });
+
+      expect(RosterExporter).toHaveBeenCalledWith(dueEvent, attendees, config.pdfLayout, {
+        locale: 'de-DE',
+        timeZone: undefined,
+      });
+      expect(savedFiles()).toEqual([
+        ['xlsx', 'test.xlsx'],
+        ['json', 'test.json'],
+      ]);
+      expect(archivePdf).toHaveBeenCalledWith(
+        expect.stringContaining('test.pdf'),
+        dueEvent,
+        expect.objectContaining({
+          exports: [expect.stringContaining('test.xlsx'), expect.stringContaining('test.json')],
+        }),
+        'archive'
+      );
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test.pdf'), 1, undefined);
+    });
+
+    it('should attach the exports to the email when asked', async () => {
+      await processSingleEvent(dueEvent, {
+        ...config,
+        printMode: 'email',
+        archive: { enabled: false },
+        exports: { formats: ['csv'], attach: true },
+      });
+
+      expect(sendEmailWithAttachment.mock.calls[0][5]).toEqual([
+        expect.stringContaining('test.pdf'),
+        expect.stringContaining('test.csv'),
+      ]);
+      expect(archivePdf).not.toHaveBeenCalled();
+    });
+
+    it('should not export when the exports are neither attached nor archived', async () => {
+      await processSingleEvent(dueEvent, { ...config, archive: { enabled: false } });
+      await processSingleEvent(dueEvent, { ...config, exports: { formats: [], attach: true } });
+
+      expect(RosterExporter).not.toHaveBeenCalled();
+    });
+
+    it('should still print the roster when an export fails', async () => {
+      RosterExporter.mockImplementationOnce(function () {
+        this.save = jest.fn(() => {
+          throw new Error('disk full');
+        });
+      });
+
+      const result = await processSingleEvent(dueEvent, config);
+
+      expect(result.printTarget).toBe('local');
+      expect(logger.warn).toHaveBeenCalledWith('Failed to export the attendee list of event 1 as csv: disk full');
+      expect(archivePdf).toHaveBeenCalledWith(
+        expect.any(String),
+        dueEvent,
+        expect.objectContaining({ exports: [] }),
+        'archive'
+      );
+    });
+
+    it("should export an event's current list on demand with its rule's columns", async () => {
+      const columns = [{ id: 'phone', width: 100 }];
+      const rules = [{ name: 'Quiz', match: { namePattern: 'quiz' }, columns }];
+      mockStmt.get = jest.fn(() => undefined);
+      getAllAttendees.mockResolvedValue([...attendees, { firstName: 'Ann', status: 'Cancelled' }]);
+
+      const result = await exportEventRoster(1, 'xlsx', { ...config, rules });
+
+      expect(result).toEqual({ attendeeCount: 1, path: expect.stringContaining('test.xlsx') });
+      expect(RosterExporter).toHaveBeenCalledWith(
+        dueEvent,
+        attendees,
+        { ...config.pdfLayout, columns },
+        expect.objectContaining({ locale: 'de-DE' })
+      );
+      expect(savedFiles()).toEqual([['xlsx', 'test.xlsx']]);
+    });
+
+    it('should export the list last printed for a stored event', async () => {
+      const columns = [{ id: 'phone', width: 100 }];
+      const eventRow = { ...dueEvent, ruleName: 'Quiz' };
+      mockStmt.get = jest.fn(() => eventRow);
+      getLatestRosterSnapshot.mockReturnValue({ attendees: [{ firstName: 'Old', lastName: 'Entry' }] });
+
+      const result = await exportEventRoster(
+        1,
+        'csv',
+        { ...config, rules: [{ name: 'Quiz', columns }] },
+        {
+          printed: true,
+          output: 'quiz.csv',
+        }
+      );
+
+      expect(result.attendeeCount).toBe(1);
+      expect(getAllAttendees).not.toHaveBeenCalled();
+      expect(RosterExporter).toHaveBeenCalledWith(
+        eventRow,
+        [{ firstName: 'Old', lastName: 'Entry' }],
+        { ...config.pdfLayout, columns },
+        expect.any(Object)
+      );
+      expect(savedFiles()).toEqual([['csv', 'quiz.csv']]);
+
+      getLatestRosterSnapshot.mockReturnValue(null);
+      await expect(exportEventRoster(1, 'csv', config, { printed: true })).rejects.toThrow(
+        'No printed attendee list for event 1'
+      );
+    });
+  });
+
+  describe('processAddenda', () => {
+    const printedEvent = { id: 'evt1', name: 'Basketball Practice', startDate: '2099-01-15T11:00:00.000Z' };
+    const john = { id: '1', firstName: 'John', lastName: 'Doe', status: 'Attending' };
+    const jane = { id: '2', firstName: 'Jane', lastName: 'Smith', status: 'Attending' };
+    const bob = { id: '3', firstName: 'Bob', lastName: 'Wilson', status: 'Attending' };
+    const config = {
+      outputFilename: 'test.pdf',
+      pdfLayout: {},
+      printMode: 'local',
+      printJobs: { trackCompletion: false },
+      addendum: { enabled: true, minChanges: 1 },
+    };
+
+    beforeEach(() => {
+      mockStmt.all.mockReturnValue([printedEvent]);
+      getLatestRosterSnapshot.mockReturnValue({
+        id: 1,
+        kind: 'roster',
+        attendees: [john, jane],
+        takenAt: '2099-01-15T10:30:00.000Z',
+      });
+      getEventDetails.mockResolvedValue(printedEvent);
+      printPdf.mockResolvedValue('request id is Office-1 (1 file(s))');
+    });
+
+    it('should print additions and cancellations since the last printout and record the new roster', async () => {
+      getAllAttendees.mockResolvedValue([john, { ...jane, status: 'Cancelled' }, bob]);
+
+      const results = await processAddenda(config);
+
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining("status = 'processed' AND startDate > ?"));
+      expect(getAllAttendees).toHaveBeenCalledWith('evt1', { allowStale: false });
+      const addendum = { since: '2099-01-15T10:30:00.000Z', additions: [bob], cancellations: [jane] };
+      expect(PdfGenerator).toHaveBeenCalledWith(printedEvent, [john, bob], {}, { addendum });
+      expect(printPdf).toHaveBeenCalledWith(expect.stringContaining('test-addendum.pdf'), 1, undefined);
+      expect(saveRosterSnapshot).toHaveBeenCalledWith('evt1', 'addendum', [john, bob], 'local');
+      expect(results).toEqual([{ event: printedEvent, ...addendum, printTarget: 'local', failedTargets: [] }]);
+    });
+
+    it('should skip events without a stored roster or without enough changes', async () => {
+      getAllAttendees.mockResolvedValue([john, jane, bob]);
+
+      expect(await processAddenda({ ...config, addendum: { enabled: true, minChanges: 2 } })).toEqual([]);
+      getLatestRosterSnapshot.mockReturnValueOnce(null);
+      expect(await processAddenda(config)).toEqual([]);
+
+      expect(getAllAttendees).toHaveBeenCalledTimes(1);
+      expect(PdfGenerator).not.toHaveBeenCalled();
+      expect(saveRosterSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should compare start dates as dates, whatever their offset or precision', async () => {
+      const hour = 60 * 60 * 1000;
+      const wallClock = (ms) => new Date(Date.now() + ms).toISOString().slice(0, 19);
+      // Started an hour ago, written in +13:00 so it sorts after the current UTC time as a string
+      const started = { ...printedEvent, id: 'evt2', startDate: `${wallClock(12 * hour)}+13:00` };
+      const upcoming = { ...printedEvent, id: 'evt3', startDate: `${wallClock(hour)}Z` };
+      mockStmt.all.mockReturnValue([started, upcoming]);
+      getAllAttendees.mockResolvedValue([john, jane, bob]);
+
+      const results = await processAddenda(config);
+
+      const [bound] = mockStmt.all.mock.calls[0];
+      expect(Date.now() - new Date(bound).getTime()).toBeGreaterThanOrEqual(24 * hour);
+      expect(results.map((r) => r.event.id)).toEqual(['evt3']);
+    });
+
+    it('should log a failed addendum and carry on with the next event', async () => {
+      mockStmt.all.mockReturnValue([printedEvent, { ...printedEvent, id: 'evt2' }]);
+      getAllAttendees.mockRejectedValueOnce(new Error('API down')).mockResolvedValueOnce([john, jane, bob]);
+
+      const results = await processAddenda(config);
+
+      expect(logger.error).toHaveBeenCalledWith(
+        'Failed to print addendum for event evt1 ("Basketball Practice"):',
+        expect.any(Error)
+      );
+      expect(results.map((r) => r.event.id)).toEqual(['evt2']);
+      expect(saveRosterSnapshot).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('reprintArchivedPdf', () => {
+    const entry = {
+      id: '2025-01-15T10-30-00-000Z',
+      eventId: 'evt1',
+      eventName: 'Basketball Practice',
+      startDate: '2025-01-15T11:00:00.000Z',
+      printTargets: [{ mode: 'local', printer: 'Front_Desk' }, { mode: 'email' }],
+      copies: 2,
+      pdfPath: '/app/archive/evt1/2025-01-15T10-30-00-000Z.pdf',
+    };
+    const config = { printMode: 'local', printJobs: { trackCompletion: false }, archive: { directory: 'archive' } };
+
+    beforeEach(() => {
+      getArchivedPdf.mockReturnValue(entry);
+      mockStmt.get = jest.fn(() => ({ id: 'evt1' }));
+      parseJobId.mockReturnValue(7);
+    });
+
+    it('should re-deliver the archived file with the original chain and copies', async () => {
+      printPdf.mockResolvedValue('request id is Front_Desk-7 (1 file(s))');
+
+      const result = await reprintArchivedPdf('evt1', undefined, config);
+
+      expect(getArchivedPdf).toHaveBeenCalledWith('evt1', undefined, { directory: 'archive' });
+      expect(PdfGenerator).not.toHaveBeenCalled();
+      expect(printPdf).toHaveBeenCalledWith(entry.pdfPath, 2, 'Front_Desk');
+      expect(createPrintJob).toHaveBeenCalledWith('evt1', 7, 'Front_Desk', 2);
+      expect(recordReprint).toHaveBeenCalledWith(entry, { printTarget: 'local:Front_Desk', failedTargets: [] });
+      expect(result).toEqual({ archiveId: entry.id, printTarget: 'local:Front_Desk', failedTargets: [] });
+    });
+
+    it('should apply print mode and copies overrides', async () => {
+      await reprintArchivedPdf('evt1', entry.id, config, { printMode: 'email', copies: 1 });
+
+      expect(printPdf).not.toHaveBeenCalled();
+      const [, , , subject, , attachment] = sendEmailWithAttachment.mock.calls[0];
+      expect(subject).toBe('Print Job: Basketball Practice');
+      expect(attachment).toBe(entry.pdfPath);
+    });
+
+    it('should name the revision of the archived list in the email subject', async () => {
+      getArchivedPdf.mockReturnValueOnce({ ...entry, revision: 3 });
+
+      await reprintArchivedPdf('evt1', entry.id, config, { printMode: 'email' });
+
+      expect(sendEmailWithAttachment.mock.calls[0][3]).toBe('Print Job: Basketball Practice (revision 3)');
+    });
+
+    it('should write the email in the configured locale and time zone', async () => {
+      const localized = { ...config, locale: 'de-DE', timeZone: 'Europe/Berlin' };
+
+      await reprintArchivedPdf('evt1', entry.id, localized, { printMode: 'email' });
+
+      const [, , , subject, body] = sendEmailWithAttachment.mock.calls[0];
+      expect(subject).toBe('Druckauftrag: Basketball Practice');
+      expect(body).toBe('Anbei die Teilnehmerliste für die Veranstaltung: Basketball Practice (15. Jan. 2025, 12:00).');
+    });
+
+    it('should not record print jobs for events already cleaned up', async () => {
+      mockStmt.get.mockReturnValue(undefined);
+      printPdf.mockResolvedValue('request id is Front_Desk-7 (1 file(s))');
+
+      await reprintArchivedPdf('evt1', entry.id, config);
+
+      expect(printPdf).toHaveBeenCalled();
+      expect(createPrintJob).not.toHaveBeenCalled();
+    });
+
+    it('should not reprint a full list to a target that prints redacted lists', async () => {
+      const redacting = { ...config, pdfLayout: { privacy: { email: 'redacted' } } };
+
+      await expect(reprintArchivedPdf('evt1', entry.id, redacting, { printMode: 'email' })).rejects.toMatchObject({
+        message: `Archived PDF ${entry.id} was printed in full, but this target prints with "redacted"`,
+        retryable: false,
+      });
+      expect(sendEmailWithAttachment).not.toHaveBeenCalled();
+
+      getArchivedPdf.mockReturnValueOnce({ ...entry, privacy: 'redacted' });
+      await reprintArchivedPdf('evt1', entry.id, redacting, { printMode: 'email' });
+      expect(sendEmailWithAttachment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when there is no archived PDF', async () => {
+      getArchivedPdf.mockReturnValue(null);
+
+      await expect(reprintArchivedPdf('evt1', undefined, config)).rejects.toThrow('No archived PDFs for event evt1');
+      expect(printPdf).not.toHaveBeenCalled();
+    });
+  });
 });
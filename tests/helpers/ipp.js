@@ -0,0 +1,47 @@
+/**
+ * @fileoverview IPP response builders for the stand-in IPP servers in the IPP client and
+ * printer tests. They encode by hand, independent of the client's encoder.
+ */
+
+const { GROUP_TAGS } = require('../../src/services/ipp-client');
+
+/**
+ * Builds a raw IPP response for the stand-in server.
+ * @param {number} statusCode - IPP status code
+ * @param {Array<Buffer>} groups - Encoded groups (tag byte followed by attributes)
+ * @returns {Buffer} Response body
+ */
+function buildResponse(statusCode, groups) {
+  const header = Buffer.alloc(8);
+  header.writeUInt8(1, 0);
+  header.writeUInt8(1, 1);
+  header.writeUInt16BE(statusCode, 2);
+  header.writeInt32BE(1, 4);
+  return Buffer.concat([header, ...groups, Buffer.from([GROUP_TAGS.END])]);
+}
+
+/**
+ * Encodes one attribute record; an empty name adds another value to the previous attribute.
+ * @param {number} tag - Value tag
+ * @param {string} name - Attribute name
+ * @param {number|string} value - Integer (4 bytes) or string value
+ * @returns {Buffer} Attribute record
+ */
+function attr(tag, name, value) {
+  const nameBuf = Buffer.from(name);
+  let valueBuf;
+  if (typeof value === 'number') {
+    valueBuf = Buffer.alloc(4);
+    valueBuf.writeInt32BE(value);
+  } else {
+    valueBuf = Buffer.from(value);
+  }
+  const head = Buffer.alloc(3);
+  head.writeUInt8(tag, 0);
+  head.writeUInt16BE(nameBuf.length, 1);
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(valueBuf.length);
+  return Buffer.concat([head, nameBuf, len, valueBuf]);
+}
+
+module.exports = { buildResponse, attr };
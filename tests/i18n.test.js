@@ -0,0 +1,53 @@
+const { MESSAGES, createI18n, isValidLocale, isValidTimeZone, supportedLanguages } = require('../src/utils/i18n');
+const configSchema = require('../src/utils/config-schema');
+
+describe('i18n', () => {
+  it('should translate messages and fill in their parameters', () => {
+    const german = createI18n({ locale: 'de-DE' });
+    expect(german.language).toBe('de');
+    expect(german.t('writeIn.title')).toBe('Nicht auf der Liste?');
+    expect(german.t('footer.pages', { page: 2, total: 3 })).toBe('Seite 2 von 3');
+    expect(createI18n().t('footer.pages', { page: 2, total: 3 })).toBe('2 of 3 pages');
+  });
+
+  it('should pick plural forms by count', () => {
+    const english = createI18n({ locale: 'en-NZ' });
+    expect(english.t('subtotal.attendees', { count: 1 })).toBe('1 attendee');
+    expect(english.t('subtotal.attendees', { count: 4 })).toBe('4 attendees');
+    expect(createI18n({ locale: 'fr' }).t('subtotal.paid', { count: 2 })).toBe('2 payés');
+  });
+
+  it('should fall back to English for languages and messages without a translation', () => {
+    const japanese = createI18n({ locale: 'ja-JP' });
+    expect(japanese.language).toBe('en');
+    expect(japanese.t('writeIn.title')).toBe('Not on the list?');
+    expect(japanese.t('no.such.key')).toBe('no.such.key');
+    expect(supportedLanguages()).toEqual(expect.arrayContaining(['en', 'de', 'fr']));
+  });
+
+  it('should have every English message in each language', () => {
+    supportedLanguages().forEach((language) => {
+      expect(Object.keys(MESSAGES[language]).sort()).toEqual(Object.keys(MESSAGES.en).sort());
+    });
+  });
+
+  it('should format dates and times in the locale and time zone', () => {
+    const auckland = createI18n({ locale: 'en-GB', timeZone: 'Pacific/Auckland' });
+    expect(auckland.formatDateTime('2025-03-15T21:30:00Z')).toBe('16 Mar 2025, 10:30');
+    expect(auckland.formatTime('2025-03-15T21:30:00Z')).toBe('10:30');
+    // A time zone passed with the options wins, e.g. UTC for date-only values
+    expect(auckland.formatDate('1990-05-02', { day: '2-digit', month: 'short', timeZone: 'UTC' })).toBe('02 May');
+    expect(createI18n({ locale: 'en-US', timeZone: 'UTC' }).formatTime('2025-03-15T21:30:00Z')).toBe('09:30 PM');
+  });
+
+  it('should validate locales and time zones', () => {
+    expect(isValidLocale('de-DE')).toBe(true);
+    expect(isValidLocale('not a locale')).toBe(false);
+    expect(isValidTimeZone('Pacific/Auckland')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+
+    expect(configSchema.validate({}).value).toEqual(expect.objectContaining({ locale: 'en-GB', timeZone: null }));
+    expect(configSchema.validate({ locale: 'en_NZ!' }).error.message).toMatch(/"locale" must be a locale tag/);
+    expect(configSchema.validate({ timeZone: 'NZST' }).error.message).toMatch(/"timeZone" must be a time zone name/);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Tests for the IPP client
+ * Encodes/decodes IPP messages and talks to a local stand-in IPP server over HTTP
+ */
+
+const http = require('http');
+const {
+  OPERATIONS,
+  GROUP_TAGS,
+  VALUE_TAGS,
+  encodeRequest,
+  decodeResponse,
+  sendRequest,
+  getJobState,
+  getPrinterAttributes,
+} = require('../src/services/ipp-client');
+const { buildResponse, attr } = require('./helpers/ipp');
+
+describe('IPP Client', () => {
+  describe('encodeRequest', () => {
+    it('should encode the header, charset/language and given attributes', () => {
+      const buf = encodeRequest(
+        OPERATIONS.GET_JOB_ATTRIBUTES,
+        [{ tag: VALUE_TAGS.URI, name: 'job-uri', value: 'ipp://localhost/jobs/7' }],
+        { requestId: 42 }
+      );
+
+      expect(buf.readUInt16BE(0)).toBe(0x0101);
+      expect(buf.readUInt16BE(2)).toBe(OPERATIONS.GET_JOB_ATTRIBUTES);
+      expect(buf.readInt32BE(4)).toBe(42);
+      expect(buf.readUInt8(8)).toBe(GROUP_TAGS.OPERATION);
+      expect(buf.includes('attributes-charset')).toBe(true);
+      expect(buf.includes('ipp://localhost/jobs/7')).toBe(true);
+      expect(buf.readUInt8(buf.length - 1)).toBe(GROUP_TAGS.END);
+    });
+
+    it('should add a job group and append document data', () => {
+      const data = Buffer.from('%PDF-1.4');
+      const buf = encodeRequest(OPERATIONS.PRINT_JOB, [], {
+        jobAttributes: [{ tag: VALUE_TAGS.INTEGER, name: 'copies', value: 2 }],
+        data,
+      });
+
+      expect(buf.includes(Buffer.from([GROUP_TAGS.JOB]))).toBe(true);
+      expect(buf.subarray(buf.length - data.length).toString()).toBe('%PDF-1.4');
+    });
+  });
+
+  describe('decodeResponse', () => {
+    it('should decode groups, enums and multi-valued attributes', () => {
+      const body = buildResponse(0x0000, [
+        Buffer.from([GROUP_TAGS.OPERATION]),
+        attr(VALUE_TAGS.CHARSET, 'attributes-charset', 'utf-8'),
+        Buffer.from([GROUP_TAGS.JOB]),
+        attr(VALUE_TAGS.ENUM, 'job-state', 8),
+        attr(VALUE_TAGS.KEYWORD, 'job-state-reasons', 'aborted-by-system'),
+        attr(VALUE_TAGS.KEYWORD, '', 'media-jam'),
+      ]);
+
+      const response = decodeResponse(body);
+
+      expect(response.statusCode).toBe(0);
+      expect(response.operation['attributes-charset']).toBe('utf-8');
+      expect(response.job['job-state']).toBe(8);
+      expect(response.job['job-state-reasons']).toEqual(['aborted-by-system', 'media-jam']);
+    });
+
+    it('should decode collections', () => {
+      const body = buildResponse(0x0000, [
+        Buffer.from([GROUP_TAGS.PRINTER]),
+        attr(VALUE_TAGS.BEG_COLLECTION, 'media-col-default', ''),
+        attr(VALUE_TAGS.MEMBER_ATTR_NAME, '', 'media-source'),
+        attr(VALUE_TAGS.KEYWORD, '', 'tray-1'),
+        attr(VALUE_TAGS.END_COLLECTION, '', ''),
+        attr(VALUE_TAGS.TEXT, 'printer-name', 'Front Desk'),
+      ]);
+
+      const response = decodeResponse(body);
+
+      expect(response.printer['media-col-default']).toEqual({ 'media-source': 'tray-1' });
+      expect(response.printer['printer-name']).toBe('Front Desk');
+    });
+
+    it('should reject a truncated response', () => {
+      expect(() => decodeResponse(Buffer.from([1, 1]))).toThrow('too short');
+    });
+  });
+
+  describe('with a local stand-in IPP server', () => {
+    let server;
+    let port;
+    let handler;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (c) => chunks.push(c));
+        req.on('end', () => handler(req, Buffer.concat(chunks), res));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should read the job state with Get-Job-Attributes', async () => {
+      let received;
+      handler = (req, body, res) => {
+        received = { url: req.url, contentType: req.headers['content-type'], op: body.readUInt16BE(2) };
+        res.writeHead(200, { 'Content-Type': 'application/ipp' });
+        res.end(
+          buildResponse(0x0000, [
+            Buffer.from([GROUP_TAGS.JOB]),
+            attr(VALUE_TAGS.ENUM, 'job-state', 9),
+            attr(VALUE_TAGS.KEYWORD, 'job-state-reasons', 'job-completed-successfully'),
+          ])
+        );
+      };
+
+      const state = await getJobState(`ipp://127.0.0.1:${port}/jobs/12`);
+
+      expect(received).toEqual({ url: '/jobs/12', contentType: 'application/ipp', op: OPERATIONS.GET_JOB_ATTRIBUTES });
+      expect(state).toEqual({ state: 'completed', reasons: ['job-completed-successfully'], message: null });
+    });
+
+    it('should summarise the printer with Get-Printer-Attributes', async () => {
+      let op;
+      handler = (req, body, res) => {
+        op = body.readUInt16BE(2);
+        res.writeHead(200, { 'Content-Type': 'application/ipp' });
+        res.end(
+          buildResponse(0x0000, [
+            Buffer.from([GROUP_TAGS.PRINTER]),
+            attr(VALUE_TAGS.NAME, 'printer-name', 'Office'),
+            attr(VALUE_TAGS.TEXT, 'printer-make-and-model', 'Stand-in LaserJet'),
+            attr(VALUE_TAGS.ENUM, 'printer-state', 3),
+            attr(VALUE_TAGS.KEYWORD, 'sides-supported', 'one-sided'),
+            attr(VALUE_TAGS.KEYWORD, '', 'two-sided-long-edge'),
+            attr(VALUE_TAGS.MIME_MEDIA_TYPE, 'document-format-supported', 'application/pdf'),
+          ])
+        );
+      };
+
+      const printer = await getPrinterAttributes(`ipp://127.0.0.1:${port}/ipp/print`);
+
+      expect(op).toBe(OPERATIONS.GET_PRINTER_ATTRIBUTES);
+      expect(printer).toMatchObject({
+        name: 'Office',
+        makeAndModel: 'Stand-in LaserJet',
+        state: 'idle',
+        stateMessage: null,
+        sides: ['one-sided', 'two-sided-long-edge'],
+        documentFormats: ['application/pdf'],
+        media: [],
+      });
+    });
+
+    it('should reject IPP error statuses with the status message', async () => {
+      handler = (req, body, res) => {
+        res.writeHead(200);
+        res.end(
+          buildResponse(0x0406, [
+            Buffer.from([GROUP_TAGS.OPERATION]),
+            attr(VALUE_TAGS.TEXT, 'status-message', 'Job #99 does not exist.'),
+          ])
+        );
+      };
+
+      await expect(getJobState(`ipp://127.0.0.1:${port}/jobs/99`)).rejects.toThrow('Job #99 does not exist.');
+    });
+
+    it('should reject non-200 HTTP responses', async () => {
+      handler = (req, body, res) => {
+        res.writeHead(403);
+        res.end();
+      };
+
+      await expect(sendRequest(`http://127.0.0.1:${port}/`, Buffer.alloc(9))).rejects.toThrow('HTTP 403');
+    });
+
+    it('should time out when the server does not answer', async () => {
+      handler = () => {};
+
+      await expect(sendRequest(`ipp://127.0.0.1:${port}/`, Buffer.alloc(9), { timeoutMs: 100 })).rejects.toThrow(
+        'timed out'
+      );
+    });
+  });
+
+  it('should reject unsupported URI schemes', async () => {
+    await expect(sendRequest('ftp://printer/', Buffer.alloc(9))).rejects.toThrow('Unsupported IPP URI scheme');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests for direct IPP printing
+ * Submits jobs to, and tracks them on, a local stand-in IPP server
+ */
+
+jest.mock('../src/services/logger');
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { OPERATIONS, GROUP_TAGS, VALUE_TAGS, decodeResponse } = require('../src/services/ipp-client');
+const { printPdfIpp, getIppJobState, waitForIppJob, FINISHINGS } = require('../src/services/ipp-printer');
+const { buildResponse, attr } = require('./helpers/ipp');
+
+describe('IPP Printer', () => {
+  let server;
+  let printerUri;
+  let handler;
+  let requests;
+  let pdfPath;
+  const pdf = Buffer.from('%PDF-1.4\n%stand-in document\n%%EOF');
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (c) => chunks.push(c));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        // Requests share the response layout; the status slot holds the operation id
+        const request = { url: req.url, body, ...decodeResponse(body) };
+        requests.push(request);
+        res.writeHead(200, { 'Content-Type': 'application/ipp' });
+        res.end(handler(request));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    printerUri = `ipp://127.0.0.1:${server.address().port}/ipp/print`;
+
+    pdfPath = path.join(os.tmpdir(), `ipp-printer-test-${process.pid}.pdf`);
+    fs.writeFileSync(pdfPath, pdf);
+  });
+
+  afterAll(async () => {
+    fs.unlinkSync(pdfPath);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  describe('printPdfIpp', () => {
+    it('should send Print-Job with the job attributes and the PDF', async () => {
+      handler = () =>
+        buildResponse(0x0000, [
+          Buffer.from([GROUP_TAGS.JOB]),
+          attr(VALUE_TAGS.INTEGER, 'job-id', 17),
+          attr(VALUE_TAGS.URI, 'job-uri', `${printerUri}/17`),
+          attr(VALUE_TAGS.ENUM, 'job-state', 3),
+        ]);
+
+      const job = await printPdfIpp(pdfPath, printerUri, {
+        copies: 2,
+        sides: 'two-sided-long-edge',
+        media: 'iso_a4_210x297mm',
+        finishings: ['staple-top-left', 'punch'],
+        jobName: 'Tuesday Social',
+      });
+
+      expect(job).toEqual({ jobId: 17, jobUri: `${printerUri}/17`, state: 'pending' });
+      expect(requests).toHaveLength(1);
+      const [request] = requests;
+      expect(request.url).toBe('/ipp/print');
+      expect(request.statusCode).toBe(OPERATIONS.PRINT_JOB);
+      expect(request.operation).toMatchObject({
+        'printer-uri': printerUri,
+        'job-name': 'Tuesday Social',
+        'document-format': 'application/pdf',
+      });
+      expect(request.job).toEqual({
+        copies: 2,
+        sides: 'two-sided-long-edge',
+        media: 'iso_a4_210x297mm',
+        finishings: [FINISHINGS['staple-top-left'], FINISHINGS.punch],
+      });
+      expect(request.body.subarray(request.body.length - pdf.length).equals(pdf)).toBe(true);
+    });
+
+    it('should only send copies when no other attributes are configured', async () => {
+      handler = () => buildResponse(0x0000, [Buffer.from([GROUP_TAGS.JOB]), attr(VALUE_TAGS.INTEGER, 'job-id', 1)]);
+
+      await printPdfIpp(pdfPath, printerUri, { sides: null, media: null });
+
+      expect(requests[0].job).toEqual({ copies: 1 });
+    });
+
+    it('should reject an invalid number of copies without contacting the printer', async () => {
+      await expect(printPdfIpp(pdfPath, printerUri, { copies: 11 })).rejects.toThrow('Invalid number of copies');
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should reject unknown finishings keywords', async () => {
+      await expect(printPdfIpp(pdfPath, printerUri, { finishings: ['fold'] })).rejects.toThrow(
+        'Unknown finishings value: fold'
+      );
+    });
+
+    it('should report printer errors with the status message', async () => {
+      handler = () =>
+        buildResponse(0x040a, [
+          Buffer.from([GROUP_TAGS.OPERATION]),
+          attr(VALUE_TAGS.TEXT, 'status-message', 'Unsupported document-format'),
+        ]);
+
+      await expect(printPdfIpp(pdfPath, printerUri)).rejects.toThrow(
+        /IPP print failed for .*Unsupported document-format/
+      );
+    });
+  });
+
+  describe('getIppJobState', () => {
+    it('should query the job by printer-uri and job-id', async () => {
+      handler = () =>
+        buildResponse(0x0000, [
+          Buffer.from([GROUP_TAGS.JOB]),
+          attr(VALUE_TAGS.ENUM, 'job-state', 6),
+          attr(VALUE_TAGS.KEYWORD, 'job-state-reasons', 'job-stopped'),
+          attr(VALUE_TAGS.KEYWORD, '', 'printer-stopped'),
+        ]);
+
+      const state = await getIppJobState(printerUri, 17);
+
+      expect(requests[0].statusCode).toBe(OPERATIONS.GET_JOB_ATTRIBUTES);
+      expect(requests[0].operation).toMatchObject({ 'printer-uri': printerUri, 'job-id': 17 });
+      expect(state).toEqual({ state: 'processing-stopped', reason: 'job-stopped, printer-stopped' });
+    });
+  });
+
+  describe('waitForIppJob', () => {
+    it('should resolve once the printer reports the job completed', async () => {
+      const states = [5, 9];
+      handler = () =>
+        buildResponse(0x0000, [Buffer.from([GROUP_TAGS.JOB]), attr(VALUE_TAGS.ENUM, 'job-state', states.shift())]);
+      const onStateChange = jest.fn();
+
+      const result = await waitForIppJob(printerUri, 17, { pollIntervalMs: 5, timeoutMs: 5000, onStateChange });
+
+      expect(result).toEqual({ state: 'completed', reason: null });
+      expect(onStateChange.mock.calls).toEqual([
+        ['processing', null],
+        ['completed', null],
+      ]);
+    });
+
+    it('should cancel the job on the printer when it does not finish in time', async () => {
+      handler = (request) =>
+        request.statusCode === OPERATIONS.CANCEL_JOB
+          ? buildResponse(0x0000, [])
+          : buildResponse(0x0000, [Buffer.from([GROUP_TAGS.JOB]), attr(VALUE_TAGS.ENUM, 'job-state', 5)]);
+
+      const result = await waitForIppJob(printerUri, 17, { pollIntervalMs: 10, timeoutMs: 30 });
+
+      expect(result.state).toBe('timeout');
+      const cancel = requests.find((r) => r.statusCode === OPERATIONS.CANCEL_JOB);
+      expect(cancel.operation).toMatchObject({ 'printer-uri': printerUri, 'job-id': 17 });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const {
+  resolvePageGeometry,
+  checkPageLayout,
+  fitColumnsToPage,
+  resolveLabelSheet,
+} = require('../src/utils/page-geometry');
+const configSchema = require('../src/utils/config-schema');
+
+describe('Page geometry', () => {
+  describe('resolvePageGeometry', () => {
+    it('should default to A4 portrait with 50pt margins', () => {
+      const geometry = resolvePageGeometry(undefined);
+
+      expect(geometry.size).toEqual([595.28, 841.89]);
+      expect(geometry.margins).toEqual({ top: 50, bottom: 50, left: 50, right: 50 });
+      expect(geometry.contentWidth).toBeCloseTo(495.28);
+      expect(geometry.columnsWidth).toBeCloseTo(469.28);
+      expect(geometry.description).toBe('A4 portrait');
+    });
+
+    it('should turn the page for landscape, custom sizes included', () => {
+      expect(resolvePageGeometry({ pageSize: 'Legal', orientation: 'landscape' }).size).toEqual([1008, 612]);
+      expect(resolvePageGeometry({ pageSize: { width: 800, height: 400 } }).size).toEqual([400, 800]);
+      expect(resolvePageGeometry({ pageSize: { width: 400, height: 800 }, orientation: 'landscape' }).size).toEqual([
+        800, 400,
+      ]);
+    });
+
+    it('should fill in margins that are not given', () => {
+      const geometry = resolvePageGeometry({ pageSize: 'Letter', margins: { left: 20, right: 30 } });
+
+      expect(geometry.margins).toEqual({ top: 50, bottom: 50, left: 20, right: 30 });
+      expect(geometry.contentWidth).toBe(562);
+      expect(geometry.contentHeight).toBe(692);
+    });
+
+    it('should reject an unknown page size', () => {
+      expect(() => resolvePageGeometry({ pageSize: 'A3' })).toThrow('Unknown page size "A3"');
+    });
+  });
+
+  describe('checkPageLayout', () => {
+    const columns = [
+      { id: 'name', header: 'Name', width: 300 },
+      { id: 'phone', header: 'Phone', width: 200 },
+    ];
+
+    it('should accept columns that fit', () => {
+      expect(checkPageLayout({ orientation: 'landscape', columns }).columnsWidth).toBeCloseTo(715.89);
+    });
+
+    it('should explain how far columns overflow the page', () => {
+      expect(() => checkPageLayout({ columns })).toThrow(
+        'Columns are 500pt wide but only 469pt fit on A4 portrait with 50pt side margins (after the 26pt check-in ' +
+          'box). Narrow the columns, reduce the margins or use landscape'
+      );
+      expect(() =>
+        checkPageLayout({ pageSize: 'A5', orientation: 'landscape', margins: { left: 40 } }, columns)
+      ).toThrow('only 479pt fit on A5 landscape with 40pt left and 50pt right margins');
+    });
+
+    it('should keep room for a QR check-in code', () => {
+      const wide = [{ id: 'name', header: 'Name', width: 440 }];
+
+      expect(() => checkPageLayout({}, wide)).not.toThrow();
+      expect(() => checkPageLayout({}, wide, { label: '"pdfLayout.columns"', qrSize: 36 })).toThrow(
+        '"pdfLayout.columns" are 440pt wide but only 427pt fit on A4 portrait with 50pt side margins (after the ' +
+          '26pt check-in box and the 42pt QR code)'
+      );
+    });
+
+    it('should reject margins that leave no room to print', () => {
+      expect(() =>
+        checkPageLayout({ pageSize: 'A5', orientation: 'landscape', margins: { top: 144, bottom: 144 } }, [])
+      ).toThrow('The margins leave only 495pt x 131pt');
+      expect(() => checkPageLayout({ pageSize: { width: 200, height: 400 }, margins: 90 }, [])).toThrow(
+        'The margins leave only 20pt x 220pt to print on 200x400pt portrait'
+      );
+    });
+  });
+
+  describe('fitColumnsToPage', () => {
+    const columns = [
+      { id: 'name', header: 'Name', width: 300 },
+      { id: 'phone', header: 'Phone', width: 200 },
+    ];
+
+    it('should leave columns that fit alone', () => {
+      expect(fitColumnsToPage({ orientation: 'landscape' }, columns)).toEqual({ columns, warning: null });
+    });
+
+    it('should narrow columns that do not fit in proportion, and say so', () => {
+      const { columns: fitted, warning } = fitColumnsToPage({}, columns, { qrSize: 36 });
+
+      expect(fitted.map((column) => column.width)).toEqual([256.36, 170.91]);
+      expect(fitted[0]).toEqual({ id: 'name', header: 'Name', width: 256.36 });
+      expect(() => checkPageLayout({}, fitted, { qrSize: 36 })).not.toThrow();
+      expect(warning).toBe(
+        'Columns are 500pt wide but only 427pt fit on A4 portrait; they are printed 15% narrower. ' +
+          'Narrow the columns to silence this warning'
+      );
+    });
+
+    it('should still reject margins that leave no room to print', () => {
+      expect(() => fitColumnsToPage({ pageSize: { width: 200, height: 400 }, margins: 90 }, columns)).toThrow(
+        'The margins leave only 20pt x 220pt'
+      );
+    });
+  });
+
+  describe('resolveLabelSheet', () => {
+    it('should resolve the Avery presets', () => {
+      expect(resolveLabelSheet('L7160')).toMatchObject({
+        size: [595.28, 841.89],
+        columns: 3,
+        rows: 7,
+        labelWidth: 180,
+        pitchX: 187.1,
+        description: 'L7160 (A4 portrait)',
+      });
+      expect(resolveLabelSheet('5160')).toMatchObject({ size: [612, 792], columns: 3, rows: 10, pitchY: 72 });
+    });
+
+    it('should place custom labels edge to edge from the page corner by default', () => {
+      const sheet = resolveLabelSheet({
+        pageSize: 'Letter',
+        orientation: 'landscape',
+        columns: 2,
+        rows: 2,
+        labelWidth: 300,
+        labelHeight: 200,
+      });
+
+      expect(sheet).toMatchObject({ size: [792, 612], marginTop: 0, marginLeft: 0, pitchX: 300, pitchY: 200 });
+      expect(sheet.description).toBe('Letter landscape');
+    });
+
+    it('should reject unknown presets and grids that overflow the page', () => {
+      expect(() => resolveLabelSheet('L9999')).toThrow('Unknown label sheet "L9999". Use 5160, L7160 or a custom grid');
+      expect(() =>
+        resolveLabelSheet({ pageSize: 'A5', columns: 3, rows: 8, labelWidth: 180, labelHeight: 100 })
+      ).toThrow('3 x 8 labels need 540pt x 800pt but A5 portrait is 419pt x 595pt');
+    });
+  });
+
+  describe('config validation', () => {
+    it('should accept the default layout', () => {
+      const { error, value } = configSchema.validate({ pdfLayout: {} });
+
+      expect(error).toBeUndefined();
+      expect(value.pdfLayout).toMatchObject({ pageSize: 'A4', orientation: 'portrait', margins: 50 });
+    });
+
+    it('should narrow pdfLayout columns that do not fit, with a warning', () => {
+      const { error, warning, value } = configSchema.validate({
+        pdfLayout: { pageSize: 'Letter', columns: [{ id: 'name', header: 'Name', width: 520 }] },
+      });
+
+      expect(error).toBeUndefined();
+      expect(warning.message).toMatch(/^"pdfLayout.columns" are 520pt wide but only 486pt fit on Letter portrait/);
+      expect(value.pdfLayout.columns[0].width).toBe(486);
+    });
+
+    it('should keep loading the previously documented default columns', () => {
+      const columns = [
+        { id: 'name', header: 'Name', width: 140 },
+        { id: 'phone', header: 'Phone', width: 100 },
+        { id: 'signUpDate', header: 'Signed up', width: 100 },
+        { id: 'fee', header: 'Fee', width: 60 },
+        { id: 'status', header: 'Status', width: 90 },
+      ];
+
+      const { error, warning, value } = configSchema.validate({ pdfLayout: { columns } });
+
+      expect(error).toBeUndefined();
+      expect(warning.message).toBe(
+        '"pdfLayout.columns" are 490pt wide but only 469pt fit on A4 portrait; they are printed 5% narrower. ' +
+          'Narrow the columns to silence this warning'
+      );
+      expect(() => checkPageLayout(value.pdfLayout)).not.toThrow();
+      expect(configSchema.validate({ pdfLayout: {} }).warning).toBeUndefined();
+    });
+
+    it('should check rule columns against the page layout', () => {
+      const rules = [
+        { name: 'Wide', match: { category: 'Juniors' }, columns: [{ id: 'name', header: 'Name', width: 520 }] },
+      ];
+
+      const { warning, value } = configSchema.validate({ rules });
+      expect(warning.message).toMatch(/^"rules\[0\].columns" \(rule "Wide"\) are 520pt/);
+      expect(value.rules[0].columns[0].width).toBeLessThanOrEqual(469.28);
+      expect(configSchema.validate({ rules, pdfLayout: { orientation: 'landscape' } }).warning).toBeUndefined();
+    });
+
+    it('should only reserve room for QR codes when check-in is enabled', () => {
+      const pdfLayout = { columns: [{ id: 'name', header: 'Name', width: 440 }] };
+      const checkIn = { enabled: true, baseUrl: 'http://192.168.1.20:3000' };
+
+      expect(configSchema.validate({ pdfLayout }).warning).toBeUndefined();
+      expect(configSchema.validate({ pdfLayout, checkIn }).warning.message).toMatch(
+        /^"pdfLayout.columns" are 440pt wide but only 427pt fit/
+      );
+      expect(configSchema.validate({ pdfLayout, checkIn: { ...checkIn, qrSize: 24 } }).warning.message).toMatch(
+        /only 439pt fit/
+      );
+      expect(configSchema.validate({ checkIn: { enabled: true } }).error.message).toBe('"checkIn.baseUrl" is required');
+    });
+
+    it('should still reject margins that leave no room to print', () => {
+      const { error } = configSchema.validate({
+        pdfLayout: { pageSize: 'A5', orientation: 'landscape', margins: 140 },
+      });
+
+      expect(error.message).toMatch(/^The margins leave only 315pt x 139pt to print on A5 landscape/);
+    });
+
+    it('should default badges to L7160 labels with the name over the event name', () => {
+      const { badges } = configSchema.validate({}).value;
+
+      expect(badges).toMatchObject({ enabled: false, sheet: 'L7160', padding: 6 });
+      expect(badges.fields.map((field) => field.source)).toEqual(['name', 'eventName']);
+    });
+
+    it('should check badge sheets and templates', () => {
+      const validate = (badges) => configSchema.validate({ badges });
+
+      expect(validate({ sheet: '5160', fields: [{ source: 'member.number', fontSize: 9 }] }).error).toBeUndefined();
+      expect(validate({ fields: [{ source: 'name' }] }).value.badges.fields[0]).toEqual({
+        source: 'name',
+        fontSize: 12,
+        style: 'regular',
+        format: 'text',
+        maxLines: 1,
+      });
+      expect(validate({ sheet: { columns: 2, rows: 20, labelWidth: 250, labelHeight: 50 } }).error.message).toMatch(
+        /^2 x 20 labels need 500pt x 1000pt but A4 portrait/
+      );
+      expect(validate({ sheet: 'L7161' }).error).toBeDefined();
+      expect(validate({ fields: [] }).error).toBeDefined();
+      expect(validate({ fields: [{ source: 'paid', format: 'tick' }] }).error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const PDFDocument = require('pdfkit');
+const { imposePages, bookletOrder, checkPdfkitInternals } = require('../src/utils/page-imposition');
+const configSchema = require('../src/utils/config-schema');
+
+/**
+ * Draws a document whose pages are marked with their page number, then ends it.
+ * @param {number} pageCount - Number of pages
+ * @param {Object} [order] - Options for imposePages
+ * @returns {Promise<string>} The uncompressed PDF
+ */
+function render(pageCount, order) {
+  const doc = new PDFDocument({ size: 'A4', bufferPages: true, compress: false });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  for (let page = 1; page <= pageCount; page++) {
+    if (page > 1) {
+      doc.addPage();
+    }
+    doc.addContent(`% page ${page}`);
+    doc.text(`Page ${page}`, 50, 50);
+  }
+  imposePages(doc, order);
+  doc.end();
+  return new Promise((resolve) => doc.on('end', () => resolve(Buffer.concat(chunks).toString('latin1'))));
+}
+
+/**
+ * Reads the page order of an uncompressed PDF: for each page, the marked pages it shows.
+ * @param {string} pdf - The PDF
+ * @returns {Array<{mediaBox: Array<number>, shows: Array<number>, content: string}>} Pages in order
+ */
+function readPages(pdf) {
+  const objects = {};
+  for (const [, id, body] of pdf.matchAll(/(\d+) 0 obj\n([\s\S]*?)\nendobj/g)) {
+    objects[id] = body;
+  }
+  const stream = (id) => objects[id].split('\nstream\n')[1].split('\nendstream')[0];
+  const tree = Object.values(objects).find((body) => body.includes('/Type /Pages'));
+  const kids = [...tree.match(/\/Kids \[([^\]]*)\]/)[1].matchAll(/(\d+) 0 R/g)].map((match) => match[1]);
+  expect(Number(tree.match(/\/Count (\d+)/)[1])).toBe(kids.length);
+
+  return kids.map((id) => {
+    const page = objects[id];
+    const content = stream(page.match(/\/Contents (\d+) 0 R/)[1]);
+    const resources = objects[page.match(/\/Resources (\d+) 0 R/)[1]];
+    const marked = (text) => [...text.matchAll(/% page (\d+)/g)].map((match) => Number(match[1]));
+    const forms = [...content.matchAll(/\/(Fx\d+) Do/g)].map((match) => {
+      const form = resources.match(new RegExp(`/${match[1]} (\\d+) 0 R`))[1];
+      expect(objects[form]).toContain('/Subtype /Form');
+      return marked(stream(form))[0];
+    });
+    return {
+      mediaBox: page
+        .match(/\/MediaBox \[([^\]]*)\]/)[1]
+        .split(' ')
+        .map(Number),
+      shows: forms.length > 0 ? forms : marked(content),
+      content,
+    };
+  });
+}
+
+describe('Page imposition', () => {
+  it('should leave the pages alone by default', async () => {
+    const pages = readPages(await render(3));
+
+    expect(pages.map((page) => page.shows)).toEqual([[1], [2], [3]]);
+  });
+
+  it('should reverse the page order', async () => {
+    const pages = readPages(await render(3, { reverse: true }));
+
+    expect(pages.map((page) => page.shows)).toEqual([[3], [2], [1]]);
+  });
+
+  it('should keep the front and back of each sheet together when reversing double-sided pages', async () => {
+    const pages = readPages(await render(4, { reverse: true, duplex: true }));
+
+    expect(pages.map((page) => page.shows)).toEqual([[3], [4], [1], [2]]);
+  });
+
+  it('should print two pages side by side on each A4 landscape sheet', async () => {
+    const pages = readPages(await render(3, { imposition: '2-up' }));
+
+    expect(pages.map((page) => page.shows)).toEqual([[1, 2], [3]]);
+    expect(pages[0].mediaBox).toEqual([0, 0, 841.89, 595.28]);
+    // Scaled to half the width and centred in each half
+    expect(pages[0].content).toBe(
+      'q 0.7071 0 0 0.7071 0.0185 0 cm /Fx1 Do Q\nq 0.7071 0 0 0.7071 420.9635 0 cm /Fx2 Do Q\n'
+    );
+  });
+
+  it('should stack landscape pages on portrait sheets', async () => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', bufferPages: true, compress: false });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.addContent('% page 1');
+    doc.addPage().addContent('% page 2');
+    imposePages(doc, { imposition: '2-up' });
+    doc.end();
+    await new Promise((resolve) => doc.on('end', resolve));
+
+    const [sheet] = readPages(Buffer.concat(chunks).toString('latin1'));
+
+    expect(sheet.mediaBox).toEqual([0, 0, 595.28, 841.89]);
+    // The first page goes on top
+    expect(sheet.content).toBe(
+      'q 0.7071 0 0 0.7071 0 420.9635 cm /Fx1 Do Q\nq 0.7071 0 0 0.7071 0 0.0185 cm /Fx2 Do Q\n'
+    );
+  });
+
+  it('should order the pages as a booklet, padded with blank pages', async () => {
+    expect(bookletOrder(8)).toEqual([7, 0, 1, 6, 5, 2, 3, 4]);
+    expect(bookletOrder(1)).toEqual([null, 0, null, null]);
+
+    const pages = readPages(await render(5, { imposition: 'booklet' }));
+
+    expect(pages.map((page) => page.shows)).toEqual([[1], [2], [3], [4, 5]]);
+    expect(pages.map((page) => page.content.match(/\/Fx\d+ Do/g).join(' '))).toEqual([
+      '/Fx1 Do',
+      '/Fx2 Do',
+      '/Fx3 Do',
+      '/Fx4 Do /Fx5 Do',
+    ]);
+    // Blank halves leave the first page on the right of the outer sheet
+    expect(pages[0].content).toContain('420.9635 0 cm /Fx1 Do Q');
+  });
+
+  it('should reverse booklets a sheet at a time', async () => {
+    const pages = readPages(await render(8, { imposition: 'booklet', reverse: true }));
+
+    expect(pages.map((page) => page.shows)).toEqual([
+      [6, 3],
+      [4, 5],
+      [8, 1],
+      [2, 7],
+    ]);
+  });
+
+  describe('pdfkit internals', () => {
+    it('should run against the exact pdfkit version package.json pins', () => {
+      expect(require('pdfkit/package.json').version).toBe(require('../package.json').dependencies.pdfkit);
+    });
+
+    it('should find the page tree, buffered pages and page objects it rewrites', () => {
+      const doc = new PDFDocument({ size: 'A4', bufferPages: true });
+      doc.addPage();
+      const tree = doc._root.data.Pages.data;
+
+      expect(tree.Count).toBe(2);
+      expect(tree.Kids).toEqual(doc._pageBuffer.map((page) => page.dictionary));
+      expect(typeof doc.endPageMarkings).toBe('function');
+      const [page] = doc._pageBuffer;
+      expect(page.dictionary.data).toMatchObject({ Type: 'Page', Contents: page.content, Resources: page.resources });
+      expect(page.content.data).toEqual(expect.any(Object));
+      expect(page.xobjects).toEqual(expect.any(Object));
+      // imposeTwoUp makes sheet sides with the page class
+      const side = new page.constructor(doc, { size: [842, 595], margin: 0 });
+      expect([side.width, side.height]).toEqual([842, 595]);
+      expect(() => checkPdfkitInternals(doc)).not.toThrow();
+    });
+
+    it('should refuse a document whose internals differ rather than write a broken PDF', () => {
+      const doc = new PDFDocument({ size: 'A4', bufferPages: true });
+      doc._root.data.Pages.data.Kids = [];
+
+      expect(() => imposePages(doc, { reverse: true })).toThrow('do not support this pdfkit version');
+    });
+  });
+
+  it('should validate the page order settings', () => {
+    const layout = (pdfLayout) => configSchema.validate({ pdfLayout });
+
+    expect(layout({}).value.pdfLayout).toMatchObject({
+      reversePageOrder: false,
+      imposition: 'none',
+      duplexPadding: false,
+    });
+    expect(layout({ imposition: 'booklet', duplexPadding: true }).error).toBeUndefined();
+    expect(layout({ imposition: '4-up' }).error).toBeDefined();
+    expect(() => imposePages(new PDFDocument({ bufferPages: true }), { imposition: '4-up' })).toThrow(
+      'Unknown imposition "4-up". Use none, 2-up, booklet'
+    );
+  });
+});
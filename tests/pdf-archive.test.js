@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Tests for the delivered PDF archive
+ * Archives, lists, reprints and prunes sheets in a temporary directory
+ */
+
+jest.mock('../src/services/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  archivePdf,
+  listArchivedPdfs,
+  getArchivedPdf,
+  recordReprint,
+  cleanupArchive,
+} = require('../src/core/pdf-archive');
+
+describe('PDF Archive', () => {
+  let archiveDir;
+  let workDir;
+  const event = { id: 'evt1', name: 'Basketball Practice', startDate: '2025-01-15T11:00:00.000Z' };
+  const delivery = {
+    printTargets: [{ mode: 'local', printer: 'Front_Desk' }, { mode: 'email' }],
+    copies: 2,
+    printTarget: 'email',
+    failedTargets: [{ target: 'local:Front_Desk', error: 'printer offline' }],
+    attendeeCount: 12,
+  };
+
+  /**
+   * Writes a stand-in delivered PDF.
+   * @param {string} content - File content
+   * @returns {string} Path of the file
+   */
+  function writePdf(content = '%PDF-1.4 sheet') {
+    const filePath = path.join(workDir, 'attendees.pdf');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-archive-test-'));
+    archiveDir = path.join(workDir, 'archive');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should move the delivered PDF into the event directory with its delivery details', () => {
+    const filePath = writePdf();
+
+    const entry = archivePdf(filePath, event, delivery, archiveDir);
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(entry.id).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/);
+    expect(fs.readFileSync(path.join(archiveDir, 'evt1', `${entry.id}.pdf`), 'utf8')).toBe('%PDF-1.4 sheet');
+    expect(JSON.parse(fs.readFileSync(path.join(archiveDir, 'evt1', `${entry.id}.json`), 'utf8'))).toMatchObject({
+      eventId: 'evt1',
+      eventName: 'Basketball Practice',
+      printTargets: delivery.printTargets,
+      copies: 2,
+      printTarget: 'email',
+      failedTargets: delivery.failedTargets,
+      attendeeCount: 12,
+      size: 14,
+      reprints: [],
+    });
+  });
+
+  it('should list sheets newest first and look them up by event and archive id', () => {
+    jest.useFakeTimers({ now: new Date('2025-01-15T10:30:00.000Z') });
+    const first = archivePdf(writePdf('first'), event, delivery, archiveDir);
+    jest.setSystemTime(new Date('2025-01-15T10:45:00.000Z'));
+    const second = archivePdf(writePdf('second'), event, delivery, archiveDir);
+    jest.setSystemTime(new Date('2025-01-15T10:50:00.000Z'));
+    archivePdf(writePdf('other'), { id: 'evt2', name: 'Other' }, delivery, archiveDir);
+
+    expect(listArchivedPdfs({ directory: archiveDir }).map((e) => e.eventId)).toEqual(['evt2', 'evt1', 'evt1']);
+    expect(listArchivedPdfs({ eventId: 'evt1', directory: archiveDir }).map((e) => e.id)).toEqual([
+      second.id,
+      first.id,
+    ]);
+    expect(getArchivedPdf('evt1', undefined, { directory: archiveDir }).id).toBe(second.id);
+    expect(fs.readFileSync(getArchivedPdf('evt1', first.id, { directory: archiveDir }).pdfPath, 'utf8')).toBe('first');
+    expect(getArchivedPdf('evt1', '2020-01-01T00-00-00-000Z', { directory: archiveDir })).toBeNull();
+    expect(getArchivedPdf('missing', undefined, { directory: archiveDir })).toBeNull();
+  });
+
+  it('should reject ids that could escape the archive directory', () => {
+    expect(() => archivePdf(writePdf(), { id: '../etc' }, delivery, archiveDir)).toThrow('Invalid event id');
+    expect(() => getArchivedPdf('evt1', '../../config', { directory: archiveDir })).toThrow('Invalid archive id');
+  });
+
+  it('should record reprints in the metadata', () => {
+    const entry = archivePdf(writePdf(), event, delivery, archiveDir);
+
+    recordReprint(getArchivedPdf('evt1', entry.id, { directory: archiveDir }), {
+      printTarget: 'local:Office',
+      failedTargets: [],
+    });
+
+    expect(getArchivedPdf('evt1', entry.id, { directory: archiveDir }).reprints).toEqual([
+      { at: expect.any(String), printTarget: 'local:Office', failedTargets: [] },
+    ]);
+  });
+
+  it('should delete sheets past the retention period and empty event directories', () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T10:00:00.000Z') });
+    archivePdf(writePdf('old'), { id: 'old-event', name: 'Old' }, delivery, archiveDir);
+    jest.setSystemTime(new Date('2025-03-01T10:00:00.000Z'));
+    const recent = archivePdf(writePdf('recent'), event, delivery, archiveDir);
+
+    expect(cleanupArchive(30, archiveDir)).toBe(1);
+
+    expect(fs.existsSync(path.join(archiveDir, 'old-event'))).toBe(false);
+    expect(listArchivedPdfs({ directory: archiveDir }).map((e) => e.id)).toEqual([recent.id]);
+  });
+
+  it("should keep a list's spreadsheet exports with its PDF until cleanup", () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T10:00:00.000Z') });
+    const exportPaths = ['attendees.csv', 'attendees.xlsx'].map((name) => path.join(workDir, name));
+    exportPaths.forEach((exportPath) => fs.writeFileSync(exportPath, 'export'));
+
+    const entry = archivePdf(writePdf(), event, { ...delivery, exports: exportPaths }, archiveDir);
+
+    expect(entry.exports).toEqual(['csv', 'xlsx']);
+    expect(exportPaths.some((exportPath) => fs.existsSync(exportPath))).toBe(false);
+    expect(fs.readdirSync(path.join(archiveDir, 'evt1')).sort()).toEqual(
+      ['csv', 'json', 'pdf', 'xlsx'].map((extension) => `${entry.id}.${extension}`)
+    );
+    // Listing and lookups are by PDF
+    expect(listArchivedPdfs({ directory: archiveDir })).toHaveLength(1);
+
+    jest.setSystemTime(new Date('2025-03-01T10:00:00.000Z'));
+    expect(cleanupArchive(30, archiveDir)).toBe(1);
+    expect(fs.existsSync(path.join(archiveDir, 'evt1'))).toBe(false);
+  });
+
+  it('should fall back to the file when a sheet has no metadata', () => {
+    fs.mkdirSync(path.join(archiveDir, 'evt1'), { recursive: true });
+    fs.writeFileSync(path.join(archiveDir, 'evt1', '2025-01-15T10-30-00-000Z.pdf'), 'sheet');
+
+    expect(listArchivedPdfs({ directory: archiveDir })).toEqual([
+      expect.objectContaining({ id: '2025-01-15T10-30-00-000Z', eventId: 'evt1', size: 5 }),
+    ]);
+    expect(cleanupArchive(30, path.join(workDir, 'no-archive'))).toBe(0);
+  });
+});
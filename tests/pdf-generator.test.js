@@ -1,4 +1,7 @@
+const PDFDocument = require('pdfkit');
 const PdfGenerator = require('../src/services/pdf-generator');
+const configSchema = require('../src/utils/config-schema');
+const { resolvePrivacyProfile } = require('../src/utils/privacy-profiles');
 
 // Mock the entire pdfkit library
 jest.mock('pdfkit', () => {
@@ -11,6 +14,14 @@ jest.mock('pdfkit', () => {
     moveDown: jest.fn().mockReturnThis(),
     image: jest.fn().mockReturnThis(),
     rect: jest.fn().mockReturnThis(),
+    fill: jest.fn().mockReturnThis(),
+    clip: jest.fn().mockReturnThis(),
+    save: jest.fn().mockReturnThis(),
+    restore: jest.fn().mockReturnThis(),
+    rotate: jest.fn().mockReturnThis(),
+    fillOpacity: jest.fn().mockReturnThis(),
+    registerFont: jest.fn().mockReturnThis(),
+    currentLineHeight: jest.fn().mockReturnValue(12),
     moveTo: jest.fn().mockReturnThis(),
     lineTo: jest.fn().mockReturnThis(),
     lineWidth: jest.fn().mockReturnThis(),
@@ -23,6 +34,8 @@ jest.mock('pdfkit', () => {
     switchToPage: jest.fn().mockReturnThis(),
     bufferedPageRange: jest.fn().mockReturnValue({ start: 0, count: 1 }),
     flushPages: jest.fn(),
+    // About the average Helvetica glyph width at 10pt, so cell text wraps as it would when printed
+    widthOfString: jest.fn((text) => String(text).length * 5),
     page: { height: 842, width: 595, margins: { top: 50, bottom: 50, left: 50, right: 50 } },
     y: 50,
   }));
@@ -31,6 +44,22 @@ jest.mock('pdfkit', () => {
 // Mock fs to prevent file system operations during tests
 jest.mock('fs');
 
+// Font files by name: Latin covers Latin scripts, CJK and Arabic only their own scripts
+jest.mock('fontkit', () => ({
+  openSync: jest.fn((file) => {
+    const coverage = {
+      Latin: (cp) => cp < 0x250,
+      CJK: (cp) => (cp >= 0x4e00 && cp <= 0x9fff) || cp === 0x20,
+      Arabic: (cp) => (cp >= 0x600 && cp <= 0x6ff) || cp === 0x20,
+    };
+    const name = Object.keys(coverage).find((key) => file.includes(key));
+    if (!name) {
+      throw new Error(`ENOENT: no such file or directory, open '${file}'`);
+    }
+    return { hasGlyphForCodePoint: coverage[name] };
+  }),
+}));
+
 describe('PdfGenerator', () => {
   let generator;
 
@@ -145,6 +174,38 @@ describe('PdfGenerator', () => {
       expect(gen.row_height).toBe(28);
       expect(gen.checkboxSize).toBe(16);
     });
+
+    it('should default to A4 portrait with 50pt margins', () => {
+      new PdfGenerator({ name: 'Test Event' }, [], { fontSize: 10 });
+
+      expect(PDFDocument).toHaveBeenLastCalledWith({
+        size: [595.28, 841.89],
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+      });
+    });
+
+    it('should set up the page from the layout', () => {
+      new PdfGenerator({ name: 'Test Event' }, [], {
+        pageSize: 'Letter',
+        orientation: 'landscape',
+        margins: { left: 36, right: 36 },
+      });
+
+      expect(PDFDocument).toHaveBeenLastCalledWith({
+        size: [792, 612],
+        margins: { top: 50, bottom: 50, left: 36, right: 36 },
+        bufferPages: true,
+      });
+    });
+
+    it('should reject columns wider than the page', () => {
+      const layout = { pageSize: 'A5', columns: [{ id: 'name', header: 'Name', width: 300 }] };
+
+      expect(() => new PdfGenerator({ name: 'Test Event' }, [], layout)).toThrow(
+        'Columns are 300pt wide but only 293pt fit on A5 portrait with 50pt side margins'
+      );
+    });
   });
 
   describe('generate', () => {
@@ -189,6 +250,32 @@ describe('PdfGenerator', () => {
       expect(gen.doc.end).toHaveBeenCalled();
     });
 
+    it('should not open the file when the installed pdfkit cannot reorder the pages', async () => {
+      const fs = require('fs');
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], { columns: [], imposition: '2-up' });
+
+      await expect(gen.generate('test-output.pdf')).rejects.toThrow('do not support this pdfkit version');
+
+      expect(fs.createWriteStream).not.toHaveBeenCalled();
+    });
+
+    it('should remove a file that fails while it is written', async () => {
+      const fs = require('fs');
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], { columns: [] });
+      const stream = { on: jest.fn().mockReturnThis(), destroy: jest.fn() };
+      fs.createWriteStream.mockReturnValue(stream);
+      fs.unlink.mockImplementation((file, callback) => callback());
+      gen.doc.flushPages.mockImplementation(() => {
+        throw new Error('disk full');
+      });
+
+      await expect(gen.generate('test-output.pdf')).rejects.toThrow('disk full');
+
+      expect(stream.destroy).toHaveBeenCalled();
+      expect(fs.unlink).toHaveBeenCalledWith(expect.stringMatching(/test-output\.pdf$/), expect.any(Function));
+      expect(gen.doc.end).not.toHaveBeenCalled();
+    });
+
     it('should reject filename with path traversal', () => {
       const event = { name: 'Test Event' };
       const gen = new PdfGenerator(event, [], { columns: [] });
@@ -288,6 +375,306 @@ describe('PdfGenerator', () => {
     });
   });
 
+  describe('cell wrapping', () => {
+    const event = { name: 'Test Event' };
+    const lines = (gen) => gen.doc.text.mock.calls.map((call) => [call[0], call[1], call[2]]);
+
+    it('should wrap long text onto more lines and grow the row to fit', () => {
+      const layout = {
+        columns: [
+          { id: 'name', header: 'Name', width: 80 },
+          { id: 'phone', header: 'Phone', width: 80 },
+        ],
+      };
+      const gen = new PdfGenerator(event, [], layout);
+      const attendee = { firstName: 'Mary-Jane', lastName: 'Fotheringham', phone: '021 555 0100' };
+
+      const row = gen._layoutRow(attendee);
+      expect(row.cells.map((cell) => cell.lines)).toEqual([['Mary-Jane', 'Fotheringham'], ['021 555 0100']]);
+      // One extra 12pt line on top of the 28pt row
+      expect(row.height).toBe(40);
+
+      expect(gen._generateTableRow(attendee, 100)).toBe(40);
+      expect(lines(gen)).toEqual([
+        ['Mary-Jane', 76, 100],
+        ['Fotheringham', 76, 112],
+        ['021 555 0100', 156, 100],
+      ]);
+      expect(gen._layoutRow({ firstName: 'Al', lastName: 'Li' }).height).toBe(28);
+    });
+
+    it('should cut text past the line limit short with an ellipsis', () => {
+      const gen = new PdfGenerator(event, [], {
+        maxLines: 2,
+        columns: [
+          { id: 'name', header: 'Name', width: 64 },
+          { id: 'notes', header: 'Notes', width: 64, maxLines: 1 },
+        ],
+      });
+
+      // 12 characters fit in the 60pt left after the gutter
+      expect(gen._wrapText('Anna Maria Louisa Bergstrom', 60, 2)).toEqual(['Anna Maria', 'Louisa…']);
+      expect(gen._wrapText('Wolfeschlegelsteinhausen', 60, 3)).toEqual(['Wolfeschlege', 'lsteinhausen']);
+      expect(gen._wrapText('', 60, 2)).toEqual([]);
+
+      const row = gen._layoutRow({ firstName: 'Ann', lastName: 'Lee', fields: { notes: 'Gluten free, no nuts' } });
+      expect(row.cells[1].lines).toEqual(['Gluten free…']);
+      expect(row.height).toBe(28);
+    });
+
+    it('should start a new page when a tall row does not fit, never splitting it', () => {
+      const attendees = Array.from({ length: 30 }, (_, i) => ({
+        firstName: `Person${i}`,
+        lastName: i % 2 ? 'Short' : 'Wolfeschlegelsteinhausenbergerdorff',
+      }));
+      const gen = new PdfGenerator(event, attendees, { columns: [{ id: 'name', header: 'Name', width: 100 }] });
+      let y = 50;
+      Object.defineProperty(gen.doc, 'y', {
+        get: () => y,
+        set: (value) => {
+          y = value;
+        },
+      });
+      gen.doc.addPage.mockImplementation(() => {
+        y = 50;
+        return gen.doc;
+      });
+      const rows = [];
+      const generateTableRow = gen._generateTableRow.bind(gen);
+      gen._generateTableRow = (attendee, rowY, row) => {
+        const height = generateTableRow(attendee, rowY, row);
+        rows.push({ top: rowY, bottom: rowY + height });
+        return height;
+      };
+
+      gen._generateTable();
+
+      const pageBreakThreshold = 842 - 50 - (10 * 1.4 + 20);
+      expect(gen.doc.addPage).toHaveBeenCalled();
+      expect(rows).toHaveLength(30);
+      rows.forEach((row) => expect(row.bottom).toBeLessThanOrEqual(pageBreakThreshold));
+      expect(rows.some((row) => row.bottom - row.top > 28)).toBe(true);
+    });
+  });
+
+  describe('field columns', () => {
+    const event = { name: 'Test Event', startDate: '2025-03-15T10:00:00Z' };
+    const attendee = {
+      firstName: 'Jane',
+      lastName: 'Smith',
+      fields: {
+        firstName: 'Jane',
+        dateOfBirth: '2010-03-16',
+        emergencyContact: { name: 'Mary Smith', phone: '+64 (21)  555-0100 ext' },
+        membershipNumber: 1042,
+        balance: '12.5',
+        photoConsent: 'Yes',
+        customFields: [{ question: 'Dietary requirements', value: 'Vegetarian, no nuts please' }],
+      },
+    };
+    const cellText = (gen, x) => gen.doc.text.mock.calls.find((call) => call[1] === x)[0];
+
+    it('should print source fields with their formats', () => {
+      const layout = {
+        columns: [
+          { id: 'dob', header: 'Born', width: 70, source: 'dateOfBirth', format: 'date' },
+          { id: 'age', header: 'Age', width: 30, source: 'dateOfBirth', format: 'age' },
+          { id: 'contact', header: 'Contact', width: 90, source: 'emergencyContact.phone', format: 'phone' },
+          { id: 'membershipNumber', header: 'No.', width: 40 },
+          { id: 'balance', header: 'Balance', width: 50, source: 'balance', format: 'currency' },
+          { id: 'diet', header: 'Diet', width: 100, source: 'customFields.0.value', maxLength: 11 },
+        ],
+      };
+      const gen = new PdfGenerator(event, [attendee], layout);
+      gen._generateTableRow(attendee, 100);
+
+      expect(cellText(gen, 76)).toBe('16 Mar 2010');
+      // One day short of 15
+      expect(cellText(gen, 146)).toBe('14');
+      expect(cellText(gen, 176)).toBe('+64 (21) 555-0100');
+      expect(cellText(gen, 266)).toBe('1042');
+      expect(cellText(gen, 306)).toBe('$12.50');
+      expect(cellText(gen, 356)).toBe('Vegetarian…');
+    });
+
+    it('should draw a tick for yes values and leave missing fields blank', () => {
+      const layout = {
+        columns: [
+          { id: 'photo', header: 'Photo', width: 40, source: 'photoConsent', format: 'tick' },
+          { id: 'missing', header: 'Missing', width: 60, source: 'emergencyContact.email' },
+        ],
+      };
+      const gen = new PdfGenerator(event, [attendee], layout);
+      gen._generateTableRow(attendee, 100);
+
+      expect(gen.doc.moveTo).toHaveBeenCalledWith(77, 105);
+      expect(gen.doc.text.mock.calls.filter((call) => call[1] === 76 || call[1] === 116)).toEqual([]);
+
+      gen.doc.moveTo.mockClear();
+      gen._generateTableRow({ ...attendee, fields: { photoConsent: 'No' } }, 100);
+      expect(gen.doc.moveTo).not.toHaveBeenCalled();
+    });
+
+    it('should keep the built-in formatting of built-in columns', () => {
+      const layout = { columns: [{ id: 'name', header: 'Name', width: 150, maxLength: 5 }] };
+      const gen = new PdfGenerator(event, [attendee], layout);
+      gen._generateTableRow(attendee, 100);
+
+      expect(cellText(gen, 76)).toBe('Jane…');
+    });
+  });
+
+  describe('fonts', () => {
+    const fonts = {
+      regular: 'fonts/Latin-Regular.ttf',
+      bold: 'fonts/Latin-Bold.ttf',
+      fallbacks: ['fonts/CJK-Regular.otf', { regular: 'fonts/Arabic-Regular.ttf', bold: 'fonts/Arabic-Bold.ttf' }],
+    };
+    const layout = {
+      fonts,
+      columns: [
+        { id: 'name', header: 'Name', width: 200 },
+        { id: 'phone', header: 'Phone', width: 100 },
+      ],
+    };
+
+    /** Records [font, text, x] for every text call */
+    const recordText = (gen) => {
+      const drawn = [];
+      let current = null;
+      gen.doc.font.mockImplementation(function (name) {
+        current = name;
+        return this;
+      });
+      gen.doc.text.mockImplementation(function (text, x) {
+        drawn.push([current, text, x]);
+        return this;
+      });
+      return drawn;
+    };
+
+    it('should register the configured font files', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], layout);
+
+      expect(gen.doc.registerFont.mock.calls).toEqual([
+        ['Regular', 'fonts/Latin-Regular.ttf'],
+        ['Bold', 'fonts/Latin-Bold.ttf'],
+        ['Fallback1', 'fonts/CJK-Regular.otf'],
+        ['Fallback2', 'fonts/Arabic-Regular.ttf'],
+        ['Fallback2-Bold', 'fonts/Arabic-Bold.ttf'],
+      ]);
+      expect(gen.fonts.map((font) => font.bold)).toEqual(['Bold', 'Fallback1', 'Fallback2-Bold']);
+    });
+
+    it('should fail clearly when a font file cannot be loaded', () => {
+      expect(() => new PdfGenerator({ name: 'Test Event' }, [], { fonts: { regular: 'fonts/Missing.ttf' } })).toThrow(
+        'Cannot load font file "fonts/Missing.ttf": ENOENT'
+      );
+    });
+
+    it('should print a mixed-script roster with each glyph in the first font that has it', () => {
+      const attendees = [
+        { firstName: 'Jane', lastName: 'Smith', phone: '021 555 0100' },
+        { firstName: 'Wei', lastName: '李小龍', phone: '021 555 0101' },
+        { firstName: 'Ahmed', lastName: '(أحمد) Ali', phone: '021 555 0102' },
+      ];
+      const gen = new PdfGenerator({ name: 'Community Programme' }, attendees, layout);
+      const drawn = recordText(gen);
+      attendees.forEach((attendee, index) => gen._generateTableRow(attendee, 100 + index * 28));
+
+      expect(drawn).toEqual([
+        ['Regular', 'Jane Smith', 76],
+        ['Regular', '021 555 0100', 276],
+        // Mixed runs are drawn one after the other (5pt per character in the mock)
+        ['Regular', 'Wei ', 76],
+        ['Fallback1', '李小龍', 96],
+        ['Regular', '021 555 0101', 276],
+        ['Regular', 'Ahmed (', 76],
+        ['Fallback2', 'أحمد', 111],
+        ['Regular', ') Ali', 131],
+        ['Regular', '021 555 0102', 276],
+      ]);
+      // Mixed runs are cut off at the cell edge
+      expect(gen.doc.rect).toHaveBeenCalledWith(76, 100 + 28 - 12, 200, 36);
+      expect(gen.doc.clip).toHaveBeenCalledTimes(2);
+    });
+
+    it('should right-align right-to-left names and draw their runs in reading order', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], layout);
+      const drawn = recordText(gen);
+      gen._generateTableRow({ firstName: 'محمد', lastName: 'علي' }, 100);
+      gen._generateTableRow({ firstName: 'محمد', lastName: 'Smith' }, 128);
+
+      // Right-aligned in the 200pt cell (5pt per character in the mock)
+      expect(drawn[0]).toEqual(['Fallback2', 'محمد علي', 236]);
+      // "Smith" is read last, so it is drawn leftmost
+      expect(drawn[1]).toEqual(['Regular', 'Smith', 226]);
+      expect(drawn[2]).toEqual(['Fallback2', 'محمد ', 251]);
+    });
+
+    it('should use the fallback fonts after the built-in Helvetica when no regular font is set', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], {
+        fonts: { fallbacks: ['fonts/CJK-Regular.otf'] },
+        columns: [{ id: 'name', header: 'Name', width: 200 }],
+      });
+      const drawn = recordText(gen);
+      gen._generateTableRow({ firstName: '小明', lastName: 'Chen' }, 100);
+
+      expect(drawn).toEqual([
+        ['Fallback1', '小明 ', 76],
+        ['Helvetica', 'Chen', 91],
+      ]);
+    });
+  });
+
+  describe('QR check-in codes', () => {
+    const checkIn = { baseUrl: 'http://192.168.1.20:3000/', secret: 'test-secret', qrSize: 36, validHours: 12 };
+    const layout = { columns: [{ id: 'name', header: 'Name', width: 200 }] };
+    const event = { id: 'evt1', name: 'Test Event', startDate: '2025-03-15T18:00:00.000Z' };
+
+    it('should make rows tall enough for the code', () => {
+      expect(new PdfGenerator({ id: 'evt1', name: 'Test Event' }, [], layout, { checkIn }).row_height).toBe(44);
+    });
+
+    it('should draw a signed code at the right of each row', () => {
+      const gen = new PdfGenerator(event, [], layout, { checkIn });
+      const drawQrCode = jest.spyOn(gen, '_drawQrCode');
+      gen._generateTableRow({ id: 'att1', firstName: 'Jane', lastName: 'Smith' }, 100);
+
+      const { createCheckInToken } = require('../src/core/check-in');
+      // Valid until 12 hours after the event starts
+      const token = createCheckInToken('evt1', 'att1', 'test-secret', '2025-03-16T06:00:00.000Z');
+      // Right edge of the content area (50 + 495 - 36), just above the text line
+      expect(drawQrCode).toHaveBeenCalledWith(`http://192.168.1.20:3000/checkin/${token}`, 509, 98, 36);
+      expect(gen.doc.fill).toHaveBeenCalledWith('black');
+      // Dark modules are drawn inside the code's square
+      const qrRects = gen.doc.rect.mock.calls.filter(([x]) => x >= 509);
+      expect(qrRects.length).toBeGreaterThan(0);
+      qrRects.forEach(([x, y, width, height]) => {
+        expect(x + width).toBeLessThanOrEqual(545.0001);
+        expect(y + height).toBeLessThanOrEqual(134.0001);
+      });
+    });
+
+    it('should skip attendees whose id cannot be encoded', () => {
+      const gen = new PdfGenerator(event, [], layout, { checkIn });
+      const drawQrCode = jest.spyOn(gen, '_drawQrCode');
+      gen._generateTableRow({ firstName: 'Walk', lastName: 'In' }, 100);
+
+      expect(drawQrCode).not.toHaveBeenCalled();
+    });
+
+    it('should print no codes on redacted lists', () => {
+      const privacy = { maskPhone: true, abbreviateSurname: true, hideFees: true, omitColumns: [] };
+      const gen = new PdfGenerator(event, [], layout, { checkIn, privacy });
+      const drawQrCode = jest.spyOn(gen, '_drawQrCode');
+      gen._generateTableRow({ id: 'att1', firstName: 'Jane', lastName: 'Smith' }, 100);
+
+      expect(drawQrCode).not.toHaveBeenCalled();
+      expect(gen.row_height).toBe(28);
+    });
+  });
+
   describe('_generateHeader', () => {
     it('should generate header without logo if not provided', () => {
       const event = {
@@ -337,6 +724,155 @@ describe('PdfGenerator', () => {
     });
   });
 
+  describe('waitlist', () => {
+    const event = { name: 'Quiz Night', capacity: 2 };
+    const confirmed = [
+      { firstName: 'Ann', lastName: 'Lee', phone: '021 555 0100' },
+      { firstName: 'Ben', lastName: 'Ng' },
+    ];
+    const waitlist = [
+      { firstName: 'Cal', lastName: 'Orr', phone: '021 555 0199', status: 'Waitlisted' },
+      { firstName: 'Dot', lastName: 'Poe', status: 'Waitlisted' },
+    ];
+    const texts = (gen) => gen.doc.text.mock.calls.map((call) => call[0]);
+
+    it('should show the places taken out of the capacity and the waitlist in the header', () => {
+      const gen = new PdfGenerator(event, confirmed, { fontSize: 10 }, { waitlist });
+      gen._generateHeader();
+
+      expect(texts(gen)).toContain('2 of 2 places taken · 2 on the waitlist');
+
+      const noLimit = new PdfGenerator({ name: 'Quiz Night' }, confirmed, { fontSize: 10 });
+      noLimit._generateHeader();
+      expect(texts(noLimit).some((text) => text.includes('places taken'))).toBe(false);
+    });
+
+    it('should translate the counts', () => {
+      const gen = new PdfGenerator({ ...event, capacity: 10 }, [confirmed[0]], {}, { locale: 'fr-FR', waitlist });
+      gen._generateHeader();
+
+      expect(texts(gen)).toContain("1 place prise sur 10 · 2 en liste d'attente");
+    });
+
+    it('should print the waitlist with queue positions after the confirmed attendees', () => {
+      const layout = {
+        fontSize: 10,
+        columns: [
+          { id: 'name', width: 150 },
+          { id: 'phone', width: 100 },
+        ],
+      };
+      const gen = new PdfGenerator(event, confirmed, layout, { waitlist });
+      gen._generateTable();
+
+      const all = texts(gen);
+      expect(all).toContain('Waitlist (2)');
+      expect(all).toContain('1.  Cal Orr    021 555 0199');
+      expect(all).toContain('2.  Dot Poe');
+      expect(all.indexOf('Waitlist (2)')).toBeGreaterThan(all.indexOf('Ben Ng'));
+      expect(all.indexOf('Waitlist (2)')).toBeLessThan(all.indexOf('Not on the list?'));
+    });
+
+    it('should leave the phone number off when the list has no phone column', () => {
+      const gen = new PdfGenerator(event, confirmed, { columns: [{ id: 'name', width: 150 }] }, { waitlist });
+      gen._generateTable();
+
+      expect(texts(gen)).toContain('1.  Cal Orr');
+    });
+
+    it('should print no waitlist section without waitlisted attendees', () => {
+      const gen = new PdfGenerator(event, confirmed, { fontSize: 10 });
+      gen._generateTable();
+
+      expect(texts(gen).some((text) => String(text).startsWith('Waitlist'))).toBe(false);
+    });
+  });
+
+  describe('revisions', () => {
+    const event = { name: 'Quiz Night' };
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(2025, 2, 15, 18, 42) });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should name the revision of a reprint in the header', () => {
+      const gen = new PdfGenerator(event, [], layout, { revision: 2 });
+      gen._generateHeader();
+
+      expect(gen.doc.text).toHaveBeenCalledWith(
+        'Attendees as of 15 Mar 2025, 18:42 (revision 2)',
+        50,
+        expect.any(Number),
+        expect.any(Object)
+      );
+    });
+
+    it('should stamp every page of a reprint with the watermark', () => {
+      const gen = new PdfGenerator(event, [], layout, { revision: 2 });
+      gen.doc.bufferedPageRange.mockReturnValue({ start: 0, count: 2 });
+
+      gen._renderWatermark();
+
+      expect(gen.doc.switchToPage.mock.calls).toEqual([[0], [1], [1]]);
+      expect(gen.doc.rotate).toHaveBeenCalledTimes(2);
+      expect(gen.doc.rotate).toHaveBeenCalledWith(expect.closeTo(-54.75, 2), { origin: [297.5, 421] });
+      expect(gen.doc.fillOpacity).toHaveBeenCalledWith(0.2);
+      expect(gen.doc.text).toHaveBeenCalledWith(
+        'UPDATED – rev 2, 18:42',
+        expect.any(Number),
+        expect.any(Number),
+        expect.objectContaining({ align: 'center', lineBreak: false })
+      );
+      expect(gen.doc.restore).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use the configured watermark text, or none', () => {
+      const custom = new PdfGenerator(
+        event,
+        [],
+        { ...layout, revisionWatermark: 'REPRINT {revision} at {time}' },
+        {
+          revision: 3,
+        }
+      );
+      custom._renderWatermark();
+      expect(custom.doc.text).toHaveBeenCalledWith(
+        'REPRINT 3 at 18:42',
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Object)
+      );
+
+      const off = new PdfGenerator(event, [], { ...layout, revisionWatermark: false }, { revision: 3 });
+      off._renderWatermark();
+      const first = new PdfGenerator(event, [], layout, { revision: 1 });
+      first._renderWatermark();
+      first._generateHeader();
+      expect(off.doc.rotate).not.toHaveBeenCalled();
+      expect(first.doc.rotate).not.toHaveBeenCalled();
+      expect(first.doc.text).toHaveBeenCalledWith(
+        'Attendees as of 15 Mar 2025, 18:42',
+        50,
+        expect.any(Number),
+        expect.any(Object)
+      );
+    });
+
+    it('should validate the watermark setting', () => {
+      const validate = (revisionWatermark) => configSchema.validate({ pdfLayout: { revisionWatermark } });
+
+      expect(configSchema.validate({ pdfLayout: {} }).value.pdfLayout.revisionWatermark).toBe(true);
+      expect(validate('REPRINT {revision}').error).toBeUndefined();
+      expect(validate('').error).toBeDefined();
+      expect(validate(2).error).toBeDefined();
+    });
+  });
+
   describe('_generateTableHeader', () => {
     it('should generate table header with fixed columns', () => {
       const event = { name: 'Test Event' };
@@ -357,4 +893,675 @@ describe('PdfGenerator', () => {
       expect(gen.doc.text).toHaveBeenCalledWith('Fee', expect.any(Number), expect.any(Number), expect.any(Object));
     });
   });
+
+  describe('grouped table', () => {
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+    const junior = { name: 'Junior', fee: 10 };
+    const adult = { name: 'Adult', fee: 15 };
+    const attendees = [
+      { firstName: 'Ann', rule: junior, hasFee: true, isPaid: true },
+      { firstName: 'Ben', rule: adult, hasFee: true, isPaid: false },
+      { firstName: 'Cal', rule: junior, hasFee: true, isPaid: false },
+      { firstName: 'Dot', hasFee: false, isPaid: false },
+      { firstName: 'Eve', rule: { name: 'Membership', type: 'membership' }, hasFee: true, isPaid: true },
+    ];
+    const names = (groups) => groups.map((group) => [group.name, group.attendees.map((a) => a.firstName)]);
+
+    it('should group by ticket type alphabetically, without one last', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, groupBy: 'rule' });
+
+      expect(names(gen._groupAttendees())).toEqual([
+        ['Adult', ['Ben']],
+        ['Junior', ['Ann', 'Cal']],
+        ['Membership', ['Eve']],
+        ['No ticket type', ['Dot']],
+      ]);
+    });
+
+    it('should group by payment status', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, groupBy: 'paymentStatus' });
+
+      expect(names(gen._groupAttendees())).toEqual([
+        ['Paid', ['Ann', 'Eve']],
+        ['Owing', ['Ben', 'Cal']],
+        ['No Fee', ['Dot']],
+      ]);
+    });
+
+    it('should total counts and fees, leaving memberships out of the fees', () => {
+      expect(generator._formatGroupSubtotal(attendees)).toBe(
+        '5 attendees: 2 paid, 2 owing, 1 no fee. Fees: $10.00 paid, $25.00 owing'
+      );
+      expect(generator._formatGroupSubtotal([attendees[3]])).toBe('1 attendee: 1 no fee');
+    });
+
+    it('should print a heading and subtotal per group', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, groupBy: 'rule' });
+
+      gen._generateTable();
+
+      const texts = gen.doc.text.mock.calls.map((call) => call[0]);
+      expect(texts).toEqual(
+        expect.arrayContaining([
+          'Adult (1)',
+          'Junior (2)',
+          '2 attendees: 1 paid, 1 owing. Fees: $10.00 paid, $10.00 owing',
+        ])
+      );
+      expect(texts.indexOf('Junior (2)')).toBeLessThan(texts.indexOf('Ann'));
+      expect(texts.indexOf('Cal')).toBeLessThan(
+        texts.indexOf('2 attendees: 1 paid, 1 owing. Fees: $10.00 paid, $10.00 owing')
+      );
+    });
+
+    it('should repeat the group heading when a group runs onto a new page', () => {
+      const many = Array.from({ length: 30 }, (_, i) => ({ firstName: `P${i}`, rule: junior, hasFee: true }));
+      const gen = new PdfGenerator({ name: 'Test Event' }, many, { ...layout, groupBy: 'rule' });
+      let y = 50;
+      // Track the cursor like pdfkit does, so rows run down the page
+      Object.defineProperty(gen.doc, 'y', {
+        get: () => y,
+        set: (value) => {
+          y = value;
+        },
+      });
+      gen.doc.addPage.mockImplementation(() => {
+        y = 50;
+        return gen.doc;
+      });
+
+      gen._generateTable();
+
+      const texts = gen.doc.text.mock.calls.map((call) => call[0]);
+      expect(texts).toContain('Junior (30)');
+      expect(texts).toContain('Junior (continued)');
+      expect(texts.indexOf('Junior (continued)')).toBeGreaterThan(texts.indexOf('P20'));
+      expect(gen.doc.addPage).toHaveBeenCalled();
+    });
+  });
+
+  describe('_generateSummary', () => {
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+    const attendees = [
+      { firstName: 'Ann', status: 'registered', rule: { name: 'Junior', fee: 10 }, hasFee: true, isPaid: true },
+      { firstName: 'Ben', status: 'registered', rule: { name: 'Adult', fee: 15.5 }, hasFee: true, isPaid: false },
+      { firstName: 'Cal', status: 'attended', rule: { name: 'Membership', fee: 20 }, hasFee: true, isPaid: false },
+      { firstName: 'Dot', status: 'registered', hasFee: false, isPaid: false },
+    ];
+    const rowValue = (gen, label) => {
+      const calls = gen.doc.text.mock.calls;
+      const index = calls.findIndex((call) => call[0] === label);
+      return index === -1 ? undefined : calls[index + 1][0];
+    };
+
+    it('should total attendees by status, payment and fees', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, summary: 'block' });
+
+      gen._generateSummary(100, 750);
+
+      expect(rowValue(gen, 'Attendees')).toBe('4');
+      expect(rowValue(gen, 'Attended')).toBe('1');
+      expect(rowValue(gen, 'Registered')).toBe('3');
+      expect(rowValue(gen, 'Paid')).toBe('1');
+      expect(rowValue(gen, 'Owing')).toBe('2');
+      expect(rowValue(gen, 'No Fee')).toBe('1');
+      // The membership is owing but has no fee to collect
+      expect(rowValue(gen, 'Fees expected')).toBe('$25.50');
+      expect(rowValue(gen, 'Fees received')).toBe('$10.00');
+      expect(rowValue(gen, 'Outstanding')).toBe('$15.50');
+      expect(gen.doc.addPage).not.toHaveBeenCalled();
+    });
+
+    it('should translate the statuses, printing ones the catalogue does not know as sent', () => {
+      const gen = new PdfGenerator(
+        { name: 'Test Event' },
+        [...attendees, { firstName: 'Eve', status: 'Confirmed' }, { firstName: 'Fay', status: 'standby' }],
+        { ...layout, summary: 'block' },
+        { locale: 'de-DE' }
+      );
+
+      gen._generateSummary(100, 750);
+
+      expect(rowValue(gen, 'Angemeldet')).toBe('3');
+      expect(rowValue(gen, 'Teilgenommen')).toBe('1');
+      expect(rowValue(gen, 'Bestätigt')).toBe('1');
+      expect(rowValue(gen, 'Standby')).toBe('1');
+      expect(rowValue(gen, 'Registered')).toBeUndefined();
+    });
+
+    it('should go on its own page when asked or when it does not fit', () => {
+      const onPage = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, summary: 'page' });
+      onPage._generateSummary(100, 750);
+      expect(onPage.doc.addPage).toHaveBeenCalledTimes(1);
+      expect(onPage.footerPositions).toHaveLength(1);
+
+      const full = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, summary: 'block' });
+      full._generateSummary(700, 750);
+      expect(full.doc.addPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only be printed when the layout asks for it', () => {
+      const without = new PdfGenerator({ name: 'Test Event' }, attendees, layout);
+      without._generateTable();
+      expect(without.doc.text).not.toHaveBeenCalledWith(
+        'Summary',
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Object)
+      );
+
+      const withSummary = new PdfGenerator({ name: 'Test Event' }, attendees, { ...layout, summary: 'block' });
+      withSummary._generateTable();
+      expect(withSummary.doc.text).toHaveBeenCalledWith('Summary', 50, expect.any(Number), expect.any(Object));
+    });
+  });
+
+  describe('privacy profiles', () => {
+    const redacted = resolvePrivacyProfile({}, 'redacted');
+    const attendees = [
+      { firstName: 'Zoë', lastName: 'Ng', phone: '+64 21 555 0100', hasFee: true, isPaid: true, rule: { fee: 10 } },
+      { firstName: 'Al', lastName: 'brown', phone: '555', hasFee: true, isPaid: false, hasMembershipRule: true },
+      { firstName: 'Cher', fields: { mobile: '021 (555) 0199 ext', paid: '12.5' } },
+    ];
+
+    it('should print the full list without a profile', () => {
+      expect(generator._formatName(attendees[0])).toBe('Zoë Ng');
+      expect(generator._formatPhone(attendees[0])).toBe('+64 21 555 0100');
+      expect(generator._formatFee(attendees[0])).toBe('$10.00');
+    });
+
+    it('should abbreviate surnames, mask phone numbers and hide fees', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, {}, { privacy: redacted });
+
+      expect(gen._formatName(attendees[0])).toBe('Zoë N.');
+      expect(gen._formatName(attendees[1])).toBe('Al B.');
+      expect(gen._formatName(attendees[2])).toBe('Cher');
+      expect(gen._formatPhone(attendees[0])).toBe('+•• •• ••• 0100');
+      // Numbers too short to mask any digit of are left as they are
+      expect(gen._formatPhone(attendees[1])).toBe('555');
+      expect(gen._formatFee(attendees[0])).toBe('');
+      expect(gen._formatFee(attendees[1])).toBe('');
+    });
+
+    it('should apply the profile to phone and currency fields', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, {}, { privacy: redacted });
+
+      expect(gen._formatField('021 (555) 0199 ext', { format: 'phone' })).toBe('••• (•••) 0199');
+      expect(gen._formatField('12.5', { format: 'currency' })).toBe('');
+      expect(gen._formatField('Table 4', { format: 'text' })).toBe('Table 4');
+    });
+
+    it('should apply only what the profile asks for', () => {
+      const layout = { privacyProfiles: { phoneless: { omitColumns: ['phone', 'mobile'] } } };
+      const gen = new PdfGenerator(
+        { name: 'Test Event' },
+        attendees,
+        {
+          columns: [
+            { id: 'name', width: 150 },
+            { id: 'phone', width: 100 },
+            { id: 'mobile', source: 'mobile', format: 'phone', width: 100 },
+            { id: 'fee', width: 60 },
+          ],
+        },
+        { privacy: resolvePrivacyProfile(layout, 'phoneless') }
+      );
+
+      expect(gen._getColumns().map((column) => column.id)).toEqual(['name', 'fee']);
+      expect(gen._formatName(attendees[0])).toBe('Zoë Ng');
+      expect(gen._formatFee(attendees[0])).toBe('$10.00');
+    });
+
+    it('should leave the fees out of subtotals and the summary when hiding fees', () => {
+      const layout = { fontSize: 10, columns: [{ id: 'name', width: 150 }], summary: 'block' };
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, layout, { privacy: redacted });
+
+      expect(gen._formatGroupSubtotal(attendees)).toBe('3 attendees: 1 paid, 1 owing, 1 no fee');
+      gen._generateSummary(100, 750);
+      const texts = gen.doc.text.mock.calls.map((call) => call[0]);
+      expect(texts).toContain('Owing');
+      expect(texts).not.toContain('Fees expected');
+      expect(texts).not.toContain('Outstanding');
+    });
+
+    it('should validate the profiles and the names that pick them', () => {
+      const validate = (config) => configSchema.validate(config);
+      const pdfLayout = {
+        privacyProfiles: { 'no-contact': { omitColumns: ['phone', 'email'] } },
+        privacy: { email: 'redacted', ipp: 'no-contact' },
+      };
+
+      const { value, error } = validate({ pdfLayout, printMode: [{ mode: 'local', privacy: 'no-contact' }] });
+      expect(error).toBeUndefined();
+      expect(value.pdfLayout.privacyProfiles['no-contact']).toEqual({
+        maskPhone: false,
+        abbreviateSurname: false,
+        hideFees: false,
+        omitColumns: ['phone', 'email'],
+      });
+      expect(validate({ pdfLayout: {} }).value.pdfLayout).toMatchObject({ privacyProfiles: {}, privacy: {} });
+      expect(validate({ pdfLayout: { privacy: { email: 'secret' } } }).error.message).toBe(
+        '"pdfLayout.privacy.email" names unknown privacy profile "secret". Use redacted'
+      );
+      expect(
+        validate({
+          pdfLayout,
+          rules: [{ name: 'r', match: { venue: 'Hall' }, printMode: ['local', { mode: 'email', privacy: 'x' }] }],
+        }).error.message
+      ).toBe('"rules[0].printMode[1].privacy" names unknown privacy profile "x". Use redacted, no-contact');
+      expect(validate({ pdfLayout: { privacy: { fax: 'redacted' } } }).error).toBeDefined();
+      expect(validate({ pdfLayout: { privacyProfiles: { redacted: { hideFees: 'yes' } } } }).error).toBeDefined();
+      expect(() => resolvePrivacyProfile({}, 'secret')).toThrow('Unknown privacy profile "secret". Use redacted');
+    });
+  });
+
+  describe('sort order', () => {
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+    const attendees = [
+      { firstName: 'Zoe', lastName: 'Adams', signUpDate: '2025-01-03T10:00:00Z', hasFee: true, isPaid: false },
+      { firstName: 'amy', lastName: 'Ng', signUpDate: '2025-01-01T10:00:00Z', hasFee: true, isPaid: true },
+      { firstName: 'Ava', lastName: 'Adams', signUpDate: '2025-01-02T10:00:00Z', hasFee: false },
+    ];
+    const rowNames = (gen) =>
+      gen.doc.text.mock.calls
+        .map((call) => call[0])
+        .filter((text) => ['Zoe Adams', 'amy Ng', 'Ava Adams'].includes(text));
+
+    it('should sort by last name, then first name by default', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, layout);
+
+      gen._generateTable();
+
+      expect(rowNames(gen)).toEqual(['Ava Adams', 'Zoe Adams', 'amy Ng']);
+      expect(attendees[0].firstName).toBe('Zoe');
+    });
+
+    it('should sort by the layout keys within each group', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, attendees, {
+        ...layout,
+        sort: [{ by: 'signUpDate', direction: 'desc' }],
+      });
+      gen._generateTable();
+      expect(rowNames(gen)).toEqual(['Zoe Adams', 'Ava Adams', 'amy Ng']);
+
+      const grouped = new PdfGenerator({ name: 'Test Event' }, attendees, {
+        ...layout,
+        groupBy: 'paymentStatus',
+        sort: ['firstName'],
+      });
+      grouped._generateTable();
+      expect(rowNames(grouped)).toEqual(['amy Ng', 'Zoe Adams', 'Ava Adams']);
+    });
+
+    it('should sort each day sheet section by its own layout', () => {
+      const gen = new PdfGenerator({ name: 'Day Sheet' }, [], layout, {
+        daySheet: {
+          sections: [
+            { event: { name: 'Morning', startDate: '2025-01-05T09:00:00Z' }, attendees, layout },
+            {
+              event: { name: 'Evening', startDate: '2025-01-05T18:00:00Z' },
+              attendees,
+              layout: { ...layout, sort: ['signUpDate'] },
+            },
+          ],
+        },
+      });
+
+      gen._generateDaySheet();
+
+      expect(rowNames(gen)).toEqual(['Ava Adams', 'Zoe Adams', 'amy Ng', 'amy Ng', 'Ava Adams', 'Zoe Adams']);
+    });
+
+    it('should sort addendum additions and cancellations', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], layout, {
+        addendum: { since: new Date().toISOString(), additions: attendees, cancellations: [] },
+      });
+
+      gen._generateAddendum();
+
+      expect(rowNames(gen)).toEqual(['Ava Adams', 'Zoe Adams', 'amy Ng']);
+    });
+  });
+
+  describe('_generateAddendum', () => {
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+
+    it('should list additions with check-in boxes and strike through cancellations', () => {
+      const since = new Date(2025, 0, 15, 9, 5).toISOString();
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], layout, {
+        addendum: {
+          since,
+          additions: [{ firstName: 'Late', lastName: 'Comer' }],
+          cancellations: [{ firstName: 'Gone', lastName: 'Away', phone: '555-0100' }],
+        },
+      });
+
+      gen._generateAddendum();
+
+      expect(gen.doc.text).toHaveBeenCalledWith(
+        'Additions / Cancellations since 09:05',
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Object)
+      );
+      expect(gen.doc.text).toHaveBeenCalledWith('Additions (1)', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith(
+        'Late Comer',
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Object)
+      );
+      expect(gen.doc.rect).toHaveBeenCalledTimes(1);
+      expect(gen.doc.text).toHaveBeenCalledWith('Cancellations (1)', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('Gone Away    555-0100', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.moveTo).toHaveBeenCalled();
+    });
+
+    it('should say None for an empty section', () => {
+      const gen = new PdfGenerator({ name: 'Test Event' }, [], layout, {
+        addendum: { since: new Date().toISOString(), additions: [], cancellations: [{ firstName: 'Gone' }] },
+      });
+
+      gen._generateAddendum();
+
+      expect(gen.doc.text).toHaveBeenCalledWith('Additions (0)', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('None', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.rect).not.toHaveBeenCalled();
+    });
+  });
+  describe('_generateDaySheet', () => {
+    const layout = { fontSize: 10, columns: [{ id: 'name', header: 'Name', width: 150 }] };
+    const morning = { name: 'Morning Swim', startDate: new Date(2025, 2, 15, 9, 0).toISOString() };
+    const evening = { name: 'Evening Run', startDate: new Date(2025, 2, 15, 18, 30).toISOString() };
+
+    it('should index the events on a cover page and give each its own pages', () => {
+      const gen = new PdfGenerator({ name: 'Day Sheet: Sat, 15 Mar 2025' }, [], layout, {
+        daySheet: {
+          sections: [
+            { event: morning, attendees: [{ firstName: 'John', lastName: 'Doe' }], layout },
+            { event: evening, attendees: [{ firstName: 'Jane' }, { firstName: 'Joe' }], layout },
+          ],
+        },
+      });
+      // A new page starts back at the top margin
+      gen.doc.addPage.mockImplementation(() => {
+        gen.doc.y = 50;
+        return gen.doc;
+      });
+
+      gen._generateDaySheet();
+
+      expect(gen.doc.text).toHaveBeenCalledWith('09:00', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('Morning Swim', 110, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('18:30', 50, expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('2', expect.any(Number), expect.any(Number), expect.any(Object));
+      expect(gen.doc.text).toHaveBeenCalledWith('John Doe', expect.any(Number), expect.any(Number), expect.any(Object));
+      expect(gen.doc.addPage).toHaveBeenCalledTimes(2);
+
+      // Footers carry the name of the event the page belongs to
+      expect(gen.footerPositions.map((footer) => footer.label)).toEqual([
+        'Day Sheet: Sat, 15 Mar 2025',
+        'Morning Swim',
+        'Evening Run',
+      ]);
+
+      // Page numbers go back onto the cover once the sections are laid out
+      expect(gen.doc.switchToPage).toHaveBeenCalledWith(0);
+      expect(gen.doc.text).toHaveBeenCalledWith('2', 485, expect.any(Number), { width: 60, align: 'right' });
+      expect(gen.doc.text).toHaveBeenCalledWith('3', 485, expect.any(Number), { width: 60, align: 'right' });
+      expect(gen.event.name).toBe('Day Sheet: Sat, 15 Mar 2025');
+    });
+
+    it('should start each event on the front of a sheet when padding for double-sided printing', () => {
+      const padded = { ...layout, duplexPadding: true };
+      const gen = new PdfGenerator({ name: 'Day Sheet: Sat, 15 Mar 2025' }, [], padded, {
+        daySheet: {
+          sections: [
+            { event: morning, attendees: [{ firstName: 'John', lastName: 'Doe' }], layout },
+            { event: evening, attendees: [{ firstName: 'Jane' }], layout },
+          ],
+        },
+      });
+      gen.doc.addPage.mockImplementation(() => {
+        gen.doc.y = 50;
+        return gen.doc;
+      });
+
+      gen._generateDaySheet();
+      gen._padToSheet();
+
+      // A blank back after the cover and after each event
+      expect(gen.doc.addPage).toHaveBeenCalledTimes(5);
+      expect(gen.pageNumber).toBe(6);
+      expect(gen.doc.text).toHaveBeenCalledWith('3', 485, expect.any(Number), { width: 60, align: 'right' });
+      expect(gen.doc.text).toHaveBeenCalledWith('5', 485, expect.any(Number), { width: 60, align: 'right' });
+      expect(gen.footerPositions.map((footer) => footer.pageNum)).toEqual([1, 3, 5]);
+    });
+
+    it("should head and stamp each event's pages with its own revision", () => {
+      const gen = new PdfGenerator({ name: 'Day Sheet: Sat, 15 Mar 2025' }, [], layout, {
+        daySheet: {
+          sections: [
+            { event: morning, attendees: [{ firstName: 'John' }], layout, revision: 1 },
+            { event: evening, attendees: [{ firstName: 'Jane' }], layout, revision: 3 },
+          ],
+        },
+      });
+      gen.doc.addPage.mockImplementation(() => {
+        gen.doc.y = 50;
+        return gen.doc;
+      });
+      gen.doc.bufferedPageRange.mockReturnValue({ start: 0, count: 3 });
+
+      gen._generateDaySheet();
+      gen.doc.switchToPage.mockClear();
+      gen._renderWatermark();
+
+      const headers = gen.doc.text.mock.calls.map(([text]) => text).filter((text) => /^Attendees as of/.test(text));
+      // The cover, then each event
+      expect(headers).toEqual([
+        expect.not.stringContaining('revision'),
+        expect.not.stringContaining('revision'),
+        expect.stringContaining('(revision 3)'),
+      ]);
+      // Only the reprinted event's page, then back to the last page
+      expect(gen.doc.switchToPage.mock.calls).toEqual([[2], [2]]);
+      expect(gen.doc.rotate).toHaveBeenCalledTimes(1);
+      expect(gen.doc.text).toHaveBeenCalledWith(
+        expect.stringMatching(/^UPDATED – rev 3, /),
+        expect.any(Number),
+        expect.any(Number),
+        expect.any(Object)
+      );
+    });
+
+    it("should refuse an event whose columns do not fit the sheet's page", () => {
+      const wide = { ...layout, orientation: 'landscape', columns: [{ id: 'name', header: 'Name', width: 600 }] };
+
+      expect(
+        () =>
+          new PdfGenerator({ name: 'Day Sheet: Sat, 15 Mar 2025' }, [], layout, {
+            daySheet: {
+              sections: [
+                { event: morning, attendees: [], layout },
+                { event: evening, attendees: [], layout: wide },
+              ],
+            },
+          })
+      ).toThrow('The columns of "Evening Run" on the day sheet are 600pt wide but only 469pt fit on A4 portrait');
+    });
+  });
+
+  describe('_generateBadges', () => {
+    const sheet = {
+      columns: 2,
+      rows: 1,
+      labelWidth: 200,
+      labelHeight: 100,
+      marginTop: 20,
+      marginLeft: 10,
+      pitchX: 250,
+    };
+    const fields = [
+      { source: 'name', fontSize: 18, style: 'bold', maxLines: 2 },
+      { source: 'member.number', fontSize: 9 },
+    ];
+    const attendees = [
+      { firstName: 'Cal', lastName: 'Moss', fields: { member: { number: 'M3' } } },
+      { firstName: 'Ann', lastName: 'Lee', fields: { member: { number: 'M1' } } },
+      { firstName: 'Bea', lastName: 'King' },
+    ];
+    const textAt = (gen, text) => gen.doc.text.mock.calls.find((call) => call[0] === text);
+
+    it('should lay the page out as the label sheet', () => {
+      const gen = new PdfGenerator({ name: 'Quiz Night' }, attendees, {}, { badges: { sheet: '5160', fields } });
+
+      expect(PDFDocument).toHaveBeenLastCalledWith(
+        expect.objectContaining({ size: [612, 792], margins: { top: 0, bottom: 0, left: 0, right: 0 } })
+      );
+      expect(gen.badges.sheet.rows).toBe(10);
+    });
+
+    it('should fill the grid row by row in sort order, starting a new sheet when one is full', () => {
+      const gen = new PdfGenerator({ name: 'Quiz Night' }, attendees, {}, { badges: { sheet, fields, padding: 6 } });
+
+      gen._generateBadges();
+
+      // Two lines of 12pt centred on the 100pt label, each drawn across its width less the padding
+      expect(textAt(gen, 'Ann Lee')).toEqual([
+        'Ann Lee',
+        266,
+        58,
+        expect.objectContaining({ width: 188, align: 'center' }),
+      ]);
+      expect(textAt(gen, 'M1')).toEqual(['M1', 266, 70, expect.any(Object)]);
+      // Lines without a value are left out, so a one-line badge is centred on its own
+      expect(textAt(gen, 'Bea King')).toEqual(['Bea King', 16, 64, expect.any(Object)]);
+      expect(textAt(gen, 'Cal Moss')).toEqual(['Cal Moss', 16, 58, expect.any(Object)]);
+      expect(gen.doc.addPage).toHaveBeenCalledTimes(1);
+      expect(gen.doc.text.mock.calls.map((call) => call[0])).toEqual(['Bea King', 'Ann Lee', 'M1', 'Cal Moss', 'M3']);
+    });
+
+    it('should draw each template line in its font size and style', () => {
+      const gen = new PdfGenerator(
+        { name: 'Quiz Night' },
+        attendees.slice(0, 1),
+        {},
+        {
+          badges: { sheet, fields: [...fields, { source: 'eventName', fontSize: 10 }] },
+        }
+      );
+
+      gen._generateBadges();
+
+      expect(gen.doc.fontSize.mock.calls.map((call) => call[0])).toEqual([18, 9, 10, 18, 9, 10]);
+      expect(gen.doc.font).toHaveBeenCalledWith('Helvetica-Bold');
+      expect(textAt(gen, 'Quiz Night')).toBeDefined();
+    });
+
+    it('should wrap long names onto the lines the template allows', () => {
+      const gen = new PdfGenerator(
+        { name: 'Quiz Night' },
+        [{ firstName: 'Maximiliana', lastName: 'Vanderbilt-Featherstonehaugh' }],
+        {},
+        {
+          badges: { sheet: { ...sheet, labelWidth: 100 }, fields: fields.slice(0, 1) },
+        }
+      );
+
+      gen._generateBadges();
+
+      expect(gen.doc.text.mock.calls.map((call) => call[0])).toEqual(['Maximiliana', 'Vanderbilt-Feath…']);
+    });
+
+    it('should generate badges instead of the list', async () => {
+      const fs = require('fs');
+      const stream = { on: jest.fn((event, cb) => event === 'finish' && setImmediate(cb)) };
+      fs.createWriteStream.mockReturnValue(stream);
+      const gen = new PdfGenerator({ name: 'Quiz Night' }, attendees, {}, { badges: { sheet, fields } });
+      gen._generateTable = jest.fn();
+
+      await gen.generate('badges.pdf');
+
+      expect(gen._generateTable).not.toHaveBeenCalled();
+      expect(textAt(gen, 'Ann Lee')).toBeDefined();
+    });
+  });
+
+  describe('locale and time zone', () => {
+    const texts = (gen) => gen.doc.text.mock.calls.map((call) => call[0]);
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should print the header timestamp in the configured locale and time zone', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2025-03-15T21:30:00Z'));
+      const gen = new PdfGenerator(
+        { name: 'Club Night' },
+        [],
+        { fontSize: 10 },
+        {
+          locale: 'de-DE',
+          timeZone: 'Pacific/Auckland',
+        }
+      );
+
+      gen._generateHeader();
+
+      expect(texts(gen)).toContain('Teilnehmer, Stand 16. März 2025, 10:30');
+    });
+
+    it('should format sign-up dates in the configured time zone', () => {
+      const gen = new PdfGenerator({ name: 'Club Night' }, [], { fontSize: 10 }, { timeZone: 'Pacific/Auckland' });
+
+      expect(gen._formatSignUpDate({ signUpDate: '2025-03-15T23:30:00Z' })).toBe('16 Mar 2025');
+    });
+
+    it('should translate the default column headers but not configured ones', () => {
+      const french = new PdfGenerator({ name: 'Soirée' }, [], { fontSize: 10 }, { locale: 'fr-FR' });
+      french._generateTableHeader();
+      expect(texts(french)).toEqual(['Nom', 'Téléphone', 'Inscrit le', 'Tarif']);
+
+      const configured = new PdfGenerator(
+        { name: 'Soirée' },
+        [],
+        { fontSize: 10, columns: [{ id: 'name', header: 'Joueur', width: 200 }] },
+        { locale: 'de-DE' }
+      );
+      configured._generateTableHeader();
+      expect(texts(configured)).toEqual(['Joueur']);
+
+      // Built-in columns configured without a header, as in the schema default
+      const { pdfLayout } = configSchema.validate({ locale: 'de-DE', pdfLayout: {} }).value;
+      const schemaDefault = new PdfGenerator({ name: 'Abend' }, [], pdfLayout, { locale: 'de-DE' });
+      schemaDefault._generateTableHeader();
+      expect(texts(schemaDefault)).toEqual(['Name', 'Telefon', 'Angemeldet', 'Gebühr', 'Status']);
+    });
+
+    it('should translate payment status groups, subtotals, write-in and footers', () => {
+      const attendees = [
+        { firstName: 'Ann', hasFee: true, isPaid: true, rule: { fee: 10 } },
+        { firstName: 'Ben', hasFee: true, isPaid: false, rule: { fee: 10 } },
+        { firstName: 'Cat', hasFee: true, isPaid: false, rule: { fee: 10 } },
+      ];
+      const gen = new PdfGenerator(
+        { name: 'Vereinsabend' },
+        attendees,
+        { fontSize: 10, groupBy: 'paymentStatus' },
+        {
+          locale: 'de-DE',
+        }
+      );
+
+      expect(gen._groupAttendees().map((group) => group.name)).toEqual(['Bezahlt', 'Offen']);
+      expect(gen._formatGroupSubtotal(attendees.slice(1))).toBe('2 Teilnehmer: 2 offen. Gebühren: $20.00 offen');
+
+      gen._generateTable();
+      gen._renderAllFooters();
+      expect(texts(gen)).toEqual(
+        expect.arrayContaining(['Bezahlt (1)', 'Offen (2)', 'Nicht auf der Liste?', 'Seite 1 von 1'])
+      );
+    });
+  });
 });
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Tests for raw TCP (JetDirect) printing
+ * Streams jobs to a local stand-in socket printer and checks PJL, conversion and timeouts
+ */
+
+jest.mock('child_process');
+jest.mock('../src/services/logger');
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { printPdfRaw, testRawConnection, parseTarget, buildPjl } = require('../src/services/raw-printer');
+
+describe('Raw Printer', () => {
+  let server;
+  let port;
+  let received;
+  let onConnection;
+  let pdfPath;
+  const pdf = Buffer.from('%PDF-1.4\n%stand-in document\n%%EOF');
+
+  beforeAll(async () => {
+    server = net.createServer((socket) => onConnection(socket));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+
+    pdfPath = path.join(os.tmpdir(), `raw-printer-test-${process.pid}.pdf`);
+    fs.writeFileSync(pdfPath, pdf);
+  });
+
+  afterAll(async () => {
+    fs.unlinkSync(pdfPath);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Default stand-in: collect everything and close when the client is done
+    received = new Promise((resolve) => {
+      onConnection = (socket) => {
+        const chunks = [];
+        socket.on('data', (c) => chunks.push(c));
+        socket.on('end', () => {
+          socket.end();
+          resolve(Buffer.concat(chunks));
+        });
+      };
+    });
+  });
+
+  describe('parseTarget', () => {
+    it('should parse a host with and without a port', () => {
+      expect(parseTarget('192.168.1.60')).toEqual({ host: '192.168.1.60', port: 9100 });
+      expect(parseTarget('printer.local:9101')).toEqual({ host: 'printer.local', port: 9101 });
+      expect(parseTarget('[fe80::1]:9100')).toEqual({ host: 'fe80::1', port: 9100 });
+    });
+
+    it('should reject a missing host as not retryable', () => {
+      expect(() => parseTarget('')).toThrow(expect.objectContaining({ retryable: false }));
+    });
+
+    it('should reject a port out of range', () => {
+      expect(() => parseTarget('printer.local:70000')).toThrow('Invalid raw printer port: 70000');
+    });
+  });
+
+  describe('buildPjl', () => {
+    it('should set copies and language and strip quotes from the job name', () => {
+      const { header, trailer } = buildPjl('PDF', 3, 'Club "Night"');
+
+      expect(header.toString('latin1')).toBe(
+        '\x1b%-12345X@PJL\r\n@PJL JOB NAME="Club Night"\r\n@PJL SET COPIES=3\r\n@PJL ENTER LANGUAGE=PDF\r\n'
+      );
+      expect(trailer.toString('latin1')).toBe('\x1b%-12345X@PJL EOJ NAME="Club Night"\r\n\x1b%-12345X');
+    });
+  });
+
+  describe('printPdfRaw', () => {
+    it('should stream the PDF wrapped in PJL to host:port', async () => {
+      const result = await printPdfRaw(pdfPath, { host: '127.0.0.1', port, copies: 2, jobName: 'Quiz' });
+      const data = await received;
+
+      const { header, trailer } = buildPjl('PDF', 2, 'Quiz');
+      expect(data.equals(Buffer.concat([header, pdf, trailer]))).toBe(true);
+      expect(result).toEqual({ target: `127.0.0.1:${port}`, bytes: data.length });
+    });
+
+    it('should send the document once per copy without PJL', async () => {
+      await printPdfRaw(pdfPath, { host: `127.0.0.1:${port}`, pjl: false, copies: 2 });
+
+      expect((await received).equals(Buffer.concat([pdf, pdf]))).toBe(true);
+    });
+
+    it('should convert to PCL with Ghostscript and remove the converted file', async () => {
+      execFile.mockImplementation((cmd, args, options, callback) => {
+        const output = args.find((a) => a.startsWith('-sOutputFile=')).slice('-sOutputFile='.length);
+        fs.writeFileSync(output, 'PCL-DATA');
+        callback(null, { stdout: '', stderr: '' });
+      });
+
+      await printPdfRaw(pdfPath, { host: '127.0.0.1', port, format: 'pcl', pjl: false });
+
+      expect(execFile).toHaveBeenCalledWith(
+        'gs',
+        expect.arrayContaining(['-sDEVICE=ljet4', `-sOutputFile=${pdfPath}.pcl`, pdfPath]),
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect((await received).toString()).toBe('PCL-DATA');
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(fs.existsSync(`${pdfPath}.pcl`)).toBe(false);
+    });
+
+    it('should fail without retry when Ghostscript is not installed', async () => {
+      execFile.mockImplementation((cmd, args, options, callback) => {
+        callback(Object.assign(new Error('spawn gs ENOENT'), { code: 'ENOENT' }));
+      });
+
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', port, format: 'postscript' })).rejects.toMatchObject({
+        message: expect.stringContaining('Ghostscript is required'),
+        retryable: false,
+      });
+    });
+
+    it('should fail without retry when Ghostscript cannot convert the PDF', async () => {
+      execFile.mockImplementation((cmd, args, options, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 1, stderr: 'Unrecoverable error' }));
+      });
+
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', port, format: 'pcl' })).rejects.toMatchObject({
+        message: 'Converting PDF to pcl failed: Unrecoverable error',
+        retryable: false,
+      });
+    });
+
+    it('should fail without retry when the converted file is missing', async () => {
+      execFile.mockImplementation((cmd, args, options, callback) => callback(null, { stdout: '', stderr: '' }));
+
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', port, format: 'postscript' })).rejects.toMatchObject({
+        code: 'ENOENT',
+        retryable: false,
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+    });
+
+    it('should report a refused connection as retryable', async () => {
+      const closed = net.createServer();
+      await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+      const closedPort = closed.address().port;
+      await new Promise((resolve) => closed.close(resolve));
+
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', port: closedPort })).rejects.toMatchObject({
+        code: 'ECONNREFUSED',
+        retryable: true,
+      });
+    });
+
+    it('should time out when the printer does not answer the connection', async () => {
+      const socket = Object.assign(new EventEmitter(), { destroy: jest.fn() });
+      const createConnection = jest.spyOn(net, 'createConnection').mockReturnValue(socket);
+
+      try {
+        await expect(printPdfRaw(pdfPath, { host: '192.0.2.1', connectTimeoutMs: 50 })).rejects.toMatchObject({
+          message: 'Connection to 192.0.2.1:9100 timed out after 50ms',
+          code: 'ETIMEDOUT',
+          retryable: true,
+        });
+        expect(socket.destroy).toHaveBeenCalled();
+      } finally {
+        createConnection.mockRestore();
+      }
+    });
+
+    it('should ignore status the printer sends back and finish while it keeps the connection open', async () => {
+      const sockets = [];
+      const chunks = [];
+      const printer = net.createServer({ allowHalfOpen: true }, (socket) => {
+        sockets.push(socket);
+        socket.on('data', (c) => chunks.push(c));
+        socket.write('@PJL USTATUS DEVICE\r\nCODE=10001\r\n');
+      });
+      await new Promise((resolve) => printer.listen(0, '127.0.0.1', resolve));
+      const { createConnection } = net;
+      let client;
+      const spy = jest.spyOn(net, 'createConnection').mockImplementation((...args) => {
+        client = createConnection(...args);
+        return client;
+      });
+
+      try {
+        const result = await printPdfRaw(pdfPath, {
+          host: '127.0.0.1',
+          port: printer.address().port,
+          pjl: false,
+          writeTimeoutMs: 100,
+        });
+
+        expect(result.bytes).toBe(pdf.length);
+        // The inactivity timeout after the job only closes the connection
+        await new Promise((resolve) => client.once('close', resolve));
+        expect(Buffer.concat(chunks).equals(pdf)).toBe(true);
+      } finally {
+        spy.mockRestore();
+        sockets.forEach((s) => s.destroy());
+        await new Promise((resolve) => printer.close(resolve));
+      }
+    });
+
+    it('should report a connection reset while sending as retryable', async () => {
+      onConnection = (socket) => socket.once('data', () => socket.resetAndDestroy());
+      const bigPath = `${pdfPath}.big`;
+      fs.writeFileSync(bigPath, Buffer.alloc(8 * 1024 * 1024));
+
+      try {
+        await expect(printPdfRaw(bigPath, { host: '127.0.0.1', port, pjl: false })).rejects.toMatchObject({
+          message: expect.stringContaining(`Sending to raw printer 127.0.0.1:${port} failed`),
+          retryable: true,
+        });
+      } finally {
+        fs.unlinkSync(bigPath);
+      }
+    });
+
+    it('should time out when the printer stops accepting data', async () => {
+      const sockets = [];
+      onConnection = (socket) => {
+        sockets.push(socket);
+        socket.pause();
+      };
+      const bigPath = `${pdfPath}.big`;
+      fs.writeFileSync(bigPath, Buffer.alloc(8 * 1024 * 1024));
+
+      try {
+        await expect(
+          printPdfRaw(bigPath, { host: '127.0.0.1', port, pjl: false, writeTimeoutMs: 200 })
+        ).rejects.toMatchObject({ code: 'ETIMEDOUT', retryable: true });
+      } finally {
+        sockets.forEach((s) => s.destroy());
+        fs.unlinkSync(bigPath);
+      }
+    });
+
+    it('should reject invalid copies and missing hosts before connecting', async () => {
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', copies: 0 })).rejects.toThrow('Invalid number of copies');
+      await expect(printPdfRaw(pdfPath, { host: null })).rejects.toThrow('requires a printer host');
+      await expect(printPdfRaw(pdfPath, { host: '127.0.0.1', format: 'escp' })).rejects.toThrow(
+        'Unsupported raw print format: escp'
+      );
+    });
+  });
+
+  describe('testRawConnection', () => {
+    it('should connect without sending data', async () => {
+      const result = await testRawConnection(`127.0.0.1:${port}`);
+
+      expect(result.target).toBe(`127.0.0.1:${port}`);
+      expect((await received).length).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const RosterExporter = require('../src/services/roster-exporter');
+const configSchema = require('../src/utils/config-schema');
+
+/**
+ * Reads one entry of a ZIP archive by walking its local file headers.
+ * @param {Buffer} zip - The archive
+ * @param {string} name - Entry name
+ * @returns {string|undefined} The entry's text, or undefined if there is none
+ */
+function readEntry(zip, name) {
+  for (let offset = 0; zip.readUInt32LE(offset) === 0x04034b50; ) {
+    const compressedSize = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    const dataStart = offset + 30 + nameLength + zip.readUInt16LE(offset + 28);
+    if (zip.toString('utf8', offset + 30, offset + 30 + nameLength) === name) {
+      return zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    }
+    offset = dataStart + compressedSize;
+  }
+  return undefined;
+}
+
+describe('RosterExporter', () => {
+  const event = { id: 'evt1', name: 'Quiz Night', startDate: '2025-03-01T18:00:00.000Z' };
+  const attendees = [
+    {
+      firstName: 'Zoë',
+      lastName: 'Ng',
+      phone: '+64 21 555 0100',
+      signUpDate: '2025-01-02T00:00:00.000Z',
+      hasFee: true,
+      isPaid: false,
+      rule: { name: 'Standard', fee: 25 },
+      fields: { dob: '1990-05-02', photoConsent: 'yes', note: '=HYPERLINK("http://x")', paid: '12.5' },
+    },
+    {
+      firstName: 'Al',
+      lastName: 'Brown',
+      hasFee: true,
+      isPaid: true,
+      hasMembershipRule: true,
+      rule: { name: 'Member', fee: 0 },
+      fields: { note: 'Table 4, near the door', photoConsent: 'no' },
+    },
+  ];
+  const layout = {
+    columns: [
+      { id: 'name', width: 140 },
+      { id: 'phone', width: 100 },
+      { id: 'fee', width: 60 },
+      { id: 'status', width: 60 },
+      { id: 'age', source: 'dob', format: 'age', header: 'Age', width: 40 },
+      { id: 'photo', source: 'photoConsent', format: 'tick', header: 'Photo', width: 30 },
+      { id: 'paid', source: 'paid', format: 'currency', header: 'Paid online', width: 60 },
+      { id: 'note', source: 'note', header: 'Note & comments', width: 80, maxLength: 5 },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-01T12:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should lay out the printed columns in the list order, keeping numbers and ticks typed', () => {
+    const { columns, rows } = new RosterExporter(event, attendees, layout).getTable();
+
+    expect(columns.map((c) => c.header)).toEqual([
+      'Name',
+      'Phone',
+      'Fee',
+      'Status',
+      'Age',
+      'Photo',
+      'Paid online',
+      'Note & comments',
+    ]);
+    expect(rows).toEqual([
+      ['Al Brown', null, 'Membership', 'Paid', null, false, null, 'Table 4, near the door'],
+      ['Zoë Ng', '+64 21 555 0100', 25, 'Owing', 34, true, 12.5, '=HYPERLINK("http://x")'],
+    ]);
+  });
+
+  it('should export what the privacy profile leaves on the printed list', () => {
+    const privacy = { maskPhone: true, abbreviateSurname: true, hideFees: true, omitColumns: ['note'] };
+    const { columns, rows } = new RosterExporter(event, attendees, layout, { privacy }).getTable();
+
+    expect(columns.map((c) => c.id)).toEqual(['name', 'phone', 'fee', 'status', 'age', 'photo', 'paid']);
+    expect(rows[1]).toEqual(['Zoë N.', '+•• •• ••• 0100', null, 'Owing', 34, true, null]);
+  });
+
+  it('should write CSV with translated text, quoted fields and formulas defused', () => {
+    const csv = new RosterExporter(event, attendees, layout, { locale: 'de-DE' }).toCsv();
+
+    expect(csv.startsWith('\uFEFFName,Telefon,Gebühr,Status,Age,Photo,Paid online,Note & comments\r\n')).toBe(true);
+    expect(csv.split('\r\n').slice(1)).toEqual([
+      'Al Brown,,Mitgliedschaft,Bezahlt,,Nein,,"Table 4, near the door"',
+      `Zoë Ng,+64 21 555 0100,25,Offen,34,Ja,12.5,"'=HYPERLINK(""http://x"")"`,
+      '',
+    ]);
+  });
+
+  it('should write JSON keyed by column id', () => {
+    const data = JSON.parse(new RosterExporter(event, attendees, layout).toJson());
+
+    expect(data.event).toEqual({ id: 'evt1', name: 'Quiz Night', startDate: '2025-03-01T18:00:00.000Z' });
+    expect(data.exportedAt).toBe('2025-03-01T12:00:00.000Z');
+    expect(data.columns[4]).toEqual({ id: 'age', header: 'Age' });
+    expect(data.attendees[1]).toEqual({
+      name: 'Zoë Ng',
+      phone: '+64 21 555 0100',
+      fee: 25,
+      status: 'Owing',
+      age: 34,
+      photo: true,
+      paid: 12.5,
+      note: '=HYPERLINK("http://x")',
+    });
+  });
+
+  it('should write an XLSX workbook with a bold, frozen header and typed cells', () => {
+    const xlsx = new RosterExporter(event, attendees, layout).toXlsx();
+
+    expect(readEntry(xlsx, '[Content_Types].xml')).toContain('/xl/worksheets/sheet1.xml');
+    expect(readEntry(xlsx, 'xl/workbook.xml')).toContain('<sheet name="Attendees" sheetId="1" r:id="rId1"/>');
+    expect(readEntry(xlsx, 'xl/styles.xml')).toContain('<numFmt numFmtId="164"');
+    const sheet = readEntry(xlsx, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    expect(sheet).toContain('<col min="1" max="1" width="25" customWidth="1"/>');
+    expect(sheet).toContain(
+      '<c r="H1" t="inlineStr" s="1"><is><t xml:space="preserve">Note &amp; comments</t></is></c></row>'
+    );
+    // Empty cells are left out; amounts use the currency style
+    expect(sheet).toContain(
+      '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">Al Brown</t></is></c>' +
+        '<c r="C2" t="inlineStr"><is><t xml:space="preserve">Membership</t></is></c>'
+    );
+    expect(sheet).toContain('<c r="C3" s="2"><v>25</v></c>');
+    expect(sheet).toContain('<c r="E3"><v>34</v></c><c r="F3" t="b"><v>1</v></c><c r="G3" s="2"><v>12.5</v></c>');
+    expect(sheet).toContain('<t xml:space="preserve">=HYPERLINK(&quot;http://x&quot;)</t>');
+  });
+
+  it('should save to a file in the project directory with the format extension', () => {
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+    const exporter = new RosterExporter(event, attendees, layout);
+
+    expect(exporter.save('json', 'attendees.json')).toBe(path.resolve(process.cwd(), 'attendees.json'));
+    expect(JSON.parse(writeFileSync.mock.calls[0][1].toString()).attendees).toHaveLength(2);
+    expect(() => exporter.save('csv', 'attendees.pdf')).toThrow('must end with .csv extension');
+    expect(() => exporter.save('csv', '../attendees.csv')).toThrow('must not contain directory paths');
+    expect(() => exporter.save('ods', 'attendees.ods')).toThrow('Unknown export format "ods". Use csv, xlsx, json');
+    expect(writeFileSync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should validate the exports config', () => {
+    const validate = (config) => configSchema.validate(config);
+
+    expect(validate({}).value.exports).toEqual({ formats: [], attach: false });
+    expect(validate({ exports: { formats: ['XLSX', 'csv'], attach: true } }).value.exports).toEqual({
+      formats: ['xlsx', 'csv'],
+      attach: true,
+    });
+    expect(validate({ rules: [{ name: 'r', match: { venue: 'Hall' }, exports: ['json'] }] }).error).toBeUndefined();
+    expect(validate({ exports: { formats: ['ods'] } }).error).toBeDefined();
+    expect(validate({ exports: { formats: ['csv', 'csv'] } }).error).toBeDefined();
+    expect(RosterExporter.EXPORT_FORMATS).toEqual(configSchema.extract('exports.formats').describe().items[0].allow);
+  });
+});
@@ -0,0 +1,61 @@
+const { attendeeKey, diffRosters, splitWaitlist } = require('../src/core/roster');
+
+describe('Roster', () => {
+  describe('attendeeKey', () => {
+    it('should prefer the attendee id, then email, then name', () => {
+      expect(attendeeKey({ id: 'a1', email: 'x@example.com', firstName: 'John' })).toBe('id:a1');
+      expect(attendeeKey({ email: 'John@Example.com', firstName: 'John' })).toBe('email:john@example.com');
+      expect(attendeeKey({ firstName: 'John', lastName: 'Doe' })).toBe('name:john doe');
+    });
+  });
+
+  describe('diffRosters', () => {
+    const john = { id: '1', firstName: 'John', lastName: 'Doe' };
+    const jane = { id: '2', firstName: 'Jane', lastName: 'Smith' };
+    const bob = { id: '3', firstName: 'Bob', lastName: 'Wilson' };
+
+    it('should find attendees added and removed since the earlier list', () => {
+      expect(diffRosters([john, jane], [jane, bob])).toEqual({ additions: [bob], cancellations: [john], changed: [] });
+    });
+
+    it('should treat a cancelled status as removed', () => {
+      const janeCancelled = { ...jane, status: 'Cancelled' };
+
+      expect(diffRosters([john, jane], [john, janeCancelled])).toMatchObject({ additions: [], cancellations: [jane] });
+      expect(diffRosters([janeCancelled], [jane])).toMatchObject({ additions: [jane], cancellations: [] });
+    });
+
+    it('should report no changes for the same attendees in a different order', () => {
+      expect(diffRosters([john, jane], [{ ...jane }, { ...john }])).toEqual({
+        additions: [],
+        cancellations: [],
+        changed: [],
+      });
+    });
+
+    it('should report status and fee state changes for attendees on both lists', () => {
+      const unpaid = { ...john, status: 'Attending', hasFee: true, isPaid: false };
+      const paid = { ...unpaid, isPaid: true };
+      const waitlisted = { ...jane, status: 'Waitlisted' };
+
+      expect(diffRosters([unpaid, { ...jane, status: 'Attending' }], [paid, waitlisted]).changed).toEqual([
+        { attendee: paid, changes: { isPaid: { from: false, to: true } } },
+        { attendee: waitlisted, changes: { status: { from: 'Attending', to: 'Waitlisted' } } },
+      ]);
+    });
+  });
+
+  describe('splitWaitlist', () => {
+    it('should split off waitlisted and pending attendees in sign-up order, leaving out cancellations', () => {
+      const confirmed = [{ firstName: 'Ann', status: 'Attending' }, { firstName: 'Ben' }];
+      const first = { firstName: 'Cal', status: ' PENDING ', signUpDate: '2025-01-02T08:00:00.000Z' };
+      const second = { firstName: 'Dot', status: 'Waitlisted', signUpDate: '2025-01-03T08:00:00.000Z' };
+      const undated = { firstName: 'Eve', status: 'waiting' };
+
+      expect(
+        splitWaitlist([undated, confirmed[0], second, { firstName: 'Fay', status: 'Cancelled' }, first, confirmed[1]])
+      ).toEqual({ confirmed, waitlist: [first, second, undated] });
+      expect(splitWaitlist([])).toEqual({ confirmed: [], waitlist: [] });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../src/services/logger');
+
+const {
+  matchesRule,
+  findMatchingRule,
+  findRuleByName,
+  isEventSelected,
+  resolveLeadMinutes,
+  applyRuleToLayout,
+} = require('../src/core/rule-engine');
+const logger = require('../src/services/logger');
+
+describe('Rule Engine', () => {
+  // 2025-01-04 is a Saturday; use local noon so the weekday is stable across time zones
+  const saturday = new Date(2025, 0, 4, 12, 0, 0).toISOString();
+  const event = {
+    id: 1,
+    name: 'Junior Coaching',
+    startDate: saturday,
+    categories: [{ name: 'NBA - Junior Events' }],
+    location: 'Court 1, Main Hall',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('matchesRule', () => {
+    it('should match on category (string or list)', () => {
+      expect(matchesRule(event, { name: 'r', match: { category: 'NBA - Junior Events' } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { category: ['Pickleball', 'NBA - Junior Events'] } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { category: 'Pickleball' } })).toBe(false);
+    });
+
+    it('should not match a category rule when the event has no categories', () => {
+      expect(matchesRule({ ...event, categories: undefined }, { name: 'r', match: { category: 'NBA' } })).toBe(false);
+    });
+
+    it('should match the name pattern case-insensitively', () => {
+      expect(matchesRule(event, { name: 'r', match: { namePattern: '^junior' } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { namePattern: '^senior' } })).toBe(false);
+    });
+
+    it('should not match and should warn on an invalid name pattern', () => {
+      expect(matchesRule(event, { name: 'bad', match: { namePattern: '(' } })).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Rule "bad" has an invalid namePattern'));
+    });
+
+    it('should match on weekday', () => {
+      expect(matchesRule(event, { name: 'r', match: { weekday: 'sat' } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { weekday: ['Mon', 'SAT'] } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { weekday: ['sun'] } })).toBe(false);
+    });
+
+    it('should match on venue as a case-insensitive substring', () => {
+      expect(matchesRule(event, { name: 'r', match: { venue: 'court 1' } })).toBe(true);
+      expect(matchesRule(event, { name: 'r', match: { venue: 'Court 2' } })).toBe(false);
+      expect(matchesRule({ ...event, location: { name: 'Court 1' } }, { name: 'r', match: { venue: 'court' } })).toBe(
+        true
+      );
+      expect(matchesRule({ ...event, location: null }, { name: 'r', match: { venue: 'court' } })).toBe(false);
+    });
+
+    it('should require every given criterion to match', () => {
+      const rule = { name: 'r', match: { category: 'NBA - Junior Events', weekday: 'sun' } };
+      expect(matchesRule(event, rule)).toBe(false);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('should return the first matching rule', () => {
+      const rules = [
+        { name: 'Pickleball', match: { category: 'Pickleball' } },
+        { name: 'Juniors', match: { namePattern: 'junior' } },
+        { name: 'Weekend', match: { weekday: ['sat', 'sun'] } },
+      ];
+      expect(findMatchingRule(event, rules).name).toBe('Juniors');
+    });
+
+    it('should return null when nothing matches or rules are missing', () => {
+      expect(findMatchingRule(event, [{ name: 'x', match: { category: 'Other' } }])).toBeNull();
+      expect(findMatchingRule(event, undefined)).toBeNull();
+    });
+  });
+
+  describe('findRuleByName', () => {
+    it('should look up a rule by name', () => {
+      const rules = [{ name: 'A', match: {} }];
+      expect(findRuleByName(rules, 'A')).toBe(rules[0]);
+      expect(findRuleByName(rules, 'B')).toBeNull();
+      expect(findRuleByName(rules, null)).toBeNull();
+    });
+  });
+
+  describe('isEventSelected', () => {
+    it('should select tagged, rule-matched and category-matched events', () => {
+      const rules = [{ name: 'Juniors', match: { namePattern: 'junior' } }];
+      expect(isEventSelected({ name: 'Other', description: 'print:' }, ['Pickleball'], rules)).toBe(true);
+      expect(isEventSelected(event, ['Pickleball'], rules)).toBe(true);
+      expect(isEventSelected({ name: 'Open', categories: [{ name: 'Pickleball' }] }, ['Pickleball'], rules)).toBe(true);
+      expect(isEventSelected({ name: 'Open', categories: [{ name: 'Tennis' }] }, ['Pickleball'], rules)).toBe(false);
+    });
+
+    it('should select all events when no categories are configured', () => {
+      expect(isEventSelected({ name: 'Anything' }, [], [])).toBe(true);
+    });
+  });
+
+  describe('resolveLeadMinutes', () => {
+    const config = { preEventQueryMinutes: 5, rules: [{ name: 'Juniors', match: {}, leadMinutes: 45 }] };
+
+    it('should prefer the tag, then the stored rule, then config', () => {
+      expect(resolveLeadMinutes({ leadMinutes: 30, ruleName: 'Juniors' }, config)).toBe(30);
+      expect(resolveLeadMinutes({ leadMinutes: null, ruleName: 'Juniors' }, config)).toBe(45);
+      expect(resolveLeadMinutes({ leadMinutes: null, ruleName: 'Removed' }, config)).toBe(5);
+      expect(resolveLeadMinutes({}, { preEventQueryMinutes: 5 })).toBe(5);
+    });
+  });
+
+  describe('applyRuleToLayout', () => {
+    const layout = { fontSize: 10, logo: 'global.png', columns: [{ id: 'name', header: 'Name', width: 140 }] };
+
+    it('should return the global layout unchanged without overrides', () => {
+      expect(applyRuleToLayout(layout, null)).toBe(layout);
+      expect(applyRuleToLayout(layout, { name: 'r', match: {}, copies: 2 })).toBe(layout);
+    });
+
+    it('should override columns and logo', () => {
+      const columns = [{ id: 'phone', header: 'Phone', width: 100 }];
+      expect(applyRuleToLayout(layout, { name: 'r', match: {}, columns, logo: null })).toEqual({
+        fontSize: 10,
+        logo: null,
+        columns,
+      });
+    });
+
+    it('should override grouping, including turning it off', () => {
+      expect(applyRuleToLayout(layout, { name: 'r', match: {}, groupBy: 'rule' })).toEqual({
+        ...layout,
+        groupBy: 'rule',
+      });
+      expect(
+        applyRuleToLayout({ ...layout, groupBy: 'paymentStatus' }, { name: 'r', match: {}, groupBy: null })
+      ).toEqual({
+        ...layout,
+        groupBy: null,
+      });
+    });
+
+    it('should override the sort order', () => {
+      const sort = [{ by: 'signUpDate', direction: 'asc' }];
+      expect(applyRuleToLayout({ ...layout, sort: ['lastName'] }, { name: 'r', match: {}, sort })).toEqual({
+        ...layout,
+        sort,
+      });
+    });
+  });
+});
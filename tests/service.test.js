@@ -32,7 +32,7 @@ const {
   getJobInfo,
 } = require('../src/core/database');
 
-const { processSingleEvent } = require('../src/core/functions');
+const { processSingleEvent, selectDaySheetEvents, printDaySheet } = require('../src/core/functions');
 const { notifyEventProcessed, notifyJobRetry, notifyPermanentFailure } = require('../src/utils/webhook');
 const logger = require('../src/services/logger');
 
@@ -171,6 +171,18 @@ describe('Service Module', () => {
       expect(scheduledJobs.has('event-1')).toBe(true);
     });
 
+    it('should skip the job when the event was already printed, e.g. on a day sheet', async () => {
+      const event = { id: 'event-1', name: 'Test Event', startDate: new Date(Date.now() + 3600000).toISOString() };
+      scheduleEvent(event, { preEventQueryMinutes: 5 });
+      mockStmt.get.mockReturnValue({ status: 'processed' });
+
+      await jest.advanceTimersByTimeAsync(3600000);
+
+      expect(processSingleEvent).not.toHaveBeenCalled();
+      expect(updateJobStatus).toHaveBeenCalledWith('event-1', 'completed');
+      expect(_getScheduledJobs().has('event-1')).toBe(false);
+    });
+
     it('should skip already scheduled events', () => {
       const scheduledJobs = _getScheduledJobs();
       scheduledJobs.set(
@@ -202,6 +214,147 @@ describe('Service Module', () => {
       expect(scheduledJobs.has('event-2')).toBe(false);
     });
 
+    it("should use the event's lead time from its print: tag over config", () => {
+      const startDate = new Date(Date.now() + 3600000); // 1 hour from now
+      const event = { id: 'event-4', name: 'Tagged Event', startDate: startDate.toISOString(), leadMinutes: 30 };
+
+      scheduleEvent(event, { preEventQueryMinutes: 5 });
+
+      const expectedTime = new Date(startDate.getTime() - 30 * 60 * 1000).toISOString();
+      expect(mockStmt.run).toHaveBeenCalledWith('event-4', 'Tagged Event', expectedTime);
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('in 30 minutes'));
+    });
+
+    it("should use the lead time of the event's stored rule when it has no tag lead time", () => {
+      const startDate = new Date(Date.now() + 3600000);
+      const event = {
+        id: 'event-6',
+        name: 'Junior Coaching',
+        startDate: startDate.toISOString(),
+        leadMinutes: null,
+        ruleName: 'Juniors',
+      };
+
+      scheduleEvent(event, {
+        preEventQueryMinutes: 5,
+        rules: [{ name: 'Juniors', match: { namePattern: '^junior' }, leadMinutes: 20 }],
+      });
+
+      const expectedTime = new Date(startDate.getTime() - 20 * 60 * 1000).toISOString();
+      expect(mockStmt.run).toHaveBeenCalledWith('event-6', 'Junior Coaching', expectedTime);
+    });
+
+    it('should fall back to config lead time when the event has none', () => {
+      const startDate = new Date(Date.now() + 3600000);
+      const event = { id: 'event-5', name: 'Untagged', startDate: startDate.toISOString(), leadMinutes: null };
+
+      scheduleEvent(event, { preEventQueryMinutes: 5 });
+
+      const expectedTime = new Date(startDate.getTime() - 5 * 60 * 1000).toISOString();
+      expect(mockStmt.run).toHaveBeenCalledWith('event-5', 'Untagged', expectedTime);
+    });
+
+    describe('reschedule on change', () => {
+      const startDate = new Date(Date.now() + 2 * 3600000).toISOString();
+      const row = { id: 'event-7', name: 'Quiz Night', startDate, status: 'pending', leadMinutes: 30 };
+      const printTime = (minutes) => new Date(new Date(startDate).getTime() - minutes * 60 * 1000).toISOString();
+
+      beforeEach(() => {
+        processSingleEvent.mockResolvedValue({ attendeeCount: 1 });
+      });
+
+      it("should move a scheduled job when the event's print: tag lead time was edited", async () => {
+        scheduleEvent(row, { preEventQueryMinutes: 5 });
+        mockStmt.get.mockReturnValueOnce({ status: 'scheduled', scheduled_time: printTime(30) });
+
+        scheduleEvent({ ...row, leadMinutes: 60 }, { preEventQueryMinutes: 5 });
+
+        expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('changed, rescheduling'));
+        expect(mockStmt.run).toHaveBeenLastCalledWith('event-7', 'Quiz Night', printTime(60));
+
+        mockStmt.get.mockReturnValue({ ...row, leadMinutes: 60 });
+        await jest.advanceTimersByTimeAsync(61 * 60 * 1000);
+        expect(processSingleEvent).toHaveBeenCalledTimes(1);
+
+        // The job at the old time was cancelled
+        await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+        expect(processSingleEvent).toHaveBeenCalledTimes(1);
+      });
+
+      it("should move a scheduled job when its rule's lead time was edited", async () => {
+        const ruled = { ...row, leadMinutes: null, ruleName: 'Quiz' };
+        const rules = (leadMinutes) => [{ name: 'Quiz', match: { namePattern: '^quiz' }, leadMinutes, copies: 2 }];
+        scheduleEvent(ruled, { preEventQueryMinutes: 5, rules: rules(20) });
+        mockStmt.get.mockReturnValueOnce({ status: 'scheduled', scheduled_time: printTime(20) });
+
+        scheduleEvent(ruled, { preEventQueryMinutes: 5, rules: rules(45) });
+
+        expect(mockStmt.run).toHaveBeenLastCalledWith('event-7', 'Quiz Night', printTime(45));
+        mockStmt.get.mockReturnValue(ruled);
+        await jest.advanceTimersByTimeAsync(76 * 60 * 1000);
+        expect(processSingleEvent).toHaveBeenCalledTimes(1);
+        expect(processSingleEvent).toHaveBeenCalledWith(expect.objectContaining({ ruleName: 'Quiz' }), {
+          preEventQueryMinutes: 5,
+          rules: rules(45),
+        });
+
+        await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+        expect(processSingleEvent).toHaveBeenCalledTimes(1);
+      });
+
+      it('should move a scheduled job when the event now matches another rule', () => {
+        const config = {
+          preEventQueryMinutes: 5,
+          rules: [
+            { name: 'Quiz', match: { namePattern: '^quiz' }, leadMinutes: 20 },
+            { name: 'Finals', match: { namePattern: 'final' }, leadMinutes: 90 },
+          ],
+        };
+        scheduleEvent({ ...row, leadMinutes: null, ruleName: 'Quiz' }, config);
+        mockStmt.get.mockReturnValueOnce({ status: 'scheduled', scheduled_time: printTime(20) });
+
+        scheduleEvent({ ...row, leadMinutes: null, ruleName: 'Finals' }, config);
+
+        expect(mockStmt.run).toHaveBeenLastCalledWith('event-7', 'Quiz Night', printTime(90));
+        expect(_getScheduledJobs().has('event-7')).toBe(true);
+      });
+
+      it('should keep the job when the print time moved by a minute or less', () => {
+        scheduleEvent(row, { preEventQueryMinutes: 5 });
+        const timeoutId = _getScheduledJobs().get('event-7');
+        mockStmt.get.mockReturnValueOnce({ status: 'scheduled', scheduled_time: printTime(30.5) });
+
+        scheduleEvent(row, { preEventQueryMinutes: 5 });
+
+        expect(_getScheduledJobs().get('event-7')).toBe(timeoutId);
+        expect(logger.debug).toHaveBeenCalledWith(expect.stringContaining('already has an active job'));
+      });
+
+      it('should not move a job that is already running or retrying', () => {
+        for (const status of ['processing', 'retrying']) {
+          mockStmt.get.mockReturnValueOnce({ status }).mockReturnValueOnce({ status, scheduled_time: printTime(30) });
+
+          scheduleEvent({ ...row, leadMinutes: 60 }, { preEventQueryMinutes: 5 });
+        }
+
+        expect(mockStmt.run).not.toHaveBeenCalled();
+        expect(_getScheduledJobs().has('event-7')).toBe(false);
+      });
+
+      it('should print the event as stored when the job runs, not as it was scheduled', async () => {
+        scheduleEvent(row, { preEventQueryMinutes: 5 });
+        mockStmt.get.mockReturnValue({ ...row, copies: 3, printMode: 'email' });
+
+        await jest.advanceTimersByTimeAsync(91 * 60 * 1000);
+
+        expect(mockDb.prepare).toHaveBeenCalledWith('SELECT * FROM events WHERE id = ?');
+        expect(processSingleEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'event-7', copies: 3, printMode: 'email' }),
+          expect.any(Object)
+        );
+      });
+    });
+
     it('should continue scheduling even if database persist fails', () => {
       mockStmt.run.mockImplementation(() => {
         throw new Error('DB write failed');
@@ -243,14 +396,23 @@ describe('Service Module', () => {
       const event = { id: 'event-1', name: 'Test Event' };
       const config = {
         webhook: { enabled: true, url: 'https://example.com/webhook' },
+        locale: 'de-DE',
+        timeZone: 'Europe/Berlin',
       };
 
-      processSingleEvent.mockResolvedValue({ attendeeCount: 5 });
+      const failedTargets = [{ target: 'local:Front_Desk', error: 'printer offline' }];
+      processSingleEvent.mockResolvedValue({ attendeeCount: 5, printTarget: 'email', failedTargets, revision: 2 });
       notifyEventProcessed.mockResolvedValue(undefined);
 
       await processEventWithRetry(event, config);
 
-      expect(notifyEventProcessed).toHaveBeenCalledWith(event, 5, 'https://example.com/webhook');
+      expect(notifyEventProcessed).toHaveBeenCalledWith(
+        event,
+        5,
+        'https://example.com/webhook',
+        { printTarget: 'email', failedTargets, revision: 2 },
+        { locale: 'de-DE', timeZone: 'Europe/Berlin' }
+      );
     });
 
     it('should call handleProcessingError on failure', async () => {
@@ -265,6 +427,65 @@ describe('Service Module', () => {
 
       expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error processing event'), error);
     });
+
+    describe('day sheet mode', () => {
+      const event = { id: 'event-1', name: 'Morning', startDate: '2025-03-15T09:00:00.000Z' };
+      const later = { id: 'event-2', name: 'Afternoon', startDate: '2025-03-15T14:00:00.000Z' };
+      const config = {
+        daySheet: { enabled: true, windowHours: 12 },
+        webhook: { enabled: true, url: 'https://example.com/webhook' },
+      };
+
+      it('should print the window on one sheet and complete every covered event', async () => {
+        selectDaySheetEvents.mockReturnValue([event, later]);
+        printDaySheet.mockResolvedValue({
+          events: [
+            { event, attendeeCount: 4 },
+            { event: later, attendeeCount: 0 },
+          ],
+          printTarget: 'local',
+          failedTargets: [],
+        });
+        _getScheduledJobs().set(
+          'event-2',
+          setTimeout(() => {}, 60000)
+        );
+
+        await processEventWithRetry(event, config);
+
+        expect(selectDaySheetEvents).toHaveBeenCalledWith(event.startDate, config);
+        expect(printDaySheet).toHaveBeenCalledWith([event, later], config);
+        expect(processSingleEvent).not.toHaveBeenCalled();
+        expect(_getScheduledJobs().has('event-2')).toBe(false);
+        expect(updateJobStatus).toHaveBeenCalledWith('event-2', 'completed');
+        expect(updateEventStatus).toHaveBeenCalledWith('event-2', 'processed');
+        expect(notifyEventProcessed).toHaveBeenCalledWith(
+          event,
+          4,
+          'https://example.com/webhook',
+          { printTarget: 'local', failedTargets: [] },
+          { locale: undefined, timeZone: undefined }
+        );
+        expect(notifyEventProcessed).toHaveBeenCalledWith(
+          later,
+          0,
+          'https://example.com/webhook',
+          { printTarget: undefined, failedTargets: undefined },
+          { locale: undefined, timeZone: undefined }
+        );
+      });
+
+      it('should retry through the triggering event when the sheet fails', async () => {
+        selectDaySheetEvents.mockReturnValue([event, later]);
+        printDaySheet.mockRejectedValue(new Error('printer offline'));
+        getJobInfo.mockReturnValue({ retry_count: 0, status: 'processing' });
+
+        await processEventWithRetry(event, config);
+
+        expect(incrementJobRetryCount).toHaveBeenCalledWith('event-1');
+        expect(updateEventStatus).not.toHaveBeenCalledWith('event-2', 'processed');
+      });
+    });
   });
 
   describe('handleProcessingError', () => {
@@ -295,6 +516,20 @@ describe('Service Module', () => {
       expect(updateEventStatus).toHaveBeenCalledWith('event-1', 'failed');
       expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('permanently failed'));
     });
+
+    it('should fail immediately without retrying errors marked not retryable', async () => {
+      const event = { id: 'event-1', name: 'Test Event' };
+      const config = { retry: { maxAttempts: 3, baseDelayMinutes: 5 } };
+      const error = Object.assign(new Error('Raw print mode requires raw.host'), { retryable: false });
+
+      getJobInfo.mockReturnValue({ retry_count: 0, status: 'processing' });
+
+      await handleProcessingError(event, config, error);
+
+      expect(incrementJobRetryCount).not.toHaveBeenCalled();
+      expect(updateJobStatus).toHaveBeenCalledWith('event-1', 'failed', error.message);
+      expect(updateEventStatus).toHaveBeenCalledWith('event-1', 'failed');
+    });
   });
 
   describe('scheduleRetry', () => {
@@ -350,7 +585,10 @@ describe('Service Module', () => {
 
       await handlePermanentFailure(event, config, error, 3);
 
-      expect(notifyPermanentFailure).toHaveBeenCalledWith(event, error.message, 3, 'https://example.com/webhook');
+      expect(notifyPermanentFailure).toHaveBeenCalledWith(event, error.message, 3, 'https://example.com/webhook', {
+        locale: undefined,
+        timeZone: undefined,
+      });
     });
   });
 
@@ -405,6 +643,36 @@ describe('Service Module', () => {
       expect(logger.error).toHaveBeenCalledWith('Error recovering pending jobs:', expect.any(Error));
     });
 
+    it('should carry print: tag settings into recovered jobs', () => {
+      const futureStart = new Date(Date.now() + 3600000);
+      mockStmt.all.mockReturnValue([
+        {
+          event_id: 'tagged-1',
+          event_name: 'Tagged Event',
+          scheduled_time: new Date(Date.now() + 60000).toISOString(),
+          startDate: futureStart.toISOString(),
+          leadMinutes: 45,
+          copies: 2,
+          printMode: 'local',
+        },
+      ]);
+
+      recoverPendingJobs({ preEventQueryMinutes: 5 });
+
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('e.leadMinutes, e.copies, e.printMode'));
+      const expectedTime = new Date(futureStart.getTime() - 45 * 60 * 1000).toISOString();
+      expect(mockStmt.run).toHaveBeenCalledWith('tagged-1', 'Tagged Event', expectedTime);
+
+      // The recovered job prints the event as stored, with its copies/print mode
+      mockStmt.get.mockReturnValue({ id: 'tagged-1', status: 'pending', copies: 2, printMode: 'local' });
+      processSingleEvent.mockResolvedValue({ attendeeCount: 1 });
+      jest.advanceTimersByTime(16 * 60 * 1000);
+      expect(processSingleEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'tagged-1', copies: 2, printMode: 'local' }),
+        expect.any(Object)
+      );
+    });
+
     it('should bypass isJobAlreadyScheduled during recovery', () => {
       // Simulate a recovered job: DB has status='scheduled' but no in-memory setTimeout
       const futureStart = new Date(Date.now() + 120000).toISOString();
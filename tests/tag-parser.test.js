@@ -0,0 +1,77 @@
+jest.mock('../src/services/logger');
+
+const { parseTag } = require('../src/core/tag-parser');
+const logger = require('../src/services/logger');
+
+describe('Tag Parser', () => {
+  describe('parseTag', () => {
+    it('should return null for null, empty or non-string descriptions', () => {
+      expect(parseTag(null)).toBeNull();
+      expect(parseTag(undefined)).toBeNull();
+      expect(parseTag('')).toBeNull();
+      expect(parseTag(42)).toBeNull();
+    });
+
+    it('should return null when the description has no tag', () => {
+      expect(parseTag('Weekly social session. Bring your own racquet.')).toBeNull();
+    });
+
+    it('should not match print: inside another word', () => {
+      expect(parseTag('blueprint: do not print')).toBeNull();
+    });
+
+    it('should select the event with all-null params for a bare tag', () => {
+      expect(parseTag('print:')).toEqual({ leadMinutes: null, copies: null, printMode: null });
+    });
+
+    it('should parse lead time in minutes', () => {
+      expect(parseTag('print: 30min').leadMinutes).toBe(30);
+      expect(parseTag('print: 45 minutes').leadMinutes).toBe(45);
+    });
+
+    it('should parse copies', () => {
+      expect(parseTag('print: 2copies').copies).toBe(2);
+      expect(parseTag('print: 1copy').copies).toBe(1);
+      expect(parseTag('print: 3 copies').copies).toBe(3);
+    });
+
+    it('should parse print mode', () => {
+      expect(parseTag('print: local').printMode).toBe('local');
+      expect(parseTag('print: email').printMode).toBe('email');
+      expect(parseTag('print: ipp').printMode).toBe('ipp');
+      expect(parseTag('print: raw').printMode).toBe('raw');
+    });
+
+    it('should parse a combined tag', () => {
+      expect(parseTag('print: 30min 2copies local')).toEqual({ leadMinutes: 30, copies: 2, printMode: 'local' });
+    });
+
+    it('should be case-insensitive and tolerate extra whitespace', () => {
+      expect(parseTag('PRINT:   15MIN    LOCAL  ')).toEqual({ leadMinutes: 15, copies: null, printMode: 'local' });
+    });
+
+    it('should find the tag anywhere and stop at the end of the line', () => {
+      const description = 'Junior coaching session\nprint: 20min email\nlocal 5copies are not part of the tag';
+      expect(parseTag(description)).toEqual({ leadMinutes: 20, copies: null, printMode: 'email' });
+    });
+
+    it('should tolerate markdown wrapping', () => {
+      expect(parseTag('**print: 30min 2copies**')).toEqual({ leadMinutes: 30, copies: 2, printMode: null });
+      expect(parseTag('_print:_ `local`')).toEqual({ leadMinutes: null, copies: null, printMode: 'local' });
+    });
+
+    it('should ignore out-of-range values but still select the event', () => {
+      expect(parseTag('print: 0min 20copies')).toEqual({ leadMinutes: null, copies: null, printMode: null });
+      expect(parseTag('print: 2000min').leadMinutes).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('out-of-range'));
+    });
+
+    it('should ignore unrecognized tokens and accept "enabled" silently', () => {
+      expect(parseTag('print: enabled')).toEqual({ leadMinutes: null, copies: null, printMode: null });
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      expect(parseTag('print: 30mins fax')).toEqual({ leadMinutes: 30, copies: null, printMode: null });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('"fax"'));
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { standardFontHasGlyph, splitTextRuns } = require('../src/utils/text-runs');
+
+describe('Text runs', () => {
+  const helvetica = { hasGlyph: standardFontHasGlyph };
+  const unicode = { hasGlyph: () => true };
+
+  it('should know which characters the built-in fonts can print', () => {
+    expect(standardFontHasGlyph('é'.codePointAt(0))).toBe(true);
+    expect(standardFontHasGlyph('€'.codePointAt(0))).toBe(true);
+    expect(standardFontHasGlyph('ā'.codePointAt(0))).toBe(false);
+    expect(standardFontHasGlyph('Ж'.codePointAt(0))).toBe(false);
+  });
+
+  it('should keep text the primary font can print in one run', () => {
+    expect(splitTextRuns('Zoë Brontë', [helvetica, unicode])).toEqual({
+      rtl: false,
+      runs: [{ text: 'Zoë Brontë', font: 0, rtl: false }],
+    });
+    expect(splitTextRuns('', [helvetica])).toEqual({ rtl: false, runs: [] });
+  });
+
+  it('should fall back per glyph and keep combining marks with their letter', () => {
+    expect(splitTextRuns('Mere Tāwhiri', [helvetica, unicode]).runs.map((run) => [run.text, run.font])).toEqual([
+      ['Mere T', 0],
+      ['ā', 1],
+      ['whiri', 0],
+    ]);
+    expect(splitTextRuns('Māori', [unicode]).runs).toHaveLength(1);
+  });
+
+  it('should order right-to-left text for drawing left to right', () => {
+    expect(splitTextRuns('דוד כהן', [helvetica, unicode])).toEqual({
+      rtl: true,
+      runs: [{ text: 'דוד כהן', font: 1, rtl: true }],
+    });
+    // A Latin word inside Arabic text: the first Arabic word is read first, so it is drawn rightmost, and
+    // the spaces next to the Latin word follow the text's direction
+    expect(splitTextRuns('أحمد Ali علي', [helvetica, unicode]).runs.map((run) => run.text)).toEqual([
+      'علي',
+      ' ',
+      'Ali',
+      'أحمد ',
+    ]);
+  });
+});
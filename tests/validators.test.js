@@ -28,6 +28,15 @@ describe('Validators', () => {
       expect(result.categories).toHaveLength(2);
     });
 
+    it('should read the capacity from the attendee limit', () => {
+      const event = { id: 'event123', name: 'Test Event', startDate: '2026-03-15T10:00:00Z' };
+
+      expect(validateEvent({ ...event, attendeeLimit: 24 }).capacity).toBe(24);
+      expect(validateEvent(event).capacity).toBeNull();
+      expect(validateEvent({ ...event, attendeeLimit: 0 }).capacity).toBeNull();
+      expect(validateEvent({ ...event, attendeeLimit: '24' }).capacity).toBeNull();
+    });
+
     it('should throw error for missing id', () => {
       const event = {
         name: 'Test Event',
@@ -120,6 +129,24 @@ describe('Validators', () => {
       expect(result.status).toBe('unknown');
     });
 
+    it('should keep the attendee id as a string', () => {
+      expect(validateAttendee({ id: 101, firstName: 'John' }).id).toBe('101');
+      expect(validateAttendee({ firstName: 'John' }).id).toBeNull();
+    });
+
+    it('should keep the raw API fields for custom columns', () => {
+      const attendee = JSON.parse(
+        '{"firstName":"John","emergencyContact":{"name":"Mary","phone":"021 555"},"__proto__":{"admin":true}}'
+      );
+
+      const result = validateAttendee(attendee);
+
+      expect(result.fields.emergencyContact).toEqual({ name: 'Mary', phone: '021 555' });
+      expect(result.fields.firstName).toBe('John');
+      expect(Object.prototype.hasOwnProperty.call(result.fields, '__proto__')).toBe(false);
+      expect(result.fields.admin).toBeUndefined();
+    });
+
     it('should trim whitespace from strings', () => {
       const attendee = {
         firstName: '  John  ',
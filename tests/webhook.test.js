@@ -10,6 +10,7 @@ const logger = require('../src/services/logger');
 const {
   sendWebhook,
   notifyEventProcessed,
+  notifyAddendumPrinted,
   notifyEventFailed,
   notifyJobRetry,
   notifyPermanentFailure,
@@ -174,11 +175,116 @@ describe('Webhook Module', () => {
             eventDate: '2025-01-01T10:00:00Z',
             attendeeCount: 25,
             status: 'success',
+            printTarget: null,
+            failedTargets: [],
+            revision: null,
+            capacity: null,
+            waitlistCount: 0,
           }),
         }),
         expect.any(Object)
       );
     });
+
+    it('should add the event time for display in the configured locale and time zone', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: {} });
+      const event = { id: '123', name: 'Test Event', startDate: '2025-01-01T10:00:00Z' };
+
+      await notifyEventProcessed(
+        event,
+        25,
+        'https://example.com/webhook',
+        {},
+        {
+          locale: 'de-DE',
+          timeZone: 'Pacific/Auckland',
+        }
+      );
+      await notifyEventProcessed({ id: '124', name: 'No Date' }, 1, 'https://example.com/webhook');
+
+      const [[, withDate], [, withoutDate]] = axios.post.mock.calls;
+      expect(withDate.data.eventDate).toBe('2025-01-01T10:00:00Z');
+      expect(withDate.data.eventDateDisplay).toBe('1. Jan. 2025, 23:00');
+      expect(withoutDate.data.eventDateDisplay).toBeNull();
+    });
+
+    it('should report the print target used and the targets that failed', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: {} });
+      const failedTargets = [{ target: 'local:Front_Desk', error: 'printer offline' }];
+
+      await notifyEventProcessed({ id: '123', name: 'Test Event' }, 25, 'https://example.com/webhook', {
+        printTarget: 'email',
+        failedTargets,
+      });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://example.com/webhook',
+        expect.objectContaining({
+          data: expect.objectContaining({ printTarget: 'email', failedTargets }),
+        }),
+        expect.any(Object)
+      );
+    });
+
+    it('should report the revision of the printed list', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: {} });
+
+      await notifyEventProcessed({ id: '123', name: 'Test Event' }, 25, 'https://example.com/webhook', {
+        printTarget: 'email',
+        revision: 2,
+      });
+
+      expect(axios.post.mock.calls[0][1].data.revision).toBe(2);
+    });
+
+    it('should report the confirmed attendees against the capacity, and the waitlist', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: {} });
+
+      await notifyEventProcessed({ id: '123', name: 'Test Event' }, 20, 'https://example.com/webhook', {
+        printTarget: 'email',
+        capacity: 20,
+        waitlistCount: 3,
+      });
+
+      expect(axios.post.mock.calls[0][1].data).toMatchObject({ attendeeCount: 20, capacity: 20, waitlistCount: 3 });
+    });
+  });
+
+  describe('notifyAddendumPrinted', () => {
+    it('should send the additions and cancellations since the previous printout', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: {} });
+
+      await notifyAddendumPrinted(
+        { id: '123', name: 'Test Event', startDate: '2025-01-01T10:00:00Z' },
+        {
+          since: '2025-01-01T09:30:00.000Z',
+          additions: [{ firstName: 'Late', lastName: 'Comer' }],
+          cancellations: [{ firstName: 'Gone', lastName: '' }],
+          printTarget: 'local',
+        },
+        'https://example.com/webhook',
+        { locale: 'en-GB', timeZone: 'UTC' }
+      );
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://example.com/webhook',
+        expect.objectContaining({
+          event: 'event.addendum',
+          data: {
+            eventId: '123',
+            eventName: 'Test Event',
+            eventDate: '2025-01-01T10:00:00Z',
+            eventDateDisplay: '1 Jan 2025, 10:00',
+            since: '2025-01-01T09:30:00.000Z',
+            sinceDisplay: '1 Jan 2025, 09:30',
+            additions: ['Late Comer'],
+            cancellations: ['Gone'],
+            printTarget: 'local',
+          },
+        }),
+        expect.any(Object)
+      );
+    });
   });
 
   describe('notifyEventFailed', () => {
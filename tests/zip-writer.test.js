@@ -0,0 +1,62 @@
+const zlib = require('zlib');
+const { createZip, crc32 } = require('../src/utils/zip-writer');
+
+/**
+ * Reads the entries of an archive through its central directory.
+ * @param {Buffer} zip - The archive
+ * @returns {Array<{name: string, data: Buffer, crc: number}>} Entries
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(offset)).toBe(0x02014b50);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    expect(zip.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const compressedSize = zip.readUInt32LE(localOffset + 18);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    expect(data.length).toBe(zip.readUInt32LE(localOffset + 22));
+
+    entries.push({ name, data, crc: zip.readUInt32LE(offset + 16) });
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+describe('ZIP writer', () => {
+  it('should compute the standard CRC-32 check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('should write deflated entries readable through the central directory', () => {
+    const zip = createZip([
+      { name: 'a.txt', data: 'hello '.repeat(100) },
+      { name: 'dir/é.bin', data: Buffer.from([0, 1, 2, 255]) },
+    ]);
+
+    const entries = readZip(zip);
+
+    expect(entries.map((e) => e.name)).toEqual(['a.txt', 'dir/é.bin']);
+    expect(entries[0].data.toString()).toBe('hello '.repeat(100));
+    expect([...entries[1].data]).toEqual([0, 1, 2, 255]);
+    entries.forEach((entry) => expect(entry.crc).toBe(crc32(entry.data)));
+    // UTF-8 names are flagged
+    expect(zip.readUInt16LE(6) & 0x0800).toBe(0x0800);
+  });
+
+  it('should stamp entries with the modification time in MS-DOS format', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'a' }], { modified: new Date(2025, 0, 15, 10, 30, 20) });
+
+    expect(zip.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(zip.readUInt16LE(12)).toBe((45 << 9) | (1 << 5) | 15);
+  });
+});
@@ -7,6 +7,7 @@
 'use strict';
 
 const path = require('path');
+const { findMatchingRule, isEventSelected, applyRuleToLayout } = require('../src/core/rule-engine');
 
 /**
  * Test API connection to Hello Club API
@@ -180,13 +181,65 @@ function parseSmtpError(error) {
 }
 
 /**
- * Test local print connection (CUPS on Linux/Raspberry Pi)
- * Checks if CUPS is available and a printer is configured.
+ * Test a raw TCP (JetDirect) printer by opening a connection to it. Nothing is printed.
+ * @param {string} host - Printer host, optionally with `:port`
+ * @param {number} [port] - Port when the host has none (default 9100)
  * @returns {Promise<{success: boolean, message: string, details: object}>}
  */
-async function testPrintConnection() {
+async function testRawPrintConnection(host, port) {
+  if (!host) {
+    return {
+      success: false,
+      message: 'No raw printer host configured. Set the printer host (e.g. 192.168.1.60).',
+      details: { error: 'Missing raw.host' },
+    };
+  }
+
+  try {
+    const { testRawConnection } = require('../src/services/raw-printer');
+    const { target, responseTime } = await testRawConnection(host, { port });
+    return {
+      success: true,
+      message: `Raw printer ${target} accepted the connection (${responseTime}ms)`,
+      details: { target, responseTime, timestamp: new Date().toISOString() },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `${error.message}. Check the printer is on and the host/port are correct.`,
+      details: { error: error.message, code: error.code, timestamp: new Date().toISOString() },
+    };
+  }
+}
+
+/**
+ * Test local print connection (CUPS on Linux/Raspberry Pi, or a raw TCP printer)
+ * Checks if CUPS is available and a printer is configured. In raw mode it connects to the
+ * printer's socket instead; the mode defaults to `printMode` from config.json.
+ * @param {Object} [options] - Values from the dashboard form (may be unsaved)
+ * @param {string} [options.mode] - Print mode to test
+ * @param {string} [options.host] - Raw printer host
+ * @param {number} [options.port] - Raw printer port
+ * @returns {Promise<{success: boolean, message: string, details: object}>}
+ */
+async function testPrintConnection(options = {}) {
   const startTime = Date.now();
 
+  let config = {};
+  try {
+    const fs = require('fs');
+    config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  } catch (_e) {
+    // No config.json yet
+  }
+  const primaryTarget = [].concat(config.printMode || 'local')[0];
+  if ((options.mode || primaryTarget.mode || primaryTarget) === 'raw') {
+    return testRawPrintConnection(
+      options.host || primaryTarget.host || config.raw?.host || process.env.PRINTER_RAW_HOST,
+      options.port || primaryTarget.port || config.raw?.port
+    );
+  }
+
   try {
     const { execFile } = require('child_process');
     const { promisify } = require('util');
@@ -312,12 +365,7 @@ async function testPrintWithEvent() {
 
     // Filter by categories
     const allowedCategories = config.categories || [];
-    const filteredEvents =
-      allowedCategories.length > 0
-        ? allEvents.filter(
-            (e) => Array.isArray(e.categories) && e.categories.some((cat) => allowedCategories.includes(cat.name))
-          )
-        : allEvents;
+    const filteredEvents = allEvents.filter((e) => isEventSelected(e, allowedCategories, config.rules));
 
     if (filteredEvents.length === 0) {
       return {
@@ -362,7 +410,9 @@ async function testPrintWithEvent() {
     await new Promise((resolve) => setTimeout(resolve, 500));
 
     // Print the PDF based on printMode
-    const printMode = config.printMode || 'email';
+    // Test prints go to the first target of a failover chain
+    const primaryTarget = [].concat(config.printMode || 'email')[0];
+    const printMode = primaryTarget.mode ?? primaryTarget;
     console.log('Print mode:', printMode);
 
     if (printMode === 'local') {
@@ -370,7 +420,14 @@ async function testPrintWithEvent() {
       if (envConfig.PRINTER_NAME) {
         process.env.PRINTER_NAME = envConfig.PRINTER_NAME;
       }
-      await printPdf(outputFilename);
+      await printPdf(outputFilename, 1, primaryTarget.printer ?? process.env.PRINTER_NAME);
+    } else if (printMode === 'raw') {
+      const { printPdfRaw } = require('../src/services/raw-printer');
+      await printPdfRaw(path.resolve(process.cwd(), outputFilename), {
+        ...config.raw,
+        host: config.raw?.host || envConfig.PRINTER_RAW_HOST,
+        jobName: event.name,
+      });
     } else {
       // Email printing - this will be sent to the printer email, notification email is separate
       console.log('Skipping direct print (email mode) - will send notification email only');
@@ -499,12 +556,7 @@ async function simulateEventTrigger() {
 
     // Filter by categories (same as service does)
     const allowedCategories = config.categories || [];
-    const filteredEvents =
-      allowedCategories.length > 0
-        ? allEvents.filter(
-            (e) => Array.isArray(e.categories) && e.categories.some((cat) => allowedCategories.includes(cat.name))
-          )
-        : allEvents;
+    const filteredEvents = allEvents.filter((e) => isEventSelected(e, allowedCategories, config.rules));
 
     console.log(`🔍 Filtered to ${filteredEvents.length} events matching categories:`, allowedCategories);
 
@@ -545,14 +597,20 @@ async function simulateEventTrigger() {
     console.log('📄 Generating PDF...');
     const outputFilename = config.outputFilename || 'attendees.pdf';
     const PdfGenerator = require('../src/services/pdf-generator');
-    const pdfLayout = config.pdfLayout || {};
+    const rule = findMatchingRule(event, config.rules);
+    if (rule) {
+      console.log(`📐 Matched rule: "${rule.name}"`);
+    }
+    const pdfLayout = applyRuleToLayout(config.pdfLayout || {}, rule);
     const generator = new PdfGenerator(event, attendees, pdfLayout);
     generator.generate(outputFilename);
     await new Promise((resolve) => setTimeout(resolve, 500));
     console.log(`✅ PDF generated: ${outputFilename}`);
 
     // Print based on mode (same as service does)
-    const printMode = config.printMode || 'email';
+    // Simulations deliver to the first target of a failover chain
+    const primaryTarget = [].concat(rule?.printMode || config.printMode || 'email')[0];
+    const printMode = primaryTarget.mode ?? primaryTarget;
     console.log(`🖨️  Print mode: ${printMode}`);
 
     let printMethod = '';
@@ -562,9 +620,40 @@ async function simulateEventTrigger() {
         process.env.PRINTER_NAME = envConfig.PRINTER_NAME;
       }
       const { printPdf } = require('../src/services/cups-printer');
-      await printPdf(outputFilename);
+      await printPdf(
+        outputFilename,
+        rule?.copies ?? 1,
+        primaryTarget.printer ?? rule?.printer ?? process.env.PRINTER_NAME
+      );
       console.log('✅ Sent to CUPS printer');
       printMethod = 'CUPS';
+    } else if (printMode === 'ipp') {
+      // Direct IPP printing
+      const printerUri = config.ipp?.printerUri || envConfig.PRINTER_IPP_URI;
+      if (!printerUri) {
+        throw new Error('IPP print mode requires ipp.printerUri in config.json or PRINTER_IPP_URI');
+      }
+      const { printPdfIpp } = require('../src/services/ipp-printer');
+      const job = await printPdfIpp(outputFilename, printerUri, {
+        copies: rule?.copies ?? 1,
+        sides: config.ipp?.sides,
+        media: config.ipp?.media,
+        finishings: config.ipp?.finishings,
+        jobName: event.name,
+      });
+      console.log(`✅ Sent to IPP printer ${printerUri} (job ${job.jobId ?? 'unknown'})`);
+      printMethod = 'IPP';
+    } else if (printMode === 'raw') {
+      // Raw TCP (JetDirect) printing
+      const { printPdfRaw } = require('../src/services/raw-printer');
+      const { target } = await printPdfRaw(path.resolve(process.cwd(), outputFilename), {
+        ...config.raw,
+        host: config.raw?.host || envConfig.PRINTER_RAW_HOST,
+        copies: rule?.copies ?? 1,
+        jobName: event.name,
+      });
+      console.log(`✅ Sent to raw printer ${target}`);
+      printMethod = 'Raw';
     } else if (printMode === 'email') {
       // Email printing
       if (envConfig.SMTP_HOST && envConfig.SMTP_USER && envConfig.SMTP_PASS && envConfig.PRINTER_EMAIL) {
@@ -8,7 +8,27 @@ let configChanged = false;
 
 // --- Helpers ---
 const $ = (sel) => document.querySelector(sel);
-const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const esc = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+// A string argument for an inline handler: a JS string literal, escaped for the attribute it sits in
+const jsArg = (s) => esc(JSON.stringify(String(s)));
+
+// Locale and time zone from config.json, so event times read the same as on the printouts
+let displayFormat = null;
+
+function formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  const { locale, timeZone } = displayFormat || {};
+  try {
+    return new Date(value).toLocaleString(locale || undefined, { ...options, timeZone: timeZone || undefined });
+  } catch (e) {
+    // An invalid locale or time zone in a hand-edited config.json
+    return new Date(value).toLocaleString();
+  }
+}
+
+function formatTime(value) {
+  return formatDateTime(value, { timeStyle: 'short' });
+}
 
 async function api(method, endpoint, body) {
   const opts = { method, headers: { 'Content-Type': 'application/json' } };
@@ -94,7 +114,7 @@ function renderUpcomingEvents(events) {
       const scheduledTime = new Date(e.scheduledTime);
       return `<div class="activity-item ${cls}">
         <div class="activity-item-title">${esc(e.eventName)} <span class="text-muted">(${e.status})</span></div>
-        <div class="activity-item-meta">Event: ${eventDate.toLocaleString()} · Print: ${scheduledTime.toLocaleString()}</div>
+        <div class="activity-item-meta">Event: ${formatDateTime(eventDate)} · Print: ${formatDateTime(scheduledTime)}${e.ruleName ? ` · Rule: ${esc(e.ruleName)}` : ''}</div>
       </div>`;
     })
     .join('');
@@ -118,18 +138,292 @@ function renderActivity(activities) {
               : '';
       return `<div class="activity-item ${cls}">
         <div class="activity-item-title">${esc(a.eventName)} <span class="text-muted">(${a.status})</span></div>
-        <div class="activity-item-meta">ID: ${a.eventId} · ${new Date(a.eventDate).toLocaleString()}${a.retryCount ? ` · Retries: ${a.retryCount}` : ''}</div>
+        <div class="activity-item-meta">ID: ${a.eventId} · ${formatDateTime(a.eventDate)}${a.retryCount ? ` · Retries: ${a.retryCount}` : ''}${a.printTarget ? ` · Printed via: ${esc(a.printTarget)}` : ''}</div>
         ${a.error ? `<div class="activity-item-error">${esc(a.error)}</div>` : ''}
       </div>`;
     })
     .join('');
 }
 
+const ARCHIVE_LIMIT = 20;
+
+function renderArchive(entries) {
+  const container = $('#print-archive');
+  if (!entries.length) {
+    container.innerHTML = '<div class="empty-state">No archived PDFs</div>';
+    return;
+  }
+  container.innerHTML = entries
+    .slice(0, ARCHIVE_LIMIT)
+    .map((a) => {
+      const pdfUrl = `/api/archive/${encodeURIComponent(a.eventId)}/${encodeURIComponent(a.id)}/pdf`;
+      return `<div class="activity-item">
+        <div class="activity-item-title" style="display:flex;justify-content:space-between;align-items:center;">
+          <span>${esc(a.eventName || a.eventId)}</span>
+          <span class="btn-group">
+            <a class="btn btn-sm" href="${pdfUrl}" target="_blank">View</a>
+            <button class="btn btn-sm" onclick="reprintArchived(${jsArg(a.eventId)}, ${jsArg(a.id)})">Reprint</button>
+          </span>
+        </div>
+        <div class="activity-item-meta">Printed: ${formatDateTime(a.printedAt)}${a.printTarget ? ` via ${esc(a.printTarget)}` : ''}${a.attendeeCount != null ? ` · ${a.attendeeCount} attendees` : ''}${a.revision > 1 ? ` · Revision ${a.revision}` : ''}${a.reprints && a.reprints.length ? ` · Reprinted ${a.reprints.length}x` : ''}</div>
+      </div>`;
+    })
+    .join('');
+}
+
+async function reprintArchived(eventId, archiveId) {
+  if (!confirm('Re-deliver this archived sheet exactly as it was originally printed?')) return;
+  showAlert('dashboard', 'info', 'Reprinting archived PDF...', false);
+  try {
+    const result = await api(
+      'POST',
+      `/archive/${encodeURIComponent(eventId)}/${encodeURIComponent(archiveId)}/reprint`
+    );
+    if (result.success) {
+      showAlert('dashboard', 'success', result.message);
+      loadDashboard();
+    } else {
+      showAlert('dashboard', 'error', 'Reprint failed: ' + result.error);
+    }
+  } catch (e) {
+    showAlert('dashboard', 'error', 'Reprint failed: ' + e.message);
+  }
+}
+
+async function printDaySheet() {
+  const hours = prompt('Print one day sheet for all events starting in the next how many hours?', '12');
+  if (hours === null) return;
+  showAlert('dashboard', 'info', 'Printing day sheet...', false);
+  try {
+    const result = await api('POST', '/day-sheet', { hours: parseInt(hours) || undefined });
+    if (result.success) {
+      showAlert('dashboard', 'success', result.message);
+      loadDashboard();
+    } else {
+      showAlert('dashboard', 'error', 'Day sheet failed: ' + result.error);
+    }
+  } catch (e) {
+    showAlert('dashboard', 'error', 'Day sheet failed: ' + e.message);
+  }
+}
+
+// --- Attendee History ---
+
+let snapshotEvents = [];
+let snapshotEventId = null;
+
+const SNAPSHOT_KINDS = { roster: 'Printed list', addendum: 'Addendum' };
+
+function snapshotLabel(s) {
+  return `${SNAPSHOT_KINDS[s.kind] || s.kind} · ${formatDateTime(s.takenAt)}`;
+}
+
+function attendeeName(a) {
+  return [a.firstName, a.lastName].filter(Boolean).join(' ') || '(no name)';
+}
+
+function feeState(a) {
+  if (!a.hasFee) return 'No fee';
+  return a.isPaid ? 'Paid' : 'Unpaid';
+}
+
+function renderAttendeeHistory(events) {
+  snapshotEvents = events;
+  const container = $('#attendee-history');
+  if (!events.length) {
+    container.innerHTML = '<div class="empty-state">No printed attendee lists recorded</div>';
+    return;
+  }
+  container.innerHTML = events
+    .map(
+      (e) => `<div class="activity-item">
+        <div class="activity-item-title" style="display:flex;justify-content:space-between;align-items:center;">
+          <span>${esc(e.name)}</span>
+          <button class="btn btn-sm" onclick="openSnapshotHistory(${jsArg(e.id)})">History</button>
+        </div>
+        <div class="activity-item-meta">Event: ${formatDateTime(e.startDate)} · ${e.snapshotCount} list(s) · Last printed: ${formatDateTime(e.lastTakenAt)}</div>
+      </div>`
+    )
+    .join('');
+}
+
+async function openSnapshotHistory(eventId) {
+  const event = snapshotEvents.find((e) => e.id === eventId);
+  snapshotEventId = eventId;
+  $('#snapshot-modal-title').textContent = `Attendee History: ${event ? event.name : eventId}`;
+  const exportBase = `/api/events/${encodeURIComponent(eventId)}/roster/export`;
+  for (const format of ['csv', 'xlsx', 'json']) {
+    $(`#roster-export-${format}`).href = `${exportBase}?format=${format}`;
+  }
+  $('#snapshot-list').innerHTML = '<div class="empty-state">Loading...</div>';
+  $('#snapshot-detail').innerHTML = '';
+  $('#snapshot-modal').style.display = 'flex';
+  try {
+    const result = await api('GET', `/events/${encodeURIComponent(eventId)}/snapshots`);
+    if (!result.success) throw new Error(result.error);
+    $('#snapshot-list').innerHTML = result.data
+      .map(
+        (s) => `<div class="activity-item">
+        <div class="activity-item-title" style="display:flex;justify-content:space-between;align-items:center;">
+          <span>${esc(snapshotLabel(s))}</span>
+          <span>
+            <a class="btn btn-sm" href="${exportBase}?format=xlsx&snapshot=${s.id}">XLSX</a>
+            <button class="btn btn-sm" onclick="showSnapshot(${s.id})">View</button>
+          </span>
+        </div>
+        <div class="activity-item-meta">${s.attendeeCount} attendees${s.printTarget ? ` · Printed via ${esc(s.printTarget)}` : ''}</div>
+      </div>`
+      )
+      .join('');
+    const options = result.data.map((s) => `<option value="${s.id}">${esc(snapshotLabel(s))}</option>`).join('');
+    // Defaults to what changed since the latest printout
+    $('#snapshot-from').innerHTML = options;
+    $('#snapshot-to').innerHTML = '<option value="current">Current sign-ups (Hello Club)</option>' + options;
+  } catch (e) {
+    $('#snapshot-list').innerHTML = `<div class="activity-item-error">${esc(e.message)}</div>`;
+  }
+}
+
+function closeSnapshotModal() {
+  $('#snapshot-modal').style.display = 'none';
+  snapshotEventId = null;
+}
+
+function attendeeRows(attendees) {
+  return attendees
+    .map(
+      (a) =>
+        `<tr><td>${esc(attendeeName(a))}</td><td>${esc(a.status || '')}</td><td>${feeState(a)}</td><td>${a.signUpDate ? formatDateTime(a.signUpDate) : ''}</td></tr>`
+    )
+    .join('');
+}
+
+async function showSnapshot(snapshotId) {
+  const detail = $('#snapshot-detail');
+  try {
+    const result = await api('GET', `/events/${encodeURIComponent(snapshotEventId)}/snapshots/${snapshotId}`);
+    if (!result.success) throw new Error(result.error);
+    const s = result.data;
+    detail.innerHTML = `<h4 class="mt-2">${esc(snapshotLabel(s))}</h4>
+      <table class="snapshot-table">
+        <thead><tr><th>Name</th><th>Status</th><th>Fee</th><th>Signed up</th></tr></thead>
+        <tbody>${attendeeRows(s.attendees) || '<tr><td colspan="4">No attendees</td></tr>'}</tbody>
+      </table>`;
+  } catch (e) {
+    detail.innerHTML = `<div class="activity-item-error">${esc(e.message)}</div>`;
+  }
+}
+
+async function compareSnapshots() {
+  const detail = $('#snapshot-detail');
+  const from = $('#snapshot-from').value;
+  const to = $('#snapshot-to').value;
+  if (!from || from === to) {
+    detail.innerHTML = '<div class="activity-item-error">Choose two different lists to compare</div>';
+    return;
+  }
+  detail.innerHTML = '<div class="empty-state">Comparing...</div>';
+  try {
+    const result = await api(
+      'GET',
+      `/events/${encodeURIComponent(snapshotEventId)}/snapshots/${from}/diff?to=${encodeURIComponent(to)}`
+    );
+    if (!result.success) throw new Error(result.error);
+    const { additions, cancellations, changed } = result.data;
+    const changeText = (c) =>
+      Object.entries(c.changes)
+        .map(([field, { from: before, to: after }]) => `${field}: ${esc(before)} → ${esc(after)}`)
+        .join(', ');
+    const section = (title, rows) =>
+      `<h4 class="mt-2">${title} (${rows.length})</h4>${rows.length ? `<ul>${rows.join('')}</ul>` : '<div class="text-muted">None</div>'}`;
+    const added = additions.map((a) => `<li>${esc(attendeeName(a))}</li>`);
+    const removed = cancellations.map((a) => `<li><s>${esc(attendeeName(a))}</s></li>`);
+    const updated = changed.map((c) => `<li>${esc(attendeeName(c.attendee))}: ${changeText(c)}</li>`);
+    detail.innerHTML = section('Added', added) + section('Removed', removed) + section('Changed', updated);
+  } catch (e) {
+    detail.innerHTML = `<div class="activity-item-error">${esc(e.message)}</div>`;
+  }
+}
+
+// --- Check-ins ---
+
+let checkInEvents = [];
+
+function renderCheckIns(events) {
+  checkInEvents = events;
+  const container = $('#check-ins');
+  if (!events.length) {
+    container.innerHTML = '<div class="empty-state">No QR check-ins recorded</div>';
+    return;
+  }
+  container.innerHTML = events
+    .map(
+      (e) => `<div class="activity-item">
+        <div class="activity-item-title" style="display:flex;justify-content:space-between;align-items:center;">
+          <span>${esc(e.name)}</span>
+          <button class="btn btn-sm" onclick="openCheckIns(${jsArg(e.id)})">View</button>
+        </div>
+        <div class="activity-item-meta">Event: ${formatDateTime(e.startDate)} · ${e.checkInCount} checked in · Last: ${formatDateTime(e.lastCheckInAt)}</div>
+      </div>`
+    )
+    .join('');
+}
+
+async function openCheckIns(eventId) {
+  const event = checkInEvents.find((e) => e.id === eventId);
+  const base = `/api/events/${encodeURIComponent(eventId)}/check-ins`;
+  const detail = $('#checkin-detail');
+  $('#checkin-modal-title').textContent = `Check-ins: ${event ? event.name : eventId}`;
+  $('#checkin-export-csv').href = `${base}/export?format=csv`;
+  $('#checkin-export-json').href = `${base}/export?format=json`;
+  detail.innerHTML = '<div class="empty-state">Loading...</div>';
+  $('#checkin-modal').style.display = 'flex';
+  try {
+    const result = await api('GET', `/events/${encodeURIComponent(eventId)}/check-ins`);
+    if (!result.success) throw new Error(result.error);
+    const checkedIn = result.data.filter((r) => r.checkedInAt).length;
+    const rows = result.data
+      .map(
+        (r) =>
+          `<tr><td>${esc(r.name || r.attendeeId)}${r.onList ? '' : ' <span class="text-muted">(not on printed list)</span>'}</td><td>${r.checkedInAt ? formatTime(r.checkedInAt) : '—'}</td></tr>`
+      )
+      .join('');
+    detail.innerHTML = `<p class="text-muted">${checkedIn} of ${result.data.filter((r) => r.onList).length} checked in</p>
+      <table class="snapshot-table">
+        <thead><tr><th>Name</th><th>Checked in</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="2">No attendees</td></tr>'}</tbody>
+      </table>`;
+  } catch (e) {
+    detail.innerHTML = `<div class="activity-item-error">${esc(e.message)}</div>`;
+  }
+}
+
+function closeCheckInModal() {
+  $('#checkin-modal').style.display = 'none';
+}
+
+function setDisplayFormat(cfg) {
+  displayFormat = { locale: cfg.locale || null, timeZone: cfg.timeZone || null };
+}
+
 async function loadDashboard() {
   try {
-    const [statusRes, statsRes] = await Promise.all([api('GET', '/service/status'), api('GET', '/statistics')]);
+    if (!displayFormat) {
+      const jsonRes = await api('GET', '/config/json');
+      setDisplayFormat(jsonRes.success ? jsonRes.data : {});
+    }
+    const [statusRes, statsRes, archiveRes, historyRes, checkInRes] = await Promise.all([
+      api('GET', '/service/status'),
+      api('GET', '/statistics'),
+      api('GET', '/archive'),
+      api('GET', '/snapshots'),
+      api('GET', '/check-ins'),
+    ]);
     if (statusRes.success) setServiceStatus(statusRes.data.running, statusRes.data);
     if (statsRes.success) updateStats(statsRes.data);
+    if (archiveRes.success) renderArchive(archiveRes.data);
+    if (historyRes.success) renderAttendeeHistory(historyRes.data);
+    if (checkInRes.success) renderCheckIns(checkInRes.data);
     $('#last-updated').textContent = new Date().toLocaleTimeString();
   } catch (e) {
     showAlert('dashboard', 'error', 'Failed to load dashboard: ' + e.message);
@@ -216,6 +510,9 @@ function clearLogs() {
 
 // --- Config ---
 let currentCategories = [];
+let currentRules = [];
+let primaryPrintTarget = null;
+let currentFallbackTargets = [];
 let currentJsonConfig = {};
 
 function parseEnv(str) {
@@ -253,6 +550,8 @@ function updatePrintModeFields() {
   const mode = $('#cfg-print-mode').value;
   $('#email-fields').style.display = mode === 'email' ? '' : 'none';
   $('#local-fields').style.display = mode === 'local' ? '' : 'none';
+  $('#ipp-fields').style.display = mode === 'ipp' ? '' : 'none';
+  $('#raw-fields').style.display = mode === 'raw' ? '' : 'none';
 }
 
 function renderCategories() {
@@ -265,7 +564,7 @@ function renderCategories() {
   list.innerHTML = currentCategories
     .map(
       (cat) =>
-        `<span class="category-tag">${esc(cat)}<button type="button" onclick="removeCategory('${esc(cat.replace(/'/g, "\\'"))}')" title="Remove">&times;</button></span>`
+        `<span class="category-tag">${esc(cat)}<button type="button" onclick="removeCategory(${jsArg(cat)})" title="Remove">&times;</button></span>`
     )
     .join('');
 }
@@ -290,6 +589,236 @@ function removeCategory(name) {
   markConfigChanged();
 }
 
+// --- Print Rules ---
+const RULE_WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+function ruleField(idx, field, label, value, placeholder, type = 'text') {
+  return `<div class="form-group" style="margin:0;">
+      <label class="form-label">${label}</label>
+      <input type="${type}" class="form-control" value="${esc(value ?? '')}" placeholder="${placeholder}" onchange="updateRule(${idx}, '${field}', this.value)">
+    </div>`;
+}
+
+// --- Print Failover Chain ---
+const FALLBACK_MODES = { local: 'Local (CUPS)', email: 'Email', ipp: 'Network (IPP)', raw: 'Network (Raw TCP)' };
+const FALLBACK_DETAIL = {
+  local: { field: 'printer', placeholder: 'CUPS printer (blank = default)' },
+  ipp: { field: 'printerUri', placeholder: 'ipp://host/ipp/print (blank = IPP settings)' },
+  raw: { field: 'host', placeholder: 'host or host:port (blank = raw settings)' },
+};
+
+function renderFallbackTargets() {
+  const list = $('#fallback-list');
+  if (!currentFallbackTargets.length) {
+    list.innerHTML =
+      '<span class="text-muted" style="font-size:12px;">No fallbacks — failures go straight to retry.</span>';
+    return;
+  }
+  list.innerHTML = currentFallbackTargets
+    .map((target, idx) => {
+      const detail = FALLBACK_DETAIL[target.mode];
+      return `<div class="rule-item-header">
+        <span class="text-muted">${idx + 2}.</span>
+        <select class="form-control" onchange="updateFallbackTarget(${idx}, 'mode', this.value)" style="flex:1;">
+          ${Object.entries(FALLBACK_MODES)
+            .map(
+              ([mode, label]) => `<option value="${mode}" ${target.mode === mode ? 'selected' : ''}>${label}</option>`
+            )
+            .join('')}
+        </select>
+        ${detail ? `<input type="text" class="form-control" value="${esc(target[detail.field] || '')}" placeholder="${detail.placeholder}" onchange="updateFallbackTarget(${idx}, '${detail.field}', this.value)" style="flex:2;">` : ''}
+        <button type="button" class="btn btn-sm" onclick="removeFallbackTarget(${idx})">Remove</button>
+      </div>`;
+    })
+    .join('');
+}
+
+function addFallbackTarget() {
+  currentFallbackTargets.push({ mode: 'email' });
+  renderFallbackTargets();
+  markConfigChanged();
+}
+
+function removeFallbackTarget(idx) {
+  currentFallbackTargets.splice(idx, 1);
+  renderFallbackTargets();
+  markConfigChanged();
+}
+
+function updateFallbackTarget(idx, field, rawValue) {
+  const value = rawValue.trim();
+  if (field === 'mode') {
+    currentFallbackTargets[idx] = { mode: value };
+    renderFallbackTargets();
+  } else if (value) {
+    currentFallbackTargets[idx][field] = value;
+  } else {
+    delete currentFallbackTargets[idx][field];
+  }
+  markConfigChanged();
+}
+
+/** Builds config.json printMode: a plain mode, or the primary mode followed by the fallbacks */
+function buildPrintMode() {
+  const mode = $('#cfg-print-mode').value;
+  // Keep a primary target's pinned printer as long as its mode is unchanged
+  const primary = primaryPrintTarget && primaryPrintTarget.mode === mode ? primaryPrintTarget : { mode };
+  const chain = [primary, ...currentFallbackTargets].map((t) => (Object.keys(t).length === 1 ? t.mode : t));
+  return chain.length === 1 ? chain[0] : chain;
+}
+
+function renderRules() {
+  const list = $('#rule-list');
+  if (!currentRules.length) {
+    list.innerHTML =
+      '<span class="text-muted" style="font-size:12px;">No rules — all events use the global settings.</span>';
+    return;
+  }
+  list.innerHTML = currentRules
+    .map((rule, idx) => {
+      const match = rule.match || {};
+      const categories = [].concat(match.category || []).join(', ');
+      const weekdays = [].concat(match.weekday || []);
+      const columns = (rule.columns || []).map((c) => c.id).join(', ');
+      return `<div class="rule-item">
+      <div class="rule-item-header">
+        <input type="text" class="form-control" value="${esc(rule.name)}" placeholder="Rule name" onchange="updateRule(${idx}, 'name', this.value)" style="flex:1;">
+        <button type="button" class="btn btn-sm" onclick="removeRule(${idx})">Remove</button>
+      </div>
+      <div class="rule-grid">
+        ${ruleField(idx, 'category', 'Match categories', categories, 'Comma-separated')}
+        ${ruleField(idx, 'namePattern', 'Match name pattern', match.namePattern, 'e.g. ^Junior')}
+        ${ruleField(idx, 'venue', 'Match venue', match.venue, 'e.g. Court 1')}
+        <div class="form-group" style="margin:0;">
+          <label class="form-label">Match weekdays</label>
+          <div class="rule-weekdays">
+            ${RULE_WEEKDAYS.map(
+              (day) =>
+                `<label><input type="checkbox" ${weekdays.includes(day) ? 'checked' : ''} onchange="updateRuleWeekday(${idx}, '${day}', this.checked)"> ${day}</label>`
+            ).join('')}
+          </div>
+        </div>
+        ${ruleField(idx, 'leadMinutes', 'Lead time (minutes)', rule.leadMinutes, 'Global', 'number')}
+        <div class="form-group" style="margin:0;">
+          <label class="form-label">Print mode</label>
+          <select class="form-control" onchange="updateRule(${idx}, 'printMode', this.value)">
+            <option value="" ${!rule.printMode ? 'selected' : ''}>Global</option>
+            ${Array.isArray(rule.printMode) ? '<option value="chain" selected disabled>Failover chain (config.json)</option>' : ''}
+            <option value="local" ${rule.printMode === 'local' ? 'selected' : ''}>Local (CUPS)</option>
+            <option value="email" ${rule.printMode === 'email' ? 'selected' : ''}>Email</option>
+            <option value="ipp" ${rule.printMode === 'ipp' ? 'selected' : ''}>Network (IPP)</option>
+            <option value="raw" ${rule.printMode === 'raw' ? 'selected' : ''}>Network (Raw TCP)</option>
+          </select>
+        </div>
+        ${ruleField(idx, 'printer', 'Printer (local mode)', rule.printer, 'PRINTER_NAME')}
+        ${ruleField(idx, 'copies', 'Copies', rule.copies, '1', 'number')}
+        ${ruleField(idx, 'columns', 'Columns', columns, 'Global, e.g. name, phone, status')}
+        ${ruleField(idx, 'logo', 'Logo path', rule.logo, 'Global')}
+      </div>
+    </div>`;
+    })
+    .join('');
+}
+
+function addRule() {
+  currentRules.push({ name: `Rule ${currentRules.length + 1}`, match: {} });
+  renderRules();
+  markConfigChanged();
+}
+
+function removeRule(idx) {
+  currentRules.splice(idx, 1);
+  renderRules();
+  markConfigChanged();
+}
+
+function updateRule(idx, field, rawValue) {
+  const rule = currentRules[idx];
+  const value = rawValue.trim();
+  rule.match = rule.match || {};
+
+  if (field === 'category') {
+    const categories = value
+      .split(',')
+      .map((c) => c.trim())
+      .filter(Boolean);
+    if (categories.length) rule.match.category = categories;
+    else delete rule.match.category;
+  } else if (field === 'namePattern' || field === 'venue') {
+    if (value) rule.match[field] = value;
+    else delete rule.match[field];
+  } else if (field === 'leadMinutes' || field === 'copies') {
+    if (value) rule[field] = parseInt(value, 10);
+    else delete rule[field];
+  } else if (field === 'columns') {
+    // Map column ids onto the global column definitions to keep their headers and widths
+    const known = currentJsonConfig.pdfLayout?.columns || [];
+    const columns = value
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean)
+      .map((id) => known.find((c) => c.id === id) || { id, header: id, width: 100 });
+    if (columns.length) rule.columns = columns;
+    else delete rule.columns;
+  } else if (field === 'name') {
+    rule.name = value;
+  } else {
+    if (value) rule[field] = value;
+    else delete rule[field];
+  }
+  markConfigChanged();
+}
+
+function updateRuleWeekday(idx, day, checked) {
+  const rule = currentRules[idx];
+  rule.match = rule.match || {};
+  const weekdays = [].concat(rule.match.weekday || []).filter((d) => d !== day);
+  if (checked) weekdays.push(day);
+  if (weekdays.length) rule.match.weekday = weekdays;
+  else delete rule.match.weekday;
+  markConfigChanged();
+}
+
+function renderPageSizeOption(pageSize) {
+  const select = $('#cfg-pdf-page-size');
+  select.querySelector('option[value="custom"]')?.remove();
+  if (pageSize && typeof pageSize === 'object') {
+    const option = document.createElement('option');
+    option.value = 'custom';
+    option.textContent = `Custom (${pageSize.width} x ${pageSize.height}pt)`;
+    select.appendChild(option);
+    select.value = 'custom';
+  } else {
+    select.value = pageSize || 'A4';
+  }
+}
+
+// Sort orders offered in the dashboard; any other pdfLayout.sort shows as Custom and is kept on save
+const SORT_PRESETS = {
+  name: null,
+  firstName: ['firstName', 'lastName'],
+  signUpDate: ['signUpDate', 'lastName', 'firstName'],
+  signUpDateDesc: [{ by: 'signUpDate', direction: 'desc' }, 'lastName', 'firstName'],
+  paymentStatus: ['paymentStatus', 'lastName', 'firstName'],
+};
+
+function renderSortOption(sort) {
+  const select = $('#cfg-pdf-sort');
+  select.querySelector('option[value="custom"]')?.remove();
+  const preset = Object.keys(SORT_PRESETS).find(
+    (key) => JSON.stringify(SORT_PRESETS[key]) === JSON.stringify(sort || null)
+  );
+  if (preset) {
+    select.value = preset;
+    return;
+  }
+  const option = document.createElement('option');
+  option.value = 'custom';
+  option.textContent = 'Custom (config.json)';
+  select.appendChild(option);
+  select.value = 'custom';
+}
+
 async function loadConfig() {
   try {
     const [envRes, jsonRes] = await Promise.all([api('GET', '/config/env'), api('GET', '/config/json')]);
@@ -314,14 +843,36 @@ async function loadConfig() {
     if (jsonRes.success) {
       currentJsonConfig = jsonRes.data;
       const cfg = jsonRes.data;
-      $('#cfg-print-mode').value = cfg.printMode || 'email';
+      setDisplayFormat(cfg);
+      const chain = [].concat(cfg.printMode || 'email').map((t) => (typeof t === 'string' ? { mode: t } : t));
+      primaryPrintTarget = chain[0];
+      $('#cfg-print-mode').value = chain[0].mode;
+      currentFallbackTargets = chain.slice(1);
+      renderFallbackTargets();
       currentCategories = cfg.categories || [];
       renderCategories();
+      currentRules = JSON.parse(JSON.stringify(cfg.rules || []));
+      renderRules();
       $('#cfg-pre-event-minutes').value = cfg.preEventQueryMinutes ?? '';
       $('#cfg-fetch-window-hours').value = cfg.fetchWindowHours ?? '';
       $('#cfg-service-interval').value = cfg.serviceRunIntervalHours ?? '';
       $('#cfg-output-filename').value = cfg.outputFilename || '';
+      $('#cfg-locale').value = cfg.locale || '';
+      $('#cfg-time-zone').value = cfg.timeZone || '';
       $('#cfg-pdf-font-size').value = cfg.pdfLayout?.fontSize ?? '';
+      $('#cfg-pdf-max-lines').value = cfg.pdfLayout?.maxLines ?? '';
+      renderPageSizeOption(cfg.pdfLayout?.pageSize);
+      $('#cfg-pdf-orientation').value = cfg.pdfLayout?.orientation || 'portrait';
+      $('#cfg-pdf-group-by').value = cfg.pdfLayout?.groupBy || '';
+      renderSortOption(cfg.pdfLayout?.sort);
+      $('#cfg-pdf-summary').value = cfg.pdfLayout?.summary || '';
+      $('#cfg-ipp-uri').value = cfg.ipp?.printerUri || '';
+      $('#cfg-ipp-sides').value = cfg.ipp?.sides || '';
+      $('#cfg-ipp-media').value = cfg.ipp?.media || '';
+      $('#cfg-ipp-finishings').value = (cfg.ipp?.finishings || []).join(', ');
+      $('#cfg-raw-host').value = cfg.raw?.host || '';
+      $('#cfg-raw-port').value = cfg.raw?.port ?? '';
+      $('#cfg-raw-format').value = cfg.raw?.format || 'pdf';
       updatePrintModeFields();
 
       // Load logo preview
@@ -382,8 +933,26 @@ async function saveAllConfig() {
 
     // Build config.json by merging into existing config
     const jsonData = Object.assign({}, currentJsonConfig);
-    jsonData.printMode = $('#cfg-print-mode').value;
+    jsonData.printMode = buildPrintMode();
     jsonData.categories = [...currentCategories];
+    jsonData.rules = currentRules;
+    jsonData.ipp = {
+      ...jsonData.ipp,
+      printerUri: val('cfg-ipp-uri') || null,
+      sides: $('#cfg-ipp-sides').value || null,
+      media: val('cfg-ipp-media') || null,
+      finishings: val('cfg-ipp-finishings')
+        .split(',')
+        .map((f) => f.trim())
+        .filter(Boolean),
+    };
+    const rawPort = $('#cfg-raw-port').value;
+    jsonData.raw = {
+      ...jsonData.raw,
+      host: val('cfg-raw-host') || null,
+      format: $('#cfg-raw-format').value,
+    };
+    if (rawPort !== '') jsonData.raw.port = parseInt(rawPort, 10);
 
     const preEvent = $('#cfg-pre-event-minutes').value;
     if (preEvent !== '') jsonData.preEventQueryMinutes = parseInt(preEvent, 10);
@@ -393,11 +962,28 @@ async function saveAllConfig() {
     if (interval !== '') jsonData.serviceRunIntervalHours = parseInt(interval, 10);
     const filename = $('#cfg-output-filename').value.trim();
     if (filename) jsonData.outputFilename = filename;
+    jsonData.locale = val('cfg-locale') || 'en-GB';
+    jsonData.timeZone = val('cfg-time-zone') || null;
     const fontSize = $('#cfg-pdf-font-size').value;
     if (fontSize !== '') {
       if (!jsonData.pdfLayout) jsonData.pdfLayout = {};
       jsonData.pdfLayout.fontSize = parseInt(fontSize, 10);
     }
+    if (!jsonData.pdfLayout) jsonData.pdfLayout = {};
+    const maxLines = $('#cfg-pdf-max-lines').value;
+    if (maxLines !== '') jsonData.pdfLayout.maxLines = parseInt(maxLines, 10);
+    else delete jsonData.pdfLayout.maxLines;
+    // A custom size from config.json is kept as it is
+    const pageSize = $('#cfg-pdf-page-size').value;
+    if (pageSize !== 'custom') jsonData.pdfLayout.pageSize = pageSize;
+    jsonData.pdfLayout.orientation = $('#cfg-pdf-orientation').value;
+    jsonData.pdfLayout.groupBy = $('#cfg-pdf-group-by').value || null;
+    const sort = $('#cfg-pdf-sort').value;
+    if (sort !== 'custom') {
+      if (SORT_PRESETS[sort]) jsonData.pdfLayout.sort = SORT_PRESETS[sort];
+      else delete jsonData.pdfLayout.sort;
+    }
+    jsonData.pdfLayout.summary = $('#cfg-pdf-summary').value || null;
 
     // Save both
     const [envRes, jsonRes] = await Promise.all([
@@ -408,6 +994,7 @@ async function saveAllConfig() {
     if (envRes.success && jsonRes.success) {
       showAlert('config', 'success', 'Settings saved! Restarting service...', false);
       markConfigSaved();
+      setDisplayFormat(jsonData);
 
       // Auto-restart service to apply changes
       try {
@@ -451,9 +1038,16 @@ async function testEmail() {
   showAlert('config', result.success ? 'success' : 'error', result.message);
 }
 
-async function testPrint() {
+async function testPrint(mode = 'local') {
+  if (mode === 'raw') {
+    showAlert('config', 'info', 'Connecting to raw printer...', false);
+    const port = parseInt($('#cfg-raw-port').value, 10) || undefined;
+    const result = await api('POST', '/test/print', { mode, host: $('#cfg-raw-host').value.trim(), port });
+    showAlert('config', result.success ? 'success' : 'error', result.message);
+    return;
+  }
   showAlert('config', 'info', 'Testing CUPS printer...', false);
-  const result = await api('POST', '/test/print');
+  const result = await api('POST', '/test/print', { mode });
   showAlert('config', result.success ? 'success' : 'error', result.message);
 }
 
@@ -470,48 +1064,57 @@ async function simulateTrigger() {
 }
 
 // --- Printer Scanner ---
-async function scanForPrinters() {
+async function scanForPrinters(mode = 'local') {
+  const resultsEl = $(mode === 'ipp' ? '#ipp-scan-results' : '#printer-scan-results');
+  const uri = mode === 'ipp' ? $('#cfg-ipp-uri').value.trim() : '';
   showAlert('config', 'info', 'Scanning for printers...', false);
-  const result = await api('GET', '/printers/scan');
+  const result = await api('GET', '/printers/scan' + (uri ? '?uri=' + encodeURIComponent(uri) : ''));
 
   if (!result.success) {
     showAlert('config', 'error', result.error);
-    $('#printer-scan-results').style.display = 'none';
+    resultsEl.style.display = 'none';
     return;
   }
 
-  const { printers, count } = result.data;
+  const printers = result.data.printers.filter((p) => (mode === 'ipp' ? p.type === 'ipp' : p.type !== 'ipp'));
+  const count = printers.length;
 
   if (count === 0) {
-    showAlert('config', 'warn', 'No printers found. Add a printer via CUPS at http://localhost:631');
-    $('#printer-scan-results').style.display = 'none';
+    showAlert(
+      'config',
+      'warn',
+      mode === 'ipp'
+        ? 'No IPP printer to query. Enter the printer URI first.'
+        : 'No printers found. Add a printer via CUPS at http://localhost:631'
+    );
+    resultsEl.style.display = 'none';
     return;
   }
 
   showAlert('config', 'success', `Found ${count} printer${count > 1 ? 's' : ''}`);
 
   // Display printer list
-  const printerListEl = $('#printer-list');
+  const printerListEl = $(mode === 'ipp' ? '#ipp-printer-list' : '#printer-list');
   printerListEl.innerHTML = printers
     .map(
       (p) => `
     <div class="printer-item ${p.isDefault ? 'default' : ''}">
       <div class="printer-info">
-        <strong>${p.name}</strong>
+        <strong>${esc(p.name)}</strong>
         ${p.isDefault ? '<span class="badge">Default</span>' : ''}
-        <div class="printer-status">${p.status}</div>
-        <div class="printer-device">${p.device}</div>
+        <div class="printer-status">${esc(p.error || p.status)}</div>
+        <div class="printer-device">${esc(p.makeAndModel || p.device)}</div>
       </div>
       <div class="printer-actions">
-        ${!p.isDefault ? `<button class="btn btn-sm" onclick="setDefaultPrinter('${p.name}')">Set Default</button>` : ''}
-        <button class="btn btn-sm" onclick="usePrinter('${p.name}')">Use This</button>
+        ${p.type === 'cups' && !p.isDefault ? `<button class="btn btn-sm" onclick="setDefaultPrinter(${jsArg(p.name)})">Set Default</button>` : ''}
+        ${p.type === 'ipp' ? `<button class="btn btn-sm" onclick="useIppPrinter(${jsArg(p.device)})">Use This</button>` : `<button class="btn btn-sm" onclick="usePrinter(${jsArg(p.name)})">Use This</button>`}
       </div>
     </div>
   `
     )
     .join('');
 
-  $('#printer-scan-results').style.display = 'block';
+  resultsEl.style.display = 'block';
 }
 
 async function setDefaultPrinter(printerName) {
@@ -532,6 +1135,12 @@ function usePrinter(printerName) {
   showAlert('config', 'success', `Printer name set to: ${printerName}`);
 }
 
+function useIppPrinter(uri) {
+  $('#cfg-ipp-uri').value = uri;
+  markConfigChanged();
+  showAlert('config', 'success', `IPP printer URI set to: ${uri}`);
+}
+
 // --- Category Fetch Modal ---
 let fetchedCategoriesData = [];
 
@@ -589,8 +1198,8 @@ function renderFetchedCategories(data) {
   list.innerHTML = categories
     .map((cat, idx) => {
       const isAdded = currentCategories.includes(cat.name);
-      const dateFrom = new Date(cat.dateRange.from).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-      const dateTo = new Date(cat.dateRange.to).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      const dateFrom = formatDateTime(cat.dateRange.from, { month: 'short', day: 'numeric' });
+      const dateTo = formatDateTime(cat.dateRange.to, { month: 'short', day: 'numeric' });
 
       return `
         <div class="fetched-category-item ${isAdded ? 'already-added' : ''}">
@@ -609,7 +1218,7 @@ function renderFetchedCategories(data) {
           <div class="fetched-category-events collapsed" id="category-events-${idx}">
             ${cat.events
               .map((evt) => {
-                const evtDate = new Date(evt.date).toLocaleDateString(undefined, {
+                const evtDate = formatDateTime(evt.date, {
                   month: 'short',
                   day: 'numeric',
                   year: 'numeric',
@@ -829,31 +1438,79 @@ function renderColumnConfig(columns) {
   const list = $('#column-config-list');
   if (!list) return;
 
-  // Default columns if none provided
+  // Default columns if none provided (the config defaults, which fit A4 portrait)
   const defaultColumns = [
-    { id: 'name', header: 'Name', width: 200 },
-    { id: 'phone', header: 'Phone', width: 120 },
+    { id: 'name', header: 'Name', width: 140 },
+    { id: 'phone', header: 'Phone', width: 100 },
     { id: 'signUpDate', header: 'Signed up', width: 100 },
-    { id: 'fee', header: 'Fee', width: 80 },
+    { id: 'fee', header: 'Fee', width: 60 },
+    { id: 'status', header: 'Status', width: 60 },
   ];
 
   const cols = columns && columns.length > 0 ? columns : defaultColumns;
 
-  list.innerHTML = cols
-    .map(
-      (col) => `
-    <div class="column-config-item" draggable="true" data-column-id="${col.id}">
+  list.innerHTML = cols.map(columnConfigItem).join('');
+}
+
+// Custom field columns keep their source, format and truncation in data attributes
+function columnConfigItem(col) {
+  const extra = ['source', 'format', 'maxLength']
+    .filter((key) => col[key] !== undefined)
+    .map((key) => ` data-${key.toLowerCase()}="${esc(String(col[key]))}"`)
+    .join('');
+  const sourceText = col.source ? `${col.source}${col.format && col.format !== 'text' ? ` · ${col.format}` : ''}` : '';
+  return `
+    <div class="column-config-item" draggable="true" data-column-id="${esc(col.id)}"${extra}>
       <span class="drag-handle">&#8801;</span>
       <label class="column-checkbox">
         <input type="checkbox" checked onchange="updateColumnsFromUI()">
-        <span class="column-name">${col.id}</span>
+        <span class="column-name">${esc(col.id)}</span>
+        ${sourceText ? `<span class="column-source">${esc(sourceText)}</span>` : ''}
       </label>
-      <input type="text" class="column-header-input form-control" value="${esc(col.header)}" onchange="updateColumnsFromUI()" placeholder="Header">
-      <input type="number" class="column-width-input form-control" value="${col.width}" min="50" max="300" onchange="updateColumnsFromUI()">
+      <input type="text" class="column-header-input form-control" value="${esc(col.header || '')}" onchange="updateColumnsFromUI()" placeholder="Default header">
+      <input type="number" class="column-width-input form-control" value="${col.width}" min="20" max="300" onchange="updateColumnsFromUI()">
     </div>
-  `
-    )
-    .join('');
+  `;
+}
+
+function addFieldColumn() {
+  const source = $('#column-add-source').value.trim();
+  if (!/^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/.test(source)) {
+    showAlert('config', 'error', 'Enter a field path such as emergencyContact.phone');
+    return;
+  }
+  // Column ids must be unique; derive one from the path
+  const base = source.replace(/\.(\w)/g, (_m, c) => c.toUpperCase()).replace(/[^A-Za-z0-9_$-]/g, '');
+  const ids = new Set([...document.querySelectorAll('.column-config-item')].map((item) => item.dataset.columnId));
+  let id = base;
+  for (let n = 2; ids.has(id); n++) id = `${base}${n}`;
+  const col = {
+    id,
+    header: $('#column-add-header').value.trim() || source.split('.').pop(),
+    width: parseInt($('#column-add-width').value, 10) || 80,
+    source,
+    format: $('#column-add-format').value,
+  };
+  $('#column-config-list').insertAdjacentHTML('beforeend', columnConfigItem(col));
+  $('#column-add-source').value = '';
+  $('#column-add-header').value = '';
+  updateColumnsFromUI();
+}
+
+async function loadAttendeeFields() {
+  const status = $('#attendee-fields-status');
+  status.textContent = ' Loading...';
+  try {
+    const result = await api('GET', '/attendee-fields');
+    if (!result.success) throw new Error(result.error);
+    const { fields, sampledAttendees } = result.data;
+    $('#attendee-field-list').innerHTML = fields
+      .map((f) => `<option value="${esc(f.path)}">${esc(f.example)}</option>`)
+      .join('');
+    status.textContent = ` ${fields.length} fields found in ${sampledAttendees} upcoming sign-ups`;
+  } catch (e) {
+    status.textContent = ` Could not load fields: ${e.message}`;
+  }
 }
 
 function updateColumnsFromUI() {
@@ -863,11 +1520,20 @@ function updateColumnsFromUI() {
   items.forEach((item) => {
     const id = item.dataset.columnId;
     const enabled = item.querySelector('input[type="checkbox"]').checked;
-    const header = item.querySelector('.column-header-input').value;
+    const header = item.querySelector('.column-header-input').value.trim();
     const width = parseInt(item.querySelector('.column-width-input').value);
+    const { source, format, maxlength } = item.dataset;
 
     if (enabled) {
-      columns.push({ id, header, width });
+      columns.push({
+        id,
+        // Built-in columns without a header print the default in the configured locale
+        ...(header && { header }),
+        width,
+        ...(source && { source }),
+        ...(format && { format }),
+        ...(maxlength && { maxLength: parseInt(maxlength, 10) }),
+      });
     }
   });
 
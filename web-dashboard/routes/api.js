@@ -21,9 +21,12 @@ const ALLOWED_ENV_KEYS = [
   'SMTP_PASS',
   'EMAIL_FROM',
   'PRINTER_NAME',
+  'PRINTER_IPP_URI',
+  'PRINTER_RAW_HOST',
   'DASHBOARD_USER',
   'DASHBOARD_PASS',
   'DASHBOARD_PORT',
+  'CHECKIN_SECRET',
   'NODE_ENV',
   'LOG_LEVEL',
   'DB_PATH',
@@ -184,7 +187,7 @@ router.post('/test/email', async (req, res) => {
 
 router.post('/test/print', async (req, res) => {
   const { testPrintConnection } = require('../connection-tests');
-  res.json(await testPrintConnection());
+  res.json(await testPrintConnection(req.body || {}));
 });
 
 router.post('/test/print-event', async (req, res) => {
@@ -217,6 +220,7 @@ router.post('/events/refresh', async (req, res) => {
 
       // Clean up events that no longer match filters
       const { getUpcomingEvents } = require('../../src/core/api-client');
+      const { isEventSelected } = require('../../src/core/rule-engine');
       const config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'config.json'), 'utf8'));
       const allowedCategories = config.categories || [];
 
@@ -227,11 +231,8 @@ router.post('/events/refresh', async (req, res) => {
         // Get current events from API
         const apiEvents = await getUpcomingEvents(config.fetchWindowHours || 168);
         const validEventIds = apiEvents
-          .filter((event) => {
-            return (
-              Array.isArray(event.categories) && event.categories.some((cat) => allowedCategories.includes(cat.name))
-            );
-          })
+          // Events with a print: tag or a matching rule are selected regardless of category
+          .filter((event) => isEventSelected(event, allowedCategories, config.rules))
           .map((e) => e.id);
 
         // Delete events and jobs that are in DB but not in filtered API results
@@ -241,6 +242,9 @@ router.post('/events/refresh', async (req, res) => {
         if (toDelete.length > 0) {
           const placeholders = toDelete.map(() => '?').join(',');
           db.prepare(`DELETE FROM scheduled_jobs WHERE event_id IN (${placeholders})`).run(...toDelete);
+          db.prepare(`DELETE FROM print_jobs WHERE event_id IN (${placeholders})`).run(...toDelete);
+          db.prepare(`DELETE FROM roster_snapshots WHERE event_id IN (${placeholders})`).run(...toDelete);
+          db.prepare(`DELETE FROM check_ins WHERE event_id IN (${placeholders})`).run(...toDelete);
           db.prepare(`DELETE FROM events WHERE id IN (${placeholders})`).run(...toDelete);
         }
 
@@ -262,72 +266,141 @@ router.post('/events/refresh', async (req, res) => {
 
 // --- Printer Discovery ---
 
-router.get('/printers/scan', async (req, res) => {
-  try {
-    // Get list of configured printers
-    const { stdout: printerList } = await execFileAsync('lpstat', ['-p'], { timeout: 5000 });
-    const printers = printerList
-      .trim()
-      .split('\n')
-      .filter((line) => line.startsWith('printer'))
-      .map((line) => {
-        const match = line.match(/^printer\s+(\S+)\s+(.+)$/);
-        if (match) {
-          return { name: match[1], status: match[2].trim() };
-        }
-        return null;
-      })
-      .filter(Boolean);
+/**
+ * Lists CUPS printers via lpstat.
+ * @returns {Promise<{printers: Array<Object>, defaultPrinter: string|null}>}
+ */
+async function scanCupsPrinters() {
+  // Get list of configured printers
+  const { stdout: printerList } = await execFileAsync('lpstat', ['-p'], { timeout: 5000 });
+  const printers = printerList
+    .trim()
+    .split('\n')
+    .filter((line) => line.startsWith('printer'))
+    .map((line) => {
+      const match = line.match(/^printer\s+(\S+)\s+(.+)$/);
+      if (match) {
+        return { name: match[1], status: match[2].trim() };
+      }
+      return null;
+    })
+    .filter(Boolean);
 
-    // Get default printer
-    let defaultPrinter = null;
-    try {
-      const { stdout: defaultOut } = await execFileAsync('lpstat', ['-d'], { timeout: 5000 });
-      const match = defaultOut.match(/system default destination:\s*(.+)/);
-      if (match) defaultPrinter = match[1].trim();
-    } catch (_e) {
-      // No default set
-    }
+  // Get default printer
+  let defaultPrinter = null;
+  try {
+    const { stdout: defaultOut } = await execFileAsync('lpstat', ['-d'], { timeout: 5000 });
+    const match = defaultOut.match(/system default destination:\s*(.+)/);
+    if (match) defaultPrinter = match[1].trim();
+  } catch (_e) {
+    // No default set
+  }
 
-    // Get printer URIs/devices
-    const { stdout: deviceList } = await execFileAsync('lpstat', ['-v'], { timeout: 5000 });
-    const devices = {};
-    deviceList
-      .trim()
-      .split('\n')
-      .forEach((line) => {
-        const match = line.match(/^device for\s+(\S+):\s+(.+)$/);
-        if (match) {
-          devices[match[1]] = match[2].trim();
-        }
-      });
+  // Get printer URIs/devices
+  const { stdout: deviceList } = await execFileAsync('lpstat', ['-v'], { timeout: 5000 });
+  const devices = {};
+  deviceList
+    .trim()
+    .split('\n')
+    .forEach((line) => {
+      const match = line.match(/^device for\s+(\S+):\s+(.+)$/);
+      if (match) {
+        devices[match[1]] = match[2].trim();
+      }
+    });
 
-    // Combine printer info
-    const printerDetails = printers.map((p) => ({
+  // Combine printer info
+  return {
+    printers: printers.map((p) => ({
+      type: 'cups',
       name: p.name,
       status: p.status,
       device: devices[p.name] || 'unknown',
       isDefault: p.name === defaultPrinter,
-    }));
+    })),
+    defaultPrinter,
+  };
+}
+
+/**
+ * Queries IPP printers directly with Get-Printer-Attributes. Unreachable URIs are
+ * still listed so the user can see why a configured printer is missing.
+ * @param {Array<string>} uris - Printer URIs to probe
+ * @returns {Promise<Array<Object>>}
+ */
+async function scanIppPrinters(uris) {
+  const { getPrinterAttributes } = require('../../src/services/ipp-client');
+  return Promise.all(
+    uris.map(async (uri) => {
+      try {
+        const attrs = await getPrinterAttributes(uri, { timeoutMs: 5000 });
+        return {
+          type: 'ipp',
+          name: attrs.name || uri,
+          status: attrs.stateMessage ? `${attrs.state} (${attrs.stateMessage})` : attrs.state,
+          device: uri,
+          info: attrs.info,
+          location: attrs.location,
+          makeAndModel: attrs.makeAndModel,
+          sides: attrs.sides,
+          media: attrs.media,
+          finishings: attrs.finishings,
+          isDefault: false,
+        };
+      } catch (error) {
+        return { type: 'ipp', name: uri, status: 'unreachable', device: uri, error: error.message, isDefault: false };
+      }
+    })
+  );
+}
+
+/**
+ * Collects the IPP URIs to probe: ipp.printerUri from config.json, PRINTER_IPP_URI and ?uri=.
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Unique URIs
+ */
+function getIppScanUris(req) {
+  const uris = [];
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'config.json'), 'utf8'));
+    if (config.ipp && config.ipp.printerUri) uris.push(config.ipp.printerUri);
+  } catch (_e) {
+    // No config.json yet
+  }
+  if (process.env.PRINTER_IPP_URI) uris.push(process.env.PRINTER_IPP_URI);
+  if (typeof req.query.uri === 'string' && /^(ipps?|https?):\/\//i.test(req.query.uri)) {
+    uris.push(req.query.uri);
+  }
+  return [...new Set(uris)];
+}
 
-    res.json({
-      success: true,
-      data: {
-        printers: printerDetails,
-        defaultPrinter,
-        count: printerDetails.length,
-      },
-    });
+router.get('/printers/scan', async (req, res) => {
+  let cups = { printers: [], defaultPrinter: null };
+  let cupsError = null;
+  try {
+    cups = await scanCupsPrinters();
   } catch (error) {
     const msg = error.message || '';
-    if (msg.includes('ENOENT')) {
-      return res.json({
-        success: false,
-        error: 'CUPS not installed. Run: sudo apt install cups',
-      });
-    }
-    res.json({ success: false, error: `Printer scan failed: ${msg}` });
+    cupsError = msg.includes('ENOENT')
+      ? 'CUPS not installed. Run: sudo apt install cups'
+      : `Printer scan failed: ${msg}`;
   }
+
+  const ippPrinters = await scanIppPrinters(getIppScanUris(req));
+  if (cupsError && ippPrinters.length === 0) {
+    return res.json({ success: false, error: cupsError });
+  }
+
+  const printerDetails = [...cups.printers, ...ippPrinters];
+  res.json({
+    success: true,
+    data: {
+      printers: printerDetails,
+      defaultPrinter: cups.defaultPrinter,
+      count: printerDetails.length,
+      ...(cupsError && { cupsError }),
+    },
+  });
 });
 
 router.post('/printers/set-default', async (req, res) => {
@@ -343,6 +416,367 @@ router.post('/printers/set-default', async (req, res) => {
   }
 });
 
+// --- PDF Archive ---
+
+/**
+ * Archive directory from config.json (default "archive").
+ * @returns {string|undefined}
+ */
+function getArchiveDirectory() {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'config.json'), 'utf8'));
+    return config.archive && config.archive.directory;
+  } catch (_e) {
+    return undefined;
+  }
+}
+
+router.get('/archive', (req, res) => {
+  try {
+    const { listArchivedPdfs } = require('../../src/core/pdf-archive');
+    const entries = listArchivedPdfs({
+      eventId: req.query.eventId || undefined,
+      directory: getArchiveDirectory(),
+      rootDir: APP_DIR,
+    });
+    res.json({ success: true, data: entries.map(({ pdfPath: _pdfPath, ...entry }) => entry) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/archive/:eventId/:archiveId/pdf', (req, res) => {
+  try {
+    const { getArchivedPdf } = require('../../src/core/pdf-archive');
+    const entry = getArchivedPdf(req.params.eventId, req.params.archiveId, {
+      directory: getArchiveDirectory(),
+      rootDir: APP_DIR,
+    });
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Archived PDF not found' });
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${entry.eventId}-${entry.id}.pdf"`);
+    fs.createReadStream(entry.pdfPath).pipe(res);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.post('/archive/:eventId/:archiveId/reprint', async (req, res) => {
+  const { eventId, archiveId } = req.params;
+  if (!/^[A-Za-z0-9_-]+$/.test(eventId) || !/^[A-Za-z0-9_-]+$/.test(archiveId)) {
+    return res.json({ success: false, error: 'Invalid event or archive id' });
+  }
+  try {
+    // Runs through the CLI so delivery uses the service's own config, env and database handling
+    await execFileAsync('node', ['src/index.js', 'reprint', eventId, archiveId], {
+      cwd: APP_DIR,
+      timeout: 15 * 60 * 1000,
+    });
+    res.json({ success: true, message: `Reprinted archived PDF ${archiveId}` });
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`;
+    const failure = output.split('\n').find((line) => line.includes('Reprint failed:'));
+    res.json({
+      success: false,
+      error: failure
+        ? failure.replace(/^.*Reprint failed:\s*/, '')
+        : 'Reprint failed - see the activity log for details',
+    });
+  }
+});
+
+// --- Day Sheet ---
+
+router.post('/day-sheet', async (req, res) => {
+  const hours = req.body && req.body.hours !== undefined ? parseInt(req.body.hours) : undefined;
+  if (hours !== undefined && !(hours >= 1 && hours <= 24)) {
+    return res.json({ success: false, error: 'Hours must be between 1 and 24' });
+  }
+  try {
+    // Runs through the CLI so delivery uses the service's own config, env and database handling
+    const { stdout } = await execFileAsync(
+      'node',
+      ['src/index.js', 'day-sheet', ...(hours ? ['--hours', String(hours)] : [])],
+      { cwd: APP_DIR, timeout: 15 * 60 * 1000 }
+    );
+    const outcome = /(Day sheet for .* printed via .*|No events start within .*|No attendees found .*)$/;
+    const summary = stdout.split('\n').find((line) => outcome.test(line));
+    res.json({ success: true, message: summary ? summary.match(outcome)[1] : 'Day sheet printed' });
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`;
+    const failure = output.split('\n').find((line) => line.includes('Day sheet failed:'));
+    res.json({
+      success: false,
+      error: failure
+        ? failure.replace(/^.*Day sheet failed:\s*/, '')
+        : 'Day sheet failed - see the activity log for details',
+    });
+  }
+});
+
+// --- Attendee History ---
+
+/**
+ * Runs a read against the service database.
+ * @param {Function} read - Called with the database connection
+ * @returns {*} What `read` returns
+ */
+function readEventsDb(read) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(APP_DIR, 'events.db'), { readonly: true, fileMustExist: true });
+  try {
+    return read(db);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Loads one of an event's roster snapshots.
+ * @param {string} eventId - Event id
+ * @param {string} snapshotId - roster_snapshots row id
+ * @returns {Object|null} { id, kind, takenAt, printTarget, attendees }
+ */
+function readSnapshot(eventId, snapshotId) {
+  const row = readEventsDb((db) =>
+    db
+      .prepare(
+        `SELECT id, kind, taken_at AS takenAt, print_target AS printTarget, attendees
+         FROM roster_snapshots WHERE id = ? AND event_id = ?`
+      )
+      .get(Number(snapshotId), eventId)
+  );
+  return row ? { ...row, attendees: JSON.parse(row.attendees) } : null;
+}
+
+router.get('/snapshots', (req, res) => {
+  try {
+    const events = readEventsDb((db) =>
+      db
+        .prepare(
+          `SELECT e.id, e.name, e.startDate, COUNT(s.id) AS snapshotCount, MAX(s.taken_at) AS lastTakenAt
+           FROM roster_snapshots s JOIN events e ON e.id = s.event_id
+           GROUP BY e.id ORDER BY lastTakenAt DESC LIMIT 50`
+        )
+        .all()
+    );
+    res.json({ success: true, data: events });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/events/:eventId/snapshots', (req, res) => {
+  try {
+    const snapshots = readEventsDb((db) =>
+      db
+        .prepare(
+          `SELECT id, kind, taken_at AS takenAt, print_target AS printTarget, json_array_length(attendees) AS attendeeCount
+           FROM roster_snapshots WHERE event_id = ? ORDER BY taken_at DESC, id DESC`
+        )
+        .all(req.params.eventId)
+    );
+    res.json({ success: true, data: snapshots });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/events/:eventId/snapshots/:snapshotId', (req, res) => {
+  try {
+    const snapshot = readSnapshot(req.params.eventId, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    res.json({ success: true, data: snapshot });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Compares two snapshots (?from=<id>&to=<id>), or a snapshot with the attendees in Hello Club now (to=current)
+router.get('/events/:eventId/snapshots/:snapshotId/diff', async (req, res) => {
+  const { eventId, snapshotId } = req.params;
+  try {
+    const { diffRosters } = require('../../src/core/roster');
+    const from = readSnapshot(eventId, snapshotId);
+    if (!from) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    let to;
+    if (req.query.to === 'current') {
+      const { getAllAttendees } = require('../../src/core/api-client');
+      to = {
+        current: true,
+        takenAt: new Date().toISOString(),
+        attendees: await getAllAttendees(eventId, { allowStale: false }),
+      };
+    } else {
+      to = readSnapshot(eventId, req.query.to);
+      if (!to) {
+        return res.status(404).json({ success: false, error: 'Snapshot to compare with not found' });
+      }
+    }
+
+    const { attendees: _fromAttendees, ...fromInfo } = from;
+    const { attendees: _toAttendees, ...toInfo } = to;
+    res.json({ success: true, data: { from: fromInfo, to: toInfo, ...diffRosters(from.attendees, to.attendees) } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// --- Check-ins ---
+
+/**
+ * Lists an event's printed attendees with their check-in times, followed by anyone who checked in
+ * but is not on the latest printed list (e.g. a code from an earlier printout).
+ * @param {string} eventId - Event id
+ * @returns {Array<Object>} { attendeeId, name, onList, checkedInAt }
+ */
+function readCheckIns(eventId) {
+  return readEventsDb((db) => {
+    const snapshot = db
+      .prepare('SELECT attendees FROM roster_snapshots WHERE event_id = ? ORDER BY taken_at DESC, id DESC LIMIT 1')
+      .get(eventId);
+    const checkIns = new Map(
+      db
+        .prepare(
+          `SELECT attendee_id AS attendeeId, attendee_name AS name, checked_in_at AS checkedInAt
+           FROM check_ins WHERE event_id = ? ORDER BY checked_in_at`
+        )
+        .all(eventId)
+        .map((row) => [row.attendeeId, row])
+    );
+
+    const rows = (snapshot ? JSON.parse(snapshot.attendees) : [])
+      .filter((a) => !a.status || a.status.toLowerCase() !== 'cancelled')
+      .map((a) => {
+        const checkIn = checkIns.get(String(a.id));
+        checkIns.delete(String(a.id));
+        return {
+          attendeeId: a.id ?? null,
+          name: [a.firstName, a.lastName].filter(Boolean).join(' '),
+          onList: true,
+          checkedInAt: checkIn ? checkIn.checkedInAt : null,
+        };
+      });
+    for (const checkIn of checkIns.values()) {
+      rows.push({ ...checkIn, onList: false });
+    }
+    return rows;
+  });
+}
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+router.get('/check-ins', (req, res) => {
+  try {
+    const events = readEventsDb((db) =>
+      db
+        .prepare(
+          `SELECT e.id, e.name, e.startDate, COUNT(c.id) AS checkInCount, MAX(c.checked_in_at) AS lastCheckInAt
+           FROM check_ins c JOIN events e ON e.id = c.event_id
+           GROUP BY e.id ORDER BY lastCheckInAt DESC LIMIT 50`
+        )
+        .all()
+    );
+    res.json({ success: true, data: events });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.get('/events/:eventId/check-ins', (req, res) => {
+  try {
+    res.json({ success: true, data: readCheckIns(req.params.eventId) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Downloads the check-in list (?format=csv, the default, or json)
+router.get('/events/:eventId/check-ins/export', (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  try {
+    const rows = readCheckIns(req.params.eventId);
+    const fileName = `check-ins-${req.params.eventId.replace(/[^A-Za-z0-9_-]/g, '')}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'json') {
+      return res.json(rows);
+    }
+    const lines = [
+      'Attendee ID,Name,On printed list,Checked in at',
+      ...rows.map((r) => [r.attendeeId, r.name, r.onList ? 'yes' : 'no', r.checkedInAt].map(csvField).join(',')),
+    ];
+    res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Downloads an event's attendee list with the printed list's columns (?format=csv, the default, xlsx or
+// json): the list in Hello Club now, or a printed list with ?snapshot=<id>
+router.get('/events/:eventId/roster/export', async (req, res) => {
+  const { eventId } = req.params;
+  try {
+    const RosterExporter = require('../../src/services/roster-exporter');
+    const { findMatchingRule, findRuleByName, applyRuleToLayout } = require('../../src/core/rule-engine');
+    const format = RosterExporter.EXPORT_FORMATS.includes(req.query.format) ? req.query.format : 'csv';
+    const configPath = path.join(APP_DIR, 'config.json');
+    const { value: config, error } = configSchema.validate(
+      fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {}
+    );
+    if (error) {
+      return res.status(500).json({ success: false, error: `Invalid config.json: ${error.message}` });
+    }
+
+    let event;
+    let attendees;
+    let rule;
+    if (req.query.snapshot) {
+      const snapshot = readSnapshot(eventId, req.query.snapshot);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, error: 'Snapshot not found' });
+      }
+      event = readEventsDb((db) =>
+        db.prepare('SELECT id, name, startDate, ruleName FROM events WHERE id = ?').get(eventId)
+      ) || { id: eventId, name: eventId };
+      attendees = snapshot.attendees;
+      rule = findRuleByName(config.rules, event.ruleName);
+    } else {
+      const { getEventDetails, getAllAttendees } = require('../../src/core/api-client');
+      event = await getEventDetails(eventId);
+      attendees = await getAllAttendees(eventId, { allowStale: false });
+      rule = findMatchingRule(event, config.rules);
+    }
+    attendees = attendees.filter((a) => !a.status || a.status.toLowerCase() !== 'cancelled');
+
+    const exporter = new RosterExporter(event, attendees, applyRuleToLayout(config.pdfLayout, rule), {
+      locale: config.locale,
+      timeZone: config.timeZone,
+    });
+    const data = exporter.toBuffer(format);
+    const fileName = `attendees-${eventId.replace(/[^A-Za-z0-9_-]/g, '')}.${format}`;
+    res.setHeader('Content-Type', RosterExporter.CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // --- PDF Preview ---
 
 router.post('/preview-pdf', async (req, res) => {
@@ -519,6 +953,36 @@ router.delete('/config/logo', (req, res) => {
   }
 });
 
+// --- Attendee Fields ---
+
+// Lists the fields Hello Club sends for attendees, with example values, for custom column sources.
+// Samples the attendees of the next few upcoming events (?days=, default 30).
+router.get('/attendee-fields', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 100);
+    delete require.cache[require.resolve('../../src/core/api-client')];
+    const { getUpcomingEvents, getAllAttendees } = require('../../src/core/api-client');
+    const { listFieldPaths } = require('../../src/utils/attendee-fields');
+
+    const events = (await getUpcomingEvents(days * 24, { allowStale: false }))
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+      .slice(0, 3);
+    const records = [];
+    for (const event of events) {
+      const attendees = await getAllAttendees(event.id, { allowStale: false });
+      records.push(...attendees.slice(0, 20).map((a) => a.fields || {}));
+    }
+
+    const fields = listFieldPaths(records).map(({ path: fieldPath, example }) => ({
+      path: fieldPath,
+      example: example === undefined || example === null ? '' : String(example).slice(0, 40),
+    }));
+    res.json({ success: true, data: { fields, sampledEvents: events.length, sampledAttendees: records.length } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // --- Fetch Categories from Hello Club ---
 
 router.get('/fetch-categories', async (req, res) => {
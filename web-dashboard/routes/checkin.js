@@ -0,0 +1,204 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { verifyCheckInToken } = require('../../src/core/check-in');
+const { createI18n, isValidLocale, isValidTimeZone } = require('../../src/utils/i18n');
+
+const APP_DIR = path.resolve(__dirname, '../..');
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+}
+
+/**
+ * Renders the page a phone shows after scanning a code.
+ * @param {string} title - Headline, e.g. "Checked in"
+ * @param {string} detail - Line below it
+ * @param {string} color - Headline color
+ * @param {string} [button] - Label of a button that posts the page back to its own URL
+ * @returns {string} HTML page
+ */
+function renderPage(title, detail, color, button) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 48px 24px; text-align: center; }
+    h1 { color: ${color}; font-size: 2rem; margin: 0 0 16px; }
+    p { color: #444; font-size: 1.2rem; margin: 0; }
+    button { margin-top: 32px; padding: 16px 48px; font-size: 1.4rem; border: 0; border-radius: 8px; background: #27ae60; color: #fff; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(detail)}</p>
+  ${button ? `<form method="post"><button type="submit">${escapeHtml(button)}</button></form>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Checks the scanned token and opens the database for it. Sends the error page and returns null when
+ * the code is invalid or expired, or its event is gone.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{db: Object, ids: {eventId: string, attendeeId: string}, event: Object, name: string|null}|null}
+ *   The open database (caller closes it), the ids, the event and the attendee's name on the printed list
+ */
+function openCheckIn(req, res) {
+  const ids = verifyCheckInToken(req.params.token, process.env.CHECKIN_SECRET);
+  if (!ids) {
+    res
+      .status(404)
+      .send(renderPage('Invalid code', 'This check-in code is not valid. Please check in at the desk.', '#c0392b'));
+    return null;
+  }
+  if (ids.expired) {
+    res
+      .status(410)
+      .send(
+        renderPage(
+          'Code expired',
+          'This check-in code is from an earlier event. Please check in at the desk.',
+          '#c0392b'
+        )
+      );
+    return null;
+  }
+
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(APP_DIR, 'events.db'), { fileMustExist: true });
+  try {
+    // The service may be writing at the same time
+    db.pragma('busy_timeout = 5000');
+
+    const event = db.prepare('SELECT id, name FROM events WHERE id = ?').get(ids.eventId);
+    if (!event) {
+      db.close();
+      res
+        .status(404)
+        .send(renderPage('Event not found', 'This event is no longer on the printed schedule.', '#c0392b'));
+      return null;
+    }
+
+    const snapshot = db
+      .prepare('SELECT attendees FROM roster_snapshots WHERE event_id = ? ORDER BY taken_at DESC, id DESC LIMIT 1')
+      .get(ids.eventId);
+    const attendee = snapshot && JSON.parse(snapshot.attendees).find((a) => String(a.id) === ids.attendeeId);
+    const name = attendee ? `${attendee.firstName || ''} ${attendee.lastName || ''}`.trim() : null;
+    return { db, ids, event, name };
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+}
+
+/**
+ * Renders the page for an attendee who has already checked in. The time is in the locale and time
+ * zone of config.json, as on the printed lists.
+ * @param {string} who - Attendee name
+ * @param {Object} event - The event
+ * @param {string} checkedInAt - When they checked in (ISO)
+ * @returns {string} HTML page
+ */
+function renderAlreadyCheckedIn(who, event, checkedInAt) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'config.json'), 'utf8'));
+  } catch (_e) {
+    // Without a readable config.json the defaults apply
+  }
+  const { formatTime } = createI18n({
+    locale: isValidLocale(config.locale) ? config.locale : undefined,
+    timeZone: isValidTimeZone(config.timeZone) ? config.timeZone : undefined,
+  });
+  const time = formatTime(checkedInAt);
+  return renderPage('Already checked in', `${who} checked in to ${event.name} at ${time}.`, '#e67e22');
+}
+
+/**
+ * Logs a check-in that failed and sends a page that does not give away why: the route is public.
+ * @param {Object} res - Express response
+ * @param {Error} error - What went wrong
+ */
+function sendCheckInFailed(res, error) {
+  console.error('Check-in failed:', error);
+  res.status(500).send(renderPage('Check-in failed', 'Something went wrong. Please check in at the desk.', '#c0392b'));
+}
+
+// Opened by scanning the QR code on an attendee's row. Not behind dashboard auth: the signed token is the
+// credential. Only asks for confirmation, so link previews and prefetching do not check anyone in.
+router.get('/:token', (req, res) => {
+  let checkIn;
+  try {
+    checkIn = openCheckIn(req, res);
+    if (!checkIn) {
+      return;
+    }
+    const { db, ids, event, name } = checkIn;
+    const who = name || 'Attendee';
+    const existing = db
+      .prepare('SELECT checked_in_at FROM check_ins WHERE event_id = ? AND attendee_id = ?')
+      .get(ids.eventId, ids.attendeeId);
+    if (existing) {
+      return res.send(renderAlreadyCheckedIn(who, event, existing.checked_in_at));
+    }
+    res.send(renderPage(`Check in to ${event.name}?`, who, '#2c3e50', 'Check in'));
+  } catch (error) {
+    sendCheckInFailed(res, error);
+  } finally {
+    if (checkIn) {
+      checkIn.db.close();
+    }
+  }
+});
+
+// The confirm button on the page above
+router.post('/:token', (req, res) => {
+  let checkIn;
+  try {
+    checkIn = openCheckIn(req, res);
+    if (!checkIn) {
+      return;
+    }
+    const { db, ids, event, name } = checkIn;
+    const { changes } = db
+      .prepare(
+        `INSERT OR IGNORE INTO check_ins (event_id, attendee_id, attendee_name, checked_in_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(ids.eventId, ids.attendeeId, name, new Date().toISOString());
+    const who = name || 'Attendee';
+
+    if (changes === 0) {
+      const { checked_in_at: checkedInAt } = db
+        .prepare('SELECT checked_in_at FROM check_ins WHERE event_id = ? AND attendee_id = ?')
+        .get(ids.eventId, ids.attendeeId);
+      return res.send(renderAlreadyCheckedIn(who, event, checkedInAt));
+    }
+    res.send(renderPage('Checked in', `${who} is checked in to ${event.name}.`, '#27ae60'));
+  } catch (error) {
+    sendCheckInFailed(res, error);
+  } finally {
+    if (checkIn) {
+      checkIn.db.close();
+    }
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const express = require('express');
 const { WebSocketServer } = require('ws');
 const auth = require('./middleware/auth');
 const apiRoutes = require('./routes/api');
+const checkInRoutes = require('./routes/checkin');
 
 const app = express();
 const server = createServer(app);
@@ -22,6 +23,8 @@ const APP_DIR = path.resolve(__dirname, '..');
 const MAX_WS_CLIENTS = 5;
 
 app.use(express.json());
+// Scanned from attendees' phones, which do not have the dashboard login
+app.use('/checkin', checkInRoutes);
 app.use(auth);
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/assets', express.static(path.join(APP_DIR, 'assets')));